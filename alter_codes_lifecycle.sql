@@ -0,0 +1,85 @@
+-- Access code lifecycle: owner, expiry, usage limits and enable/revoke
+-- Extends the existing `codes` table (one row per 6-digit code) used by the login.
+
+-- Step 1: Lifecycle columns
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS owner_label TEXT;
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS enabled BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;          -- NULL = never expires
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS max_uses INT;                    -- NULL = unlimited logins
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS use_count INT NOT NULL DEFAULT 0;
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ;
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+ALTER TABLE codes ADD COLUMN IF NOT EXISTS replaced_by TEXT;                -- set when the code is rotated
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_codes_code ON codes(code);
+
+-- Step 2: Atomically check and count a login.
+-- Returns 'ok', or why the code cannot be used: 'not_found', 'disabled', 'expired', 'exhausted'.
+CREATE OR REPLACE FUNCTION redeem_access_code(p_code TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_code codes%ROWTYPE;
+BEGIN
+    SELECT * INTO v_code FROM codes WHERE code = p_code FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN 'not_found';
+    ELSIF NOT v_code.enabled THEN
+        RETURN 'disabled';
+    ELSIF v_code.expires_at IS NOT NULL AND v_code.expires_at <= NOW() THEN
+        RETURN 'expired';
+    ELSIF v_code.max_uses IS NOT NULL AND v_code.use_count >= v_code.max_uses THEN
+        RETURN 'exhausted';
+    END IF;
+
+    UPDATE codes
+    SET use_count = use_count + 1, last_used_at = NOW()
+    WHERE code = p_code;
+
+    RETURN 'ok';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 3: Revoke a code and everything issued under it
+CREATE OR REPLACE FUNCTION revoke_access_code(p_code TEXT)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE codes SET enabled = FALSE, revoked_at = NOW() WHERE code = p_code;
+    UPDATE sessions SET revoked_at = NOW() WHERE access_code = p_code AND revoked_at IS NULL;
+    UPDATE api_tokens SET revoked_at = NOW() WHERE access_code = p_code AND revoked_at IS NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 4: Rotate a code - the new code takes over the owner, limits, saved proteins and
+-- saved searches (create_saved_searches.sql), the old code is revoked. Disabled and
+-- revoked codes are refused, so rotating cannot bring back access that was taken away.
+CREATE OR REPLACE FUNCTION rotate_access_code(p_old_code TEXT, p_new_code TEXT)
+RETURNS VOID AS $$
+DECLARE
+    v_code codes%ROWTYPE;
+BEGIN
+    SELECT * INTO v_code FROM codes WHERE code = p_old_code FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Access code % not found', p_old_code;
+    ELSIF NOT v_code.enabled OR v_code.revoked_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Access code % is disabled', p_old_code;
+    END IF;
+
+    INSERT INTO codes (code, owner_label, enabled, expires_at, max_uses)
+    VALUES (p_new_code, v_code.owner_label, TRUE, v_code.expires_at, v_code.max_uses);
+
+    UPDATE saved_queries SET access_code = p_new_code WHERE access_code = p_old_code;
+    UPDATE saved_searches SET access_code = p_new_code WHERE access_code = p_old_code;
+    UPDATE codes SET replaced_by = p_new_code WHERE code = p_old_code;
+    PERFORM revoke_access_code(p_old_code);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the Next.js server calls these, with SUPABASE_SERVICE_ROLE_KEY. Logins go through
+-- /api/session, which throttles attempts; calling redeem_access_code directly with the
+-- public anon key would skip that and tell unknown, disabled and expired codes apart.
+REVOKE EXECUTE ON FUNCTION redeem_access_code FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION revoke_access_code FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION rotate_access_code FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,7 @@
+-- Notes, tags and priority of saved proteins (see SavedQueries.jsx)
+-- Set per protein and collection; copying or moving a protein to another collection
+-- takes them along. Apply after create_saved_proteins.sql.
+
+ALTER TABLE saved_proteins ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE saved_proteins ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE saved_proteins ADD COLUMN IF NOT EXISTS priority SMALLINT CHECK (priority BETWEEN 1 AND 5);
@@ -0,0 +1,14 @@
+-- Named collections of saved proteins
+-- saved_queries used to hold one row per access code with every saved protein in its
+-- saved_proteins JSON array. Each row is now a named collection, so an access code can
+-- have several (e.g. "Staph amidases", "CBD candidates"). Existing rows become the
+-- "Saved proteins" collection of their code.
+
+ALTER TABLE saved_queries ADD COLUMN IF NOT EXISTS name TEXT NOT NULL DEFAULT 'Saved proteins';
+ALTER TABLE saved_queries ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- One row per access code was enforced by a unique access_code where it existed
+ALTER TABLE saved_queries DROP CONSTRAINT IF EXISTS saved_queries_access_code_key;
+DROP INDEX IF EXISTS saved_queries_access_code_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_queries_collection ON saved_queries(access_code, name);
@@ -0,0 +1,79 @@
+/**
+ * Admin Route - /admin
+ *
+ * Access code management. Signing in requires the ADMIN_PASSWORD configured
+ * on the server; the admin session is a separate HTTP-only cookie.
+ */
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import AdminConsole from '../../components/AdminConsole';
+import { apiClient } from '../../lib/apiClient';
+
+export default function AdminPage() {
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiClient.isAdmin()
+      .then(setIsAdmin)
+      .catch(err => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    try {
+      setError('');
+      await apiClient.adminLogin(password);
+      setPassword('');
+      setIsAdmin(true);
+    } catch (err) {
+      setError(err.message || 'Sign-in failed');
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiClient.adminLogout();
+    } catch (err) {
+      console.error('Admin logout failed:', err);
+    }
+    setIsAdmin(false);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-500"></div>
+      </div>
+    );
+  }
+
+  if (isAdmin) {
+    return <AdminConsole onLogout={handleLogout} />;
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen">
+      <form onSubmit={handleLogin} className="card-linear p-8 w-full max-w-sm space-y-4">
+        <h1 className="text-xl font-bold text-linear-text-primary">Admin Sign-in</h1>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Admin password"
+          autoFocus
+          className="input-linear w-full"
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button type="submit" className="btn-linear w-full px-6 py-3 rounded-xl text-sm">
+          Sign in
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { accessCodeService, ACCESS_CODE_PATTERN } from '../../../../../../lib/accessCodes';
+import { withAdmin } from '../../../../../../lib/adminAuth';
+import { jsonError } from '../../../../../../lib/apiHelpers';
+
+/**
+ * POST /api/admin/codes/:code/rotate
+ * Issues a new code with the same owner, limits and saved proteins and revokes the old one.
+ * Disabled and revoked codes cannot be rotated (400).
+ */
+export const POST = withAdmin(async (request, { params }) => {
+  const { code } = await params;
+  if (!ACCESS_CODE_PATTERN.test(code)) return jsonError('Access code must be 6 digits');
+
+  try {
+    const newCode = await accessCodeService.rotate(code);
+    return NextResponse.json({ data: { oldCode: code, code: newCode } }, { status: 201 });
+  } catch (err) {
+    if (err.message === 'Access code not found') return jsonError(err.message, 404);
+    if (err.message === 'Disabled access codes cannot be rotated') return jsonError(err.message);
+    return jsonError(err.message, 502);
+  }
+});
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { accessCodeService, parseCodeSettings, ACCESS_CODE_PATTERN } from '../../../../../lib/accessCodes';
+import { withAdmin } from '../../../../../lib/adminAuth';
+import { jsonError, readJsonBody } from '../../../../../lib/apiHelpers';
+
+/**
+ * PATCH /api/admin/codes/:code
+ * Body: any of { ownerLabel, expiresAt, maxUses, enabled }. A disabled or expired code
+ * cannot log in, and its sessions and API tokens stop working until it is enabled or
+ * extended again; use DELETE to end them for good.
+ */
+export const PATCH = withAdmin(async (request, { params }) => {
+  const { code } = await params;
+  if (!ACCESS_CODE_PATTERN.test(code)) return jsonError('Access code must be 6 digits');
+
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const { settings, error } = parseCodeSettings(body, true);
+  if (error) return jsonError(error);
+
+  try {
+    const updated = await accessCodeService.update(code, settings);
+    if (!updated) return jsonError(`Access code ${code} not found`, 404);
+    return NextResponse.json({ data: updated });
+  } catch (err) {
+    return jsonError(err.message, 502);
+  }
+});
+
+/**
+ * DELETE /api/admin/codes/:code
+ * Revokes the code together with its sessions and API tokens. The row is kept for auditing.
+ */
+export const DELETE = withAdmin(async (request, { params }) => {
+  const { code } = await params;
+  if (!ACCESS_CODE_PATTERN.test(code)) return jsonError('Access code must be 6 digits');
+
+  try {
+    await accessCodeService.revoke(code);
+    return NextResponse.json({ data: { code, revoked: true } });
+  } catch (err) {
+    return jsonError(err.message, 502);
+  }
+});
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { accessCodeService, parseCodeSettings } from '../../../../lib/accessCodes';
+import { withAdmin } from '../../../../lib/adminAuth';
+import { jsonError, readJsonBody } from '../../../../lib/apiHelpers';
+
+/**
+ * GET /api/admin/codes
+ * All access codes with their lifecycle fields and last use.
+ */
+export const GET = withAdmin(async () => {
+  try {
+    return NextResponse.json({ data: await accessCodeService.list() });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+});
+
+/**
+ * POST /api/admin/codes
+ * Body: { ownerLabel, expiresAt?, maxUses? }. Creates a random unused code.
+ */
+export const POST = withAdmin(async (request) => {
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const { settings, error } = parseCodeSettings(body);
+  if (error) return jsonError(error);
+
+  try {
+    const code = await accessCodeService.create(settings);
+    return NextResponse.json({ data: code }, { status: 201 });
+  } catch (err) {
+    return jsonError(err.message, 502);
+  }
+});
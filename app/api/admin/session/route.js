@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { ADMIN_COOKIE, ADMIN_SESSION_TTL, checkAdminPassword, createAdminSession, isAdminRequest } from '../../../../lib/adminAuth';
+import { RateLimiter } from '../../../../lib/rateLimit';
+import { getClientIp, jsonError, readJsonBody } from '../../../../lib/apiHelpers';
+
+const loginLimiter = new RateLimiter(5, 15 * 60 * 1000);
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/'
+};
+
+/**
+ * POST /api/admin/session
+ * Body: { password }. Signs in to the admin console.
+ */
+export async function POST(request) {
+  if (!process.env.ADMIN_PASSWORD) {
+    return jsonError('Admin console is disabled. Set ADMIN_PASSWORD to enable it.', 503);
+  }
+
+  const rate = loginLimiter.consume(`admin:${getClientIp(request)}`);
+  if (!rate.allowed) {
+    return jsonError('Too many sign-in attempts. Try again later.', 429);
+  }
+
+  const body = await readJsonBody(request);
+  if (!checkAdminPassword(body?.password)) {
+    return jsonError('Incorrect password', 401);
+  }
+
+  const response = NextResponse.json({ data: { admin: true } });
+  response.cookies.set(ADMIN_COOKIE, await createAdminSession(), {
+    ...cookieOptions,
+    maxAge: ADMIN_SESSION_TTL / 1000
+  });
+  return response;
+}
+
+/**
+ * GET /api/admin/session
+ * 200 when signed in as admin, 401 otherwise.
+ */
+export async function GET(request) {
+  if (!(await isAdminRequest(request))) {
+    return jsonError('Admin sign-in required', 401);
+  }
+  return NextResponse.json({ data: { admin: true } });
+}
+
+/**
+ * DELETE /api/admin/session
+ */
+export async function DELETE() {
+  const response = NextResponse.json({ data: { signedOut: true } });
+  response.cookies.set(ADMIN_COOKIE, '', { ...cookieOptions, maxAge: 0 });
+  return response;
+}
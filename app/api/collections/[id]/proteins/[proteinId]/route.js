@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { parseAnnotations, parseCollectionId, savedProteinService } from '../../../../../../lib/savedProteins';
+import { getSessionAccessCode, jsonError, readJsonBody } from '../../../../../../lib/apiHelpers';
+
+/**
+ * PATCH /api/collections/:id/proteins/:proteinId
+ * Body: any of { notes, tags, priority }; null clears notes and priority.
+ */
+export async function PATCH(request, { params }) {
+  const { id, proteinId: proteinParam } = await params;
+  const { collectionId, error: idError } = parseCollectionId(id);
+  if (idError) return jsonError(idError);
+
+  const proteinId = Number(proteinParam);
+  if (!Number.isInteger(proteinId) || proteinId < 1) {
+    return jsonError('Protein id must be a positive integer');
+  }
+
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const { columns, error: annotationError } = parseAnnotations(body);
+  if (annotationError) return jsonError(annotationError);
+
+  try {
+    const saved = await savedProteinService.updateProtein(getSessionAccessCode(request), collectionId, proteinId, columns);
+    if (!saved) {
+      return jsonError(`Protein ${proteinId} is not saved in collection ${collectionId}`, 404);
+    }
+    return NextResponse.json({ data: saved });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+}
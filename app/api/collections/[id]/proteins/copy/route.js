@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { parseCollectionId, parseProteinIds, savedProteinService } from '../../../../../../lib/savedProteins';
+import { getSessionAccessCode, jsonError, readJsonBody } from '../../../../../../lib/apiHelpers';
+
+/**
+ * POST /api/collections/:id/proteins/copy
+ * Body: { ids, to, move }. Copies proteins of this collection to collection `to`, or
+ * moves them with move: true, keeping their notes, tags and priority.
+ */
+export async function POST(request, { params }) {
+  const { id } = await params;
+  const { collectionId, error: idError } = parseCollectionId(id);
+  if (idError) return jsonError(idError);
+
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const { collectionId: targetId, error: targetError } = parseCollectionId(body.to);
+  if (targetError) return jsonError(`to: ${targetError}`);
+  if (targetId === collectionId) return jsonError('to must be a different collection');
+
+  const { ids, error: idsError } = parseProteinIds(body.ids);
+  if (idsError) return jsonError(idsError);
+
+  try {
+    const result = await savedProteinService.copyProteins(
+      getSessionAccessCode(request),
+      collectionId,
+      targetId,
+      ids,
+      { move: body.move === true }
+    );
+    if (!result) {
+      return jsonError('Collection not found', 404);
+    }
+    return NextResponse.json({ data: result });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+}
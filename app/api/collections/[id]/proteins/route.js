@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { parseCollectionId, parseProteinIds, savedProteinService } from '../../../../../lib/savedProteins';
+import { getSessionAccessCode, jsonError, readJsonBody } from '../../../../../lib/apiHelpers';
+
+/**
+ * POST /api/collections/:id/proteins
+ * Body: { ids }. Saves proteins to the collection; :id may be "default" for the oldest
+ * collection, created as "Saved proteins" when the access code has none.
+ */
+export async function POST(request, { params }) {
+  const { id } = await params;
+  const { collectionId, error: idError } = parseCollectionId(id, true);
+  if (idError) return jsonError(idError);
+
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const { ids, error: idsError } = parseProteinIds(body.ids);
+  if (idsError) return jsonError(idsError);
+
+  try {
+    const result = await savedProteinService.saveProteins(getSessionAccessCode(request), collectionId, ids);
+    if (!result) {
+      return jsonError(`Collection ${id} not found`, 404);
+    }
+    return NextResponse.json({ data: result });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+}
+
+/**
+ * DELETE /api/collections/:id/proteins?ids=1,2,3
+ * Removes proteins from the collection.
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  const { collectionId, error: idError } = parseCollectionId(id);
+  if (idError) return jsonError(idError);
+
+  const { searchParams } = new URL(request.url);
+  const { ids, error: idsError } = parseProteinIds(searchParams.get('ids'));
+  if (idsError) return jsonError(idsError);
+
+  try {
+    const result = await savedProteinService.removeProteins(getSessionAccessCode(request), collectionId, ids);
+    if (!result) {
+      return jsonError(`Collection ${collectionId} not found`, 404);
+    }
+    return NextResponse.json({ data: result });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+}
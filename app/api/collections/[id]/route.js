@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { parseCollectionId, parseCollectionName, savedProteinService } from '../../../../lib/savedProteins';
+import { getSessionAccessCode, jsonError, readJsonBody } from '../../../../lib/apiHelpers';
+
+/**
+ * PATCH /api/collections/:id
+ * Body: { name }. Renames a collection of the signed-in access code.
+ */
+export async function PATCH(request, { params }) {
+  const { id } = await params;
+  const { collectionId, error: idError } = parseCollectionId(id);
+  if (idError) return jsonError(idError);
+
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const { name, error: nameError } = parseCollectionName(body.name);
+  if (nameError) return jsonError(nameError);
+
+  try {
+    const collection = await savedProteinService.renameCollection(getSessionAccessCode(request), collectionId, name);
+    if (!collection) {
+      return jsonError(`Collection ${collectionId} not found`, 404);
+    }
+    return NextResponse.json({ data: collection });
+  } catch (error) {
+    return jsonError(error.message || 'Failed to rename collection', 400);
+  }
+}
+
+/**
+ * DELETE /api/collections/:id
+ * Deletes a collection with the proteins saved in it.
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  const { collectionId, error: idError } = parseCollectionId(id);
+  if (idError) return jsonError(idError);
+
+  try {
+    const deleted = await savedProteinService.deleteCollection(getSessionAccessCode(request), collectionId);
+    if (!deleted) {
+      return jsonError(`Collection ${collectionId} not found`, 404);
+    }
+    return NextResponse.json({ data: { id: collectionId, deleted: true } });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { parseCollectionName, savedProteinService } from '../../../lib/savedProteins';
+import { getSessionAccessCode, jsonError, readJsonBody } from '../../../lib/apiHelpers';
+
+/**
+ * GET /api/collections
+ * Collections of the signed-in access code, oldest first, with their saved proteins.
+ */
+export async function GET(request) {
+  try {
+    const collections = await savedProteinService.listCollections(getSessionAccessCode(request));
+    return NextResponse.json({ data: collections });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+}
+
+/**
+ * POST /api/collections
+ * Body: { name }. Creates an empty collection.
+ */
+export async function POST(request) {
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const { name, error: nameError } = parseCollectionName(body.name);
+  if (nameError) return jsonError(nameError);
+
+  try {
+    const collection = await savedProteinService.createCollection(getSessionAccessCode(request), name);
+    return NextResponse.json({ data: collection }, { status: 201 });
+  } catch (error) {
+    return jsonError(error.message || 'Failed to create collection', 400);
+  }
+}
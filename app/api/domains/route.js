@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { domainService } from '../../../lib/domainService';
+import { MAX_FILTER_LENGTH, jsonError, parseDomainAccessions, parseLimit } from '../../../lib/apiHelpers';
+
+/**
+ * GET /api/domains?q=&limit=
+ * GET /api/domains?accessions=PF01510,PF01476
+ * Pfam domain catalog: search for the domain picker, or look up names for known accessions.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  try {
+    if (searchParams.has('accessions')) {
+      const { accessions, error } = parseDomainAccessions(searchParams.get('accessions'), 100);
+      if (error) return jsonError(error);
+
+      return NextResponse.json({ data: await domainService.fetchDomains(accessions) });
+    }
+
+    const query = (searchParams.get('q') || '').trim();
+    if (query.length > MAX_FILTER_LENGTH) {
+      return jsonError(`q must be at most ${MAX_FILTER_LENGTH} characters`);
+    }
+
+    const { limit, error: limitError } = parseLimit(searchParams.get('limit'), 50, 200);
+    if (limitError) return jsonError(limitError);
+
+    return NextResponse.json({ data: await domainService.searchDomains(query, limit) });
+  } catch (error) {
+    console.error('GET /api/domains failed:', error);
+    return jsonError(error.message || 'Failed to fetch domains', 502);
+  }
+}
@@ -0,0 +1,133 @@
+import { proteinService } from '../../../lib/proteinService';
+import { EXPORT_COLUMNS, formatCSVRow, formatTSVRow, getExportValues } from '../../../lib/csvExport';
+import { buildFastaHeader, parseLineWidth, wrapSequence, MAX_FASTA_LINE_WIDTH } from '../../../lib/fastaExport';
+import { jsonError, parseProteinFilters } from '../../../lib/apiHelpers';
+import { exportTrailer, MAX_EXPORT_ROWS } from '../../../lib/streamingExport';
+
+// Rows fetched per database round trip
+const EXPORT_BATCH_SIZE = 1000;
+
+const EXPORT_COLUMNS_SQL = 'id, accession, name, source_organism_full_name, entries_header, length, sequence';
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: () => `${formatCSVRow(EXPORT_COLUMNS.map(col => col.header))}\n`,
+    record: entry => `${formatCSVRow(getExportValues(entry))}\n`
+  },
+  tsv: {
+    contentType: 'text/tab-separated-values; charset=utf-8',
+    header: () => `${formatTSVRow(EXPORT_COLUMNS.map(col => col.header))}\n`,
+    record: entry => `${formatTSVRow(getExportValues(entry))}\n`
+  },
+  fasta: {
+    contentType: 'text/plain; charset=utf-8',
+    header: () => '',
+    // Entries without a sequence cannot be represented in FASTA
+    record: (entry, { lineWidth }) => (entry.sequence ? `>${buildFastaHeader(entry)}\n${wrapSequence(entry.sequence, lineWidth)}\n` : '')
+  }
+};
+
+/**
+ * GET /api/export?name=&organism=&domain=&format=csv|tsv|fasta&lineWidth=&trailer=
+ * Streams every protein matching the filters, not just the current page. Rows are
+ * fetched in id order in batches and written as they arrive; the stream stops when
+ * the client disconnects (e.g. the user cancels the download). lineWidth sets the
+ * residues per FASTA sequence line (0 for one line, default 60).
+ *
+ * At most MAX_EXPORT_ROWS records are written (X-Export-Max-Rows); the export view
+ * warns before and after exporting a larger result. With trailer=1 the stream ends with
+ * exportTrailer(), which tells whether records were left out (lib/streamingExport.js).
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  const { filters, error: filterError } = parseProteinFilters(searchParams);
+  if (filterError) return jsonError(filterError);
+
+  const formatName = searchParams.get('format') || 'csv';
+  const format = FORMATS[formatName];
+  if (!format) {
+    return jsonError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const lineWidth = parseLineWidth(searchParams.get('lineWidth'));
+  if (lineWidth === null) {
+    return jsonError(`lineWidth must be an integer from 0 to ${MAX_FASTA_LINE_WIDTH}`);
+  }
+  const recordOptions = { lineWidth };
+  const withTrailer = searchParams.get('trailer') === '1';
+
+  const encoder = new TextEncoder();
+  let afterId = 0;
+  let exported = 0;
+  let headerSent = false;
+
+  // Whether any record follows afterId; FASTA skips entries without a sequence
+  const recordsRemain = async () => {
+    for (let batch = { hasMore: true, lastId: afterId }; batch.hasMore;) {
+      batch = await proteinService.fetchProteinsAfter(filters, batch.lastId, EXPORT_BATCH_SIZE, EXPORT_COLUMNS_SQL);
+      if (batch.data.some(entry => format.record(entry, recordOptions))) return true;
+    }
+    return false;
+  };
+
+  const finish = (controller, truncated) => {
+    if (withTrailer) controller.enqueue(encoder.encode(exportTrailer(truncated)));
+    controller.close();
+  };
+
+  const stream = new ReadableStream({
+    // Called whenever the client is ready for more data
+    async pull(controller) {
+      try {
+        if (request.signal.aborted) {
+          controller.close();
+          return;
+        }
+
+        if (!headerSent) {
+          headerSent = true;
+          const header = format.header();
+          if (header) {
+            controller.enqueue(encoder.encode(header));
+            return;
+          }
+        }
+
+        const batch = await proteinService.fetchProteinsAfter(filters, afterId, EXPORT_BATCH_SIZE, EXPORT_COLUMNS_SQL);
+        afterId = batch.lastId;
+
+        // Counted as written: FASTA skips entries without a sequence
+        const records = batch.data.map(entry => format.record(entry, recordOptions)).filter(Boolean);
+        const written = records.slice(0, MAX_EXPORT_ROWS - exported);
+        exported += written.length;
+
+        controller.enqueue(encoder.encode(written.join('')));
+
+        if (exported >= MAX_EXPORT_ROWS) {
+          finish(controller, written.length < records.length || (batch.hasMore && await recordsRemain()));
+        } else if (!batch.hasMore) {
+          finish(controller, false);
+        }
+      } catch (error) {
+        console.error('GET /api/export failed:', error);
+        controller.error(error);
+      }
+    },
+    cancel() {
+      console.log(`Export cancelled by client after ${exported} records`);
+    }
+  });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="protein-data-export-${timestamp}.${formatName}"`,
+      'Cache-Control': 'no-store',
+      'X-Export-Max-Rows': String(MAX_EXPORT_ROWS)
+    }
+  });
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { proteinService } from '../../../../lib/proteinService';
+import { jsonError } from '../../../../lib/apiHelpers';
+
+/**
+ * GET /api/proteins/:id
+ * Full protein record including sequence and domain annotations.
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const proteinId = Number(id);
+
+  if (!Number.isInteger(proteinId) || proteinId < 1) {
+    return jsonError('Protein id must be a positive integer');
+  }
+
+  try {
+    const protein = await proteinService.fetchProteinDetails(proteinId);
+    return NextResponse.json({ data: protein });
+  } catch (error) {
+    // PGRST116: .single() matched no rows
+    if (error.code === 'PGRST116') {
+      return jsonError(`Protein ${proteinId} not found`, 404);
+    }
+    console.error(`GET /api/proteins/${proteinId} failed:`, error);
+    return jsonError(error.message || 'Failed to fetch protein details', 502);
+  }
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { proteinService } from '../../../../lib/proteinService';
+import { jsonError, parseProteinFilters } from '../../../../lib/apiHelpers';
+
+/**
+ * GET /api/proteins/count?name=&organism=&domain=&mode=
+ * Number of proteins matching the filters. `mode=exact` (default) can take
+ * several seconds; `mode=estimated` returns the query planner's estimate at once.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  const { filters, error: filterError } = parseProteinFilters(searchParams);
+  if (filterError) return jsonError(filterError);
+
+  const mode = searchParams.get('mode') || 'exact';
+  if (mode !== 'exact' && mode !== 'estimated') {
+    return jsonError('mode must be exact or estimated');
+  }
+
+  try {
+    const result = await proteinService.fetchProteinCount(filters, { estimate: mode === 'estimated' });
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error('GET /api/proteins/count failed:', error);
+    return jsonError(error.message || 'Failed to count proteins', 502);
+  }
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { proteinService } from '../../../lib/proteinService';
+import {
+  decodeCursor,
+  encodeCursor,
+  jsonError,
+  parsePage,
+  parseProteinFilters,
+  parseSort
+} from '../../../lib/apiHelpers';
+
+/**
+ * GET /api/proteins?name=&organism=&domain=&architecture=&architectureMode=&query=&minLength=&maxLength=&minCoverage=&maxCoverage=&minDomains=&maxDomains=&includeTaxa=&excludeTaxa=&sort=&sortDirection=&page=&cursor=
+ * One page of proteins matching the filters, ordered by `sort` (then id) or by id.
+ * The total is served separately by /api/proteins/count so the first page is
+ * never held up by the count query.
+ *
+ * Pages are read with keyset cursors. `cursor` is the `nextCursor` of the previous
+ * page; without it the page is found by walking from the nearest known page.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  const { filters, error: filterError } = parseProteinFilters(searchParams);
+  if (filterError) return jsonError(filterError);
+
+  const { page, error: pageError } = parsePage(searchParams.get('page'));
+  if (pageError) return jsonError(pageError);
+
+  const { sort, error: sortError } = parseSort(searchParams);
+  if (sortError) return jsonError(sortError);
+
+  // { sort, value, afterId }: the sort value and id of the last row before the page
+  const sortKey = sort ? `${sort.field}.${sort.direction}` : 'id';
+  const { position, error: cursorError } = decodeCursor(searchParams.get('cursor'));
+  if (cursorError || (position && (!Number.isInteger(position.afterId) || position.sort !== sortKey))) {
+    return jsonError('Invalid cursor');
+  }
+  const cursor = position ? { value: position.value ?? null, id: position.afterId } : null;
+
+  try {
+    const result = await proteinService.fetchProteinsOptimized(filters, page, { sort, cursor });
+    return NextResponse.json({
+      data: result.data,
+      currentPage: result.currentPage,
+      hasMore: result.hasMore || false,
+      nextCursor: result.nextCursor
+        ? encodeCursor({ sort: sortKey, value: result.nextCursor.value, afterId: result.nextCursor.id })
+        : null,
+      count: result.count,
+      totalPages: result.totalPages
+    });
+  } catch (error) {
+    console.error('GET /api/proteins failed:', error);
+    return jsonError(error.message || 'Failed to fetch proteins', 502);
+  }
+}
@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { savedSearchService } from '../../../../lib/savedSearches';
+import { getSessionAccessCode, jsonError } from '../../../../lib/apiHelpers';
+
+/**
+ * DELETE /api/saved-searches/:id
+ * Delete a saved search of the signed-in access code.
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  const searchId = Number(id);
+
+  if (!Number.isInteger(searchId) || searchId < 1) {
+    return jsonError('Saved search id must be a positive integer');
+  }
+
+  try {
+    const deleted = await savedSearchService.deleteSearch(getSessionAccessCode(request), searchId);
+    if (!deleted) {
+      return jsonError(`Saved search ${searchId} not found`, 404);
+    }
+    return NextResponse.json({ data: { id: searchId, deleted: true } });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+}
@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { savedSearchService } from '../../../../../lib/savedSearches';
+import { getSessionAccessCode, jsonError } from '../../../../../lib/apiHelpers';
+
+/**
+ * POST /api/saved-searches/:id/run
+ * Run a saved search, record its result count and compare it with the previous run.
+ */
+export async function POST(request, { params }) {
+  const { id } = await params;
+  const searchId = Number(id);
+
+  if (!Number.isInteger(searchId) || searchId < 1) {
+    return jsonError('Saved search id must be a positive integer');
+  }
+
+  try {
+    const result = await savedSearchService.runSearch(getSessionAccessCode(request), searchId);
+    if (!result) {
+      return jsonError(`Saved search ${searchId} not found`, 404);
+    }
+    return NextResponse.json({ data: result });
+  } catch (error) {
+    console.error(`POST /api/saved-searches/${searchId}/run failed:`, error);
+    return jsonError(error.message || 'Saved search failed', 502);
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { MAX_SAVED_SEARCH_NAME_LENGTH, parseSavedSearch, savedSearchService } from '../../../lib/savedSearches';
+import { getSessionAccessCode, jsonError, readJsonBody } from '../../../lib/apiHelpers';
+
+/**
+ * GET /api/saved-searches
+ * Saved searches of the signed-in access code, newest first, with their last run.
+ */
+export async function GET(request) {
+  try {
+    const searches = await savedSearchService.listSearches(getSessionAccessCode(request));
+    return NextResponse.json({ data: searches });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+}
+
+/**
+ * POST /api/saved-searches
+ * Body: { name, search } where search is the dashboard query string of an Explore or
+ * sequence search, e.g. "organism=aureus&sort=length" (see lib/searchUrl.js).
+ */
+export async function POST(request) {
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const name = String(body.name || '').trim();
+  if (!name || name.length > MAX_SAVED_SEARCH_NAME_LENGTH) {
+    return jsonError(`name is required (at most ${MAX_SAVED_SEARCH_NAME_LENGTH} characters)`);
+  }
+
+  const parsed = parseSavedSearch(body.search);
+  if (parsed.error) return jsonError(parsed.error);
+
+  try {
+    const saved = await savedSearchService.createSearch(getSessionAccessCode(request), name, parsed);
+    return NextResponse.json({ data: saved }, { status: 201 });
+  } catch (error) {
+    return jsonError(error.message || 'Failed to save search', 400);
+  }
+}
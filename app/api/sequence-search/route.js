@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { jsonError, readJsonBody } from '../../../lib/apiHelpers';
+import { parseSequenceSearch, runSequenceSearch } from '../../../lib/sequenceSearchApi';
+
+/**
+ * POST /api/sequence-search
+ * Body: { mode, sequence | sequences, page, mismatches }
+ * - contains:   exact substring search, `sequences` runs several queries at once
+ * - similarity: Smith-Waterman ranked hits, also accepts `sequences`
+ * - pattern:    PROSITE motif in `sequence`, with up to MAX_PATTERN_MISMATCHES mismatches
+ * Search-level problems (e.g. a query that is too short) come back with 200 and an
+ * `error` field, exactly as the sequence services report them.
+ */
+export async function POST(request) {
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const { params, error } = parseSequenceSearch(body);
+  if (error) return jsonError(error);
+
+  try {
+    return NextResponse.json(await runSequenceSearch(params));
+  } catch (err) {
+    console.error('POST /api/sequence-search failed:', err);
+    return jsonError(err.message || 'Sequence search failed', 502);
+  }
+}
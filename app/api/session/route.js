@@ -0,0 +1,128 @@
+import { NextResponse } from 'next/server';
+import { accessCodeService, REDEEM_ERRORS } from '../../../lib/accessCodes';
+import { sessionService } from '../../../lib/sessions';
+import { loginThrottleService } from '../../../lib/loginThrottle';
+import { SESSION_COOKIE, SESSION_TTL, verifySession } from '../../../lib/sessionToken';
+import { getClientIp, jsonError, readJsonBody } from '../../../lib/apiHelpers';
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/'
+};
+
+// Identifies a browser across attempts in addition to its IP address
+const CLIENT_COOKIE = 'gg_client';
+const CLIENT_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const formatWait = (seconds) => (seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`);
+
+/**
+ * Error response for a rejected attempt, with the throttle state for the login modal
+ */
+const throttledResponse = (message, state, status) => {
+  const response = jsonError(message, status, {
+    remainingAttempts: state.remainingAttempts,
+    retryAfter: state.retryAfter,
+    lockedUntil: state.lockedUntil
+  });
+  if (state.retryAfter > 0) response.headers.set('Retry-After', String(state.retryAfter));
+  return response;
+};
+
+/**
+ * POST /api/session
+ * Body: { code }. Validates the access code, counts the use and sets the session cookie.
+ * Attempts are throttled per IP and per browser (lib/loginThrottle.js).
+ */
+export async function POST(request) {
+  const body = await readJsonBody(request);
+  const code = String(body?.code || '').trim();
+
+  const ip = getClientIp(request);
+  const userAgent = request.headers.get('user-agent');
+  const existingClientId = request.cookies.get(CLIENT_COOKIE)?.value;
+  const clientId = CLIENT_ID_PATTERN.test(existingClientId || '') ? existingClientId : crypto.randomUUID();
+  const keys = [`ip:${ip}`, `client:${clientId}`];
+
+  const withClientCookie = (response) => {
+    if (clientId !== existingClientId) {
+      response.cookies.set(CLIENT_COOKIE, clientId, { ...cookieOptions, maxAge: 365 * 24 * 60 * 60 });
+    }
+    return response;
+  };
+
+  try {
+    const attempt = await loginThrottleService.claim(keys);
+    if (!attempt.allowed) {
+      loginThrottleService.audit({ ip, clientId, userAgent, code, outcome: attempt.locked ? 'locked' : 'throttled' });
+      return withClientCookie(throttledResponse(
+        attempt.locked
+          ? `Too many failed attempts. Try again in ${formatWait(attempt.retryAfter)}.`
+          : `Please wait ${formatWait(attempt.retryAfter)} before trying again.`,
+        attempt,
+        429
+      ));
+    }
+
+    const status = await accessCodeService.redeem(code);
+    loginThrottleService.audit({ ip, clientId, userAgent, code, outcome: status === 'ok' ? 'success' : status });
+
+    if (status !== 'ok') {
+      // The claimed attempt already counts as this failure
+      const message = attempt.locked
+        ? `Too many failed attempts. Try again in ${formatWait(attempt.retryAfter)}.`
+        : REDEEM_ERRORS[status] || REDEEM_ERRORS.not_found;
+      return withClientCookie(throttledResponse(message, attempt, attempt.locked ? 429 : 401));
+    }
+
+    await loginThrottleService.recordSuccess(keys);
+
+    const session = await sessionService.create(code, { ip, userAgent });
+
+    const response = NextResponse.json({ data: { accessCode: code, expiresAt: session.expiresAt } });
+    response.cookies.set(SESSION_COOKIE, session.cookie, {
+      ...cookieOptions,
+      maxAge: SESSION_TTL / 1000
+    });
+    return withClientCookie(response);
+  } catch (error) {
+    console.error('POST /api/session failed:', error);
+    return jsonError('Validation failed. Please try again.', 503);
+  }
+}
+
+/**
+ * GET /api/session
+ * The current session, or 401 when there is none.
+ */
+export async function GET(request) {
+  const payload = await verifySession(request.cookies.get(SESSION_COOKIE)?.value);
+
+  if (!payload || !(await sessionService.isActive(payload.sid))) {
+    return jsonError('Not signed in', 401);
+  }
+
+  return NextResponse.json({ data: { accessCode: payload.code, expiresAt: payload.exp } });
+}
+
+/**
+ * DELETE /api/session
+ * Revokes the session and clears the cookie.
+ */
+export async function DELETE(request) {
+  const payload = await verifySession(request.cookies.get(SESSION_COOKIE)?.value);
+
+  if (payload) {
+    try {
+      await sessionService.revoke(payload.sid);
+    } catch (error) {
+      return jsonError(error.message, 503);
+    }
+  }
+
+  const response = NextResponse.json({ data: { signedOut: true } });
+  response.cookies.set(SESSION_COOKIE, '', { ...cookieOptions, maxAge: 0 });
+  return response;
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { taxonomyService } from '../../../lib/taxonomyService';
+import { MAX_FILTER_LENGTH, jsonError, parseLimit, parseTaxonIds } from '../../../lib/apiHelpers';
+
+/**
+ * GET /api/taxonomy                 top of the tree
+ * GET /api/taxonomy?parent=1239     children of a taxon
+ * GET /api/taxonomy?q=&limit=       search by name or alias
+ * GET /api/taxonomy?ids=1239,561    look up taxa by id
+ * NCBI taxonomy of the source organisms, for the taxonomy browser.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  try {
+    if (searchParams.has('ids')) {
+      const { taxIds, error } = parseTaxonIds(searchParams.get('ids'), 100);
+      if (error) return jsonError(error);
+
+      return NextResponse.json({ data: await taxonomyService.fetchTaxa(taxIds) });
+    }
+
+    if (searchParams.has('q')) {
+      const query = (searchParams.get('q') || '').trim();
+      if (query.length < 2 || query.length > MAX_FILTER_LENGTH) {
+        return jsonError(`q must be between 2 and ${MAX_FILTER_LENGTH} characters`);
+      }
+
+      const { limit, error: limitError } = parseLimit(searchParams.get('limit'), 50, 200);
+      if (limitError) return jsonError(limitError);
+
+      return NextResponse.json({ data: await taxonomyService.searchTaxa(query, limit) });
+    }
+
+    const parent = searchParams.get('parent');
+    if (!parent) {
+      return NextResponse.json({ data: await taxonomyService.fetchChildren(null) });
+    }
+
+    const { taxIds: [parentId], error } = parseTaxonIds(parent, 1);
+    if (error) return jsonError(error);
+
+    return NextResponse.json({ data: await taxonomyService.fetchChildren(parentId) });
+  } catch (error) {
+    console.error('GET /api/taxonomy failed:', error);
+    return jsonError(error.message || 'Failed to fetch taxonomy', 502);
+  }
+}
@@ -0,0 +1,108 @@
+import { NextResponse } from 'next/server';
+import { proteinService } from '../../../../lib/proteinService';
+import { savedProteinService } from '../../../../lib/savedProteins';
+import { withApiToken } from '../../../../lib/apiAuth';
+import { convertToCSV, EXPORT_COLUMNS, SAVED_EXPORT_COLUMNS } from '../../../../lib/csvExport';
+import {
+  decodeCursor,
+  encodeCursor,
+  jsonError,
+  parseLimit,
+  parseProteinFilters
+} from '../../../../lib/apiHelpers';
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Select the ids for one export chunk
+ * @returns {Promise<{ids: Array<number>, nextPosition: Object|null, saved: Array|null}>} - saved
+ *   holds the saved-protein entries of the chunk (with priority, tags and notes) for source=saved
+ */
+const selectChunk = async (source, searchParams, position, limit, accessCode) => {
+  if (source === 'saved') {
+    const saved = await savedProteinService.listProteins(accessCode);
+    const offset = position?.offset || 0;
+    const chunk = saved.slice(offset, offset + limit);
+    return {
+      ids: chunk.map(protein => protein.id),
+      nextPosition: offset + limit < saved.length ? { offset: offset + limit } : null,
+      saved: chunk
+    };
+  }
+
+  const { filters } = parseProteinFilters(searchParams);
+  const result = await proteinService.fetchProteinsAfter(filters, position?.afterId || 0, limit);
+  return {
+    ids: result.data.map(protein => protein.id),
+    nextPosition: result.hasMore ? { afterId: result.lastId } : null,
+    saved: null
+  };
+};
+
+/**
+ * GET /api/v1/export?format=csv|json&source=search|saved&limit=&cursor=&name=&organism=&domain=
+ * Complete records (including sequences) in chunks of up to 1000 rows; saved proteins add
+ * their priority, tags and notes, as the Saved section's export does. For CSV the next
+ * cursor is sent in the X-Next-Cursor header; for JSON it is `nextCursor` in the body.
+ */
+export const GET = withApiToken(async (request, context, auth) => {
+  const { searchParams } = new URL(request.url);
+
+  const format = searchParams.get('format') || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return jsonError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const source = searchParams.get('source') || 'search';
+  if (source === 'search') {
+    const { error: filterError } = parseProteinFilters(searchParams);
+    if (filterError) return jsonError(filterError);
+  } else if (source !== 'saved') {
+    return jsonError('source must be "search" or "saved"');
+  }
+
+  const { limit, error: limitError } = parseLimit(searchParams.get('limit'), 500, 1000);
+  if (limitError) return jsonError(limitError);
+
+  const { position, error: cursorError } = decodeCursor(searchParams.get('cursor'));
+  const cursorKey = source === 'saved' ? 'offset' : 'afterId';
+  if (cursorError || (position && !Number.isInteger(position[cursorKey]))) {
+    return jsonError('Invalid cursor');
+  }
+
+  try {
+    const { ids, nextPosition, saved } = await selectChunk(source, searchParams, position, limit, auth.accessCode);
+    let rows = await proteinService.fetchCompleteDataForExport(ids);
+
+    // .in() does not preserve order
+    const order = new Map(ids.map((id, index) => [id, index]));
+    rows.sort((a, b) => order.get(a.id) - order.get(b.id));
+
+    if (saved) {
+      const savedById = new Map(saved.map(protein => [protein.id, protein]));
+      rows = rows.map(protein => ({
+        ...protein,
+        priority: savedById.get(protein.id)?.priority,
+        tags: savedById.get(protein.id)?.tags,
+        notes: savedById.get(protein.id)?.notes
+      }));
+    }
+
+    const nextCursor = nextPosition ? encodeCursor(nextPosition) : null;
+
+    if (format === 'json') {
+      return NextResponse.json({ data: rows, nextCursor });
+    }
+
+    const headers = {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="protein-export.csv"'
+    };
+    if (nextCursor) headers['X-Next-Cursor'] = nextCursor;
+
+    return new NextResponse(convertToCSV(rows, saved ? SAVED_EXPORT_COLUMNS : EXPORT_COLUMNS), { headers });
+  } catch (error) {
+    console.error('GET /api/v1/export failed:', error);
+    return jsonError(error.message || 'Export failed', 502);
+  }
+});
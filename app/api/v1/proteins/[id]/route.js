@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { proteinService } from '../../../../../lib/proteinService';
+import { withApiToken } from '../../../../../lib/apiAuth';
+import { jsonError } from '../../../../../lib/apiHelpers';
+
+/**
+ * GET /api/v1/proteins/:id
+ * Full protein record including sequence and domain annotations.
+ */
+export const GET = withApiToken(async (request, { params }) => {
+  const { id } = await params;
+  const proteinId = Number(id);
+
+  if (!Number.isInteger(proteinId) || proteinId < 1) {
+    return jsonError('Protein id must be a positive integer');
+  }
+
+  try {
+    const protein = await proteinService.fetchProteinDetails(proteinId);
+    return NextResponse.json({ data: protein });
+  } catch (error) {
+    // PGRST116: .single() matched no rows
+    if (error.code === 'PGRST116') {
+      return jsonError(`Protein ${proteinId} not found`, 404);
+    }
+    console.error(`GET /api/v1/proteins/${proteinId} failed:`, error);
+    return jsonError(error.message || 'Failed to fetch protein details', 502);
+  }
+});
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { proteinService } from '../../../../lib/proteinService';
+import { withApiToken } from '../../../../lib/apiAuth';
+import {
+  decodeCursor,
+  encodeCursor,
+  jsonError,
+  parseLimit,
+  parseProteinFilters
+} from '../../../../lib/apiHelpers';
+
+const MAX_PROTEINS_LIMIT = 500;
+
+/**
+ * GET /api/v1/proteins?name=&organism=&domain=&limit=&cursor=
+ * Cursor-paginated search results ordered by id. Pass `nextCursor` back as `cursor`
+ * until it is null.
+ */
+export const GET = withApiToken(async (request) => {
+  const { searchParams } = new URL(request.url);
+
+  const { filters, error: filterError } = parseProteinFilters(searchParams);
+  if (filterError) return jsonError(filterError);
+
+  const { limit, error: limitError } = parseLimit(searchParams.get('limit'), 50, MAX_PROTEINS_LIMIT);
+  if (limitError) return jsonError(limitError);
+
+  const { position, error: cursorError } = decodeCursor(searchParams.get('cursor'));
+  if (cursorError || (position && !Number.isInteger(position.afterId))) {
+    return jsonError('Invalid cursor');
+  }
+
+  try {
+    const result = await proteinService.fetchProteinsAfter(filters, position?.afterId || 0, limit);
+    return NextResponse.json({
+      data: result.data,
+      nextCursor: result.hasMore ? encodeCursor({ afterId: result.lastId }) : null
+    });
+  } catch (error) {
+    console.error('GET /api/v1/proteins failed:', error);
+    return jsonError(error.message || 'Failed to fetch proteins', 502);
+  }
+});
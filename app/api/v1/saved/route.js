@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { savedProteinService } from '../../../../lib/savedProteins';
+import { withApiToken } from '../../../../lib/apiAuth';
+import { decodeCursor, encodeCursor, jsonError, parseLimit } from '../../../../lib/apiHelpers';
+
+/**
+ * GET /api/v1/saved?limit=&cursor=
+ * Proteins saved under the access code of the calling token.
+ */
+export const GET = withApiToken(async (request, context, auth) => {
+  const { searchParams } = new URL(request.url);
+
+  const { limit, error: limitError } = parseLimit(searchParams.get('limit'), 100, 1000);
+  if (limitError) return jsonError(limitError);
+
+  const { position, error: cursorError } = decodeCursor(searchParams.get('cursor'));
+  if (cursorError || (position && !Number.isInteger(position.offset))) {
+    return jsonError('Invalid cursor');
+  }
+
+  try {
+    const saved = await savedProteinService.listProteins(auth.accessCode);
+    const offset = position?.offset || 0;
+    const data = saved.slice(offset, offset + limit);
+
+    return NextResponse.json({
+      data,
+      total: saved.length,
+      nextCursor: offset + limit < saved.length ? encodeCursor({ offset: offset + limit }) : null
+    });
+  } catch (error) {
+    console.error('GET /api/v1/saved failed:', error);
+    return jsonError(error.message || 'Failed to fetch saved proteins', 502);
+  }
+});
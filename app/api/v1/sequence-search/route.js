@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { withApiToken } from '../../../../lib/apiAuth';
+import { decodeCursor, encodeCursor, jsonError, readJsonBody } from '../../../../lib/apiHelpers';
+import { parseSequenceSearch, runSequenceSearch } from '../../../../lib/sequenceSearchApi';
+
+/**
+ * POST /api/v1/sequence-search
+ * Body: { mode, sequence | sequences, mismatches, cursor }
+ * Same searches as /api/sequence-search; pages are walked with `cursor`/`nextCursor`.
+ */
+export const POST = withApiToken(async (request) => {
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const { position, error: cursorError } = decodeCursor(body.cursor);
+  if (cursorError || (position && !Number.isInteger(position.page))) {
+    return jsonError('Invalid cursor');
+  }
+
+  const { params, error } = parseSequenceSearch({ ...body, page: position?.page || 1 });
+  if (error) return jsonError(error);
+
+  try {
+    const result = await runSequenceSearch(params);
+
+    // Multi-sequence searches page all queries together
+    const hasMore = result.results
+      ? result.results.some(entry => entry.currentPage < entry.totalPages)
+      : result.currentPage < result.totalPages;
+
+    return NextResponse.json({
+      ...result,
+      nextCursor: hasMore ? encodeCursor({ page: params.page + 1 }) : null
+    });
+  } catch (err) {
+    console.error('POST /api/v1/sequence-search failed:', err);
+    return jsonError(err.message || 'Sequence search failed', 502);
+  }
+});
@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { apiTokenService } from '../../../../../lib/apiTokens';
+import { withApiToken } from '../../../../../lib/apiAuth';
+import { jsonError } from '../../../../../lib/apiHelpers';
+
+/**
+ * DELETE /api/v1/tokens/:id
+ * Revoke a token of the same access code (a token may revoke itself).
+ */
+export const DELETE = withApiToken(async (request, { params }, auth) => {
+  const { id } = await params;
+  const tokenId = Number(id);
+
+  if (!Number.isInteger(tokenId) || tokenId < 1) {
+    return jsonError('Token id must be a positive integer');
+  }
+
+  try {
+    const revoked = await apiTokenService.revokeToken(auth.accessCode, tokenId);
+    if (!revoked) {
+      return jsonError(`Active token ${tokenId} not found`, 404);
+    }
+    return NextResponse.json({ data: { id: tokenId, revoked: true } });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+});
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { apiTokenService } from '../../../../lib/apiTokens';
+import { accessCodeService, REDEEM_ERRORS } from '../../../../lib/accessCodes';
+import { withApiToken } from '../../../../lib/apiAuth';
+import { loginThrottleService } from '../../../../lib/loginThrottle';
+import { getClientIp, jsonError, readJsonBody } from '../../../../lib/apiHelpers';
+
+/**
+ * POST /api/v1/tokens
+ * Body: { accessCode, name }. Returns the new token once; store it securely.
+ */
+export async function POST(request) {
+  const body = await readJsonBody(request);
+  if (!body) return jsonError('Request body must be a JSON object');
+
+  const accessCode = String(body.accessCode || '').trim();
+  const name = String(body.name || '').trim();
+
+  if (!name || name.length > 100) {
+    return jsonError('name is required (at most 100 characters)');
+  }
+
+  // Issuing a token checks an access code, so it shares the login attempt limits
+  const ip = getClientIp(request);
+  const keys = [`ip:${ip}`];
+
+  try {
+    const attempt = await loginThrottleService.claim(keys);
+    if (!attempt.allowed) {
+      loginThrottleService.audit({ ip, code: accessCode, outcome: attempt.locked ? 'locked' : 'throttled' });
+      const response = jsonError('Too many failed attempts. Try again later.', 429, { retryAfter: attempt.retryAfter });
+      response.headers.set('Retry-After', String(attempt.retryAfter));
+      return response;
+    }
+
+    // Issuing a token is a use of the code, like a login
+    const status = await accessCodeService.redeem(accessCode);
+    loginThrottleService.audit({ ip, code: accessCode, outcome: status === 'ok' ? 'success' : status });
+
+    if (status !== 'ok') {
+      return jsonError(REDEEM_ERRORS[status] || REDEEM_ERRORS.not_found, 401, { remainingAttempts: attempt.remainingAttempts });
+    }
+
+    await loginThrottleService.recordSuccess(keys);
+
+    const token = await apiTokenService.issueToken(accessCode, name);
+    return NextResponse.json({ data: token }, { status: 201 });
+  } catch (error) {
+    console.error('POST /api/v1/tokens failed:', error);
+    return jsonError(error.message || 'Failed to issue API token', 400);
+  }
+}
+
+/**
+ * GET /api/v1/tokens
+ * Tokens issued for the access code of the calling token.
+ */
+export const GET = withApiToken(async (request, context, auth) => {
+  try {
+    const tokens = await apiTokenService.listTokens(auth.accessCode);
+    return NextResponse.json({ data: tokens });
+  } catch (error) {
+    return jsonError(error.message, 502);
+  }
+});
@@ -4,30 +4,39 @@
  * This page displays the main dashboard with protein database exploration,
  * sequence search, and saved queries functionality.
  *
- * Accessible after user logs in with access code.
+ * The search on screen is kept in the query string (see lib/searchUrl.js), e.g.
+ * /dashboard?organism=aureus&page=2 or /dashboard?section=search&sequence=MVLSPADK
+ *
+ * Accessible after user logs in with access code (enforced by middleware.js).
  */
 
 'use client';
 
 import { useRouter } from 'next/navigation';
-import { useEffect, useState } from 'react';
+import { useEffect, useState, Suspense } from 'react';
 import Dashboard from '../../components/Dashboard';
+import { apiClient } from '../../lib/apiClient';
 
 export default function DashboardPage() {
   const router = useRouter();
-  const [hasAccess, setHasAccess] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
 
-  // Check if user has valid access on mount
+  // The middleware only serves this page with a valid session; fetch it to
+  // restore the access code used by the save features (e.g. in a new tab)
   useEffect(() => {
-    const validAccess = sessionStorage.getItem('validAccess');
-    if (validAccess === 'true') {
-      setHasAccess(true);
-    } else {
-      // No access, redirect to homepage
-      router.push('/');
-    }
-    setIsLoading(false);
+    apiClient.getSession()
+      .then(session => {
+        if (session) {
+          sessionStorage.setItem('accessCode', session.accessCode);
+          setIsLoading(false);
+        } else {
+          router.push('/');
+        }
+      })
+      .catch(error => {
+        console.error('Session check failed:', error);
+        setIsLoading(false);
+      });
 
     // Prevent automatic scroll to top on navigation
     if ('scrollRestoration' in window.history) {
@@ -35,8 +44,12 @@ export default function DashboardPage() {
     }
   }, [router]);
 
-  const handleLogout = () => {
-    sessionStorage.removeItem('validAccess');
+  const handleLogout = async () => {
+    try {
+      await apiClient.logout();
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
     sessionStorage.removeItem('accessCode');
     router.push('/');
   };
@@ -50,11 +63,14 @@ export default function DashboardPage() {
     );
   }
 
-  // If no access, return null (router.push will redirect)
-  if (!hasAccess) {
-    return null;
-  }
-
-  // Show dashboard
-  return <Dashboard onLogout={handleLogout} />;
+  // Show dashboard; it reads the search from the URL
+  return (
+    <Suspense fallback={
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-500"></div>
+      </div>
+    }>
+      <Dashboard onLogout={handleLogout} />
+    </Suspense>
+  );
 }
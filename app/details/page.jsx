@@ -6,7 +6,7 @@
  *
  * Example: /details?id=12345
  *
- * Accessible after user logs in with access code.
+ * Accessible after user logs in with access code (enforced by middleware.js).
  */
 
 'use client';
@@ -14,26 +14,32 @@
 import { useRouter, useSearchParams } from 'next/navigation';
 import { useEffect, useState, Suspense } from 'react';
 import ProteinDetails from '../../components/ProteinDetails';
+import { apiClient } from '../../lib/apiClient';
 
 function ProteinDetailsContent() {
   const router = useRouter();
   const searchParams = useSearchParams();
-  const [hasAccess, setHasAccess] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
 
   // Get protein ID from URL query parameter
   const proteinId = searchParams.get('id');
 
-  // Check if user has valid access on mount
+  // The middleware only serves this page with a valid session; fetch it to
+  // restore the access code used by the save features (e.g. in a new tab)
   useEffect(() => {
-    const validAccess = sessionStorage.getItem('validAccess');
-    if (validAccess === 'true') {
-      setHasAccess(true);
-    } else {
-      // No access, redirect to homepage
-      router.push('/');
-    }
-    setIsLoading(false);
+    apiClient.getSession()
+      .then(session => {
+        if (session) {
+          sessionStorage.setItem('accessCode', session.accessCode);
+          setIsLoading(false);
+        } else {
+          router.push('/');
+        }
+      })
+      .catch(error => {
+        console.error('Session check failed:', error);
+        setIsLoading(false);
+      });
   }, [router]);
 
   const handleBack = () => {
@@ -41,8 +47,12 @@ function ProteinDetailsContent() {
     router.back();
   };
 
-  const handleLogout = () => {
-    sessionStorage.removeItem('validAccess');
+  const handleLogout = async () => {
+    try {
+      await apiClient.logout();
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
     sessionStorage.removeItem('accessCode');
     router.push('/');
   };
@@ -56,11 +66,6 @@ function ProteinDetailsContent() {
     );
   }
 
-  // If no access, return null (router.push will redirect)
-  if (!hasAccess) {
-    return null;
-  }
-
   // If no protein ID provided, redirect to dashboard
   if (!proteinId) {
     router.push('/dashboard');
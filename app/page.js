@@ -4,18 +4,22 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { motion } from 'framer-motion';
 import AccessCodeModal from '../components/AccessCodeModal';
+import { apiClient } from '../lib/apiClient';
 
 export default function Home() {
   const router = useRouter();
   const [showAccessModal, setShowAccessModal] = useState(false);
 
-  // Check if user already has valid access on component mount
+  // Check if user already has a session on component mount
   useEffect(() => {
-    const validAccess = sessionStorage.getItem('validAccess');
-    if (validAccess === 'true') {
-      // User already logged in, redirect to dashboard
-      router.push('/dashboard');
-    }
+    apiClient.getSession()
+      .then(session => {
+        if (session) {
+          // User already logged in, redirect to dashboard
+          router.push('/dashboard');
+        }
+      })
+      .catch(error => console.error('Session check failed:', error));
   }, [router]);
 
   const handleAccessToolClick = () => {
@@ -2,43 +2,47 @@
 
 import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { supabase } from '../lib/supabase';
-
-// Access code validation using Supabase
-const validateAccessCode = async (code) => {
-  try {
-    const { data, error } = await supabase
-      .from('codes')
-      .select('code')
-      .eq('code', code)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return false;
-      }
-      console.error('Error validating access code:', error);
-      return false;
-    }
-
-    return data !== null;
-  } catch (error) {
-    console.error('Access code validation failed:', error);
-    return false;
-  }
-};
+import { apiClient } from '../lib/apiClient';
 
 export default function AccessCodeModal({ isOpen, onClose, onSuccess }) {
   const [accessCode, setAccessCode] = useState('');
   const [isValidating, setIsValidating] = useState(false);
   const [error, setError] = useState('');
+  const [remainingAttempts, setRemainingAttempts] = useState(null);
+  const [waitUntil, setWaitUntil] = useState(null); // ms timestamp while throttled or locked out
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [isLockedOut, setIsLockedOut] = useState(false);
   const isAutoSubmitting = useRef(false);
   const inputRefs = useRef([]);
 
+  const isWaiting = secondsLeft > 0;
+
+  // Count down the server-imposed wait, then allow another attempt
+  useEffect(() => {
+    if (!waitUntil) return;
+
+    const tick = () => {
+      const left = Math.max(Math.ceil((waitUntil - Date.now()) / 1000), 0);
+      setSecondsLeft(left);
+      if (left === 0) {
+        setWaitUntil(null);
+        // The lockout message no longer applies; short delays keep the last error
+        if (isLockedOut) {
+          setIsLockedOut(false);
+          setError('');
+        }
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [waitUntil, isLockedOut]);
+
   // Auto-submit when 6 digits are entered
   useEffect(() => {
     const autoSubmit = async () => {
-      if (accessCode.length === 6 && !isValidating && !isAutoSubmitting.current) {
+      if (accessCode.length === 6 && !isValidating && !isWaiting && !isAutoSubmitting.current) {
         isAutoSubmitting.current = true;
         await handleSubmit();
         isAutoSubmitting.current = false;
@@ -71,19 +75,26 @@ export default function AccessCodeModal({ isOpen, onClose, onSuccess }) {
     setError('');
 
     try {
-      const isValid = await validateAccessCode(trimmedCode);
-
-      if (isValid) {
-        sessionStorage.setItem('validAccess', 'true');
-        sessionStorage.setItem('accessCode', trimmedCode);
-        onSuccess();
-        handleClose();
-      } else {
-        setError('Invalid access code. Please try again.');
+      // The server validates the code and sets the HTTP-only session cookie
+      const session = await apiClient.login(trimmedCode);
+      sessionStorage.setItem('accessCode', session.accessCode);
+      onSuccess();
+      handleClose();
+    } catch (error) {
+      if (error.status === 401 || error.status === 429) {
+        // Invalid, revoked, expired, used up or locked out - the server says which
+        setError(error.message);
         setAccessCode('');
+        if (error.details) {
+          setRemainingAttempts(error.details.remainingAttempts ?? null);
+          if (error.details.retryAfter > 0) {
+            setWaitUntil(Date.now() + error.details.retryAfter * 1000);
+          }
+          setIsLockedOut(error.status === 429);
+        }
+      } else {
+        setError('Validation failed. Please try again.');
       }
-    } catch (error) {
-      setError('Validation failed. Please try again.');
     } finally {
       setIsValidating(false);
     }
@@ -91,7 +102,8 @@ export default function AccessCodeModal({ isOpen, onClose, onSuccess }) {
 
   const handleClose = () => {
     setAccessCode('');
-    setError('');
+    // A running lockout keeps its message so reopening the modal still shows it
+    if (!isLockedOut) setError('');
     setIsValidating(false);
     onClose();
   };
@@ -187,7 +199,7 @@ export default function AccessCodeModal({ isOpen, onClose, onSuccess }) {
                     value={accessCode[index] || ''}
                     onChange={(e) => handleInputChange(index, e.target.value)}
                     onKeyDown={(e) => handleKeyDown(index, e)}
-                    disabled={isValidating}
+                    disabled={isValidating || isWaiting}
                     autoFocus={index === 0}
                     className="w-12 h-14 text-center text-2xl font-bold bg-white/5 border-2 border-white/10 rounded-xl text-white focus:border-[#08c88a] focus:bg-white/10 outline-none transition-all disabled:opacity-50"
                   />
@@ -202,9 +214,21 @@ export default function AccessCodeModal({ isOpen, onClose, onSuccess }) {
                   animate={{ opacity: 1, y: 0 }}
                 >
                   {error}
+                  {isWaiting && isLockedOut && (
+                    <div className="mt-1 font-mono">
+                      {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+                    </div>
+                  )}
                 </motion.div>
               )}
 
+              {/* Remaining attempts before a lockout */}
+              {!isWaiting && remainingAttempts !== null && remainingAttempts <= 3 && remainingAttempts > 0 && (
+                <p className="mb-6 text-yellow-400 text-xs text-center">
+                  {remainingAttempts} attempt{remainingAttempts === 1 ? '' : 's'} remaining before a temporary lockout
+                </p>
+              )}
+
               {/* Loading State */}
               {isValidating && (
                 <div className="flex items-center justify-center gap-3 mb-6 text-[#08c88a]">
@@ -225,7 +249,7 @@ export default function AccessCodeModal({ isOpen, onClose, onSuccess }) {
                 </button>
                 <button
                   type="submit"
-                  disabled={isValidating || accessCode.length !== 6}
+                  disabled={isValidating || isWaiting || accessCode.length !== 6}
                   className="flex-1 px-6 py-3 bg-gradient-to-r from-[#0ab079] to-[#07eea5] text-black font-bold text-sm disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 rounded-xl hover:shadow-[0_0_30px_rgba(8,200,138,0.3)]"
                 >
                   {isValidating ? 'Validating...' : 'Access Platform'}
@@ -0,0 +1,285 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { KeyRound, Plus, RefreshCw, Ban, CheckCircle, LogOut, AlertCircle } from 'lucide-react';
+import { apiClient } from '../lib/apiClient';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Date input value (yyyy-mm-dd) for an ISO timestamp
+const toDateInput = (value) => (value ? value.substring(0, 10) : '');
+
+const getCodeStatus = (code) => {
+  if (!code.enabled) return { label: code.replaced_by ? `Rotated → ${code.replaced_by}` : 'Revoked', className: 'bg-red-100 text-red-800' };
+  if (code.expires_at && new Date(code.expires_at) <= new Date()) return { label: 'Expired', className: 'bg-yellow-100 text-yellow-800' };
+  if (code.max_uses && code.use_count >= code.max_uses) return { label: 'Used up', className: 'bg-yellow-100 text-yellow-800' };
+  return { label: 'Active', className: 'bg-green-100 text-green-800' };
+};
+
+/**
+ * Admin console for access codes: create, edit limits, revoke and rotate
+ */
+export default function AdminConsole({ onLogout }) {
+  const [codes, setCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [newCode, setNewCode] = useState({ ownerLabel: '', expiresAt: '', maxUses: '' });
+  const [editing, setEditing] = useState(null); // { code, ownerLabel, expiresAt, maxUses }
+
+  const fetchCodes = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setCodes(await apiClient.listAccessCodes());
+    } catch (err) {
+      setError(err.message || 'Failed to load access codes');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCodes();
+  }, [fetchCodes]);
+
+  // Run an admin action, then refresh the list
+  const runAction = async (action, successMessage) => {
+    try {
+      setError(null);
+      const result = await action();
+      setNotice(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      await fetchCodes();
+    } catch (err) {
+      setError(err.message || 'Action failed');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    await runAction(
+      () => apiClient.createAccessCode({
+        ownerLabel: newCode.ownerLabel,
+        expiresAt: newCode.expiresAt || null,
+        maxUses: newCode.maxUses || null
+      }),
+      (created) => `Created code ${created.code} for ${created.owner_label}`
+    );
+    setNewCode({ ownerLabel: '', expiresAt: '', maxUses: '' });
+  };
+
+  const handleSaveEdit = async () => {
+    await runAction(
+      () => apiClient.updateAccessCode(editing.code, {
+        ownerLabel: editing.ownerLabel,
+        expiresAt: editing.expiresAt || null,
+        maxUses: editing.maxUses || null
+      }),
+      `Updated code ${editing.code}`
+    );
+    setEditing(null);
+  };
+
+  const handleRevoke = (code) => {
+    if (!confirm(`Revoke ${code}? Active sessions and API tokens for this code end immediately.`)) return;
+    runAction(() => apiClient.revokeAccessCode(code), `Revoked code ${code}`);
+  };
+
+  const handleRotate = (code) => {
+    if (!confirm(`Rotate ${code}? A new code takes over its settings and saved proteins and ${code} is revoked.`)) return;
+    runAction(() => apiClient.rotateAccessCode(code), (replacement) => `Rotated ${code} → ${replacement}`);
+  };
+
+  const handleEnable = (code) => {
+    runAction(() => apiClient.updateAccessCode(code, { enabled: true }), `Re-enabled code ${code}`);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto p-8 space-y-6">
+      <div className="card-linear p-6 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <KeyRound className="w-8 h-8 text-green-600" />
+          <div>
+            <h1 className="text-2xl font-bold text-linear-text-primary">Access Codes</h1>
+            <p className="text-sm text-linear-text-secondary">{codes.length} codes</p>
+          </div>
+        </div>
+        <button
+          onClick={onLogout}
+          className="px-4 py-2 text-sm bg-gray-100 text-gray-800 rounded-xl hover:bg-gray-200 transition-all duration-300 flex items-center gap-2 font-medium"
+        >
+          <LogOut className="w-4 h-4" />
+          <span>Sign out</span>
+        </button>
+      </div>
+
+      {/* Create code */}
+      <form onSubmit={handleCreate} className="card-linear p-6 flex flex-wrap items-end gap-4">
+        <label className="flex-1 min-w-[200px] text-sm text-linear-text-secondary">
+          Owner
+          <input
+            type="text"
+            required
+            value={newCode.ownerLabel}
+            onChange={(e) => setNewCode(prev => ({ ...prev, ownerLabel: e.target.value }))}
+            placeholder="Collaborator or team"
+            className="input-linear w-full mt-1"
+          />
+        </label>
+        <label className="text-sm text-linear-text-secondary">
+          Expires
+          <input
+            type="date"
+            value={newCode.expiresAt}
+            onChange={(e) => setNewCode(prev => ({ ...prev, expiresAt: e.target.value }))}
+            className="input-linear w-full mt-1"
+          />
+        </label>
+        <label className="text-sm text-linear-text-secondary">
+          Max logins
+          <input
+            type="number"
+            min="1"
+            value={newCode.maxUses}
+            onChange={(e) => setNewCode(prev => ({ ...prev, maxUses: e.target.value }))}
+            placeholder="Unlimited"
+            className="input-linear w-32 mt-1"
+          />
+        </label>
+        <button type="submit" className="btn-linear px-6 py-3 rounded-xl text-sm flex items-center gap-2">
+          <Plus className="w-4 h-4" />
+          <span>Create Code</span>
+        </button>
+      </form>
+
+      {error && (
+        <div className="card-linear p-4 flex items-center gap-2 text-red-600">
+          <AlertCircle className="w-5 h-5" />
+          <span>{error}</span>
+        </div>
+      )}
+      {notice && !error && (
+        <div className="card-linear p-4 flex items-center gap-2 text-green-700">
+          <CheckCircle className="w-5 h-5" />
+          <span>{notice}</span>
+        </div>
+      )}
+
+      <div className="table-linear overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr>
+              {['Code', 'Owner', 'Status', 'Expires', 'Logins', 'Last used', 'Created', 'Actions'].map(header => (
+                <th key={header} className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
+                  {header}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {loading && (
+              <tr>
+                <td colSpan={8} className="px-6 py-8 text-center text-linear-text-secondary">Loading access codes...</td>
+              </tr>
+            )}
+            {!loading && codes.map(code => {
+              const status = getCodeStatus(code);
+              const isEditing = editing?.code === code.code;
+
+              return (
+                <tr key={code.code} className="hover:bg-green-50 transition-colors">
+                  <td className="px-6 py-4 text-sm font-mono text-linear-text-primary">{code.code}</td>
+                  <td className="px-6 py-4 text-sm text-linear-text-primary">
+                    {isEditing ? (
+                      <input
+                        type="text"
+                        value={editing.ownerLabel}
+                        onChange={(e) => setEditing(prev => ({ ...prev, ownerLabel: e.target.value }))}
+                        className="input-linear w-40"
+                      />
+                    ) : (code.owner_label || '—')}
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-linear-text-secondary whitespace-nowrap">
+                    {isEditing ? (
+                      <input
+                        type="date"
+                        value={editing.expiresAt}
+                        onChange={(e) => setEditing(prev => ({ ...prev, expiresAt: e.target.value }))}
+                        className="input-linear"
+                      />
+                    ) : formatDate(code.expires_at)}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-linear-text-secondary whitespace-nowrap">
+                    {isEditing ? (
+                      <input
+                        type="number"
+                        min="1"
+                        value={editing.maxUses}
+                        onChange={(e) => setEditing(prev => ({ ...prev, maxUses: e.target.value }))}
+                        placeholder="Unlimited"
+                        className="input-linear w-28"
+                      />
+                    ) : `${code.use_count ?? 0} / ${code.max_uses ?? '∞'}`}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-linear-text-secondary whitespace-nowrap">{formatDate(code.last_used_at)}</td>
+                  <td className="px-6 py-4 text-sm text-linear-text-secondary whitespace-nowrap">{formatDate(code.created_at)}</td>
+                  <td className="px-6 py-4 text-sm whitespace-nowrap">
+                    <div className="flex items-center gap-2">
+                      {isEditing ? (
+                        <>
+                          <button onClick={handleSaveEdit} className="px-3 py-1 bg-green-100 text-green-800 rounded-lg hover:bg-green-200">Save</button>
+                          <button onClick={() => setEditing(null)} className="px-3 py-1 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200">Cancel</button>
+                        </>
+                      ) : (
+                        <>
+                          <button
+                            onClick={() => setEditing({
+                              code: code.code,
+                              ownerLabel: code.owner_label || '',
+                              expiresAt: toDateInput(code.expires_at),
+                              maxUses: code.max_uses ?? ''
+                            })}
+                            className="px-3 py-1 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200"
+                          >
+                            Edit
+                          </button>
+                          {code.enabled ? (
+                            <>
+                              <button
+                                onClick={() => handleRotate(code.code)}
+                                title="Replace with a new code"
+                                className="px-3 py-1 bg-green-100 text-green-800 rounded-lg hover:bg-green-200 flex items-center gap-1"
+                              >
+                                <RefreshCw className="w-3 h-3" /> Rotate
+                              </button>
+                              <button
+                                onClick={() => handleRevoke(code.code)}
+                                className="px-3 py-1 bg-red-100 text-red-800 rounded-lg hover:bg-red-200 flex items-center gap-1"
+                              >
+                                <Ban className="w-3 h-3" /> Revoke
+                              </button>
+                            </>
+                          ) : !code.replaced_by && (
+                            <button
+                              onClick={() => handleEnable(code.code)}
+                              className="px-3 py-1 bg-green-100 text-green-800 rounded-lg hover:bg-green-200"
+                            >
+                              Enable
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
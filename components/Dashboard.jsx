@@ -1,25 +1,46 @@
 'use client';
 
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { useRouter } from 'next/navigation';
+import { Fragment, useState, useEffect, useCallback, useRef } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
 import { supabase } from '../lib/supabase';
 import { proteinService } from '../lib/proteinService';
+import { apiClient } from '../lib/apiClient';
 import { exportToCSV } from '../lib/csvExport';
+import { exportToFASTA, getFastaLineWidth } from '../lib/fastaExport';
+import {
+  parseEntriesHeader,
+  getDomainSegments,
+  getDomainSpan,
+  parseArchitectureQuery,
+  groupEntriesByArchitecture
+} from '../lib/domainAnnotations';
+import { parseQuery } from '../lib/queryBuilder';
+import { hasRangeFilters, hasTaxonFilters, normalizeFilters, normalizeSort } from '../lib/proteinFilters';
+import { buildExploreSearch, buildSectionSearch, dashboardUrl, parseExploreSearch, parseSection } from '../lib/searchUrl';
 import SequenceSearch from './SequenceSearch';
 import Sidebar from './Sidebar';
 import SavedQueries from './SavedQueries';
+import SavedSearches from './SavedSearches';
+import ExportAllButton from './ExportAllButton';
+import FastaLineWidthSelect from './FastaLineWidthSelect';
+import SaveSearchButton from './SaveSearchButton';
+import SaveToCollectionButton from './SaveToCollectionButton';
+import DomainPicker from './DomainPicker';
+import QueryBuilder from './QueryBuilder';
+import TaxonomyBrowser from './TaxonomyBrowser';
 
 import {
   Search,
   Download,
-  Save,
   ChevronLeft,
   ChevronRight,
   ChevronDown,
-  Check,
+  ChevronUp,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
   Sparkles
 } from 'lucide-react';
-import { motion, AnimatePresence } from 'framer-motion';
 
 // Range Visualization Component
 const RangeVisualization = ({ rangeData, domainBounds, proteinLength }) => {
@@ -33,40 +54,11 @@ const RangeVisualization = ({ rangeData, domainBounds, proteinLength }) => {
     return () => clearTimeout(timer);
   }, []);
 
-  // Parse range data - handles single and multiple ranges
-  // Examples: "PF03245(27...149)" or "PF00704(34...320,355...427)"
-  const parseRange = (data) => {
-    if (!data || typeof data !== 'string') return null;
-
-    // Match the domain code and everything inside parentheses
-    const domainMatch = data.match(/([A-Z0-9]+)\(([^)]+)\)/);
-    if (!domainMatch || domainMatch.length < 3) return null;
-
-    const domain = domainMatch[1];
-    const rangesStr = domainMatch[2];
-
-    // Parse all ranges (comma-separated)
-    const rangeMatches = rangesStr.matchAll(/(\d+)[\.\-]+(\d+)/g);
-    const ranges = [];
-
-    for (const match of rangeMatches) {
-      ranges.push({
-        start: parseInt(match[1]),
-        end: parseInt(match[2])
-      });
-    }
-
-    if (ranges.length === 0) return null;
+  // Every domain in the header, e.g. "PF00704(34...320,355...427) PF01510(450...590)"
+  const domains = parseEntriesHeader(rangeData);
+  const segments = getDomainSegments(domains);
 
-    return {
-      domain,
-      ranges
-    };
-  };
-
-  const parsedData = parseRange(rangeData);
-
-  if (!parsedData) {
+  if (segments.length === 0) {
     return <span className="text-sm text-linear-text-secondary">{rangeData || 'N/A'}</span>;
   }
 
@@ -83,11 +75,10 @@ const RangeVisualization = ({ rangeData, domainBounds, proteinLength }) => {
         {/* Main visualization bar */}
         <div className="relative flex-1 h-10 bg-gradient-to-r from-gray-100 to-gray-200 rounded-full overflow-hidden shadow-inner">
           {/* Render each range segment with individual hover */}
-          {parsedData.ranges.map((range, index) => {
+          {segments.map((range, index) => {
             const startPercent = Math.max(0, Math.min(100, (range.start / scaleEnd) * 100));
             const endPercent = Math.max(0, Math.min(100, (range.end / scaleEnd) * 100));
             const widthPercent = endPercent - startPercent;
-            const segmentLength = range.end - range.start + 1;
 
             return (
               <div
@@ -109,10 +100,10 @@ const RangeVisualization = ({ rangeData, domainBounds, proteinLength }) => {
                   setHoveredSegment({
                     index,
                     range,
-                    domain: parsedData.domain,
-                    segmentLength,
-                    segmentNumber: index + 1,
-                    totalSegments: parsedData.ranges.length
+                    domain: range.domain,
+                    segmentLength: range.length,
+                    segmentNumber: range.segmentNumber,
+                    totalSegments: range.totalSegments
                   });
                 }}
                 onMouseLeave={() => setHoveredSegment(null)}
@@ -123,7 +114,7 @@ const RangeVisualization = ({ rangeData, domainBounds, proteinLength }) => {
 
         {/* Domain label */}
         <span className="text-xs text-[#08c88a] font-jetbrains whitespace-nowrap font-bold bg-green-50 px-2 py-1 rounded-md">
-          {parsedData.domain}
+          {domains.map(domain => domain.accession).join(' ')}
         </span>
       </div>
 
@@ -160,75 +151,140 @@ const RangeVisualization = ({ rangeData, domainBounds, proteinLength }) => {
     </div>
   );
 };
+// Result column header that sorts on click; a second click reverses the direction
+const SortableHeader = ({ field, label, sort, onSort, className = '' }) => {
+  const active = sort?.field === field;
+  const Icon = !active ? ArrowUpDown : sort.direction === 'asc' ? ArrowUp : ArrowDown;
 
+  return (
+    <th
+      className={`px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold ${className}`}
+      aria-sort={active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <button
+        type="button"
+        onClick={() => onSort(field)}
+        className={`flex items-center gap-1 uppercase tracking-widest ${active ? 'text-[#08c88a]' : 'hover:text-gray-300'}`}
+      >
+        {label}
+        <Icon className={`w-3 h-3 ${active ? '' : 'opacity-50'}`} />
+      </button>
+    </th>
+  );
+};
+
+// 1234567 -> "~1.2M" for estimates, "1,234,567" for exact counts
+const formatCount = (count, estimated) => (estimated
+  ? `~${new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(count)}`
+  : count.toLocaleString());
 
+// Identifies the search that page cursors belong to
+const getCursorKey = (filters, sort) => JSON.stringify({ filters: normalizeFilters(filters), sort: normalizeSort(sort) });
 
 // Database data will be fetched from Supabase
 
 const domains = ['All Domains', 'Bacteria', 'Archaea', 'Eukaryota', 'Virus'];
 
+const EMPTY_SEARCH_FILTERS = {
+  name: '',
+  organism: '',
+  domain: '',
+  architecture: '', // e.g. "PF01510|PF05257, PF01476", see parseArchitectureQuery
+  architectureMode: 'ordered',
+  query: '', // Advanced boolean query, see lib/queryBuilder.js
+  minLength: '',
+  maxLength: '',
+  minCoverage: '', // % of the sequence covered by domains
+  maxCoverage: '',
+  minDomains: '',
+  maxDomains: '',
+  includeTaxa: '', // Comma separated NCBI tax ids, see TaxonomyBrowser
+  excludeTaxa: ''
+};
+
+// Min/max inputs shown under the search fields
+const RANGE_INPUTS = [
+  { label: 'Length (aa)', min: 'minLength', max: 'maxLength', step: 1 },
+  { label: 'Domain Coverage (%)', min: 'minCoverage', max: 'maxCoverage', step: 0.1 },
+  { label: 'Number of Domains', min: 'minDomains', max: 'maxDomains', step: 1 }
+];
+
+const ARCHITECTURE_MODE_LABELS = {
+  ordered: 'In this order',
+  any: 'Any order',
+  exact: 'Exactly these'
+};
+
+// Results of the search in the URL, so returning from the details page shows them
+// again at the same scroll position without a new request
+const SEARCH_SNAPSHOT_KEY = 'dashboardSearchState';
+
+const readSearchSnapshot = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SEARCH_SNAPSHOT_KEY));
+  } catch (err) {
+    console.error('Failed to read search snapshot:', err);
+    sessionStorage.removeItem(SEARCH_SNAPSHOT_KEY);
+    return null;
+  }
+};
+
+// Whether the filters are enough to search
+const hasSearchFilters = (filters) => (
+  filters.name.trim().length >= 3 ||
+  filters.organism.trim().length >= 3 ||
+  Boolean(filters.domain) ||
+  Boolean(filters.architecture.trim()) ||
+  Boolean(filters.query) ||
+  hasRangeFilters(filters) ||
+  hasTaxonFilters(filters)
+);
+
+// First problem with the filters of a search, or null
+const validateSearchFilters = (filters) => {
+  if (filters.name.trim() && filters.name.trim().length < 3) {
+    return 'Name must be at least 3 characters';
+  }
+
+  if (filters.organism.trim() && filters.organism.trim().length < 3) {
+    return 'Organism must be at least 3 characters';
+  }
+
+  if (filters.architecture.trim()) {
+    const { error: architectureError } = parseArchitectureQuery(filters.architecture);
+    if (architectureError) return architectureError;
+  }
+
+  const invertedRange = RANGE_INPUTS.find(({ min, max }) => (
+    filters[min] !== '' && filters[max] !== '' && Number(filters[min]) > Number(filters[max])
+  ));
+  if (invertedRange) {
+    return `${invertedRange.label}: minimum is above the maximum`;
+  }
+
+  if (filters.query) {
+    const { error: queryError } = parseQuery(filters.query);
+    if (queryError) return queryError;
+  }
+
+  return null;
+};
+
 export default function Dashboard({ onLogout }) {
   const router = useRouter();
+  const urlSearch = useSearchParams().toString(); // The search on screen, see lib/searchUrl.js
   const mainContentRef = useRef(null); // Reference to scrolling container
-  const domainDropdownRef = useRef(null); // Reference for custom domain dropdown
+  const sectionSearches = useRef({}); // section -> query string it last showed
+  const latestFetch = useRef(0); // Id of the newest fetchData call; older responses are dropped
   const [activeSection, setActiveSection] = useState('explore');
   const [selectedEntries, setSelectedEntries] = useState(new Set());
-  const [isStateRestored, setIsStateRestored] = useState(false);
   const [isDomainDropdownOpen, setIsDomainDropdownOpen] = useState(false); // Track domain dropdown state
-  const [searchFilters, setSearchFilters] = useState({
-    name: '',
-    organism: '',
-    domain: ''
-  });
-
-  // Close domain dropdown when clicking outside
-  useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (domainDropdownRef.current && !domainDropdownRef.current.contains(event.target)) {
-        setIsDomainDropdownOpen(false);
-      }
-    };
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [groupByArchitecture, setGroupByArchitecture] = useState(true); // Group architecture search results
+  const [showQueryBuilder, setShowQueryBuilder] = useState(false);
+  const [showTaxonomy, setShowTaxonomy] = useState(false);
+  const [sort, setSort] = useState(null); // { field, direction }, null for id order
 
-    document.addEventListener('mousedown', handleClickOutside);
-    return () => document.removeEventListener('mousedown', handleClickOutside);
-  }, []);
-
-  // Domain options for dropdown with names
-  const domainOptions = [
-    { code: "PF03245", name: "Bile acid:sodium symporter family" },
-    { code: "PF16754", name: "GTP-binding domain" },
-    { code: "PF11860", name: "Domain of unknown function" },
-    { code: "PF13702", name: "Ankyrin repeats" },
-    { code: "PF00959", name: "Nucleoside transporter" },
-    { code: "PF00182", name: "Chitinase class I" },
-    { code: "PF00704", name: "Glycosyl hydrolases family" },
-    { code: "PF01374", name: "SUR7/PalI family" },
-    { code: "PF05838", name: "SNARE domain" },
-    { code: "PF18013", name: "Transmembrane domain" },
-    { code: "PF04965", name: "Membrane protein" },
-    { code: "PF01183", name: "Glycosyltransferase" },
-    { code: "PF00722", name: "Glycosyl hydrolase family 16" },
-    { code: "PF05193", name: "Peptidase family" },
-    { code: "PF01551", name: "Peptidase family M23" },
-    { code: "PF00675", name: "Insulinase family" },
-    { code: "PF01435", name: "Peptidase family M41" },
-    { code: "PF01433", name: "Peptidase family M1" },
-    { code: "PF10502", name: "Signal peptide domain" },
-    { code: "PF00246", name: "Zinc carboxypeptidase" },
-    { code: "PF03572", name: "Peptidase family S49" },
-    { code: "PF00814", name: "Glycoprotease family" },
-    { code: "PF17900", name: "Bacterial domain" },
-    { code: "PF01510", name: "N-acetylmuramoyl-L-alanine amidase" },
-    { code: "PF01520", name: "N-acetylmuramoyl-L-alanine amidase" },
-    { code: "PF05257", name: "Endopeptidase" },
-    { code: "PF06347", name: "Protein of unknown function" },
-    { code: "PF08239", name: "Bacterial surface protein" },
-    { code: "PF08460", name: "WxL domain" },
-    { code: "PF01476", name: "LysM domain" },
-    { code: "PF14859", name: "Bacterial domain" },
-    { code: "PF01024", name: "Cysteine-rich domain" },
-    { code: "PF11429", name: "Domain of unknown function" }
-  ];
   const [data, setData] = useState([]);
   const [filteredData, setFilteredData] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -241,8 +297,12 @@ export default function Dashboard({ onLogout }) {
   const [totalPages, setTotalPages] = useState(0);
   const [totalCount, setTotalCount] = useState(null); // Total count of results
   const [countLoading, setCountLoading] = useState(false); // Is count still loading?
+  const [countEstimated, setCountEstimated] = useState(false); // Is totalCount the planner's estimate?
+  const [countRefining, setCountRefining] = useState(false); // Is the exact count on its way?
   const [hasMore, setHasMore] = useState(false); // For pagination when count is unknown
+  const [resultFilters, setResultFilters] = useState(null); // Filters of the results on screen, used by "Export all"
   const [pageInput, setPageInput] = useState('');
+  const pageCursors = useRef({ key: null, cursors: {} }); // page -> API cursor of the row before it
 
   // Calculate domain bounds from data
   const calculateDomainBounds = (entries) => {
@@ -250,15 +310,10 @@ export default function Dashboard({ onLogout }) {
     let maxValue = -Infinity;
 
     entries.forEach(entry => {
-      if (!entry.entries_header) return;
-
-      // Parse range from entries_header like "PF03245(27...149)"
-      const matches = entry.entries_header.match(/[A-Z0-9]+\((\d+)[\.\-]+(\d+)\)/);
-      if (matches && matches.length >= 3) {
-        const start = parseInt(matches[1]);
-        const end = parseInt(matches[2]);
-        minValue = Math.min(minValue, start);
-        maxValue = Math.max(maxValue, end);
+      const span = getDomainSpan(parseEntriesHeader(entry.entries_header));
+      if (span) {
+        minValue = Math.min(minValue, span.start);
+        maxValue = Math.max(maxValue, span.end);
       }
     });
 
@@ -275,138 +330,88 @@ export default function Dashboard({ onLogout }) {
     };
   };
 
-  // Restore search state when component mounts (e.g., after navigating back from details)
+  // The details page sidebar leaves the section to show in sessionStorage before going back
   useEffect(() => {
-    // Check if we need to switch to a specific section (from protein details page navigation)
     const desiredSection = sessionStorage.getItem('dashboardSection');
-    if (desiredSection) {
-      setActiveSection(desiredSection);
-      // Clear it so it doesn't affect future navigations
-      sessionStorage.removeItem('dashboardSection');
-    }
-
-    // Try to restore previous search state from sessionStorage
-    const savedState = sessionStorage.getItem('dashboardSearchState');
-
-    if (savedState) {
-      try {
-        const { filters, page, results, scrollPosition } = JSON.parse(savedState);
-
-        if (filters) {
-          setSearchFilters(filters);
-        }
+    if (!desiredSection) return;
 
-        if (page) {
-          setCurrentPage(page);
-        }
-
-        // Restore results if they exist
-        if (results && results.data && results.data.length > 0) {
-          setData(results.data);
-          setFilteredData(results.data);
-          setTotalPages(results.totalPages || 0);
-          setError(null);
-          setIsStateRestored(true);
-
-          // Calculate domain bounds
-          const bounds = calculateDomainBounds(results.data);
-          setDomainBounds(bounds);
-
-          // Restore scroll position after DOM is ready
-          if (scrollPosition !== undefined && scrollPosition !== null && scrollPosition > 0) {
-            // Restore scroll on the main content container
-            const restoreScroll = () => {
-              if (mainContentRef.current) {
-                mainContentRef.current.scrollTop = scrollPosition;
-              }
-            };
-
-            // Strategy 1: Immediate
-            restoreScroll();
-
-            // Strategy 2: Using requestAnimationFrame (after browser paint)
-            requestAnimationFrame(() => {
-              requestAnimationFrame(() => {
-                restoreScroll();
-              });
-            });
-
-            // Strategy 3: Fallback with timeout (after DOM is definitely ready)
-            setTimeout(() => {
-              restoreScroll();
-            }, 50);
-
-            // Strategy 4: Final fallback
-            setTimeout(() => {
-              if (mainContentRef.current && Math.abs(mainContentRef.current.scrollTop - scrollPosition) > 10) {
-                restoreScroll();
-              }
-            }, 200);
-          }
-        } else {
-          setIsStateRestored(false);
-        }
-      } catch (err) {
-        console.error('Failed to restore search state:', err);
-        // Clear corrupted state
-        sessionStorage.removeItem('dashboardSearchState');
-        setIsStateRestored(false);
-      }
-    } else {
-      setIsStateRestored(false);
+    sessionStorage.removeItem('dashboardSection');
+    if (desiredSection !== parseSection(new URLSearchParams(window.location.search))) {
+      router.replace(dashboardUrl(buildSectionSearch(desiredSection)));
     }
+  }, [router]);
 
-    setLoading(false);
-  }, []);
+  const fetchData = useCallback(async (filters, page = 1, resultSort = null) => {
+    const fetchId = ++latestFetch.current;
 
-  const fetchData = useCallback(async (page = 1) => {
     try {
       setLoading(true);
       setError(null);
 
-      // Validate minimum filter length
-      if (searchFilters.name.trim() && searchFilters.name.trim().length < 3) {
-        setError('Name must be at least 3 characters');
+      const filterError = validateSearchFilters(filters);
+      if (filterError) {
+        setError(filterError);
         setLoading(false);
         return;
       }
 
-      if (searchFilters.organism.trim() && searchFilters.organism.trim().length < 3) {
-        setError('Organism must be at least 3 characters');
-        setLoading(false);
-        return;
-      }
+      const search = buildExploreSearch({ filters, sort: resultSort, page });
 
       // Callback function that will be called when count is ready (runs in background)
       const handleCountUpdate = (countData) => {
+        if (fetchId !== latestFetch.current) return;
+
         console.log('Count update received:', countData);
         setTotalCount(countData.count);
         setTotalPages(countData.totalPages);
+        setCountEstimated(Boolean(countData.estimated));
+        setCountRefining(Boolean(countData.estimated && countData.refinable));
         setCountLoading(false);
 
-        // Update sessionStorage with the new count
-        const savedState = sessionStorage.getItem('dashboardSearchState');
-        if (savedState) {
-          try {
-            const state = JSON.parse(savedState);
-            state.results.count = countData.count;
-            state.results.totalPages = countData.totalPages;
-            sessionStorage.setItem('dashboardSearchState', JSON.stringify(state));
-          } catch (err) {
-            console.error('Failed to update session storage with count:', err);
-          }
+        // Update the snapshot with the new count
+        const snapshot = readSearchSnapshot();
+        if (snapshot?.search === search) {
+          snapshot.results.count = countData.count;
+          snapshot.results.totalPages = countData.totalPages;
+          snapshot.results.estimated = Boolean(countData.estimated);
+          sessionStorage.setItem(SEARCH_SNAPSHOT_KEY, JSON.stringify(snapshot));
         }
       };
 
-      // Use the optimized service with count callback
-      const result = await proteinService.fetchProteinsOptimized(searchFilters, page, handleCountUpdate);
+      // Cursors from earlier pages of the same search let the API read the page directly
+      const cursorKey = getCursorKey(filters, resultSort);
+      if (pageCursors.current.key !== cursorKey) {
+        pageCursors.current = { key: cursorKey, cursors: {} };
+      }
+
+      // Fetch the page through the API; the count arrives later via the callback
+      const result = await apiClient.fetchProteins(filters, page, handleCountUpdate, {
+        sort: resultSort,
+        cursor: pageCursors.current.cursors[page]
+      });
+
+      // Another search was started (e.g. back/forward) while this one was loading
+      if (fetchId !== latestFetch.current) return;
+
+      if (result.nextCursor) {
+        pageCursors.current.cursors[page + 1] = result.nextCursor;
+      }
+
+      // A page number past the end of the results
+      if (page > 1 && result.data.length === 0) {
+        setError(`Page ${page} is past the last page of results`);
+        return;
+      }
 
       setData(result.data);
       setFilteredData(result.data);
       setHasMore(result.hasMore || false);
       setCurrentPage(result.currentPage);
+      setResultFilters(filters);
 
       // Set count state based on whether count is available yet
+      setCountEstimated(false);
+      setCountRefining(false);
       if (result.countLoading) {
         setCountLoading(true);
         setTotalCount(null);
@@ -423,24 +428,27 @@ export default function Dashboard({ onLogout }) {
         setDomainBounds(bounds);
       }
 
-      // Save search state to sessionStorage for restoration when navigating back
-      const stateToSave = {
-        filters: searchFilters,
-        page: result.currentPage,
+      // Keep the results for restoration when navigating back
+      const snapshot = {
+        search,
+        cursors: pageCursors.current.cursors,
         results: {
           data: result.data,
+          hasMore: result.hasMore || false,
           totalPages: result.totalPages,
           count: result.count
         }
       };
 
-      sessionStorage.setItem('dashboardSearchState', JSON.stringify(stateToSave));
+      sessionStorage.setItem(SEARCH_SNAPSHOT_KEY, JSON.stringify(snapshot));
 
       // Show message if no results (only if we know count is 0)
       if (result.count === 0 && !result.countLoading) {
         setError('No proteins found matching your search criteria');
       }
     } catch (err) {
+      if (fetchId !== latestFetch.current) return;
+
       console.error('Error fetching data:', err);
 
       let errorMessage = 'Failed to fetch data. Please try again.';
@@ -453,24 +461,129 @@ export default function Dashboard({ onLogout }) {
 
       setError(errorMessage);
     } finally {
+      if (fetchId === latestFetch.current) {
+        setLoading(false);
+      }
+    }
+  }, []);
+
+  // The URL holds the search on screen: apply it on load and after every navigation
+  // (Execute, paging, sorting, back/forward)
+  useEffect(() => {
+    const params = new URLSearchParams(urlSearch);
+    const section = parseSection(params);
+    setActiveSection(section);
+    sectionSearches.current[section] = urlSearch;
+
+    if (section !== 'explore') {
       setLoading(false);
+      return;
     }
-  }, [searchFilters]);
+
+    const { filters: urlFilters, sort: urlSort, page } = parseExploreSearch(params);
+    const filters = { ...EMPTY_SEARCH_FILTERS, ...urlFilters };
+    setSearchFilters(filters);
+    setSort(urlSort);
+    if (filters.query) setShowQueryBuilder(true);
+    if (hasTaxonFilters(filters)) setShowTaxonomy(true);
+
+    if (!hasSearchFilters(filters)) {
+      latestFetch.current++; // Drop a search still loading
+      setData([]);
+      setFilteredData([]);
+      setResultFilters(null);
+      setCurrentPage(1);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    // Results of this search kept before opening a protein
+    const snapshot = readSearchSnapshot();
+    const search = buildExploreSearch({ filters, sort: urlSort, page });
+    if (snapshot?.search !== search || !snapshot.results?.data?.length) {
+      fetchData(filters, page, urlSort);
+      return;
+    }
+
+    latestFetch.current++;
+    const { results, cursors, scrollPosition } = snapshot;
+    pageCursors.current = { key: getCursorKey(filters, urlSort), cursors: cursors || {} };
+    setData(results.data);
+    setFilteredData(results.data);
+    setHasMore(Boolean(results.hasMore));
+    setCurrentPage(page);
+    setTotalCount(results.count ?? null);
+    setTotalPages(results.totalPages || 0);
+    setCountEstimated(Boolean(results.estimated));
+    setCountRefining(false);
+    setCountLoading(false);
+    setResultFilters(filters);
+    setError(null);
+    setDomainBounds(calculateDomainBounds(results.data));
+    setLoading(false);
+
+    // Restore scroll position after DOM is ready
+    if (scrollPosition !== undefined && scrollPosition !== null && scrollPosition > 0) {
+      // Restore scroll on the main content container
+      const restoreScroll = () => {
+        if (mainContentRef.current) {
+          mainContentRef.current.scrollTop = scrollPosition;
+        }
+      };
+
+      // Strategy 1: Immediate
+      restoreScroll();
+
+      // Strategy 2: Using requestAnimationFrame (after browser paint)
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          restoreScroll();
+        });
+      });
+
+      // Strategy 3: Fallback with timeout (after DOM is definitely ready)
+      setTimeout(() => {
+        restoreScroll();
+      }, 50);
+
+      // Strategy 4: Final fallback
+      setTimeout(() => {
+        if (mainContentRef.current && Math.abs(mainContentRef.current.scrollTop - scrollPosition) > 10) {
+          restoreScroll();
+        }
+      }, 200);
+    }
+  }, [urlSearch, fetchData]);
+
+  // Put an Explore search in the URL, which runs it; repeating the search on screen reloads it
+  const showExploreSearch = (filters, resultSort, page = 1) => {
+    const search = buildExploreSearch({ filters, sort: resultSort, page });
+    if (search === urlSearch) {
+      fetchData({ ...EMPTY_SEARCH_FILTERS, ...filters }, page, resultSort);
+    } else {
+      router.push(dashboardUrl(search));
+    }
+  };
+
+  // Each section returns to the last search it showed
+  const handleSectionChange = (section) => {
+    router.push(dashboardUrl(sectionSearches.current[section] ?? buildSectionSearch(section)));
+  };
 
   const handleSearch = () => {
-    // Validate filters before searching
-    const hasValidFilters =
-      (searchFilters.name.trim().length >= 3) ||
-      (searchFilters.organism.trim().length >= 3) ||
-      searchFilters.domain;
-
-    if (!hasValidFilters) {
-      setError('Please enter at least 3 characters in name or organism, or select a domain');
+    if (!hasSearchFilters(searchFilters)) {
+      setError('Please enter at least 3 characters in name or organism, select a domain, architecture or taxon, or build a query');
+      return;
+    }
+
+    const filterError = validateSearchFilters(searchFilters);
+    if (filterError) {
+      setError(filterError);
       return;
     }
 
-    setCurrentPage(1);
-    fetchData(1);
+    showExploreSearch(searchFilters, sort, 1);
   };
 
   // Get current page data
@@ -479,17 +592,53 @@ export default function Dashboard({ onLogout }) {
     return filteredData;
   };
 
+  // Architecture searches show the page grouped by architecture; architecture is null when ungrouped
+  const getCurrentPageGroups = () => {
+    if (!resultFilters?.architecture?.trim() || !groupByArchitecture) {
+      return [{ architecture: null, entries: getCurrentPageData() }];
+    }
+    return groupEntriesByArchitecture(getCurrentPageData());
+  };
+
+  // Sort by a column from the first page; clicking the sorted column reverses it
+  const handleSort = (field) => {
+    const nextSort = sort?.field === field
+      ? { field, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+      : { field, direction: 'asc' };
+
+    setSort(nextSort);
+    if (resultFilters) {
+      showExploreSearch(resultFilters, nextSort, 1);
+    }
+  };
+
+  // Replace an estimated total with an exact count on request
+  const handleExactCount = async () => {
+    setCountRefining(true);
+    try {
+      const counted = await apiClient.fetchProteinCount(resultFilters);
+      setTotalCount(counted.count);
+      setTotalPages(counted.totalPages);
+      setCountEstimated(false);
+    } catch (err) {
+      console.error('Exact count failed:', err);
+      alert('Counting all matches timed out. Try narrowing your search criteria.');
+    } finally {
+      setCountRefining(false);
+    }
+  };
+
   // Pagination handlers
   const handlePageChange = (page) => {
-    // If totalPages is null (unknown count), allow navigation based on hasMore
-    if (totalPages === null || totalPages === 0) {
+    // If totalPages is unknown or only estimated, allow navigation based on hasMore
+    if (totalPages === null || totalPages === 0 || countEstimated) {
       if (page >= 1 && (page > currentPage ? hasMore : true)) {
-        fetchData(page);
+        showExploreSearch(resultFilters, sort, page);
       }
     } else {
       // Normal pagination with known totalPages
       if (page >= 1 && page <= totalPages) {
-        fetchData(page);
+        showExploreSearch(resultFilters, sort, page);
       }
     }
   };
@@ -497,15 +646,15 @@ export default function Dashboard({ onLogout }) {
   const handlePageInputSubmit = (e) => {
     e.preventDefault();
     const page = parseInt(pageInput);
-    // If totalPages is null, allow any page >= 1
-    if (totalPages === null || totalPages === 0) {
+    // If totalPages is unknown or only estimated, allow any page >= 1
+    if (totalPages === null || totalPages === 0 || countEstimated) {
       if (page >= 1) {
-        fetchData(page);
+        showExploreSearch(resultFilters, sort, page);
         setPageInput('');
       }
     } else {
       if (page >= 1 && page <= totalPages) {
-        fetchData(page);
+        showExploreSearch(resultFilters, sort, page);
         setPageInput('');
       }
     }
@@ -559,30 +708,63 @@ export default function Dashboard({ onLogout }) {
   };
 
   const handleLogout = () => {
-    sessionStorage.removeItem('validAccess');
     sessionStorage.removeItem('accessCode');
     onLogout();
   };
 
+  // Export the selection (or the whole current page) as CSV or FASTA
+  const handleExport = async (format) => {
+    // Show loading state on the clicked button
+    const button = document.activeElement;
+    const originalText = button.innerHTML;
+
+    try {
+      // Determine which entries to export
+      const entriesToExport = selectedEntries.size > 0
+        ? filteredData.filter(entry => selectedEntries.has(entry.id))
+        : filteredData;
+
+      if (entriesToExport.length === 0) {
+        alert('No data to export');
+        return;
+      }
+
+      button.disabled = true;
+      button.innerHTML = '<span class="animate-spin">⏳</span> Fetching sequences...';
+
+      // Fetch complete data including sequences
+      const proteinIds = entriesToExport.map(entry => entry.id);
+      const completeData = await proteinService.fetchCompleteDataForExport(proteinIds);
+
+      // Generate filename with timestamp
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+
+      if (format === 'fasta') {
+        exportToFASTA(completeData, `protein-data-export-${timestamp}.fasta`, { lineWidth: getFastaLineWidth() });
+      } else {
+        exportToCSV(completeData, `protein-data-export-${timestamp}.csv`);
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      alert('Failed to export data. Please try again.');
+    } finally {
+      // Restore button state
+      button.disabled = false;
+      button.innerHTML = originalText;
+    }
+  };
+
   const handleRowClick = (proteinId) => {
     // Get scroll position from the main content container (not window!)
     const scrollPosition = mainContentRef.current?.scrollTop || 0;
 
-    // Get current state and add scroll position
-    const currentState = sessionStorage.getItem('dashboardSearchState');
-    if (currentState) {
-      try {
-        const state = JSON.parse(currentState);
-        state.scrollPosition = scrollPosition;
-        sessionStorage.setItem('dashboardSearchState', JSON.stringify(state));
-      } catch (err) {
-        console.error('Failed to save scroll position:', err);
-      }
+    // Add the scroll position to the snapshot of the results
+    const snapshot = readSearchSnapshot();
+    if (snapshot) {
+      snapshot.scrollPosition = scrollPosition;
+      sessionStorage.setItem(SEARCH_SNAPSHOT_KEY, JSON.stringify(snapshot));
     }
 
-    // Save current section so we return to Explore Database when coming back
-    sessionStorage.setItem('dashboardSection', 'explore');
-
     // Navigate to details page with protein ID as query parameter
     router.push(`/details?id=${proteinId}`);
   };
@@ -633,83 +815,16 @@ export default function Dashboard({ onLogout }) {
                   )}
                 </div>
 
-                {/* Custom Domain dropdown - expands when clicked (takes space of buttons) */}
-                <div
-                  className={`overflow-visible ${isDomainDropdownOpen ? 'col-span-2' : ''}`}
-                  ref={domainDropdownRef}
-                >
+                {/* Domain picker - expands when open (takes space of buttons) */}
+                <div className={`overflow-visible ${isDomainDropdownOpen ? 'col-span-2' : ''}`}>
                   <label className="block text-xs text-linear-text-secondary mb-3 uppercase tracking-wider font-medium">
                     Domain
                   </label>
-                  <div className="relative overflow-visible">
-                    {/* Custom dropdown trigger */}
-                    <button
-                      type="button"
-                      onClick={() => setIsDomainDropdownOpen(!isDomainDropdownOpen)}
-                      className={`input-linear w-full cursor-pointer bg-white pr-10 text-left flex items-center justify-between ${
-                        isDomainDropdownOpen ? 'border-[#08c88a] ring-2 ring-[#08c88a]/20' : ''
-                      }`}
-                    >
-                      <span className={`truncate ${searchFilters.domain ? 'text-gray-800' : 'text-gray-400'}`}>
-                        {searchFilters.domain
-                          ? `${searchFilters.domain} - ${domainOptions.find(d => d.code === searchFilters.domain)?.name || ''}`
-                          : 'Select domain...'}
-                      </span>
-                      <ChevronDown
-                        className={`w-5 h-5 flex-shrink-0 text-[#08c88a] transition-transform duration-150 ${
-                          isDomainDropdownOpen ? 'rotate-180' : ''
-                        }`}
-                      />
-                    </button>
-
-                    {/* Custom dropdown options */}
-                    <AnimatePresence>
-                      {isDomainDropdownOpen && (
-                        <motion.div
-                          initial={{ opacity: 0, y: -5 }}
-                          animate={{ opacity: 1, y: 0 }}
-                          exit={{ opacity: 0, y: -5 }}
-                          transition={{ duration: 0.1 }}
-                          className="absolute z-[9999] w-full mt-2 bg-white border-2 border-gray-100 rounded-xl shadow-xl max-h-[30rem] overflow-y-auto"
-                        >
-                          {/* Clear option */}
-                          <div
-                            onClick={() => {
-                              handleFilterChange('domain', '');
-                              setIsDomainDropdownOpen(false);
-                            }}
-                            className="px-4 py-3 cursor-pointer text-gray-400 hover:bg-gray-50 transition-colors duration-150 border-b border-gray-100"
-                          >
-                            Select domain...
-                          </div>
-                          {/* Domain options */}
-                          {domainOptions.map((domain, index) => (
-                            <div
-                              key={domain.code}
-                              onClick={() => {
-                                handleFilterChange('domain', domain.code);
-                                setIsDomainDropdownOpen(false);
-                              }}
-                              className={`px-4 py-3 cursor-pointer transition-colors duration-150 flex items-center justify-between ${
-                                searchFilters.domain === domain.code
-                                  ? 'bg-gradient-to-r from-[#f0fdf4] to-[#dcfce7] text-[#047857]'
-                                  : 'text-gray-700 hover:bg-green-50'
-                              } ${index !== domainOptions.length - 1 ? 'border-b border-gray-50' : ''}`}
-                            >
-                              <span>
-                                <span className="font-semibold text-[#08c88a]">{domain.code}</span>
-                                <span className="text-gray-400 mx-2">-</span>
-                                <span>{domain.name}</span>
-                              </span>
-                              {searchFilters.domain === domain.code && (
-                                <Check className="w-5 h-5 text-[#08c88a]" />
-                              )}
-                            </div>
-                          ))}
-                        </motion.div>
-                      )}
-                    </AnimatePresence>
-                  </div>
+                  <DomainPicker
+                    value={searchFilters.domain}
+                    onChange={(accession) => handleFilterChange('domain', accession)}
+                    onOpenChange={setIsDomainDropdownOpen}
+                  />
                 </div>
 
                 {/* Execute and Clear buttons - hidden when domain dropdown is open */}
@@ -724,13 +839,16 @@ export default function Dashboard({ onLogout }) {
                     </button>
                     <button
                       onClick={() => {
-                        setSearchFilters({ name: '', organism: '', domain: '' });
+                        setSearchFilters(EMPTY_SEARCH_FILTERS);
                         setData([]);
                         setFilteredData([]);
                         setError(null);
                         proteinService.clearCache();
                         // Clear saved search state
-                        sessionStorage.removeItem('dashboardSearchState');
+                        sessionStorage.removeItem(SEARCH_SNAPSHOT_KEY);
+                        if (urlSearch) {
+                          router.push(dashboardUrl(''));
+                        }
                       }}
                       className="px-6 py-3 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all duration-300 font-semibold text-gray-700"
                       title="Clear filters"
@@ -740,6 +858,115 @@ export default function Dashboard({ onLogout }) {
                   </div>
                 )}
               </div>
+
+              {/* Domain architecture: comma separated domains, "|" between alternatives */}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-6 items-start mt-6">
+                <div className="md:col-span-3">
+                  <label className="block text-xs text-linear-text-secondary mb-3 uppercase tracking-wider font-medium">
+                    Domain Architecture
+                  </label>
+                  <input
+                    type="text"
+                    value={searchFilters.architecture}
+                    onChange={(e) => handleFilterChange('architecture', e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                    placeholder="e.g. PF01510|PF05257, PF01476"
+                    className="input-linear w-full font-jetbrains"
+                  />
+                  {searchFilters.architecture.trim() && parseArchitectureQuery(searchFilters.architecture).error ? (
+                    <p className="text-xs text-orange-500 mt-1">{parseArchitectureQuery(searchFilters.architecture).error}</p>
+                  ) : (
+                    <p className="text-xs text-gray-500 mt-1">Separate domains with commas and alternatives with |</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-xs text-linear-text-secondary mb-3 uppercase tracking-wider font-medium">
+                    Match
+                  </label>
+                  <select
+                    value={searchFilters.architectureMode}
+                    onChange={(e) => handleFilterChange('architectureMode', e.target.value)}
+                    className="input-linear w-full"
+                  >
+                    {Object.entries(ARCHITECTURE_MODE_LABELS).map(([mode, label]) => (
+                      <option key={mode} value={mode}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {/* Numeric ranges */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-6">
+                {RANGE_INPUTS.map(({ label, min, max, step }) => (
+                  <div key={min}>
+                    <label className="block text-xs text-linear-text-secondary mb-3 uppercase tracking-wider font-medium">
+                      {label}
+                    </label>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step={step}
+                        value={searchFilters[min]}
+                        onChange={(e) => handleFilterChange(min, e.target.value)}
+                        placeholder="Min"
+                        className="input-linear w-full"
+                      />
+                      <span className="text-gray-400">–</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step={step}
+                        value={searchFilters[max]}
+                        onChange={(e) => handleFilterChange(max, e.target.value)}
+                        placeholder="Max"
+                        className="input-linear w-full"
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {/* Taxonomy browser: include or exclude taxa at any rank */}
+              <div className="mt-6">
+                <button
+                  type="button"
+                  onClick={() => setShowTaxonomy(!showTaxonomy)}
+                  className="text-sm font-medium text-[#08c88a] hover:text-[#0ab079] flex items-center gap-1"
+                >
+                  {showTaxonomy ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  Taxonomy{hasTaxonFilters(searchFilters) && !showTaxonomy ? ' (active)' : ''}
+                </button>
+                {showTaxonomy && (
+                  <div className="mt-4 p-4 bg-gray-50 rounded-xl">
+                    <TaxonomyBrowser
+                      include={searchFilters.includeTaxa}
+                      exclude={searchFilters.excludeTaxa}
+                      onChange={handleFilterChange}
+                    />
+                  </div>
+                )}
+              </div>
+
+              {/* Advanced boolean query, combined with the fields above */}
+              <div className="mt-6">
+                <button
+                  type="button"
+                  onClick={() => setShowQueryBuilder(!showQueryBuilder)}
+                  className="text-sm font-medium text-[#08c88a] hover:text-[#0ab079] flex items-center gap-1"
+                >
+                  {showQueryBuilder ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  Advanced query{searchFilters.query && !showQueryBuilder ? ' (active)' : ''}
+                </button>
+                {showQueryBuilder && (
+                  <div className="mt-4 p-4 bg-gray-50 rounded-xl">
+                    <QueryBuilder
+                      value={searchFilters.query}
+                      onChange={(query) => handleFilterChange('query', query)}
+                    />
+                  </div>
+                )}
+              </div>
             </div>
 
 
@@ -794,6 +1021,23 @@ export default function Dashboard({ onLogout }) {
 
               {!loading && !error && filteredData.length > 0 && (
                 <div className="overflow-hidden">
+                  {resultFilters?.architecture?.trim() && (
+                    <div className="bg-white px-6 py-3 flex items-center justify-between text-sm text-linear-text-secondary">
+                      <span>
+                        Architecture <span className="font-jetbrains">{resultFilters.architecture}</span>
+                        {' '}({ARCHITECTURE_MODE_LABELS[resultFilters.architectureMode] || ARCHITECTURE_MODE_LABELS.ordered})
+                      </span>
+                      <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={groupByArchitecture}
+                          onChange={(e) => setGroupByArchitecture(e.target.checked)}
+                          className="h-4 w-4 accent-[#08c88a]"
+                        />
+                        Group by architecture
+                      </label>
+                    </div>
+                  )}
                   <table className="w-full">
                     <thead className="bg-black">
                       <tr>
@@ -808,60 +1052,70 @@ export default function Dashboard({ onLogout }) {
                             className="h-4 w-4 accent-[#08c88a]"
                           />
                         </th>
-                        <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
-                          ID
-                        </th>
-                        <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
-                          Name
-                        </th>
-                        <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
-                          Organism
-                        </th>
-                        <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold min-w-[220px]">
-                          Domain
-                        </th>
+                        <SortableHeader field="accession" label="ID" sort={sort} onSort={handleSort} />
+                        <SortableHeader field="name" label="Name" sort={sort} onSort={handleSort} />
+                        <SortableHeader field="organism" label="Organism" sort={sort} onSort={handleSort} />
+                        <SortableHeader field="length" label="Length" sort={sort} onSort={handleSort} />
+                        <SortableHeader field="domain" label="Domain" sort={sort} onSort={handleSort} className="min-w-[220px]" />
                       </tr>
                     </thead>
                     <tbody>
-                      {getCurrentPageData().map((entry) => (
-                        <tr
-                          key={entry.id}
-                          onClick={(e) => {
-                            if (!e.target.closest('input[type="checkbox"]')) {
-                              handleRowClick(entry.id);
-                            }
-                          }}
-                          className={`cursor-pointer hover:bg-green-50 transition-colors ${selectedEntries.has(entry.id) ? 'selected' : ''}`}
-                        >
-                          <td className="px-6 py-4 whitespace-nowrap">
-                            <input
-                              type="checkbox"
-                              checked={selectedEntries.has(entry.id)}
-                              onChange={(e) => handleEntrySelection(entry.id, e.target.checked)}
-                              className="h-4 w-4 accent-[#08c88a]"
-                            />
-                          </td>
-                          <td className="px-6 py-4 text-sm text-linear-text-primary font-medium">
-                            {entry.accession || entry.id || 'N/A'}
-                          </td>
-                          <td className="px-6 py-4 text-sm text-linear-text-primary max-w-xs">
-                            <div className="truncate" title={entry.name}>
-                              {entry.name || 'N/A'}
-                            </div>
-                          </td>
-                          <td className="px-6 py-4 text-sm text-linear-text-secondary max-w-xs">
-                            <div className="truncate" title={entry.source_organism_full_name}>
-                              {entry.source_organism_full_name || 'N/A'}
-                            </div>
-                          </td>
-                          <td className="px-6 py-4 min-w-[220px]">
-                            <RangeVisualization
-                              rangeData={entry.entries_header}
-                              domainBounds={domainBounds}
-                              proteinLength={entry.length}
-                            />
-                          </td>
-                        </tr>
+                      {getCurrentPageGroups().map(({ architecture, entries }) => (
+                        <Fragment key={architecture ?? 'all'}>
+                          {architecture !== null && (
+                            <tr className="bg-green-50">
+                              <td colSpan={6} className="px-6 py-2 text-xs text-linear-text-secondary">
+                                <span className="font-jetbrains font-semibold text-[#08c88a]">
+                                  {architecture ? architecture.split(' ').join(' → ') : 'No parsed domains'}
+                                </span>
+                                <span className="ml-2">{entries.length} on this page</span>
+                              </td>
+                            </tr>
+                          )}
+                          {entries.map((entry) => (
+                            <tr
+                              key={entry.id}
+                              onClick={(e) => {
+                                if (!e.target.closest('input[type="checkbox"]')) {
+                                  handleRowClick(entry.id);
+                                }
+                              }}
+                              className={`cursor-pointer hover:bg-green-50 transition-colors ${selectedEntries.has(entry.id) ? 'selected' : ''}`}
+                            >
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <input
+                                  type="checkbox"
+                                  checked={selectedEntries.has(entry.id)}
+                                  onChange={(e) => handleEntrySelection(entry.id, e.target.checked)}
+                                  className="h-4 w-4 accent-[#08c88a]"
+                                />
+                              </td>
+                              <td className="px-6 py-4 text-sm text-linear-text-primary font-medium">
+                                {entry.accession || entry.id || 'N/A'}
+                              </td>
+                              <td className="px-6 py-4 text-sm text-linear-text-primary max-w-xs">
+                                <div className="truncate" title={entry.name}>
+                                  {entry.name || 'N/A'}
+                                </div>
+                              </td>
+                              <td className="px-6 py-4 text-sm text-linear-text-secondary max-w-xs">
+                                <div className="truncate" title={entry.source_organism_full_name}>
+                                  {entry.source_organism_full_name || 'N/A'}
+                                </div>
+                              </td>
+                              <td className="px-6 py-4 text-sm text-linear-text-secondary whitespace-nowrap font-jetbrains">
+                                {entry.length ? `${entry.length} aa` : 'N/A'}
+                              </td>
+                              <td className="px-6 py-4 min-w-[220px]">
+                                <RangeVisualization
+                                  rangeData={entry.entries_header}
+                                  domainBounds={domainBounds}
+                                  proteinLength={entry.length}
+                                />
+                              </td>
+                            </tr>
+                          ))}
+                        </Fragment>
                       ))}
                     </tbody>
                   </table>
@@ -894,9 +1148,32 @@ export default function Dashboard({ onLogout }) {
                               counting...
                             </span>
                           </span>
+                        ) : totalCount !== null && countEstimated ? (
+                          // Planner estimate - may be refined to the exact count
+                          <span className="flex items-center gap-2">
+                            {`Showing ${((currentPage - 1) * itemsPerPage) + 1} to ${((currentPage - 1) * itemsPerPage) + filteredData.length} of ${formatCount(totalCount, true)} entries`}
+                            <span className="text-gray-400" title="Estimated by the database from table statistics">(estimate)</span>
+                            {countRefining ? (
+                              <span className="inline-flex items-center gap-1 text-[#08c88a]">
+                                <svg className="animate-spin h-4 w-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                </svg>
+                                counting exactly...
+                              </span>
+                            ) : (
+                              <button
+                                type="button"
+                                onClick={handleExactCount}
+                                className="text-[#08c88a] hover:underline font-medium"
+                              >
+                                Count exactly
+                              </button>
+                            )}
+                          </span>
                         ) : totalCount !== null ? (
                           // Count is known - show full info
-                          `Showing ${((currentPage - 1) * itemsPerPage) + 1} to ${Math.min(currentPage * itemsPerPage, totalCount)} of ${totalCount.toLocaleString()} entries`
+                          `Showing ${((currentPage - 1) * itemsPerPage) + 1} to ${Math.min(currentPage * itemsPerPage, totalCount)} of ${formatCount(totalCount, false)} entries`
                         ) : (
                           // Unknown total (fallback) - show page number with hasMore
                           `Page ${currentPage} - Many results${hasMore ? ' (more available)' : ''}`
@@ -947,8 +1224,9 @@ export default function Dashboard({ onLogout }) {
                                 <button
                                   onClick={() => handlePageChange(totalPages)}
                                   className="px-4 py-3 text-sm transition-all duration-300 rounded-xl border bg-white text-gray-700 border-gray-200 hover:bg-green-50 hover:text-[#08c88a] hover:border-green-200"
+                                  title={countEstimated ? 'Estimated last page' : undefined}
                                 >
-                                  {totalPages}
+                                  {countEstimated ? `~${totalPages}` : totalPages}
                                 </button>
                               </>
                             )}
@@ -966,7 +1244,7 @@ export default function Dashboard({ onLogout }) {
                       {/* Next button */}
                       <button
                         onClick={() => handlePageChange(currentPage + 1)}
-                        disabled={totalPages ? currentPage === totalPages : !hasMore}
+                        disabled={totalPages && !countEstimated ? currentPage === totalPages : !hasMore}
                         className="px-6 py-3 text-sm bg-white text-gray-700 hover:bg-green-50 hover:text-[#08c88a] disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 flex items-center gap-1 rounded-xl border border-gray-200 font-medium"
                       >
                         Next
@@ -981,7 +1259,7 @@ export default function Dashboard({ onLogout }) {
                           inputMode="numeric"
                           pattern="[0-9]*"
                           min="1"
-                          max={totalPages || undefined}
+                          max={(!countEstimated && totalPages) || undefined}
                           value={pageInput}
                           onChange={(e) => {
                             // Only allow numeric input (no alphabets, no symbols)
@@ -1009,105 +1287,36 @@ export default function Dashboard({ onLogout }) {
                     {/* Right - Export and Save Buttons */}
                     <div className="flex items-center space-x-2">
                       <button
-                        onClick={async () => {
-                          try {
-                            // Determine which entries to export
-                            const entriesToExport = selectedEntries.size > 0
-                              ? filteredData.filter(entry => selectedEntries.has(entry.id))
-                              : filteredData;
-
-                            if (entriesToExport.length === 0) {
-                              alert('No data to export');
-                              return;
-                            }
-
-                            // Show loading state
-                            const button = document.activeElement;
-                            const originalText = button.innerHTML;
-                            button.disabled = true;
-                            button.innerHTML = '<span class="animate-spin">⏳</span> Fetching sequences...';
-
-                            // Fetch complete data including sequences
-                            const proteinIds = entriesToExport.map(entry => entry.id);
-                            const completeData = await proteinService.fetchCompleteDataForExport(proteinIds);
-
-                            // Generate filename with timestamp
-                            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-                            const filename = `protein-data-export-${timestamp}.csv`;
-
-                            // Export to CSV and download
-                            exportToCSV(completeData, filename);
-
-                            // Restore button state
-                            button.disabled = false;
-                            button.innerHTML = originalText;
-                          } catch (error) {
-                            console.error('Export failed:', error);
-                            alert('Failed to export data. Please try again.');
-                            // Restore button state on error
-                            const button = document.activeElement;
-                            button.disabled = false;
-                          }
-                        }}
+                        onClick={() => handleExport('csv')}
                         className="px-2 py-2 text-sm bg-white cursor-pointer text-gray-700 border-2 border-gray-200 hover:bg-gray-50 hover:border-gray-300 transition-all duration-300 flex items-center space-x-2 rounded-lg font-medium"
                       >
                         <Download className="w-4 h-4" />
                         <span>Export {selectedEntries.size > 0 ? `(${selectedEntries.size})` : 'All'}</span>
                       </button>
                       <button
-                        onClick={async () => {
-                          try {
-                            // Get the access code from session storage
-                            const accessCode = sessionStorage.getItem('accessCode');
-
-                            if (!accessCode) {
-                              alert('Access code not found. Please log in again.');
-                              return;
-                            }
-
-                            // Determine which entries to save
-                            const entriesToSave = selectedEntries.size > 0
-                              ? filteredData.filter(entry => selectedEntries.has(entry.id))
-                              : filteredData;
-
-                            if (entriesToSave.length === 0) {
-                              alert('No proteins to save. Please select proteins or perform a search.');
-                              return;
-                            }
-
-                            // Show loading state
-                            const button = document.activeElement;
-                            const originalText = button.innerHTML;
-                            button.disabled = true;
-                            button.innerHTML = '<span class="animate-spin">⏳</span> Saving...';
-
-                            // Save proteins to database
-                            const result = await proteinService.saveProteinsForAccessCode(accessCode, entriesToSave);
-
-                            // Restore button state
-                            button.disabled = false;
-                            button.innerHTML = originalText;
-
-                            // Show success message
-                            alert(result.message);
-
-                            // Clear selection after save
-                            setSelectedEntries(new Set());
-                          } catch (error) {
-                            console.error('Save failed:', error);
-                            alert(`Failed to save proteins: ${error.message}`);
-
-                            // Restore button state on error
-                            const button = document.activeElement;
-                            button.disabled = false;
-                          }
-                        }}
-                        className="px-2 py-2 text-sm transition-all duration-300 flex items-center cursor-pointer space-x-2 rounded-lg font-medium bg-gradient-to-r from-[#0ab079] to-[#07eea5] text-white"
-
+                        onClick={() => handleExport('fasta')}
+                        title="Download sequences in FASTA format"
+                        className="px-2 py-2 text-sm bg-white cursor-pointer text-gray-700 border-2 border-gray-200 hover:bg-gray-50 hover:border-gray-300 transition-all duration-300 flex items-center space-x-2 rounded-lg font-medium"
                       >
-                        <Save className="w-4 h-4" />
-                        <span>Save {selectedEntries.size > 0 ? `(${selectedEntries.size})` : 'All'}</span>
+                        <Download className="w-4 h-4" />
+                        <span>FASTA</span>
                       </button>
+                      <FastaLineWidthSelect />
+                      <ExportAllButton
+                        filters={resultFilters || searchFilters}
+                        totalCount={totalCount}
+                        disabled={filteredData.length === 0}
+                      />
+                      <SaveSearchButton
+                        search={resultFilters ? buildExploreSearch({ filters: resultFilters, sort }) : ''}
+                      />
+                      <SaveToCollectionButton
+                        proteins={selectedEntries.size > 0
+                          ? filteredData.filter(entry => selectedEntries.has(entry.id))
+                          : filteredData}
+                        label={`Save ${selectedEntries.size > 0 ? `(${selectedEntries.size})` : 'All'}`}
+                        onSaved={() => setSelectedEntries(new Set())}
+                      />
                     </div>
                   </div>
                 </div>
@@ -1121,7 +1330,12 @@ export default function Dashboard({ onLogout }) {
         return <SequenceSearch />;
 
       case 'saved':
-        return <SavedQueries />;
+        return (
+          <div className="space-y-6">
+            <SavedSearches />
+            <SavedQueries />
+          </div>
+        );
 
       default:
         return null;
@@ -1133,7 +1347,7 @@ export default function Dashboard({ onLogout }) {
       {/* Sidebar */}
       <Sidebar
         activeSection={activeSection}
-        onSectionChange={setActiveSection}
+        onSectionChange={handleSectionChange}
         onLogout={handleLogout}
       />
 
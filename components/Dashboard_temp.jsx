@@ -4,6 +4,7 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import { useRouter } from 'next/navigation';
 import { supabase } from '../lib/supabase';
 import { proteinService } from '../lib/proteinService';
+import { apiClient } from '../lib/apiClient';
 import { exportToCSV } from '../lib/csvExport';
 import SequenceSearch from './SequenceSearch';
 import Sidebar from './Sidebar';
@@ -891,14 +892,6 @@ export default function Dashboard({ onLogout }) {
                       <button
                         onClick={async () => {
                           try {
-                            // Get the access code from session storage
-                            const accessCode = sessionStorage.getItem('accessCode');
-
-                            if (!accessCode) {
-                              alert('Access code not found. Please log in again.');
-                              return;
-                            }
-
                             // Determine which entries to save
                             const entriesToSave = selectedEntries.size > 0
                               ? filteredData.filter(entry => selectedEntries.has(entry.id))
@@ -916,7 +909,7 @@ export default function Dashboard({ onLogout }) {
                             button.innerHTML = '<span class="animate-spin">⏳</span> Saving...';
 
                             // Save proteins to database
-                            const result = await proteinService.saveProteinsForAccessCode(accessCode, entriesToSave);
+                            const result = await apiClient.saveProteins(entriesToSave.map(entry => entry.id));
 
                             // Restore button state
                             button.disabled = false;
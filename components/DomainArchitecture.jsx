@@ -0,0 +1,192 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import {
+  parseEntriesHeader,
+  getDomainSegments,
+  assignDomainLanes,
+  getDomainLinkers
+} from '../lib/domainAnnotations';
+import { apiClient } from '../lib/apiClient';
+
+// One color per distinct domain, in header order
+const DOMAIN_COLORS = ['#08c88a', '#3b82f6', '#f59e0b', '#8b5cf6', '#ef4444', '#14b8a6', '#ec4899', '#64748b'];
+
+const SVG_WIDTH = 1000;
+const PADDING = 40;
+const LANE_HEIGHT = 28;
+const LANE_GAP = 8;
+const TOP = 20;
+
+/**
+ * Whole-protein domain architecture: every domain drawn to scale on the
+ * protein's length, overlapping domains on separate lanes, linker lengths
+ * between domains and a legend with the family names
+ */
+export default function DomainArchitecture({ protein }) {
+  const [hovered, setHovered] = useState(null); // index of the hovered segment
+  const [catalog, setCatalog] = useState(new Map()); // accession -> domain catalog entry
+
+  const domains = parseEntriesHeader(protein?.entries_header);
+  const accessionList = domains.map(domain => domain.accession).join(',');
+
+  // Names and descriptions for the legend
+  useEffect(() => {
+    if (!accessionList) return;
+
+    let cancelled = false;
+    apiClient.fetchDomains(accessionList.split(','))
+      .then(entries => {
+        if (!cancelled) setCatalog(new Map(entries.map(entry => [entry.accession, entry])));
+      })
+      .catch(err => console.error('Failed to load domain names:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [accessionList]);
+
+  if (domains.length === 0) return null;
+
+  const segments = getDomainSegments(domains);
+  const { segments: placed, laneCount } = assignDomainLanes(segments);
+  const linkers = getDomainLinkers(segments);
+
+  const proteinLength = Math.max(protein?.length || 0, ...segments.map(segment => segment.end));
+  const accessions = [...new Set(domains.map(domain => domain.accession))];
+  const colors = new Map(accessions.map((accession, index) => [accession, DOMAIN_COLORS[index % DOMAIN_COLORS.length]]));
+
+  const x = (position) => PADDING + (position / proteinLength) * SVG_WIDTH;
+  const laneY = (lane) => TOP + lane * (LANE_HEIGHT + LANE_GAP);
+  const tracksBottom = laneY(laneCount - 1) + LANE_HEIGHT;
+  const linkerY = tracksBottom + 18;
+  const svgHeight = linkerY + (linkers.length > 0 ? 30 : 10);
+
+  return (
+    <div className="w-full space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-bold text-linear-text-primary">
+          Domain Architecture
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            ({domains.length} {domains.length === 1 ? 'domain' : 'domains'}, {proteinLength} aa)
+          </span>
+        </h3>
+        {laneCount > 1 && (
+          <div className="text-xs text-linear-text-secondary bg-yellow-50 px-3 py-1 rounded-full">
+            Overlapping domains shown on separate lanes
+          </div>
+        )}
+      </div>
+
+      <div className="relative p-6 glass-effect rounded-3xl">
+        <svg
+          viewBox={`0 0 ${SVG_WIDTH + PADDING * 2} ${svgHeight}`}
+          className="w-full h-auto"
+          preserveAspectRatio="xMidYMid meet"
+        >
+          {/* Protein backbone */}
+          <line
+            x1={x(0)}
+            y1={laneY(0) + LANE_HEIGHT / 2}
+            x2={x(proteinLength)}
+            y2={laneY(0) + LANE_HEIGHT / 2}
+            stroke="#9ca3af"
+            strokeWidth="4"
+            strokeLinecap="round"
+          />
+          <text x={x(0)} y={TOP - 6} textAnchor="start" className="fill-linear-text-secondary text-xs font-jetbrains">1</text>
+          <text x={x(proteinLength)} y={TOP - 6} textAnchor="end" className="fill-linear-text-secondary text-xs font-jetbrains">{proteinLength}</text>
+
+          {/* Domain segments */}
+          {placed.map((segment, index) => {
+            const left = x(segment.start - 1);
+            const width = Math.max(2, x(segment.end) - left);
+            const color = colors.get(segment.domain);
+
+            return (
+              <g
+                key={`${segment.domain}-${segment.start}`}
+                onMouseEnter={() => setHovered(index)}
+                onMouseLeave={() => setHovered(null)}
+                className="cursor-default"
+              >
+                <title>
+                  {`${segment.domain}${segment.totalSegments > 1 ? ` (segment ${segment.segmentNumber}/${segment.totalSegments})` : ''}: ${segment.start}-${segment.end} (${segment.length} aa)`}
+                </title>
+                <rect
+                  x={left}
+                  y={laneY(segment.lane)}
+                  width={width}
+                  height={LANE_HEIGHT}
+                  fill={color}
+                  fillOpacity={hovered === index ? 1 : 0.85}
+                  stroke={color}
+                  strokeWidth="2"
+                  rx="6"
+                  className="transition-all duration-200"
+                />
+                {width > 60 && (
+                  <text
+                    x={left + width / 2}
+                    y={laneY(segment.lane) + LANE_HEIGHT / 2 + 4}
+                    textAnchor="middle"
+                    className="fill-white text-xs font-semibold pointer-events-none"
+                  >
+                    {segment.domain}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+
+          {/* Linker lengths */}
+          {linkers.map(linker => (
+            <g key={`linker-${linker.start}`}>
+              <line
+                x1={x(linker.start - 1)}
+                y1={linkerY - 8}
+                x2={x(linker.end)}
+                y2={linkerY - 8}
+                stroke="#6b7280"
+                strokeWidth="1"
+                strokeDasharray="4 3"
+              />
+              <text
+                x={(x(linker.start - 1) + x(linker.end)) / 2}
+                y={linkerY + 8}
+                textAnchor="middle"
+                className="fill-linear-text-secondary text-xs font-jetbrains"
+              >
+                {linker.length} aa
+              </text>
+            </g>
+          ))}
+        </svg>
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-3">
+        {domains.map((domain, index) => (
+          <div
+            key={`${domain.accession}-${index}`}
+            title={catalog.get(domain.accession)?.description || undefined}
+            className="flex items-center gap-2 bg-gray-50 px-3 py-2 rounded-lg"
+          >
+            <span className="w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: colors.get(domain.accession) }} />
+            <span className="text-sm font-jetbrains font-semibold text-linear-text-primary">{domain.accession}</span>
+            <span className="text-sm text-linear-text-secondary">{catalog.get(domain.accession)?.name || 'Unnamed family'}</span>
+            <span className="text-xs text-gray-500 font-jetbrains">
+              {domain.ranges.map(range => `${range.start}-${range.end}`).join(', ')}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {linkers.length > 0 && (
+        <p className="text-xs text-linear-text-secondary">
+          Linkers: {linkers.map(linker => `${linker.from} → ${linker.to} ${linker.length} aa (${linker.start}-${linker.end})`).join(' · ')}
+        </p>
+      )}
+    </div>
+  );
+}
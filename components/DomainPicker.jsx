@@ -0,0 +1,238 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ChevronDown, Check, Search } from 'lucide-react';
+import { apiClient } from '../lib/apiClient';
+
+const PFAM_ACCESSION = /^PF\d{5}$/i;
+const SEARCH_DELAY = 250; // ms after the last keystroke
+
+// Group catalog entries by Pfam clan, clans in order of their most common domain
+const groupByClan = (domains) => {
+  const groups = new Map();
+
+  domains.forEach(domain => {
+    const key = domain.clan_accession || '';
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        label: domain.clan_accession
+          ? `${domain.clan_name || 'Clan'} (${domain.clan_accession})`
+          : 'No clan',
+        domains: []
+      });
+    }
+    groups.get(key).domains.push(domain);
+  });
+
+  // Domains without a clan go last
+  return [...groups.values()].sort((a, b) => (a.key === '') - (b.key === ''));
+};
+
+/**
+ * Searchable Pfam domain picker backed by the domain catalog (/api/domains),
+ * with results grouped by clan
+ */
+export default function DomainPicker({ value, onChange, onOpenChange }) {
+  const containerRef = useRef(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null); // Catalog entry of the current value
+
+  const setOpen = (open) => {
+    setIsOpen(open);
+    onOpenChange?.(open);
+  };
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+        onOpenChange?.(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [onOpenChange]);
+
+  // Name of a value set from outside, e.g. a restored search
+  useEffect(() => {
+    if (!value) {
+      setSelected(null);
+      return;
+    }
+    if (selected?.accession === value) return;
+
+    let cancelled = false;
+    apiClient.fetchDomains([value])
+      .then(([domain]) => {
+        if (!cancelled) setSelected(domain || { accession: value, name: null });
+      })
+      .catch(() => {
+        if (!cancelled) setSelected({ accession: value, name: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [value, selected]);
+
+  // Search as the user types
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const domains = await apiClient.searchDomains(query);
+        if (!cancelled) setResults(domains);
+      } catch (err) {
+        if (!cancelled) {
+          setResults([]);
+          setError(err.message || 'Domain catalog unavailable');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, isOpen]);
+
+  const handleSelect = (domain) => {
+    setSelected(domain);
+    onChange(domain ? domain.accession : '');
+    setQuery('');
+    setOpen(false);
+  };
+
+  // Allow any accession typed in full, even when the catalog does not list it
+  const typedAccession = query.trim().toUpperCase();
+  const canUseTyped = PFAM_ACCESSION.test(typedAccession) &&
+    !results.some(domain => domain.accession === typedAccession);
+
+  return (
+    <div className="relative overflow-visible" ref={containerRef}>
+      {/* Dropdown trigger */}
+      <button
+        type="button"
+        onClick={() => setOpen(!isOpen)}
+        className={`input-linear w-full cursor-pointer bg-white pr-10 text-left flex items-center justify-between ${
+          isOpen ? 'border-[#08c88a] ring-2 ring-[#08c88a]/20' : ''
+        }`}
+      >
+        <span className={`truncate ${value ? 'text-gray-800' : 'text-gray-400'}`}>
+          {value
+            ? `${value}${selected?.accession === value && selected.name ? ` - ${selected.name}` : ''}`
+            : 'Select domain...'}
+        </span>
+        <ChevronDown
+          className={`w-5 h-5 flex-shrink-0 text-[#08c88a] transition-transform duration-150 ${
+            isOpen ? 'rotate-180' : ''
+          }`}
+        />
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -5 }}
+            transition={{ duration: 0.1 }}
+            className="absolute z-[9999] w-full mt-2 bg-white border-2 border-gray-100 rounded-xl shadow-xl max-h-[30rem] overflow-y-auto"
+          >
+            {/* Search box */}
+            <div className="sticky top-0 bg-white p-3 border-b border-gray-100">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                <input
+                  type="text"
+                  autoFocus
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="Search accession, name or description..."
+                  className="input-linear w-full pl-9"
+                />
+              </div>
+            </div>
+
+            {/* Clear option */}
+            <div
+              onClick={() => handleSelect(null)}
+              className="px-4 py-3 cursor-pointer text-gray-400 hover:bg-gray-50 transition-colors duration-150 border-b border-gray-100"
+            >
+              Select domain...
+            </div>
+
+            {canUseTyped && (
+              <div
+                onClick={() => handleSelect({ accession: typedAccession, name: null })}
+                className="px-4 py-3 cursor-pointer text-gray-700 hover:bg-green-50 transition-colors duration-150 border-b border-gray-100"
+              >
+                Use <span className="font-semibold text-[#08c88a]">{typedAccession}</span>
+              </div>
+            )}
+
+            {loading && results.length === 0 && (
+              <div className="px-4 py-3 text-sm text-gray-500">Searching domains...</div>
+            )}
+            {error && (
+              <div className="px-4 py-3 text-sm text-orange-500">{error}. Type a full accession such as PF01510.</div>
+            )}
+            {!loading && !error && results.length === 0 && (
+              <div className="px-4 py-3 text-sm text-gray-500">No matching domains</div>
+            )}
+
+            {groupByClan(results).map(group => (
+              <div key={group.key || 'none'}>
+                <div className="px-4 py-2 text-xs uppercase tracking-wider font-semibold text-gray-500 bg-gray-50">
+                  {group.label}
+                </div>
+                {group.domains.map(domain => (
+                  <div
+                    key={domain.accession}
+                    onClick={() => handleSelect(domain)}
+                    title={domain.description || undefined}
+                    className={`px-4 py-3 cursor-pointer transition-colors duration-150 flex items-center justify-between gap-3 border-b border-gray-50 ${
+                      value === domain.accession
+                        ? 'bg-gradient-to-r from-[#f0fdf4] to-[#dcfce7] text-[#047857]'
+                        : 'text-gray-700 hover:bg-green-50'
+                    }`}
+                  >
+                    <span className="min-w-0">
+                      <span className="font-semibold text-[#08c88a]">{domain.accession}</span>
+                      <span className="text-gray-400 mx-2">-</span>
+                      <span>{domain.name}</span>
+                      {domain.description && (
+                        <span className="block text-xs text-gray-500 truncate">{domain.description}</span>
+                      )}
+                    </span>
+                    <span className="flex items-center gap-2 flex-shrink-0">
+                      {domain.type && (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{domain.type}</span>
+                      )}
+                      <span className="text-xs text-gray-500">{(domain.protein_count || 0).toLocaleString()}</span>
+                      {value === domain.accession && <Check className="w-5 h-5 text-[#08c88a]" />}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
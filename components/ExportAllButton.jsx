@@ -0,0 +1,116 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { Download, X } from 'lucide-react';
+import { streamExport, MAX_EXPORT_ROWS, STREAM_EXPORT_FORMATS } from '../lib/streamingExport';
+import { getFastaLineWidth } from '../lib/fastaExport';
+
+/**
+ * "Export all N matches" - streams the full filtered result set (not just the
+ * current page) as CSV, TSV or FASTA with progress and cancellation. Exports stop
+ * at MAX_EXPORT_ROWS, which the menu states up front for larger results. FASTA uses
+ * the line width picked in FastaLineWidthSelect.
+ */
+export default function ExportAllButton({ filters, totalCount, disabled }) {
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [exporting, setExporting] = useState(null); // format id while an export runs
+  const [progress, setProgress] = useState(0);
+  const abortRef = useRef(null);
+
+  const handleExport = async (format) => {
+    setMenuOpen(false);
+    setExporting(format);
+    setProgress(0);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const result = await streamExport({
+        filters,
+        format,
+        lineWidth: getFastaLineWidth(),
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      if (result?.truncated) {
+        alert(`The export stopped at ${MAX_EXPORT_ROWS.toLocaleString()} records, the most one export can hold. Narrow the search to export the rest.`);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Export all failed:', error);
+        alert(error.message || 'Failed to export data. Please try again.');
+      }
+    } finally {
+      abortRef.current = null;
+      setExporting(null);
+    }
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
+  const truncated = totalCount > MAX_EXPORT_ROWS;
+
+  if (exporting) {
+    const expected = totalCount ? Math.min(totalCount, MAX_EXPORT_ROWS) : null;
+    const percent = expected ? Math.min(Math.round((progress / expected) * 100), 100) : null;
+
+    return (
+      <div className="flex items-center space-x-2 px-3 py-1.5 border-2 border-gray-200 rounded-lg bg-white text-sm">
+        <div className="w-32">
+          <div className="text-xs text-gray-600 mb-1">
+            {progress.toLocaleString()}{expected ? ` / ${expected.toLocaleString()}` : ''} {exporting.toUpperCase()}
+          </div>
+          <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full bg-gradient-to-r from-[#0ab079] to-[#07eea5] transition-all duration-300 ${percent === null ? 'animate-pulse w-full' : ''}`}
+              style={percent !== null ? { width: `${percent}%` } : undefined}
+            />
+          </div>
+        </div>
+        <button
+          onClick={handleCancel}
+          title="Cancel export"
+          className="p-1 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setMenuOpen(open => !open)}
+        disabled={disabled}
+        title="Export every match, not just this page"
+        className="px-2 py-2 text-sm bg-white cursor-pointer text-gray-700 border-2 border-gray-200 hover:bg-gray-50 hover:border-gray-300 transition-all duration-300 flex items-center space-x-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Download className="w-4 h-4" />
+        <span>Export all{totalCount ? ` ${totalCount.toLocaleString()}` : ''}</span>
+      </button>
+
+      {menuOpen && (
+        <div className={`absolute right-0 mt-1 ${truncated ? 'w-64' : 'w-36'} bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1`}>
+          {truncated && (
+            <p className="px-4 py-2 text-xs text-amber-700 border-b border-gray-100">
+              Only the first {MAX_EXPORT_ROWS.toLocaleString()} matches (in id order) are exported. Narrow the search to export the rest.
+            </p>
+          )}
+          {STREAM_EXPORT_FORMATS.map(format => (
+            <button
+              key={format.id}
+              onClick={() => handleExport(format.id)}
+              className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-green-50"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
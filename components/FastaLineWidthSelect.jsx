@@ -0,0 +1,42 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import {
+  DEFAULT_FASTA_LINE_WIDTH,
+  FASTA_LINE_WIDTHS,
+  getFastaLineWidth,
+  setFastaLineWidth
+} from '../lib/fastaExport';
+
+/**
+ * Residues per line for FASTA exports. The choice is shared by every FASTA export
+ * button (read with getFastaLineWidth) and remembered in this browser.
+ */
+export default function FastaLineWidthSelect({ className = 'px-2 py-2 rounded-lg' }) {
+  // The stored choice is only readable in the browser, so it is loaded after hydration
+  const [lineWidth, setLineWidth] = useState(DEFAULT_FASTA_LINE_WIDTH);
+
+  useEffect(() => {
+    setLineWidth(getFastaLineWidth());
+  }, []);
+
+  const handleChange = (event) => {
+    const value = Number(event.target.value);
+    setLineWidth(value);
+    setFastaLineWidth(value);
+  };
+
+  return (
+    <select
+      value={lineWidth}
+      onChange={handleChange}
+      title="FASTA sequence line width"
+      aria-label="FASTA sequence line width"
+      className={`text-sm bg-white text-gray-700 border-2 border-gray-200 focus:outline-none focus:border-[#08c88a] ${className}`}
+    >
+      {FASTA_LINE_WIDTHS.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  );
+}
@@ -3,8 +3,10 @@
 import { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { useRouter } from 'next/navigation';
-import { proteinService } from '../lib/proteinService';
+import { apiClient } from '../lib/apiClient';
+import { parseEntriesHeader, getDomainSegments } from '../lib/domainAnnotations';
 import Sidebar from './Sidebar';
+import DomainArchitecture from './DomainArchitecture';
 import { ArrowLeft, X } from 'lucide-react';
 
 const DomainScale = ({ protein }) => {
@@ -31,38 +33,9 @@ const DomainScale = ({ protein }) => {
     });
   };
 
-  // Parse range data - handles single and multiple ranges
-  // Examples: "PF03245(27...149)" or "PF00704(34...320,355...427)"
-  const parseRange = (data) => {
-    if (!data || typeof data !== 'string') return null;
-
-    // Match the domain code and everything inside parentheses
-    const domainMatch = data.match(/([A-Z0-9]+)\(([^)]+)\)/);
-    if (!domainMatch || domainMatch.length < 3) return null;
-
-    const domain = domainMatch[1];
-    const rangesStr = domainMatch[2];
-
-    // Parse all ranges (comma-separated)
-    const rangeMatches = rangesStr.matchAll(/(\d+)[\.\-]+(\d+)/g);
-    const ranges = [];
-
-    for (const match of rangeMatches) {
-      ranges.push({
-        start: parseInt(match[1]),
-        end: parseInt(match[2])
-      });
-    }
-
-    if (ranges.length === 0) return null;
-
-    return {
-      domain,
-      ranges
-    };
-  };
-
-  const parsedData = parseRange(protein?.entries_header);
+  // One entry per range of every domain in the header, sorted by position
+  const segments = getDomainSegments(parseEntriesHeader(protein?.entries_header));
+  const parsedData = segments.length > 0 ? { ranges: segments } : null;
 
   // Calculate view window - focus on domains if they're relatively small
   const calculateViewWindow = () => {
@@ -218,7 +191,7 @@ const DomainScale = ({ protein }) => {
             {parsedData.ranges.length > 1 && (
               <div className="mb-2 flex items-center gap-2">
                 <span className="text-sm font-semibold text-[#08c88a]">
-                  Segment {index + 1}
+                  {range.domain}{range.totalSegments > 1 && ` segment ${range.segmentNumber}`}
                 </span>
                 <span className="text-xs text-gray-500">
                   ({range.start}-{range.end}, {segmentLength} aa)
@@ -256,7 +229,7 @@ const DomainScale = ({ protein }) => {
                 {/* Domain segment */}
                 {range.end >= viewWindow.start && range.start <= viewWindow.end && (
                   <g
-                    onMouseEnter={() => setHoveredSegment({ index, range, domain: parsedData.domain })}
+                    onMouseEnter={() => setHoveredSegment({ index, range, domain: range.domain })}
                     onMouseLeave={() => setHoveredSegment(null)}
                     onClick={() => setShowModal(index)}
                     className="cursor-pointer"
@@ -280,7 +253,7 @@ const DomainScale = ({ protein }) => {
                       textAnchor="middle"
                       className="fill-white text-sm font-semibold pointer-events-none"
                     >
-                      {parsedData.domain}
+                      {range.domain}
                     </text>
                   </g>
                 )}
@@ -343,8 +316,8 @@ const DomainScale = ({ protein }) => {
                 >
                   <div className="text-xs text-center">
                     <span className="text-[#08c88a] font-semibold">
-                      {parsedData.domain}
-                      {parsedData.ranges.length > 1 && ` (Segment ${index + 1})`}
+                      {range.domain}
+                      {range.totalSegments > 1 && ` (Segment ${range.segmentNumber})`}
                     </span>
                     <span className="text-gray-400 ml-2">Click to view details</span>
                   </div>
@@ -379,10 +352,10 @@ const DomainScale = ({ protein }) => {
             <div className="flex items-center justify-between p-6 border-b border-gray-800">
               <div>
                 <h3 className="text-xl font-bold text-[#08c88a]">
-                  {parsedData.domain}
-                  {parsedData.ranges.length > 1 && (
+                  {parsedData.ranges[showModal].domain}
+                  {parsedData.ranges[showModal].totalSegments > 1 && (
                     <span className="text-gray-400 font-normal ml-2">
-                      (Segment {showModal + 1}/{parsedData.ranges.length})
+                      (Segment {parsedData.ranges[showModal].segmentNumber}/{parsedData.ranges[showModal].totalSegments})
                     </span>
                   )}
                 </h3>
@@ -461,7 +434,7 @@ export default function ProteinDetails({ proteinId, onBack, onLogout }) {
       setLoading(true);
       setError(null);
 
-      const data = await proteinService.fetchProteinDetails(proteinId);
+      const data = await apiClient.fetchProteinDetails(proteinId);
       setProtein(data);
     } catch (err) {
       console.error('Error fetching protein:', err);
@@ -574,6 +547,12 @@ export default function ProteinDetails({ proteinId, onBack, onLogout }) {
                 </div>
               </div>
 
+              {parseEntriesHeader(protein.entries_header).length > 0 && (
+                <div className="card-linear p-8">
+                  <DomainArchitecture protein={protein} />
+                </div>
+              )}
+
               <div className="card-linear p-8">
                 <DomainScale protein={protein} />
               </div>
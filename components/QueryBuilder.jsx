@@ -0,0 +1,221 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { Plus, X, FolderPlus } from 'lucide-react';
+import {
+  QUERY_FIELDS,
+  QUERY_OPERATORS,
+  MAX_QUERY_DEPTH,
+  getFieldOperators,
+  createQueryRule,
+  createQueryGroup,
+  parseQuery,
+  serializeQuery
+} from '../lib/queryBuilder';
+
+const treeFromValue = (value) => (value ? parseQuery(value).query : null) || createQueryGroup();
+
+// Return a copy of the tree with the item at `path` (indices into nested rules) replaced
+const updateAt = (group, path, update) => {
+  if (path.length === 0) return update(group);
+  const [index, ...rest] = path;
+  return {
+    ...group,
+    rules: group.rules.map((item, i) => (i === index ? updateAt(item, rest, update) : item))
+  };
+};
+
+const removeAt = (group, path) => {
+  const parentPath = path.slice(0, -1);
+  const index = path[path.length - 1];
+  return updateAt(group, parentPath, parent => ({
+    ...parent,
+    rules: parent.rules.filter((_, i) => i !== index)
+  }));
+};
+
+const RuleEditor = ({ rule, onChange, onRemove }) => {
+  const operators = getFieldOperators(rule.field);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={rule.field}
+        onChange={(e) => {
+          const field = e.target.value;
+          // Keep the value when switching between text fields
+          onChange(QUERY_FIELDS[field].type === QUERY_FIELDS[rule.field].type
+            ? { ...rule, field }
+            : createQueryRule(field));
+        }}
+        className="input-linear w-44"
+      >
+        {Object.entries(QUERY_FIELDS).map(([field, { label }]) => (
+          <option key={field} value={field}>{label}</option>
+        ))}
+      </select>
+
+      <select
+        value={rule.operator}
+        onChange={(e) => onChange({ ...rule, operator: e.target.value })}
+        className="input-linear w-44"
+      >
+        {operators.map(operator => (
+          <option key={operator} value={operator}>{QUERY_OPERATORS[operator].label}</option>
+        ))}
+      </select>
+
+      {QUERY_FIELDS[rule.field].type === 'range' ? (
+        <>
+          <input
+            type="number"
+            min="0"
+            value={rule.min}
+            onChange={(e) => onChange({ ...rule, min: e.target.value === '' ? '' : parseInt(e.target.value, 10) })}
+            placeholder="Min"
+            className="input-linear w-28"
+          />
+          <span className="text-sm text-gray-500">and</span>
+          <input
+            type="number"
+            min="0"
+            value={rule.max}
+            onChange={(e) => onChange({ ...rule, max: e.target.value === '' ? '' : parseInt(e.target.value, 10) })}
+            placeholder="Max"
+            className="input-linear w-28"
+          />
+        </>
+      ) : (
+        <input
+          type="text"
+          value={rule.value}
+          onChange={(e) => onChange({ ...rule, value: e.target.value })}
+          placeholder={rule.operator === 'regex' ? 'e.g. ^Endolysin' : 'Value'}
+          className={`input-linear flex-1 min-w-[180px] ${rule.operator === 'regex' ? 'font-jetbrains' : ''}`}
+        />
+      )}
+
+      <button
+        type="button"
+        onClick={onRemove}
+        title="Remove rule"
+        className="p-2 text-gray-400 hover:text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+const GroupEditor = ({ group, path, depth, onUpdate, onRemove }) => (
+  <div className={`space-y-3 ${depth > 1 ? 'border-l-4 border-green-200 pl-4 py-2' : ''}`}>
+    <div className="flex flex-wrap items-center gap-2">
+      <div className="flex rounded-lg overflow-hidden border border-gray-200">
+        {['and', 'or'].map(op => (
+          <button
+            key={op}
+            type="button"
+            onClick={() => onUpdate(path, g => ({ ...g, op }))}
+            className={`px-3 py-1 text-xs font-semibold uppercase ${
+              group.op === op ? 'bg-[#08c88a] text-white' : 'bg-white text-gray-600 hover:bg-green-50'
+            }`}
+          >
+            {op === 'and' ? 'All (AND)' : 'Any (OR)'}
+          </button>
+        ))}
+      </div>
+      <label className="flex items-center gap-1 text-xs text-gray-600 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={group.not}
+          onChange={(e) => onUpdate(path, g => ({ ...g, not: e.target.checked }))}
+          className="h-4 w-4 accent-[#08c88a]"
+        />
+        NOT
+      </label>
+      <button
+        type="button"
+        onClick={() => onUpdate(path, g => ({ ...g, rules: [...g.rules, createQueryRule()] }))}
+        className="px-3 py-1 text-xs bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 flex items-center gap-1"
+      >
+        <Plus className="w-3 h-3" /> Rule
+      </button>
+      {depth < MAX_QUERY_DEPTH && (
+        <button
+          type="button"
+          onClick={() => onUpdate(path, g => ({ ...g, rules: [...g.rules, { ...createQueryGroup('or'), rules: [createQueryRule()] }] }))}
+          className="px-3 py-1 text-xs bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 flex items-center gap-1"
+        >
+          <FolderPlus className="w-3 h-3" /> Group
+        </button>
+      )}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          title="Remove group"
+          className="p-1 text-gray-400 hover:text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+
+    {group.rules.map((item, index) => (
+      Array.isArray(item.rules) ? (
+        <GroupEditor
+          key={index}
+          group={item}
+          path={[...path, index]}
+          depth={depth + 1}
+          onUpdate={onUpdate}
+          onRemove={() => onUpdate(null, root => removeAt(root, [...path, index]))}
+        />
+      ) : (
+        <RuleEditor
+          key={index}
+          rule={item}
+          onChange={(rule) => onUpdate([...path, index], () => rule)}
+          onRemove={() => onUpdate(null, root => removeAt(root, [...path, index]))}
+        />
+      )
+    ))}
+  </div>
+);
+
+/**
+ * Boolean query builder for the Explore view. The query is kept serialized
+ * (see lib/queryBuilder.js) in `value`; incomplete rules are left out of it.
+ */
+export default function QueryBuilder({ value, onChange }) {
+  const [tree, setTree] = useState(() => treeFromValue(value));
+  const emittedValue = useRef(value || ''); // Last value sent through onChange
+
+  // Follow outside changes such as Clear or a restored search
+  useEffect(() => {
+    if ((value || '') !== emittedValue.current) {
+      emittedValue.current = value || '';
+      setTree(treeFromValue(value));
+    }
+  }, [value]);
+
+  // path null: `update` receives the whole tree
+  const handleUpdate = (path, update) => {
+    const next = path === null ? update(tree) : updateAt(tree, path, update);
+    setTree(next);
+    emittedValue.current = serializeQuery(next);
+    onChange(emittedValue.current);
+  };
+
+  return (
+    <div className="space-y-3">
+      <GroupEditor group={tree} path={[]} depth={1} onUpdate={handleUpdate} />
+      {tree.rules.length === 0 && (
+        <p className="text-xs text-gray-500">Add rules to combine conditions on name, accession, organism, domains and length.</p>
+      )}
+      {value && (
+        <p className="text-xs text-gray-500 font-jetbrains break-all">{value}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+'use client';
+
+import { useState } from 'react';
+import { Bookmark } from 'lucide-react';
+import { apiClient } from '../lib/apiClient';
+
+/**
+ * "Save search" - stores the search on screen (its dashboard query string, see
+ * lib/searchUrl.js) under a name, to re-run it later from Saved Queries.
+ */
+export default function SaveSearchButton({ search, disabled }) {
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    const name = window.prompt('Name this search:');
+    if (!name?.trim()) return;
+
+    try {
+      setSaving(true);
+      await apiClient.saveSearch(name.trim(), search);
+      alert(`Saved search "${name.trim()}". Run it again from Saved Queries.`);
+    } catch (error) {
+      console.error('Save search failed:', error);
+      alert(`Failed to save search: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleSave}
+      disabled={disabled || saving || !search}
+      title="Save this search to run it again later"
+      className="px-2 py-2 text-sm bg-white cursor-pointer text-gray-700 border-2 border-gray-200 hover:bg-gray-50 hover:border-gray-300 transition-all duration-300 flex items-center space-x-2 rounded-lg font-medium disabled:opacity-50"
+    >
+      <Bookmark className="w-4 h-4" />
+      <span>{saving ? 'Saving...' : 'Save search'}</span>
+    </button>
+  );
+}
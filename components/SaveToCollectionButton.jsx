@@ -0,0 +1,107 @@
+'use client';
+
+import { useState } from 'react';
+import { Save, FolderPlus } from 'lucide-react';
+import { apiClient } from '../lib/apiClient';
+
+/**
+ * "Save" - adds proteins to one of the access code's collections, picked from a menu
+ * listing the existing collections and "New collection...".
+ */
+export default function SaveToCollectionButton({ proteins, label, onSaved }) {
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [collections, setCollections] = useState(null); // null until loaded
+  const [saving, setSaving] = useState(false);
+
+  const handleOpen = async () => {
+    if (menuOpen) {
+      setMenuOpen(false);
+      return;
+    }
+
+    setMenuOpen(true);
+    setCollections(null);
+    try {
+      setCollections(await apiClient.listCollections());
+    } catch (error) {
+      console.error('Failed to load collections:', error);
+      setCollections([]);
+    }
+  };
+
+  const handleSave = async (collectionId) => {
+    setMenuOpen(false);
+
+    if (proteins.length === 0) {
+      alert('No proteins to save. Please select proteins or perform a search.');
+      return;
+    }
+
+    // undefined: "New collection..."
+    const newName = collectionId === undefined ? window.prompt('Name the new collection:') : null;
+    if (collectionId === undefined && !newName?.trim()) return;
+
+    try {
+      setSaving(true);
+
+      const targetId = collectionId === undefined
+        ? (await apiClient.createCollection(newName)).id
+        : collectionId;
+      const result = await apiClient.saveProteins(proteins.map(protein => protein.id), targetId);
+      alert(result.message);
+      onSaved?.();
+    } catch (error) {
+      console.error('Save failed:', error);
+      alert(`Failed to save proteins: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={handleOpen}
+        disabled={saving}
+        title="Save to a collection"
+        className="px-2 py-2 text-sm transition-all duration-300 flex items-center cursor-pointer space-x-2 rounded-lg font-medium bg-gradient-to-r from-[#0ab079] to-[#07eea5] text-white disabled:opacity-50"
+      >
+        <Save className="w-4 h-4" />
+        <span>{saving ? 'Saving...' : label}</span>
+      </button>
+
+      {menuOpen && (
+        <div className="absolute right-0 mt-1 w-56 bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1">
+          {collections === null ? (
+            <p className="px-4 py-2 text-sm text-gray-500">Loading collections...</p>
+          ) : collections.length === 0 ? (
+            <button
+              onClick={() => handleSave(null)}
+              className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-green-50"
+            >
+              Saved proteins
+            </button>
+          ) : (
+            collections.map(collection => (
+              <button
+                key={collection.id}
+                onClick={() => handleSave(collection.id)}
+                className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-green-50 flex justify-between gap-2"
+              >
+                <span className="truncate">{collection.name}</span>
+                <span className="text-gray-400">{collection.saved_proteins.length}</span>
+              </button>
+            ))
+          )}
+          <button
+            onClick={() => handleSave(undefined)}
+            className="w-full text-left px-4 py-2 text-sm text-[#08c88a] hover:bg-green-50 border-t border-gray-100 flex items-center gap-2"
+          >
+            <FolderPlus className="w-4 h-4" />
+            New collection...
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,38 +3,149 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { proteinService } from '../lib/proteinService';
-import { exportToCSV } from '../lib/csvExport';
-import { Download, Trash2, Database, AlertCircle } from 'lucide-react';
+import { apiClient } from '../lib/apiClient';
+import { exportToCSV, SAVED_EXPORT_COLUMNS } from '../lib/csvExport';
+import { exportToFASTA, getFastaLineWidth } from '../lib/fastaExport';
+import { Download, Trash2, Database, AlertCircle, FolderPlus, Pencil, Copy, FolderInput, Star, StickyNote } from 'lucide-react';
+import FastaLineWidthSelect from './FastaLineWidthSelect';
+
+// File name part of a collection name: "Staph amidases" -> "staph-amidases"
+const toFileName = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection';
+
+const TAG_COLORS = [
+  'bg-green-100 text-green-800',
+  'bg-blue-100 text-blue-800',
+  'bg-amber-100 text-amber-800',
+  'bg-purple-100 text-purple-800',
+  'bg-pink-100 text-pink-800',
+  'bg-cyan-100 text-cyan-800',
+  'bg-orange-100 text-orange-800',
+  'bg-gray-200 text-gray-800'
+];
+
+// A tag keeps its color everywhere, derived from its name
+const tagColor = (tag) => {
+  let hash = 0;
+  for (const char of tag) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return TAG_COLORS[hash % TAG_COLORS.length];
+};
+
+/**
+ * Inline editor for the notes (multi-line) or tags (comma separated) of a saved protein.
+ * Enter saves tags and Ctrl/Cmd+Enter saves notes, so plain Enter starts a new note line;
+ * Escape cancels.
+ */
+function AnnotationEditor({ initialValue, multiline, placeholder, onSave, onCancel }) {
+  const [value, setValue] = useState(initialValue);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onCancel();
+    } else if (e.key === 'Enter' && (!multiline || e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      onSave(value);
+    }
+  };
+
+  const inputClassName = 'w-full min-w-48 px-2 py-1 text-sm text-gray-800 bg-white border-2 border-gray-200 rounded-lg focus:outline-none focus:border-[#08c88a]';
+
+  return (
+    <div className="space-y-1">
+      {multiline ? (
+        <textarea
+          autoFocus
+          rows={4}
+          value={value}
+          placeholder={placeholder}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className={`${inputClassName} resize-y`}
+        />
+      ) : (
+        <input
+          autoFocus
+          type="text"
+          value={value}
+          placeholder={placeholder}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className={inputClassName}
+        />
+      )}
+      <div className="flex gap-1">
+        <button
+          onClick={() => onSave(value)}
+          className="px-2 py-0.5 text-xs bg-[#08c88a] text-white rounded hover:bg-[#0ab079] font-medium"
+        >
+          Save
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-2 py-0.5 text-xs text-gray-600 border border-gray-200 rounded hover:bg-gray-50 font-medium"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const LIST_SORTS = {
+  saved: { label: 'Saved date', compare: () => 0 }, // Stored order
+  priority: { label: 'Priority', compare: (a, b) => (b.priority || 0) - (a.priority || 0) },
+  tag: {
+    label: 'Tag',
+    // Untagged proteins last
+    compare: (a, b) => (a.tags?.[0] ? 0 : 1) - (b.tags?.[0] ? 0 : 1)
+      || [...(a.tags || [])].sort().join().localeCompare([...(b.tags || [])].sort().join())
+  }
+};
 
 export default function SavedQueries() {
   const router = useRouter();
-  const [savedProteins, setSavedProteins] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [activeCollectionId, setActiveCollectionId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedProteins, setSelectedProteins] = useState(new Set());
+  const [transferTargetId, setTransferTargetId] = useState('');
+  const [tagFilter, setTagFilter] = useState(''); // '' for all tags
+  const [minPriority, setMinPriority] = useState(0);
+  const [listSort, setListSort] = useState('saved');
+  const [editing, setEditing] = useState(null); // { proteinId, field: 'notes' | 'tags' } being edited inline
 
   useEffect(() => {
     fetchSavedProteins();
   }, []);
 
+  // Selections only cover proteins that are shown
+  useEffect(() => {
+    setSelectedProteins(new Set());
+  }, [tagFilter, minPriority]);
+
+  const activeCollection = collections.find(collection => collection.id === activeCollectionId) || collections[0] || null;
+  const savedProteins = activeCollection?.saved_proteins || [];
+  const otherCollections = collections.filter(collection => collection !== activeCollection);
+  const collectionTags = [...new Set(savedProteins.flatMap(protein => protein.tags || []))].sort();
+
+  // The list as shown: filtered by tag and priority, sorted by the chosen field (stable)
+  const visibleProteins = savedProteins
+    .filter(protein => !tagFilter || (protein.tags || []).includes(tagFilter))
+    .filter(protein => (protein.priority || 0) >= minPriority)
+    .sort(LIST_SORTS[listSort].compare);
+
   const fetchSavedProteins = async () => {
     try {
       setLoading(true);
       setError(null);
 
-      // Get access code from session storage
-      const accessCode = sessionStorage.getItem('accessCode');
-
-      if (!accessCode) {
-        setError('Access code not found. Please log in again.');
-        setLoading(false);
-        return;
-      }
+      // Fetch the collections with their saved proteins (the session cookie identifies the code)
+      const result = await apiClient.listCollections();
 
-      // Fetch saved proteins
-      const result = await proteinService.fetchSavedProteins(accessCode);
-
-      setSavedProteins(result);
+      setCollections(result);
+      setSelectedProteins(new Set());
     } catch (err) {
       console.error('Error fetching saved proteins:', err);
       setError('Failed to load saved proteins. Please try again.');
@@ -43,6 +154,112 @@ export default function SavedQueries() {
     }
   };
 
+  const handleSelectCollection = (collectionId) => {
+    setActiveCollectionId(collectionId);
+    setSelectedProteins(new Set());
+    setTransferTargetId('');
+    setTagFilter('');
+    setMinPriority(0);
+  };
+
+  const handleAnnotate = async (protein, changes) => {
+    try {
+      const updated = await apiClient.updateSavedProtein(activeCollection.id, protein.id, changes);
+
+      setCollections(prev => prev.map(collection => (collection === activeCollection
+        ? { ...collection, saved_proteins: collection.saved_proteins.map(other => (other.id === updated.id ? updated : other)) }
+        : collection)));
+      return true;
+    } catch (error) {
+      console.error('Update saved protein failed:', error);
+      alert(`Failed to update ${protein.accession || protein.id}: ${error.message}`);
+      return false;
+    }
+  };
+
+  // The editor stays open when saving fails, so the text is not lost
+  const handleSaveNotes = async (protein, notes) => {
+    if (await handleAnnotate(protein, { notes })) setEditing(null);
+  };
+
+  const handleSaveTags = async (protein, tags) => {
+    if (await handleAnnotate(protein, { tags: tags.split(',') })) setEditing(null);
+  };
+
+  const handleSetPriority = (protein, priority) => {
+    // Clicking the current priority clears it
+    handleAnnotate(protein, { priority: protein.priority === priority ? null : priority });
+  };
+
+  const handleCreateCollection = async () => {
+    const name = window.prompt('Name the new collection:');
+    if (!name?.trim()) return;
+
+    try {
+      const collection = await apiClient.createCollection(name);
+      await fetchSavedProteins();
+      handleSelectCollection(collection.id);
+    } catch (error) {
+      console.error('Create collection failed:', error);
+      alert(`Failed to create collection: ${error.message}`);
+    }
+  };
+
+  const handleRenameCollection = async () => {
+    const name = window.prompt('Rename the collection:', activeCollection.name);
+    if (!name?.trim() || name.trim() === activeCollection.name) return;
+
+    try {
+      await apiClient.renameCollection(activeCollection.id, name);
+      await fetchSavedProteins();
+    } catch (error) {
+      console.error('Rename collection failed:', error);
+      alert(`Failed to rename collection: ${error.message}`);
+    }
+  };
+
+  const handleDeleteCollection = async () => {
+    const confirmMessage = savedProteins.length > 0
+      ? `Delete the collection "${activeCollection.name}" and the ${savedProteins.length} protein(s) saved in it?`
+      : `Delete the collection "${activeCollection.name}"?`;
+
+    if (!window.confirm(confirmMessage)) {
+      return;
+    }
+
+    try {
+      await apiClient.deleteCollection(activeCollection.id);
+      setActiveCollectionId(null);
+      await fetchSavedProteins();
+    } catch (error) {
+      console.error('Delete collection failed:', error);
+      alert('Failed to delete collection. Please try again.');
+    }
+  };
+
+  const handleTransfer = async (move) => {
+    const target = otherCollections.find(collection => String(collection.id) === transferTargetId);
+    if (!target) {
+      alert('Choose a collection first');
+      return;
+    }
+
+    try {
+      const result = await apiClient.copySavedProteins(
+        activeCollection.id,
+        target.id,
+        Array.from(selectedProteins),
+        { move }
+      );
+
+      alert(result.message);
+      await fetchSavedProteins();
+    } catch (error) {
+      console.error('Transfer failed:', error);
+      alert(`Failed to ${move ? 'move' : 'copy'} proteins: ${error.message}`);
+    }
+  };
+
   const handleSelectProtein = (proteinId, isSelected) => {
     const newSelected = new Set(selectedProteins);
     if (isSelected) {
@@ -55,19 +272,19 @@ export default function SavedQueries() {
 
   const handleSelectAll = (isSelected) => {
     if (isSelected) {
-      const allIds = savedProteins.map(p => p.id);
+      const allIds = visibleProteins.map(p => p.id);
       setSelectedProteins(new Set(allIds));
     } else {
       setSelectedProteins(new Set());
     }
   };
 
-  const handleExport = async (exportSelected = false) => {
+  const handleExport = async (exportSelected = false, format = 'csv') => {
     try {
       // Determine which proteins to export
       const proteinsToExport = exportSelected
-        ? savedProteins.filter(p => selectedProteins.has(p.id))
-        : savedProteins;
+        ? visibleProteins.filter(p => selectedProteins.has(p.id))
+        : visibleProteins;
 
       if (proteinsToExport.length === 0) {
         alert('No proteins to export');
@@ -81,14 +298,30 @@ export default function SavedQueries() {
       const proteinIds = proteinsToExport.map(p => p.id);
       const completeData = await proteinService.fetchCompleteDataForExport(proteinIds);
 
+      // Rows in list order, with the priority, tags and notes of each saved protein
+      const savedById = new Map(proteinsToExport.map(p => [p.id, p]));
+      completeData.sort((a, b) => proteinIds.indexOf(a.id) - proteinIds.indexOf(b.id));
+      const annotatedData = completeData.map(protein => ({
+        ...protein,
+        priority: savedById.get(protein.id)?.priority,
+        tags: savedById.get(protein.id)?.tags,
+        notes: savedById.get(protein.id)?.notes
+      }));
+
       // Generate filename with timestamp
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-      const filename = `saved-proteins-${accessCode}-${timestamp}.csv`;
-
-      // Export to CSV
-      exportToCSV(completeData, filename);
+      const filename = `saved-proteins-${accessCode}-${toFileName(activeCollection.name)}-${timestamp}.${format === 'fasta' ? 'fasta' : 'csv'}`;
+
+      // Export to CSV or FASTA (FASTA leaves out entries without a sequence). FASTA headers
+      // carry the priority and tags; notes can span lines, so only the CSV has them.
+      let exportedCount = completeData.length;
+      if (format === 'fasta') {
+        exportedCount = exportToFASTA(annotatedData, filename, { lineWidth: getFastaLineWidth() });
+      } else {
+        exportToCSV(annotatedData, filename, SAVED_EXPORT_COLUMNS);
+      }
 
-      alert(`Exported ${completeData.length} protein(s) successfully!`);
+      alert(`Exported ${exportedCount} protein(s) successfully!`);
     } catch (error) {
       console.error('Export failed:', error);
       alert('Failed to export proteins. Please try again.');
@@ -100,7 +333,7 @@ export default function SavedQueries() {
       // Determine which proteins to delete
       const proteinsToDelete = deleteSelected
         ? Array.from(selectedProteins)
-        : savedProteins.map(p => p.id);
+        : visibleProteins.map(p => p.id);
 
       if (proteinsToDelete.length === 0) {
         alert('No proteins selected for deletion');
@@ -110,24 +343,20 @@ export default function SavedQueries() {
       // Confirm deletion
       const confirmMessage = deleteSelected
         ? `Are you sure you want to delete ${proteinsToDelete.length} selected protein(s)?`
-        : 'Are you sure you want to delete ALL saved proteins?';
+        : visibleProteins.length === savedProteins.length
+          ? `Are you sure you want to delete ALL proteins in "${activeCollection.name}"?`
+          : `Are you sure you want to delete the ${proteinsToDelete.length} protein(s) shown?`;
 
       if (!window.confirm(confirmMessage)) {
         return;
       }
 
-      // Get the access code
-      const accessCode = sessionStorage.getItem('accessCode');
-
       // Delete proteins from database
-      const result = await proteinService.removeSavedProteins(accessCode, proteinsToDelete);
+      const result = await apiClient.removeSavedProteins(activeCollection.id, proteinsToDelete);
 
       alert(result.message);
 
-      // Clear selection
-      setSelectedProteins(new Set());
-
-      // Refresh the list
+      // Refresh the list (clears the selection)
       await fetchSavedProteins();
     } catch (error) {
       console.error('Delete failed:', error);
@@ -136,11 +365,11 @@ export default function SavedQueries() {
   };
 
   const isAllSelected = () => {
-    return savedProteins.length > 0 && savedProteins.every(p => selectedProteins.has(p.id));
+    return visibleProteins.length > 0 && visibleProteins.every(p => selectedProteins.has(p.id));
   };
 
   const isSomeSelected = () => {
-    return savedProteins.some(p => selectedProteins.has(p.id));
+    return visibleProteins.some(p => selectedProteins.has(p.id));
   };
 
   const handleRowClick = (proteinId) => {
@@ -181,7 +410,7 @@ export default function SavedQueries() {
     );
   }
 
-  if (savedProteins.length === 0) {
+  if (collections.length === 0) {
     return (
       <div className="card-linear p-8">
         <div className="flex items-center justify-center py-20">
@@ -201,9 +430,50 @@ export default function SavedQueries() {
     <div className="space-y-6">
       {/* Header with Statistics */}
       <div className="card-linear p-6">
+        {/* Collections */}
+        <div className="flex flex-wrap items-center gap-2 mb-4 pb-4 border-b border-gray-100">
+          {collections.map(collection => (
+            <button
+              key={collection.id}
+              onClick={() => handleSelectCollection(collection.id)}
+              className={`px-4 py-2 text-sm rounded-lg font-medium transition-colors ${
+                collection === activeCollection
+                  ? 'bg-green-100 text-green-800'
+                  : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              {collection.name} <span className="text-xs opacity-70">{collection.saved_proteins.length}</span>
+            </button>
+          ))}
+          <button
+            onClick={handleCreateCollection}
+            title="Create a collection"
+            className="px-3 py-2 text-sm text-[#08c88a] hover:bg-green-50 rounded-lg flex items-center gap-1 font-medium"
+          >
+            <FolderPlus className="w-4 h-4" />
+            New collection
+          </button>
+          <div className="ml-auto flex items-center gap-1">
+            <button
+              onClick={handleRenameCollection}
+              title="Rename this collection"
+              className="p-2 text-gray-500 hover:text-gray-800 transition-colors"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+            <button
+              onClick={handleDeleteCollection}
+              title="Delete this collection"
+              className="p-2 text-red-600 hover:text-red-800 transition-colors"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
         <div className="flex items-center justify-between">
           <div>
-            <h2 className="text-2xl font-bold text-linear-text-primary mb-2">Saved Proteins</h2>
+            <h2 className="text-2xl font-bold text-linear-text-primary mb-2">{activeCollection.name}</h2>
             <div className="flex items-center gap-6 text-sm text-linear-text-secondary">
               <div className="flex items-center gap-2">
                 <Database className="w-4 h-4" />
@@ -223,6 +493,45 @@ export default function SavedQueries() {
                   <Download className="w-4 h-4" />
                   <span>Export Selected ({selectedProteins.size})</span>
                 </button>
+                <button
+                  onClick={() => handleExport(true, 'fasta')}
+                  title="Sequences with priority and tags in the header line; notes are only in the CSV export"
+                  className="px-6 py-3 text-sm bg-green-100 text-green-800 rounded-xl hover:bg-green-200 transition-all duration-300 flex items-center gap-2 font-medium"
+                >
+                  <Download className="w-4 h-4" />
+                  <span>FASTA ({selectedProteins.size})</span>
+                </button>
+                <FastaLineWidthSelect className="px-3 py-3 rounded-xl" />
+                {otherCollections.length > 0 && (
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={transferTargetId}
+                      onChange={(e) => setTransferTargetId(e.target.value)}
+                      className="px-3 py-3 text-sm border border-gray-200 rounded-xl bg-white text-gray-700"
+                    >
+                      <option value="">Collection...</option>
+                      {otherCollections.map(collection => (
+                        <option key={collection.id} value={String(collection.id)}>{collection.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleTransfer(false)}
+                      title="Copy the selected proteins to the chosen collection"
+                      className="px-4 py-3 text-sm bg-white text-gray-700 border border-gray-200 rounded-xl hover:bg-gray-50 transition-all duration-300 flex items-center gap-2 font-medium"
+                    >
+                      <Copy className="w-4 h-4" />
+                      <span>Copy</span>
+                    </button>
+                    <button
+                      onClick={() => handleTransfer(true)}
+                      title="Move the selected proteins to the chosen collection"
+                      className="px-4 py-3 text-sm bg-white text-gray-700 border border-gray-200 rounded-xl hover:bg-gray-50 transition-all duration-300 flex items-center gap-2 font-medium"
+                    >
+                      <FolderInput className="w-4 h-4" />
+                      <span>Move</span>
+                    </button>
+                  </div>
+                )}
                 <button
                   onClick={() => handleDelete(true)}
                   className="px-6 py-3 text-sm bg-red-100 text-red-800 rounded-xl hover:bg-red-200 transition-all duration-300 flex items-center gap-2 font-medium"
@@ -232,7 +541,7 @@ export default function SavedQueries() {
                 </button>
               </>
             )}
-            {selectedProteins.size === 0 && (
+            {selectedProteins.size === 0 && savedProteins.length > 0 && (
               <>
                 <button
                   onClick={() => handleExport(false)}
@@ -241,6 +550,15 @@ export default function SavedQueries() {
                   <Download className="w-4 h-4" />
                   <span>Export All</span>
                 </button>
+                <button
+                  onClick={() => handleExport(false, 'fasta')}
+                  title="Sequences with priority and tags in the header line; notes are only in the CSV export"
+                  className="px-6 py-3 text-sm bg-green-100 text-green-800 rounded-xl hover:bg-green-200 transition-all duration-300 flex items-center gap-2 font-medium"
+                >
+                  <Download className="w-4 h-4" />
+                  <span>FASTA</span>
+                </button>
+                <FastaLineWidthSelect className="px-3 py-3 rounded-xl" />
                 <button
                   onClick={() => handleDelete(false)}
                   className="px-6 py-3 text-sm bg-red-100 text-red-800 rounded-xl hover:bg-red-200 transition-all duration-300 flex items-center gap-2 font-medium"
@@ -254,121 +572,240 @@ export default function SavedQueries() {
         </div>
       </div>
 
-      {/* Saved Proteins Table */}
-      <div className="table-linear overflow-hidden">
-        <div className="overflow-hidden">
-          <table className="w-full">
-            <thead>
-              <tr>
-                <th className="w-12 px-6 py-4 text-left text-xs font-semibold text-linear-text-secondary uppercase tracking-wider">
-                  <input
-                    type="checkbox"
-                    checked={isAllSelected()}
-                    ref={(input) => {
-                      if (input) input.indeterminate = isSomeSelected() && !isAllSelected();
-                    }}
-                    onChange={(e) => handleSelectAll(e.target.checked)}
-                    className="h-4 w-4 text-green-600 accent-green-500 focus:ring-green-500 focus:ring-2 rounded"
-                  />
-                </th>
-                <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
-                  ID
-                </th>
-                <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
-                  Name
-                </th>
-                <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
-                  Organism
-                </th>
-                <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
-                  Domain
-                </th>
-                <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody>
-              {savedProteins.map((protein) => (
-                <tr
-                  key={protein.id}
-                  onClick={(e) => {
-                    // Don't navigate if clicking on checkbox or delete button
-                    if (!e.target.closest('input[type="checkbox"]') && !e.target.closest('button')) {
-                      handleRowClick(protein.id);
-                    }
-                  }}
-                  className={`cursor-pointer hover:bg-green-50 transition-colors ${
-                    selectedProteins.has(protein.id) ? 'bg-green-50' : ''
-                  }`}
-                >
-                  <td className="px-6 py-4 whitespace-nowrap">
+      {savedProteins.length === 0 ? (
+        <div className="card-linear p-8 text-center text-linear-text-secondary">
+          This collection is empty. Search for proteins and click &quot;Save&quot; to add them here,
+          or copy proteins from another collection.
+        </div>
+      ) : (
+        /* Saved Proteins Table */
+        <div className="table-linear overflow-hidden">
+          {/* Filter and sort */}
+          <div className="bg-white px-6 py-3 border-b border-gray-200 flex flex-wrap items-center gap-4 text-sm text-linear-text-secondary">
+            <label className="flex items-center gap-2">
+              Tag
+              <select
+                value={tagFilter}
+                onChange={(e) => setTagFilter(e.target.value)}
+                className="px-2 py-1 border border-gray-200 rounded-lg bg-white text-gray-700"
+              >
+                <option value="">All</option>
+                {collectionTags.map(tag => (
+                  <option key={tag} value={tag}>{tag}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Priority
+              <select
+                value={minPriority}
+                onChange={(e) => setMinPriority(Number(e.target.value))}
+                className="px-2 py-1 border border-gray-200 rounded-lg bg-white text-gray-700"
+              >
+                <option value={0}>Any</option>
+                {[5, 4, 3, 2, 1].map(priority => (
+                  <option key={priority} value={priority}>{priority === 5 ? '5' : `${priority} or more`}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Sort by
+              <select
+                value={listSort}
+                onChange={(e) => setListSort(e.target.value)}
+                className="px-2 py-1 border border-gray-200 rounded-lg bg-white text-gray-700"
+              >
+                {Object.entries(LIST_SORTS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="overflow-hidden">
+            <table className="w-full">
+              <thead>
+                <tr>
+                  <th className="w-12 px-6 py-4 text-left text-xs font-semibold text-linear-text-secondary uppercase tracking-wider">
                     <input
                       type="checkbox"
-                      checked={selectedProteins.has(protein.id)}
-                      onChange={(e) => handleSelectProtein(protein.id, e.target.checked)}
+                      checked={isAllSelected()}
+                      ref={(input) => {
+                        if (input) input.indeterminate = isSomeSelected() && !isAllSelected();
+                      }}
+                      onChange={(e) => handleSelectAll(e.target.checked)}
                       className="h-4 w-4 text-green-600 accent-green-500 focus:ring-green-500 focus:ring-2 rounded"
                     />
-                  </td>
-                  <td className="px-6 py-4 text-sm text-linear-text-primary font-mono">
-                    {protein.accession || protein.id}
-                  </td>
-                  <td className="px-6 py-4 text-sm text-linear-text-primary max-w-xs">
-                    <div className="truncate" title={protein.name}>
-                      {protein.name || 'N/A'}
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 text-sm text-linear-text-secondary max-w-xs">
-                    <div className="truncate" title={protein.organism}>
-                      {protein.organism || 'N/A'}
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 text-sm text-linear-text-secondary">
-                    {protein.entries_header || 'N/A'}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap flex justify-center">
-                    <button
-                      onClick={async () => {
-                        if (!window.confirm('Are you sure you want to delete this protein?')) {
-                          return;
-                        }
-
-                        try {
-                          const accessCode = sessionStorage.getItem('accessCode');
-                          await proteinService.removeSavedProteins(accessCode, [protein.id]);
-                          alert('Protein deleted successfully!');
-                          await fetchSavedProteins();
-                        } catch (error) {
-                          console.error('Delete failed:', error);
-                          alert('Failed to delete protein. Please try again.');
-                        }
-                      }}
-                      className="text-red-600 hover:text-red-800 transition-colors"
-                      title="Delete this protein"
-                    >
-                      <Trash2 className="w-4 h-4" />
-                    </button>
-                  </td>
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
+                    ID
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
+                    Name
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
+                    Organism
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
+                    Domain
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
+                    Priority
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
+                    Tags
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
+                    Notes
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs text-white uppercase tracking-widest font-semibold">
+                    Actions
+                  </th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+              </thead>
+              <tbody>
+                {visibleProteins.map((protein) => (
+                  <tr
+                    key={protein.id}
+                    onClick={(e) => {
+                      // Don't navigate if clicking on a checkbox, button or annotation editor
+                      if (!e.target.closest('input, textarea, button')) {
+                        handleRowClick(protein.id);
+                      }
+                    }}
+                    className={`cursor-pointer hover:bg-green-50 transition-colors ${
+                      selectedProteins.has(protein.id) ? 'bg-green-50' : ''
+                    }`}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <input
+                        type="checkbox"
+                        checked={selectedProteins.has(protein.id)}
+                        onChange={(e) => handleSelectProtein(protein.id, e.target.checked)}
+                        className="h-4 w-4 text-green-600 accent-green-500 focus:ring-green-500 focus:ring-2 rounded"
+                      />
+                    </td>
+                    <td className="px-6 py-4 text-sm text-linear-text-primary font-mono">
+                      {protein.accession || protein.id}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-linear-text-primary max-w-xs">
+                      <div className="truncate" title={protein.name}>
+                        {protein.name || 'N/A'}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-linear-text-secondary max-w-xs">
+                      <div className="truncate" title={protein.organism}>
+                        {protein.organism || 'N/A'}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-linear-text-secondary">
+                      {protein.entries_header || 'N/A'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center">
+                        {[1, 2, 3, 4, 5].map(priority => (
+                          <button
+                            key={priority}
+                            onClick={() => handleSetPriority(protein, priority)}
+                            title={protein.priority === priority ? 'Clear priority' : `Priority ${priority}`}
+                            className="p-0.5"
+                          >
+                            <Star
+                              className={`w-4 h-4 ${(protein.priority || 0) >= priority ? 'text-amber-400 fill-amber-400' : 'text-gray-300'}`}
+                            />
+                          </button>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm max-w-xs">
+                      {editing?.proteinId === protein.id && editing.field === 'tags' ? (
+                        <AnnotationEditor
+                          initialValue={(protein.tags || []).join(', ')}
+                          placeholder="Tags, separated by commas"
+                          onSave={(tags) => handleSaveTags(protein, tags)}
+                          onCancel={() => setEditing(null)}
+                        />
+                      ) : (
+                        <button
+                          onClick={() => setEditing({ proteinId: protein.id, field: 'tags' })}
+                          title="Edit tags"
+                          className="flex flex-wrap items-center gap-1 text-left"
+                        >
+                          {(protein.tags || []).length > 0
+                            ? protein.tags.map(tag => (
+                              <span key={tag} className={`px-2 py-0.5 rounded-full text-xs font-medium ${tagColor(tag)}`}>
+                                {tag}
+                              </span>
+                            ))
+                            : <span className="text-xs text-gray-400 hover:text-gray-600">+ Tag</span>}
+                        </button>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-linear-text-secondary max-w-xs">
+                      {editing?.proteinId === protein.id && editing.field === 'notes' ? (
+                        <AnnotationEditor
+                          multiline
+                          initialValue={protein.notes || ''}
+                          placeholder="Notes (Ctrl+Enter to save)"
+                          onSave={(notes) => handleSaveNotes(protein, notes)}
+                          onCancel={() => setEditing(null)}
+                        />
+                      ) : (
+                        <button
+                          onClick={() => setEditing({ proteinId: protein.id, field: 'notes' })}
+                          title={protein.notes || 'Add notes'}
+                          className="flex items-center gap-1 max-w-full text-left"
+                        >
+                          {protein.notes
+                            ? <span className="whitespace-pre-line line-clamp-3">{protein.notes}</span>
+                            : <span className="text-xs text-gray-400 hover:text-gray-600 flex items-center gap-1"><StickyNote className="w-3 h-3" />Add</span>}
+                        </button>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap flex justify-center">
+                      <button
+                        onClick={async () => {
+                          if (!window.confirm('Are you sure you want to delete this protein?')) {
+                            return;
+                          }
+
+                          try {
+                            await apiClient.removeSavedProteins(activeCollection.id, [protein.id]);
+                            alert('Protein deleted successfully!');
+                            await fetchSavedProteins();
+                          } catch (error) {
+                            console.error('Delete failed:', error);
+                            alert('Failed to delete protein. Please try again.');
+                          }
+                        }}
+                        className="text-red-600 hover:text-red-800 transition-colors"
+                        title="Delete this protein"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
 
-        {/* Summary Footer */}
-        <div className="bg-white px-6 py-4 border-t border-gray-200">
-          <div className="flex items-center justify-between text-sm text-linear-text-secondary">
-            <span>
-              Showing {savedProteins.length} saved protein{savedProteins.length !== 1 ? 's' : ''}
-            </span>
-            {selectedProteins.size > 0 && (
-              <span className="font-semibold text-green-600">
-                {selectedProteins.size} selected
+          {/* Summary Footer */}
+          <div className="bg-white px-6 py-4 border-t border-gray-200">
+            <div className="flex items-center justify-between text-sm text-linear-text-secondary">
+              <span>
+                Showing {visibleProteins.length}
+                {visibleProteins.length !== savedProteins.length ? ` of ${savedProteins.length}` : ''} saved protein{savedProteins.length !== 1 ? 's' : ''}
               </span>
-            )}
+              {selectedProteins.size > 0 && (
+                <span className="font-semibold text-green-600">
+                  {selectedProteins.size} selected
+                </span>
+              )}
+            </div>
           </div>
         </div>
-      </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,217 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { apiClient } from '../lib/apiClient';
+import { dashboardUrl } from '../lib/searchUrl';
+import { Bookmark, Play, ExternalLink, Trash2, AlertCircle } from 'lucide-react';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatCount = (count, estimated) => (count === null || count === undefined
+  ? '—'
+  : `${estimated ? '~' : ''}${count.toLocaleString()}`);
+
+// "organism: aureus · minLength: 200 · sort: length" from the saved query string
+const describeSearch = (search) => [...new URLSearchParams(search).entries()]
+  .filter(([key]) => key !== 'section')
+  .map(([key, value]) => `${key}: ${value}`)
+  .join(' · ');
+
+// Sequence runs record the first page of hits, so with more hits than that a side of the
+// comparison is unknown (null)
+const describeChanges = ({ addedCount, removedCount }) => {
+  if (addedCount === null && removedCount === null) {
+    return 'More hits than the first page recorded, so new and dropped hits cannot be told apart.';
+  }
+  if (addedCount === 0 && removedCount === 0) {
+    return 'No proteins added or removed.';
+  }
+
+  const parts = [
+    addedCount === null ? null : `${addedCount.toLocaleString()} new`,
+    removedCount === null ? null : `${removedCount.toLocaleString()} no longer matching`
+  ].filter(Boolean);
+  return `${parts.join(', ')}.`;
+};
+
+const ChangedProteins = ({ label, proteins, total, onOpen }) => {
+  if (!total) return null;
+
+  return (
+    <div className="mt-2">
+      <span className="text-xs font-semibold text-gray-600">{label} ({total.toLocaleString()}):</span>{' '}
+      {proteins.map(protein => (
+        <button
+          key={protein.id}
+          onClick={() => onOpen(protein.id)}
+          title={protein.name || undefined}
+          className="text-xs font-jetbrains text-[#08c88a] hover:underline mr-2"
+        >
+          {protein.accession || protein.id}
+        </button>
+      ))}
+      {total > proteins.length && <span className="text-xs text-gray-500">and {(total - proteins.length).toLocaleString()} more</span>}
+    </div>
+  );
+};
+
+/**
+ * Saved search definitions (/api/saved-searches): open one on the dashboard, or run
+ * it to record the result count and see what changed since the previous run.
+ */
+export default function SavedSearches() {
+  const router = useRouter();
+  const [searches, setSearches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(null); // id of the search being run
+  const [runs, setRuns] = useState({}); // id -> { previous, comparison } of the latest run
+
+  const fetchSearches = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setSearches(await apiClient.listSavedSearches());
+    } catch (err) {
+      console.error('Error fetching saved searches:', err);
+      setError(err.message || 'Failed to load saved searches');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSearches();
+  }, []);
+
+  const handleRun = async (saved) => {
+    try {
+      setRunning(saved.id);
+      const { search, previous, comparison } = await apiClient.runSavedSearch(saved.id);
+      setSearches(prev => prev.map(other => (other.id === saved.id ? search : other)));
+      setRuns(prev => ({ ...prev, [saved.id]: { previous, comparison } }));
+    } catch (err) {
+      console.error('Saved search run failed:', err);
+      alert(`Failed to run "${saved.name}": ${err.message}`);
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  const handleDelete = async (saved) => {
+    if (!window.confirm(`Delete the saved search "${saved.name}"?`)) {
+      return;
+    }
+
+    try {
+      await apiClient.deleteSavedSearch(saved.id);
+      setSearches(prev => prev.filter(other => other.id !== saved.id));
+    } catch (err) {
+      console.error('Delete saved search failed:', err);
+      alert(`Failed to delete saved search: ${err.message}`);
+    }
+  };
+
+  const handleOpenProtein = (proteinId) => {
+    router.push(`/details?id=${proteinId}`);
+  };
+
+  return (
+    <div className="card-linear p-6">
+      <h2 className="text-2xl font-bold text-linear-text-primary mb-2 flex items-center gap-2">
+        <Bookmark className="w-5 h-5 text-[#08c88a]" />
+        Saved Searches
+      </h2>
+
+      {loading ? (
+        <p className="text-sm text-linear-text-secondary">Loading saved searches...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600 flex items-center gap-2">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </p>
+      ) : searches.length === 0 ? (
+        <p className="text-sm text-linear-text-secondary">
+          No saved searches yet. Run a search in Explore or Sequence Search and click &quot;Save search&quot;.
+        </p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {searches.map(saved => {
+            const run = runs[saved.id];
+
+            return (
+              <div key={saved.id} className="py-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-semibold text-linear-text-primary">{saved.name}</span>
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                        {saved.kind === 'sequence' ? 'Sequence search' : 'Explore'}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500 font-jetbrains truncate mt-1" title={describeSearch(saved.search)}>
+                      {describeSearch(saved.search)}
+                    </p>
+                    <p className="text-xs text-linear-text-secondary mt-1">
+                      {saved.last_run_at
+                        ? `Last run ${formatDate(saved.last_run_at)}: ${formatCount(saved.last_count, saved.last_count_estimated)} results`
+                        : 'Never run'}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => router.push(dashboardUrl(saved.search))}
+                      title="Show the results on the dashboard"
+                      className="px-3 py-2 text-sm bg-white text-gray-700 border-2 border-gray-200 hover:bg-gray-50 rounded-lg flex items-center gap-1 font-medium"
+                    >
+                      <ExternalLink className="w-4 h-4" />
+                      Open
+                    </button>
+                    <button
+                      onClick={() => handleRun(saved)}
+                      disabled={running !== null}
+                      title="Run again and compare with the last run"
+                      className="px-3 py-2 text-sm bg-green-100 text-green-800 hover:bg-green-200 rounded-lg flex items-center gap-1 font-medium disabled:opacity-50"
+                    >
+                      <Play className="w-4 h-4" />
+                      {running === saved.id ? 'Running...' : 'Run & compare'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(saved)}
+                      title="Delete this saved search"
+                      className="p-2 text-red-600 hover:text-red-800 transition-colors"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {run && (
+                  <div className="mt-3 p-3 bg-gray-50 rounded-lg text-sm">
+                    {run.comparison ? (
+                      <>
+                        <p className="text-linear-text-primary">
+                          {formatCount(saved.last_count, saved.last_count_estimated)} results now,{' '}
+                          {formatCount(run.previous.count, run.previous.estimated)} on {formatDate(run.previous.runAt)}.{' '}
+                          {describeChanges(run.comparison)}
+                        </p>
+                        <ChangedProteins label="New" proteins={run.comparison.added} total={run.comparison.addedCount} onOpen={handleOpenProtein} />
+                        <ChangedProteins label="Gone" proteins={run.comparison.removed} total={run.comparison.removedCount} onOpen={handleOpenProtein} />
+                      </>
+                    ) : (
+                      <p className="text-linear-text-primary">
+                        First run: {formatCount(saved.last_count, saved.last_count_estimated)} results. Run it again later to see what changed.
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,75 +1,99 @@
 'use client';
 
-import { useState, useCallback, useEffect } from 'react';
-import { useRouter } from 'next/navigation';
-import { sequenceSearchService } from '../lib/simplifiedSequenceSearch';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { apiClient } from '../lib/apiClient';
+import { proteinService } from '../lib/proteinService';
+import { exportToCSV } from '../lib/csvExport';
+import { exportToFASTA, getFastaLineWidth } from '../lib/fastaExport';
+import { buildSectionSearch, buildSequenceSearch, dashboardUrl, parseSequenceSearch } from '../lib/searchUrl';
+import SaveSearchButton from './SaveSearchButton';
+import FastaLineWidthSelect from './FastaLineWidthSelect';
 import {
   Search,
+  Download,
   ChevronLeft,
   ChevronRight,
   AlertCircle,
   Dna
 } from 'lucide-react';
 
-// Session storage keys for caching search state
-const STORAGE_KEYS = {
-  SEQUENCE: 'sequenceSearch_sequence',
-  RESULTS: 'sequenceSearch_results',
-  PAGE: 'sequenceSearch_page',
-  IS_MULTI: 'sequenceSearch_isMulti'
+// Results of the search in the URL, so returning from the details page shows them
+// without searching again
+const RESULTS_SNAPSHOT_KEY = 'sequenceSearchState';
+
+const saveResultsSnapshot = (search, results, isMulti) => {
+  try {
+    sessionStorage.setItem(RESULTS_SNAPSHOT_KEY, JSON.stringify({ search, results, isMulti }));
+  } catch (err) {
+    console.error('Error saving search results:', err);
+  }
+};
+
+const readResultsSnapshot = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(RESULTS_SNAPSHOT_KEY));
+  } catch (err) {
+    console.error('Error restoring search results:', err);
+    return null;
+  }
+};
+
+// Search modes offered above the sequence input
+const SEARCH_MODES = [
+  { id: 'contains', label: 'Exact Match', description: 'Proteins containing the sequence exactly' },
+  { id: 'similarity', label: 'Similarity', description: 'Local alignment (BLOSUM62) - finds homologs with substitutions and gaps' },
+  { id: 'pattern', label: 'Motif Pattern', description: 'PROSITE syntax: x = any, [HY] = any of, {P} = none of, (n) or (n,m) = repeats, < > = termini' }
+];
+
+// Split a sequence into plain / matched / mismatched segments for highlighting every motif hit
+const buildMotifSegments = (sequence, matches) => {
+  const marks = new Array(sequence.length).fill(null);
+  matches.forEach(match => {
+    for (let pos = match.start; pos <= match.end; pos++) {
+      marks[pos - 1] = marks[pos - 1] || 'match';
+    }
+    match.mismatchPositions.forEach(pos => {
+      marks[pos - 1] = 'mismatch';
+    });
+  });
+
+  const segments = [];
+  for (let i = 0; i < sequence.length; i++) {
+    const last = segments[segments.length - 1];
+    if (last && last.mark === marks[i]) {
+      last.text += sequence[i];
+    } else {
+      segments.push({ mark: marks[i], text: sequence[i] });
+    }
+  }
+  return segments;
 };
 
+// Format an E-value the way BLAST reports it (e.g. 3e-42, 0.012)
+const formatEValue = (evalue) => {
+  if (evalue === 0) return '0';
+  if (evalue < 0.001) return evalue.toExponential(0);
+  return evalue.toPrecision(2);
+};
+
+// "about 12,400" for planner estimates, "2,000+" when the k-mer index capped the candidates
+const formatHitCount = ({ count, countEstimated, isCapped }) =>
+  `${countEstimated ? 'about ' : ''}${(count || 0).toLocaleString()}${isCapped ? '+' : ''}`;
+
 export default function SequenceSearch() {
   const router = useRouter();
+  const urlSearch = useSearchParams().toString(); // The search on screen, see lib/searchUrl.js
+  const latestSearch = useRef(0); // Id of the newest runSearch call; older responses are dropped
   const [searchSequence, setSearchSequence] = useState('');
   const [results, setResults] = useState(null);
+  const [exporting, setExporting] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [isMultiSearch, setIsMultiSearch] = useState(false);
-
-  // Restore cached state on component mount
-  useEffect(() => {
-    try {
-      const cachedSequence = sessionStorage.getItem(STORAGE_KEYS.SEQUENCE);
-      const cachedResults = sessionStorage.getItem(STORAGE_KEYS.RESULTS);
-      const cachedPage = sessionStorage.getItem(STORAGE_KEYS.PAGE);
-      const cachedIsMulti = sessionStorage.getItem(STORAGE_KEYS.IS_MULTI);
-
-      if (cachedSequence) {
-        setSearchSequence(cachedSequence);
-      }
-      if (cachedResults) {
-        setResults(JSON.parse(cachedResults));
-      }
-      if (cachedPage) {
-        setCurrentPage(parseInt(cachedPage, 10));
-      }
-      if (cachedIsMulti) {
-        setIsMultiSearch(cachedIsMulti === 'true');
-      }
-    } catch (err) {
-      console.error('Error restoring cached search state:', err);
-    }
-  }, []);
-
-  // Save state to sessionStorage whenever it changes
-  const saveStateToCache = useCallback((sequence, resultsData, page, isMulti) => {
-    try {
-      if (sequence) {
-        sessionStorage.setItem(STORAGE_KEYS.SEQUENCE, sequence);
-      }
-      if (resultsData) {
-        sessionStorage.setItem(STORAGE_KEYS.RESULTS, JSON.stringify(resultsData));
-      }
-      if (page) {
-        sessionStorage.setItem(STORAGE_KEYS.PAGE, page.toString());
-      }
-      sessionStorage.setItem(STORAGE_KEYS.IS_MULTI, isMulti.toString());
-    } catch (err) {
-      console.error('Error saving search state to cache:', err);
-    }
-  }, []);
+  const [searchMode, setSearchMode] = useState('contains');
+  const [mismatches, setMismatches] = useState(0);
 
   const validateSequence = (seq) => {
     const cleaned = seq.toUpperCase().replace(/[^ACDEFGHIKLMNPQRSTVWY\s,]/g, '');
@@ -86,14 +110,57 @@ export default function SequenceSearch() {
     return `${firstPart}...${lastPart}`;
   };
 
-  const handleSearch = useCallback(async (page = 1) => {
-    const input = searchSequence.trim();
+  // Run a search from the URL: { sequence, mode, mismatches, page }
+  const runSearch = useCallback(async ({ sequence, mode, mismatches: allowedMismatches, page }) => {
+    const searchId = ++latestSearch.current;
+    const search = buildSequenceSearch({ sequence, mode, mismatches: allowedMismatches, page });
+    const input = sequence.trim();
 
     if (!input) {
       setError('Please enter a valid protein sequence');
       return;
     }
 
+    // Motif search - PROSITE syntax uses commas, so the input is never split into multiple sequences
+    if (mode === 'pattern') {
+      setIsMultiSearch(false);
+
+      try {
+        setLoading(true);
+        setError(null);
+
+        const result = await apiClient.searchSequences({ mode: 'pattern', sequence: input, page, mismatches: allowedMismatches });
+        if (searchId !== latestSearch.current) return;
+
+        if (result.error) {
+          setError(result.error);
+          setResults(null);
+        } else {
+          const wrappedResult = {
+            results: [{
+              sequence: result.searchSequence,
+              ...result
+            }],
+            totalCount: result.count,
+            searchedSequences: [result.searchSequence]
+          };
+          setResults(wrappedResult);
+          setCurrentPage(result.currentPage);
+          saveResultsSnapshot(search, wrappedResult, false);
+          setError(result.count === 0 ? result.message : null);
+        }
+      } catch (err) {
+        if (searchId !== latestSearch.current) return;
+        console.error('Pattern search error:', err);
+        setError(err.status ? err.message : 'Failed to search. Please try again.');
+      } finally {
+        if (searchId === latestSearch.current) {
+          setLoading(false);
+        }
+      }
+      return;
+    }
+
     // Check if input contains commas (multi-sequence search)
     const sequences = input.split(',').map(s => s.trim()).filter(s => s);
 
@@ -116,7 +183,8 @@ export default function SequenceSearch() {
         setLoading(true);
         setError(null);
 
-        const result = await sequenceSearchService.searchMultipleSequences(sequences, page);
+        const result = await apiClient.searchSequences({ mode, sequences, page });
+        if (searchId !== latestSearch.current) return;
 
         if (result.error) {
           setError(result.error);
@@ -124,8 +192,7 @@ export default function SequenceSearch() {
         } else {
           setResults(result);
           setCurrentPage(page);
-          // Cache the results
-          saveStateToCache(input, result, page, true);
+          saveResultsSnapshot(search, result, true);
 
           if (result.totalCount === 0) {
             setError(`No proteins found for any of the ${sequences.length} sequences`);
@@ -134,10 +201,13 @@ export default function SequenceSearch() {
           }
         }
       } catch (err) {
+        if (searchId !== latestSearch.current) return;
         console.error('Multi-sequence search error:', err);
-        setError('Failed to search. Please try again.');
+        setError(err.status ? err.message : 'Failed to search. Please try again.');
       } finally {
-        setLoading(false);
+        if (searchId === latestSearch.current) {
+          setLoading(false);
+        }
       }
     } else {
       // Single sequence search
@@ -158,14 +228,9 @@ export default function SequenceSearch() {
         setLoading(true);
         setError(null);
 
-        // Single sequence search with options
-        // Automatically enable window search for sequences > 100 characters
-        const searchOptions = {
-          useWindowSearch: cleanedSequence.length > 100,
-          timeout: 30000 // 30 seconds timeout
-        };
-
-        const result = await sequenceSearchService.searchBySequence(cleanedSequence, page, 'contains', searchOptions);
+        // Window search for long sequences and the timeout are applied server-side
+        const result = await apiClient.searchSequences({ mode, sequence: cleanedSequence, page });
+        if (searchId !== latestSearch.current) return;
 
         if (result.error) {
           setError(result.error);
@@ -184,27 +249,108 @@ export default function SequenceSearch() {
           };
           setResults(wrappedResult);
           setCurrentPage(result.currentPage);
-          // Cache the results
-          saveStateToCache(input, wrappedResult, result.currentPage, false);
+          saveResultsSnapshot(search, wrappedResult, false);
 
           if (result.count === 0) {
-            setError(`No proteins found containing: ${cleanedSequence}`);
+            setError(mode === 'similarity'
+              ? result.message
+              : `No proteins found containing: ${cleanedSequence}`);
           } else {
             setError(null);
           }
         }
       } catch (err) {
+        if (searchId !== latestSearch.current) return;
         console.error('Sequence search error:', err);
-        setError('Failed to search. Please try again.');
+        setError(err.status ? err.message : 'Failed to search. Please try again.');
       } finally {
-        setLoading(false);
+        if (searchId === latestSearch.current) {
+          setLoading(false);
+        }
       }
     }
-  }, [searchSequence, saveStateToCache]);
+  }, []);
+
+  // The URL holds the search on screen: apply it on load and after every navigation
+  useEffect(() => {
+    const shown = parseSequenceSearch(new URLSearchParams(urlSearch));
+    setSearchSequence(shown.sequence);
+    setSearchMode(shown.mode);
+    setMismatches(shown.mismatches);
+
+    if (!shown.sequence.trim()) {
+      latestSearch.current++; // Drop a search still loading
+      setResults(null);
+      setError(null);
+      setCurrentPage(1);
+      setIsMultiSearch(false);
+      setLoading(false);
+      return;
+    }
+
+    const snapshot = readResultsSnapshot();
+    if (snapshot?.search === buildSequenceSearch(shown) && snapshot.results) {
+      latestSearch.current++;
+      setResults(snapshot.results);
+      setIsMultiSearch(Boolean(snapshot.isMulti));
+      setCurrentPage(shown.page);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    runSearch(shown);
+  }, [urlSearch, runSearch]);
+
+  // Put a search in the URL, which runs it; repeating the search on screen runs it again
+  const showSearch = (search) => {
+    const query = buildSequenceSearch(search);
+    if (query === urlSearch) {
+      runSearch(search);
+    } else {
+      router.push(dashboardUrl(query));
+    }
+  };
+
+  const handleSearch = () => {
+    if (!searchSequence.trim()) {
+      setError('Please enter a valid protein sequence');
+      return;
+    }
+
+    showSearch({ sequence: searchSequence, mode: searchMode, mismatches, page: 1 });
+  };
+
+  // Export the proteins of one result group (current page) as CSV or FASTA
+  const handleExport = async (proteinData, format) => {
+    if (proteinData.length === 0) {
+      alert('No data to export');
+      return;
+    }
+
+    try {
+      setExporting(true);
+
+      // Search results do not carry full sequences - fetch complete records
+      const completeData = await proteinService.fetchCompleteDataForExport(proteinData.map(protein => protein.id));
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      if (format === 'fasta') {
+        exportToFASTA(completeData, `sequence-search-${timestamp}.fasta`, { lineWidth: getFastaLineWidth() });
+      } else {
+        exportToCSV(completeData, `sequence-search-${timestamp}.csv`);
+      }
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert('Failed to export data. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
 
   const handlePageChange = (page) => {
     if (page >= 1 && page <= results?.totalPages) {
-      handleSearch(page);
+      showSearch({ ...parseSequenceSearch(new URLSearchParams(urlSearch)), page });
     }
   };
 
@@ -213,7 +359,10 @@ export default function SequenceSearch() {
     const cleaned = validateSequence(input);
     setSearchSequence(input);
 
-    if (input && input !== cleaned) {
+    // Patterns are validated by the parser when the search runs
+    if (searchMode === 'pattern') {
+      setError(null);
+    } else if (input && input !== cleaned) {
       setError('Invalid characters removed. Use only standard amino acid codes.');
     } else {
       setError(null);
@@ -226,21 +375,15 @@ export default function SequenceSearch() {
     setError(null);
     setCurrentPage(1);
     setIsMultiSearch(false);
-    sequenceSearchService.clearCache();
-    // Clear sessionStorage cache
-    try {
-      sessionStorage.removeItem(STORAGE_KEYS.SEQUENCE);
-      sessionStorage.removeItem(STORAGE_KEYS.RESULTS);
-      sessionStorage.removeItem(STORAGE_KEYS.PAGE);
-      sessionStorage.removeItem(STORAGE_KEYS.IS_MULTI);
-    } catch (err) {
-      console.error('Error clearing search cache:', err);
+    sessionStorage.removeItem(RESULTS_SNAPSHOT_KEY);
+
+    const emptySearch = buildSectionSearch('search');
+    if (urlSearch !== emptySearch) {
+      router.push(dashboardUrl(emptySearch));
     }
   };
 
   const handleRowClick = (proteinId) => {
-    // Save current section so we return to Sequence Search when coming back
-    sessionStorage.setItem('dashboardSection', 'search');
     router.push(`/details?id=${proteinId}`);
   };
 
@@ -256,31 +399,84 @@ export default function SequenceSearch() {
         <div className="space-y-4">
           <div>
             <label className="block text-sm font-medium text-linear-text-secondary mb-2">
-              Enter Protein Sequence(s) - Single or Multiple (min. 3 amino acids each)
+              Search Mode
+            </label>
+            <div className="flex gap-2">
+              {SEARCH_MODES.map((mode) => (
+                <button
+                  key={mode.id}
+                  type="button"
+                  onClick={() => setSearchMode(mode.id)}
+                  title={mode.description}
+                  className={`px-4 py-2 text-sm rounded-xl border transition-all duration-300 font-medium ${
+                    searchMode === mode.id
+                      ? 'bg-[#08c88a] text-white border-[#08c88a] shadow-md'
+                      : 'bg-white text-gray-700 border-gray-200 hover:bg-green-50 hover:text-[#08c88a]'
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              {SEARCH_MODES.find(mode => mode.id === searchMode)?.description}
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-linear-text-secondary mb-2">
+              {searchMode === 'pattern'
+                ? 'Enter Motif Pattern (PROSITE syntax)'
+                : 'Enter Protein Sequence(s) - Single or Multiple (min. 3 amino acids each)'}
             </label>
             <textarea
               value={searchSequence}
               onChange={handleSequenceInput}
-              placeholder="Single: MVLSPADKTNVKAAW&#10;Multiple: MVLS, ACDE, PQRS (comma-separated)"
+              placeholder={searchMode === 'pattern'
+                ? 'C-x(2)-C-x(3)-[HY]'
+                : 'Single: MVLSPADKTNVKAAW\nMultiple: MVLS, ACDE, PQRS (comma-separated)'}
               className="input-linear w-full h-32 font-jetbrains text-sm"
               spellCheck={false}
             />
-            <p className="text-xs text-gray-500 mt-2">
-              Standard amino acid codes only: A, C, D, E, F, G, H, I, K, L, M, N, P, Q, R, S, T, V, W, Y
-            </p>
-            <p className="text-xs text-blue-600 mt-2 flex items-start gap-2">
-              <span>💡</span>
-              <span>
-                <strong>Single search:</strong> Searches for proteins containing the sequence anywhere.
-                <br/>
-                <strong>Multiple search:</strong> Enter comma-separated sequences (e.g., "ABC,XYZ,DEF") to search for all sequences in parallel and view grouped results.
-              </span>
-            </p>
+            {searchMode === 'pattern' ? (
+              <div className="flex items-center gap-3 mt-2">
+                <label className="text-xs text-gray-500" htmlFor="motif-mismatches">
+                  Allow mismatches:
+                </label>
+                <select
+                  id="motif-mismatches"
+                  value={mismatches}
+                  onChange={(e) => setMismatches(parseInt(e.target.value, 10))}
+                  className="px-3 py-1 text-sm bg-white border-2 border-gray-200 rounded-lg focus:outline-none focus:border-[#08c88a]"
+                >
+                  <option value={0}>0</option>
+                  <option value={1}>1</option>
+                  <option value={2}>2</option>
+                </select>
+                <span className="text-xs text-gray-500">
+                  Residues that violate a pattern position; x never counts as a mismatch
+                </span>
+              </div>
+            ) : (
+              <>
+                <p className="text-xs text-gray-500 mt-2">
+                  Standard amino acid codes only: A, C, D, E, F, G, H, I, K, L, M, N, P, Q, R, S, T, V, W, Y
+                </p>
+                <p className="text-xs text-blue-600 mt-2 flex items-start gap-2">
+                  <span>💡</span>
+                  <span>
+                    <strong>Single search:</strong> Searches for proteins containing the sequence anywhere.
+                    <br/>
+                    <strong>Multiple search:</strong> Enter comma-separated sequences (e.g., &quot;ABC,XYZ,DEF&quot;) to search for all sequences in parallel and view grouped results.
+                  </span>
+                </p>
+              </>
+            )}
           </div>
 
           <div className="flex items-center gap-4">
             <button
-              onClick={() => handleSearch(1)}
+              onClick={handleSearch}
               disabled={loading || !searchSequence.trim()}
               className="btn-linear px-6 py-3 rounded-xl flex items-center gap-2 disabled:opacity-50"
             >
@@ -295,6 +491,15 @@ export default function SequenceSearch() {
             >
               Clear
             </button>
+
+            {results && (
+              <div className="ml-auto flex items-center gap-2">
+                <FastaLineWidthSelect />
+                <SaveSearchButton
+                  search={buildSequenceSearch({ ...parseSequenceSearch(new URLSearchParams(urlSearch)), page: 1 })}
+                />
+              </div>
+            )}
           </div>
         </div>
 
@@ -331,7 +536,9 @@ export default function SequenceSearch() {
           {results.results.map((searchResult, index) => {
             const searchSeq = searchResult.searchSequence || searchResult.sequence;
             const proteinData = searchResult.data || [];
-            const count = searchResult.count || 0;
+            const count = formatHitCount(searchResult);
+            const isSimilarity = searchResult.searchMode === 'similarity';
+            const isPattern = searchResult.searchMode === 'pattern';
 
             return (
               <div key={index} className="table-linear overflow-hidden">
@@ -346,10 +553,44 @@ export default function SequenceSearch() {
                         </span>
                       </h3>
                       <p className="text-white/90 text-sm mt-1">
-                        {count} protein(s) found containing this sequence
+                        {isSimilarity
+                          ? `${count} similar protein(s) found, ranked by E-value`
+                          : isPattern
+                            ? `${count} protein(s) found matching this pattern${searchResult.mismatches ? ` (up to ${searchResult.mismatches} mismatch${searchResult.mismatches > 1 ? 'es' : ''})` : ''}`
+                            : `${count} protein(s) found containing this sequence`}
                       </p>
+                      {searchResult.isCapped && searchResult.candidateLimit && (
+                        <p className="text-amber-300 text-xs mt-1">
+                          The sequence index returns at most {searchResult.candidateLimit.toLocaleString()} candidates, so
+                          only the matches among them are listed. A longer or more specific query finds the rest.
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3">
+                      {proteinData.length > 0 && (
+                        <>
+                          <button
+                            onClick={() => handleExport(proteinData, 'csv')}
+                            disabled={exporting}
+                            title="Export this page as CSV"
+                            className="px-3 py-1.5 text-xs bg-white/10 text-white border border-white/20 rounded-lg hover:bg-white/20 disabled:opacity-50 flex items-center gap-1 font-medium"
+                          >
+                            <Download className="w-3 h-3" />
+                            <span>CSV</span>
+                          </button>
+                          <button
+                            onClick={() => handleExport(proteinData, 'fasta')}
+                            disabled={exporting}
+                            title="Export this page as FASTA"
+                            className="px-3 py-1.5 text-xs bg-white/10 text-white border border-white/20 rounded-lg hover:bg-white/20 disabled:opacity-50 flex items-center gap-1 font-medium"
+                          >
+                            <Download className="w-3 h-3" />
+                            <span>FASTA</span>
+                          </button>
+                        </>
+                      )}
+                      <div className="text-white text-xl font-bold">{count}</div>
                     </div>
-                    <div className="text-white text-xl font-bold">{count}</div>
                   </div>
                 </div>
 
@@ -373,9 +614,26 @@ export default function SequenceSearch() {
                           <th className="px-6 py-4 text-left text-xs font-semibold text-linear-text-secondary uppercase tracking-wider">
                             Length
                           </th>
-                          <th className="px-6 py-4 text-left text-xs font-semibold text-linear-text-secondary uppercase tracking-wider">
-                            Sequence Match
-                          </th>
+                          {isSimilarity ? (
+                            <>
+                              <th className="px-6 py-4 text-left text-xs font-semibold text-linear-text-secondary uppercase tracking-wider">
+                                Identity
+                              </th>
+                              <th className="px-6 py-4 text-left text-xs font-semibold text-linear-text-secondary uppercase tracking-wider">
+                                Score
+                              </th>
+                              <th className="px-6 py-4 text-left text-xs font-semibold text-linear-text-secondary uppercase tracking-wider">
+                                E-value
+                              </th>
+                              <th className="px-6 py-4 text-left text-xs font-semibold text-linear-text-secondary uppercase tracking-wider">
+                                Aligned Region
+                              </th>
+                            </>
+                          ) : (
+                            <th className="px-6 py-4 text-left text-xs font-semibold text-linear-text-secondary uppercase tracking-wider">
+                              {isPattern ? 'Motif Matches' : 'Sequence Match'}
+                            </th>
+                          )}
                         </tr>
                       </thead>
                       <tbody>
@@ -417,11 +675,56 @@ export default function SequenceSearch() {
                               <td className="px-6 py-4 text-sm">
                                 {protein.length || 'N/A'}
                               </td>
-                              <td className="px-6 py-4 text-xs font-mono">
-                                <span className="text-gray-500">{beforeMatch}</span>
-                                <span className="bg-green-200 font-semibold">{matchedPart}</span>
-                                <span className="text-gray-500">{afterMatch}</span>
-                              </td>
+                              {isSimilarity && protein.alignment ? (
+                                <>
+                                  <td className="px-6 py-4 text-sm font-semibold text-[#08c88a]">
+                                    {protein.alignment.identity.toFixed(1)}%
+                                  </td>
+                                  <td className="px-6 py-4 text-sm" title={`${protein.alignment.bitScore.toFixed(1)} bits`}>
+                                    {protein.alignment.score}
+                                  </td>
+                                  <td className="px-6 py-4 text-sm font-mono">
+                                    {formatEValue(protein.alignment.evalue)}
+                                  </td>
+                                  <td className="px-6 py-4 text-xs font-mono">
+                                    <div className="text-gray-500 mb-1">
+                                      Query {protein.alignment.queryStart}-{protein.alignment.queryEnd} / Subject {protein.alignment.targetStart}-{protein.alignment.targetEnd}
+                                    </div>
+                                    <pre className="leading-tight" title={protein.alignment.alignedTarget}>
+                                      {`${truncateSequence(protein.alignment.alignedQuery, 30)}\n${truncateSequence(protein.alignment.midline, 30)}\n${truncateSequence(protein.alignment.alignedTarget, 30)}`}
+                                    </pre>
+                                  </td>
+                                </>
+                              ) : isPattern && protein.matches ? (
+                                <td className="px-6 py-4 text-xs font-mono max-w-md">
+                                  <div className="text-gray-500 mb-1 font-sans">
+                                    {protein.matches.length} match{protein.matches.length !== 1 ? 'es' : ''} at{' '}
+                                    {protein.matches.map(match => `${match.start}-${match.end}`).join(', ')}
+                                  </div>
+                                  <div className="break-all max-h-24 overflow-y-auto leading-relaxed">
+                                    {buildMotifSegments(proteinSeq, protein.matches).map((segment, segmentIndex) => (
+                                      <span
+                                        key={segmentIndex}
+                                        className={
+                                          segment.mark === 'mismatch'
+                                            ? 'bg-orange-200 font-semibold'
+                                            : segment.mark === 'match'
+                                              ? 'bg-green-200 font-semibold'
+                                              : 'text-gray-500'
+                                        }
+                                      >
+                                        {segment.text}
+                                      </span>
+                                    ))}
+                                  </div>
+                                </td>
+                              ) : (
+                                <td className="px-6 py-4 text-xs font-mono">
+                                  <span className="text-gray-500">{beforeMatch}</span>
+                                  <span className="bg-green-200 font-semibold">{matchedPart}</span>
+                                  <span className="text-gray-500">{afterMatch}</span>
+                                </td>
+                              )}
                             </tr>
                           );
                         })}
@@ -0,0 +1,274 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { ChevronRight, ChevronDown, Plus, Minus, X, Search } from 'lucide-react';
+import { apiClient } from '../lib/apiClient';
+import { splitTaxonIds } from '../lib/proteinFilters';
+
+const SEARCH_DELAY = 250; // ms after the last keystroke
+const TOP = 'top'; // childrenOf key of the top of the tree
+
+const TaxonRow = ({ taxon, depth, expandable, isExpanded, onExpand, selection, onSelect }) => (
+  <div
+    className="flex items-center gap-2 py-1.5 pr-2 hover:bg-green-50 rounded-lg"
+    style={{ paddingLeft: `${depth * 1.25 + 0.25}rem` }}
+  >
+    {expandable ? (
+      <button
+        type="button"
+        onClick={onExpand}
+        className="p-0.5 text-gray-400 hover:text-[#08c88a]"
+        title={isExpanded ? 'Collapse' : 'Expand'}
+      >
+        {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+      </button>
+    ) : (
+      <span className="w-5" />
+    )}
+    <span className={`text-sm truncate ${
+      selection === 'include' ? 'text-[#047857] font-semibold' : selection === 'exclude' ? 'text-red-600 line-through' : 'text-gray-800'
+    }`} title={taxon.aliases ? `Also known as ${taxon.aliases}` : undefined}>
+      {taxon.name}
+    </span>
+    {taxon.rank && taxon.rank !== 'no rank' && (
+      <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 flex-shrink-0">{taxon.rank}</span>
+    )}
+    <span className="text-xs text-gray-500 ml-auto flex-shrink-0">{(taxon.protein_count || 0).toLocaleString()}</span>
+    <button
+      type="button"
+      onClick={() => onSelect(taxon, selection === 'include' ? null : 'include')}
+      title={selection === 'include' ? 'Remove' : 'Only proteins from this taxon'}
+      className={`p-1 rounded-lg transition-colors ${selection === 'include' ? 'bg-[#08c88a] text-white' : 'text-gray-400 hover:text-[#08c88a] hover:bg-white'}`}
+    >
+      <Plus className="w-3.5 h-3.5" />
+    </button>
+    <button
+      type="button"
+      onClick={() => onSelect(taxon, selection === 'exclude' ? null : 'exclude')}
+      title={selection === 'exclude' ? 'Remove' : 'Leave out proteins from this taxon'}
+      className={`p-1 rounded-lg transition-colors ${selection === 'exclude' ? 'bg-red-500 text-white' : 'text-gray-400 hover:text-red-600 hover:bg-white'}`}
+    >
+      <Minus className="w-3.5 h-3.5" />
+    </button>
+  </div>
+);
+
+/**
+ * NCBI taxonomy browser for the Explore view (/api/taxonomy). Taxa can be
+ * included or excluded at any rank; the selection is kept in the includeTaxa
+ * and excludeTaxa filters as comma separated tax ids.
+ */
+export default function TaxonomyBrowser({ include, exclude, onChange }) {
+  const [childrenOf, setChildrenOf] = useState(new Map()); // parent tax id (or TOP) -> taxa
+  const [expanded, setExpanded] = useState(new Set());
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null); // Search results, null when not searching
+  const [error, setError] = useState(null);
+  const [taxa, setTaxa] = useState(new Map()); // tax id -> taxon, names for the selection chips
+  const requested = useRef(new Set()); // Selected ids already looked up
+
+  const includeIds = splitTaxonIds(include);
+  const excludeIds = splitTaxonIds(exclude);
+
+  const remember = (list) => {
+    setTaxa(prev => {
+      const next = new Map(prev);
+      list.forEach(taxon => next.set(String(taxon.tax_id), taxon));
+      return next;
+    });
+  };
+
+  const loadChildren = async (parentId) => {
+    const key = parentId ?? TOP;
+    if (childrenOf.has(key)) return;
+
+    try {
+      const children = await apiClient.fetchTaxonChildren(parentId);
+      setChildrenOf(prev => new Map(prev).set(key, children));
+      remember(children);
+    } catch (err) {
+      setError(err.message || 'Taxonomy unavailable');
+    }
+  };
+
+  // Top of the tree
+  useEffect(() => {
+    let cancelled = false;
+    apiClient.fetchTaxonChildren(null)
+      .then(children => {
+        if (cancelled) return;
+        setChildrenOf(prev => new Map(prev).set(TOP, children));
+        remember(children);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Taxonomy unavailable');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Names of selected taxa set from outside, e.g. a restored search
+  useEffect(() => {
+    const missing = [...splitTaxonIds(include), ...splitTaxonIds(exclude)]
+      .filter(id => !requested.current.has(id));
+    if (missing.length === 0) return;
+
+    missing.forEach(id => requested.current.add(id));
+    apiClient.fetchTaxa(missing)
+      .then(remember)
+      .catch(err => console.error('Failed to load taxon names:', err));
+  }, [include, exclude]);
+
+  // Search as the user types
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const found = await apiClient.searchTaxa(query);
+        if (cancelled) return;
+        setResults(found);
+        remember(found);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Taxonomy search failed');
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const selectionOf = (taxId) => {
+    const id = String(taxId);
+    if (includeIds.includes(id)) return 'include';
+    if (excludeIds.includes(id)) return 'exclude';
+    return null;
+  };
+
+  // mode: 'include', 'exclude' or null to clear
+  const handleSelect = (taxon, mode) => {
+    const id = String(taxon.tax_id);
+    const without = (ids) => ids.filter(other => other !== id);
+
+    onChange('includeTaxa', (mode === 'include' ? [...without(includeIds), id] : without(includeIds)).join(','));
+    onChange('excludeTaxa', (mode === 'exclude' ? [...without(excludeIds), id] : without(excludeIds)).join(','));
+  };
+
+  const handleExpand = (taxId) => {
+    const next = new Set(expanded);
+    if (next.has(taxId)) {
+      next.delete(taxId);
+    } else {
+      next.add(taxId);
+      loadChildren(taxId);
+    }
+    setExpanded(next);
+  };
+
+  const renderTree = (parentKey, depth) => {
+    const children = childrenOf.get(parentKey);
+    if (!children) {
+      return <div className="text-xs text-gray-500 py-1" style={{ paddingLeft: `${depth * 1.25 + 1.5}rem` }}>Loading...</div>;
+    }
+
+    return children.map(taxon => (
+      <div key={taxon.tax_id}>
+        <TaxonRow
+          taxon={taxon}
+          depth={depth}
+          expandable={childrenOf.get(taxon.tax_id)?.length !== 0}
+          isExpanded={expanded.has(taxon.tax_id)}
+          onExpand={() => handleExpand(taxon.tax_id)}
+          selection={selectionOf(taxon.tax_id)}
+          onSelect={handleSelect}
+        />
+        {expanded.has(taxon.tax_id) && renderTree(taxon.tax_id, depth + 1)}
+      </div>
+    ));
+  };
+
+  const chips = [
+    ...includeIds.map(id => ({ id, mode: 'include' })),
+    ...excludeIds.map(id => ({ id, mode: 'exclude' }))
+  ];
+
+  return (
+    <div className="space-y-3">
+      {chips.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {chips.map(({ id, mode }) => (
+            <span
+              key={`${mode}-${id}`}
+              className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium ${
+                mode === 'include' ? 'bg-green-100 text-[#047857]' : 'bg-red-100 text-red-700'
+              }`}
+            >
+              {mode === 'include' ? 'In' : 'Not in'} {taxa.get(id)?.name || `taxon ${id}`}
+              {taxa.get(id)?.rank && taxa.get(id).rank !== 'no rank' && (
+                <span className="opacity-70">({taxa.get(id).rank})</span>
+              )}
+              <button
+                type="button"
+                onClick={() => handleSelect({ tax_id: id }, null)}
+                title="Remove"
+                className="hover:opacity-70"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search taxa, e.g. Staphylococcus or Firmicutes..."
+          className="input-linear w-full pl-9"
+        />
+      </div>
+
+      {error && (
+        <p className="text-xs text-orange-500">{error}</p>
+      )}
+
+      <div className="max-h-80 overflow-y-auto bg-white rounded-xl border border-gray-100 p-2">
+        {results !== null ? (
+          results.length > 0 ? (
+            results.map(taxon => (
+              <TaxonRow
+                key={taxon.tax_id}
+                taxon={taxon}
+                depth={0}
+                expandable={false}
+                selection={selectionOf(taxon.tax_id)}
+                onSelect={handleSelect}
+              />
+            ))
+          ) : (
+            <p className="text-sm text-gray-500 p-2">No matching taxa</p>
+          )
+        ) : (
+          renderTree(TOP, 0)
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        <Plus className="inline w-3 h-3" /> keeps only proteins from a taxon and everything below it,{' '}
+        <Minus className="inline w-3 h-3" /> leaves them out. Organisms are mapped to the NCBI taxonomy by name.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+-- API tokens for the public REST API (/api/v1)
+-- Tokens are issued per access code; only a SHA-256 hash of each token is stored,
+-- the plain token is shown once when it is created.
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id BIGSERIAL PRIMARY KEY,
+    access_code TEXT NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,           -- first characters of the token, to tell tokens apart in listings
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_access_code ON api_tokens(access_code);
+
+-- The table is only accessed by the Next.js server (lib/apiTokens.js) with the service
+-- role key. The anon key must not reach it: it could read the access code of every
+-- token, or insert a token_hash of its own for any code.
+ALTER TABLE api_tokens ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON api_tokens FROM anon, authenticated;
+REVOKE ALL ON SEQUENCE api_tokens_id_seq FROM anon, authenticated;
@@ -0,0 +1,54 @@
+-- Domain architecture search
+-- Run this in the Supabase SQL Editor before using the architecture filter.
+--
+-- entries_architecture() turns an entries_header such as
+--   'PF01476(180...225) PF01510(5...150)'
+-- into the protein's architecture, its accessions ordered by where each domain
+-- starts: 'PF01510 PF01476'. It follows getArchitectureString() in
+-- lib/domainAnnotations.js, so keep the two in sync.
+--
+-- architecture(proteins) exposes it to PostgREST as a computed column, which
+-- the dashboard filters with regular expressions (`architecture=match.<pattern>`).
+
+CREATE OR REPLACE FUNCTION entries_architecture(p_header TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(string_agg(d.accession, ' ' ORDER BY d.first_start, d.ord), '')
+  FROM (
+    SELECT
+      upper(m[1]) AS accession,
+      t.ord,
+      (
+        SELECT min(LEAST(r[1]::INT, r[2]::INT)) FILTER (WHERE LEAST(r[1]::INT, r[2]::INT) >= 1)
+        FROM regexp_matches(m[2], '(\d+)\s*(?:\.+|-+)\s*(\d+)', 'g') AS r
+      ) AS first_start
+    FROM regexp_matches(COALESCE(p_header, ''), '([A-Za-z0-9_.]+)\s*\(([^()]*)\)', 'g') WITH ORDINALITY AS t(m, ord)
+  ) d
+  WHERE d.first_start IS NOT NULL;
+$$;
+
+CREATE OR REPLACE FUNCTION architecture(proteins)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT entries_architecture($1.entries_header);
+$$;
+
+-- Architecture filters also match every domain against entries_header, which
+-- uses the trigram index from create_entries_header_index.sql. This index lets
+-- the architecture pattern itself be checked without re-parsing each header.
+CREATE INDEX IF NOT EXISTS idx_proteins_architecture_trgm
+ON proteins USING gin (entries_architecture(entries_header) gin_trgm_ops);
+
+GRANT EXECUTE ON FUNCTION entries_architecture(TEXT) TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION architecture(proteins) TO anon, authenticated, service_role;
+
+-- Example: proteins with a PF01510 domain followed by a PF01476 domain
+-- SELECT id, accession, architecture(p)
+-- FROM proteins p
+-- WHERE entries_header ~ 'PF01510' AND entries_header ~ 'PF01476'
+--   AND architecture(p) ~ '(^| )(PF01510)( [^ ]+)* (PF01476)( |$)'
+-- LIMIT 20;
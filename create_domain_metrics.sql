@@ -0,0 +1,56 @@
+-- Numeric domain filters: number of domains and domain coverage
+-- Run this in the Supabase SQL Editor before using the coverage and domain count filters.
+--
+-- Both values are derived from entries_header (parsed like lib/domainAnnotations.js)
+-- and stored as generated columns so the filters can use plain btree indexes.
+-- Adding the columns rewrites the proteins table once; run it off-peak.
+
+-- Number of domains: one per "ACCESSION(ranges)" group containing at least one range
+CREATE OR REPLACE FUNCTION entries_domain_count(p_header TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT count(*)::INTEGER
+  FROM regexp_matches(COALESCE(p_header, ''), '[A-Za-z0-9_.]+\s*\([^()]*\d+\s*(?:\.+|-+)\s*\d+[^()]*\)', 'g');
+$$;
+
+-- Percentage (0-100) of the sequence covered by at least one domain range.
+-- Overlapping ranges are counted once; ranges past the end of the protein are clipped.
+CREATE OR REPLACE FUNCTION entries_domain_coverage(p_header TEXT, p_length INTEGER)
+RETURNS NUMERIC(5, 2)
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_length IS NULL OR p_length <= 0 THEN NULL
+    ELSE round(100.0 * (
+      SELECT count(DISTINCT position)
+      FROM regexp_matches(COALESCE(p_header, ''), '[A-Za-z0-9_.]+\s*\(([^()]*)\)', 'g') AS m,
+           regexp_matches(m[1], '(\d+)\s*(?:\.+|-+)\s*(\d+)', 'g') AS r,
+           generate_series(
+             GREATEST(LEAST(r[1]::INTEGER, r[2]::INTEGER), 1),
+             LEAST(GREATEST(r[1]::INTEGER, r[2]::INTEGER), p_length)
+           ) AS position
+    ) / p_length, 2)
+  END;
+$$;
+
+ALTER TABLE proteins
+  ADD COLUMN IF NOT EXISTS domain_count INTEGER
+    GENERATED ALWAYS AS (entries_domain_count(entries_header)) STORED;
+
+ALTER TABLE proteins
+  ADD COLUMN IF NOT EXISTS domain_coverage NUMERIC(5, 2)
+    GENERATED ALWAYS AS (entries_domain_coverage(entries_header, length)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_proteins_length ON proteins (length);
+CREATE INDEX IF NOT EXISTS idx_proteins_domain_count ON proteins (domain_count);
+CREATE INDEX IF NOT EXISTS idx_proteins_domain_coverage ON proteins (domain_coverage);
+
+-- Example: 150-350 aa proteins with two or more domains covering at least 60% of the sequence
+-- SELECT id, accession, length, domain_count, domain_coverage
+-- FROM proteins
+-- WHERE length BETWEEN 150 AND 350 AND domain_count >= 2 AND domain_coverage >= 60
+-- ORDER BY id
+-- LIMIT 50;
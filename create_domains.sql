@@ -0,0 +1,64 @@
+-- Pfam domain catalog
+-- Run this in the Supabase SQL Editor, then fill it with scripts/load-pfam-domains.mjs.
+--
+-- One row per Pfam family from the Pfam-A metadata dump (Pfam-A.hmm.dat), with
+-- its clan from Pfam-C. protein_count is derived from proteins.entries_header by
+-- refresh_domain_protein_counts(), which the loader calls after every import.
+
+CREATE TABLE IF NOT EXISTS domains (
+  accession TEXT PRIMARY KEY,          -- PF01510, without the version suffix
+  name TEXT NOT NULL,                  -- Pfam ID, e.g. Amidase_2
+  description TEXT,                    -- e.g. N-acetylmuramoyl-L-alanine amidase
+  type TEXT,                           -- Family, Domain, Repeat, Motif, Coiled-coil, Disordered
+  clan_accession TEXT,                 -- e.g. CL0170
+  clan_name TEXT,                      -- e.g. Zn_peptidase (when Pfam-C was loaded)
+  pfam_version TEXT,                   -- version suffix of the accession, e.g. 29
+  protein_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_domains_clan ON domains (clan_accession);
+CREATE INDEX IF NOT EXISTS idx_domains_protein_count ON domains (protein_count DESC);
+
+-- Picker search matches accession, name and description anywhere
+CREATE INDEX IF NOT EXISTS idx_domains_search_trgm
+ON domains USING gin ((accession || ' ' || name || ' ' || coalesce(description, '')) gin_trgm_ops);
+
+-- The catalog is public Pfam metadata: readable by everyone, written only by the loader
+ALTER TABLE domains ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "domains are readable" ON domains;
+CREATE POLICY "domains are readable" ON domains FOR SELECT USING (true);
+
+-- Number of proteins annotated with each catalogued domain
+CREATE OR REPLACE FUNCTION refresh_domain_protein_counts()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+SET statement_timeout = '15min'
+AS $$
+DECLARE
+  v_updated INTEGER;
+BEGIN
+  WITH counts AS (
+    SELECT upper(m[1]) AS accession, count(DISTINCT p.id)::INTEGER AS protein_count
+    FROM proteins p
+    CROSS JOIN LATERAL regexp_matches(p.entries_header, '(PF\d{5})', 'gi') AS m
+    GROUP BY 1
+  )
+  UPDATE domains d
+  SET protein_count = COALESCE(c.protein_count, 0),
+      updated_at = now()
+  FROM domains d2
+  LEFT JOIN counts c ON c.accession = d2.accession
+  WHERE d.accession = d2.accession
+    AND d.protein_count IS DISTINCT FROM COALESCE(c.protein_count, 0);
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+  RETURN v_updated;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION refresh_domain_protein_counts() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refresh_domain_protein_counts() TO service_role;
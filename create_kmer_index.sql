@@ -0,0 +1,117 @@
+-- k-mer inverted index for fast substring and approximate sequence search
+-- Every protein is split into overlapping 5-mers; a query is answered by
+-- looking up its own 5-mers here (index scan) and then verifying the few
+-- candidate proteins, instead of running LIKE '%...%' over 2M sequences.
+
+-- Step 1: Index table - one row per (5-mer, protein)
+CREATE TABLE IF NOT EXISTS protein_kmers (
+    kmer CHAR(5) NOT NULL,
+    protein_id BIGINT NOT NULL REFERENCES proteins(id) ON DELETE CASCADE,
+    PRIMARY KEY (kmer, protein_id)
+);
+
+-- Used when a protein is re-indexed or deleted
+CREATE INDEX IF NOT EXISTS idx_protein_kmers_protein_id ON protein_kmers(protein_id);
+
+-- Step 2: Builder progress (the builder works through proteins in id order)
+CREATE TABLE IF NOT EXISTS kmer_index_state (
+    id INT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    last_protein_id BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO kmer_index_state (id, last_protein_id) VALUES (1, 0)
+ON CONFLICT (id) DO NOTHING;
+
+-- Step 3: Batch builder - indexes the next batch_size proteins and returns
+-- how many proteins were processed (0 when the index is complete).
+-- Run repeatedly (see scripts/build-kmer-index.mjs) to stay under the statement timeout.
+CREATE OR REPLACE FUNCTION build_protein_kmers(batch_size INT DEFAULT 2000)
+RETURNS INT AS $$
+DECLARE
+    v_last_id BIGINT;
+    v_batch_last_id BIGINT;
+    v_processed INT;
+BEGIN
+    SELECT last_protein_id INTO v_last_id FROM kmer_index_state WHERE id = 1;
+
+    SELECT COUNT(*), MAX(id) INTO v_processed, v_batch_last_id
+    FROM (
+        SELECT id FROM proteins
+        WHERE id > v_last_id
+        ORDER BY id
+        LIMIT batch_size
+    ) batch;
+
+    IF v_processed = 0 THEN
+        RETURN 0;
+    END IF;
+
+    INSERT INTO protein_kmers (kmer, protein_id)
+    SELECT DISTINCT SUBSTRING(p.sequence, g.pos, 5), p.id
+    FROM proteins p
+    CROSS JOIN LATERAL generate_series(1, LENGTH(p.sequence) - 4) AS g(pos)
+    WHERE p.id > v_last_id
+      AND p.id <= v_batch_last_id
+      AND p.sequence IS NOT NULL
+    ON CONFLICT DO NOTHING;
+
+    UPDATE kmer_index_state
+    SET last_protein_id = v_batch_last_id, updated_at = NOW()
+    WHERE id = 1;
+
+    RETURN v_processed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 4: Keep the index current when sequences are inserted or changed
+CREATE OR REPLACE FUNCTION refresh_protein_kmers()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM protein_kmers WHERE protein_id = NEW.id;
+
+    IF NEW.sequence IS NOT NULL THEN
+        INSERT INTO protein_kmers (kmer, protein_id)
+        SELECT DISTINCT SUBSTRING(NEW.sequence, g.pos, 5), NEW.id
+        FROM generate_series(1, LENGTH(NEW.sequence) - 4) AS g(pos)
+        ON CONFLICT DO NOTHING;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS proteins_refresh_kmers ON proteins;
+CREATE TRIGGER proteins_refresh_kmers
+    AFTER INSERT OR UPDATE OF sequence ON proteins
+    FOR EACH ROW EXECUTE FUNCTION refresh_protein_kmers();
+
+-- Step 5: Seeding RPC - proteins sharing at least p_min_hits of the given k-mers,
+-- best seeded first. Called from lib/kmerIndex.js.
+CREATE OR REPLACE FUNCTION seed_proteins_by_kmers(
+    p_kmers TEXT[],
+    p_min_hits INT DEFAULT 1,
+    p_limit INT DEFAULT 500
+)
+RETURNS TABLE (protein_id BIGINT, hits BIGINT) AS $$
+    SELECT k.protein_id, COUNT(*) AS hits
+    FROM protein_kmers k
+    WHERE k.kmer = ANY(p_kmers)
+    GROUP BY k.protein_id
+    HAVING COUNT(*) >= p_min_hits
+    ORDER BY hits DESC, k.protein_id
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Grant permissions
+GRANT SELECT ON protein_kmers TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION seed_proteins_by_kmers TO authenticated;
+GRANT EXECUTE ON FUNCTION seed_proteins_by_kmers TO anon;
+
+-- Only scripts/build-kmer-index.mjs runs the builder, with SUPABASE_SERVICE_ROLE_KEY.
+-- With the public anon key anyone could make it index (and write) large batches at will.
+REVOKE EXECUTE ON FUNCTION build_protein_kmers FROM PUBLIC, anon, authenticated;
+
+-- Progress check
+SELECT s.last_protein_id, (SELECT MAX(id) FROM proteins) AS max_protein_id, s.updated_at
+FROM kmer_index_state s;
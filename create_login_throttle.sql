@@ -0,0 +1,138 @@
+-- Brute-force protection for access-code login (see lib/loginThrottle.js)
+-- Failed attempts are counted per client key (IP address and browser client id).
+-- Each failure delays the next attempt (1s, 2s, 4s, ...); after too many failures the
+-- key is locked out, and every further lockout doubles in length.
+
+-- Step 1: Throttle state per client key
+CREATE TABLE IF NOT EXISTS login_throttle (
+    client_key TEXT PRIMARY KEY,           -- 'ip:203.0.113.7' or 'client:<uuid>'
+    failed_count INT NOT NULL DEFAULT 0,   -- failures since the last success/lockout
+    lockout_count INT NOT NULL DEFAULT 0,  -- lockouts so far, drives the lockout length
+    next_attempt_at TIMESTAMPTZ,
+    locked_until TIMESTAMPTZ,
+    last_failed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Step 2: Audit log of login attempts
+CREATE TABLE IF NOT EXISTS login_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ip_address TEXT,
+    client_id TEXT,
+    user_agent TEXT,
+    code_hint TEXT,                        -- first two digits only, e.g. '12****'
+    outcome TEXT NOT NULL                  -- success, not_found, disabled, expired, exhausted, locked, throttled
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_audit_log_created_at ON login_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_audit_log_ip ON login_audit_log(ip_address, created_at DESC);
+
+-- Step 3: Claim a login attempt. Checking the throttle and counting the attempt happen
+-- in one statement under row locks, so parallel requests cannot all pass the check: each
+-- attempt is counted as a failure up front and record_login_success() takes it back.
+-- There is no site-wide lockout: it would let anyone lock every user out. Watch
+-- login_audit_log for distributed guessing instead (query at the end of this file).
+-- The earlier version also took a site-wide limit and window; drop it and its counter
+DROP FUNCTION IF EXISTS claim_login_attempt(TEXT[], INT, INT, INT, INT, INT);
+DELETE FROM login_throttle WHERE client_key = 'global';
+
+CREATE OR REPLACE FUNCTION claim_login_attempt(
+    p_keys TEXT[],
+    p_max_attempts INT DEFAULT 5,
+    p_base_lockout_seconds INT DEFAULT 900,
+    p_reset_after_seconds INT DEFAULT 3600
+)
+RETURNS TABLE (allowed BOOLEAN, failed_count INT, next_attempt_at TIMESTAMPTZ, locked_until TIMESTAMPTZ) AS $$
+DECLARE
+    v_wait_until TIMESTAMPTZ;
+BEGIN
+    INSERT INTO login_throttle (client_key)
+    SELECT unnest(p_keys)
+    ON CONFLICT (client_key) DO NOTHING;
+
+    -- Concurrent attempts wait for each other here (sorted to avoid deadlocks)
+    PERFORM 1 FROM login_throttle t
+    WHERE t.client_key = ANY(p_keys)
+    ORDER BY t.client_key
+    FOR UPDATE;
+
+    SELECT MAX(GREATEST(COALESCE(t.locked_until, '-infinity'), COALESCE(t.next_attempt_at, '-infinity')))
+    INTO v_wait_until
+    FROM login_throttle t
+    WHERE t.client_key = ANY(p_keys);
+
+    IF v_wait_until > NOW() THEN
+        RETURN QUERY
+        SELECT FALSE, MAX(t.failed_count)::INT, MAX(t.next_attempt_at), MAX(t.locked_until)
+        FROM login_throttle t
+        WHERE t.client_key = ANY(p_keys);
+        RETURN;
+    END IF;
+
+    UPDATE login_throttle t
+    SET
+        -- Forget old failures after a quiet period
+        failed_count = CASE
+            WHEN t.last_failed_at IS NULL OR t.last_failed_at < NOW() - make_interval(secs => p_reset_after_seconds)
+            THEN 1
+            ELSE t.failed_count + 1
+        END,
+        last_failed_at = NOW(),
+        updated_at = NOW()
+    WHERE t.client_key = ANY(p_keys);
+
+    -- Progressive delay, or a lockout once the limit is reached
+    UPDATE login_throttle t
+    SET
+        next_attempt_at = NOW() + make_interval(secs => LEAST(POWER(2, t.failed_count - 1), 60)),
+        locked_until = CASE
+            WHEN t.failed_count >= p_max_attempts
+            THEN NOW() + make_interval(secs => LEAST(p_base_lockout_seconds * POWER(2, t.lockout_count), 86400))
+            ELSE t.locked_until
+        END,
+        lockout_count = CASE WHEN t.failed_count >= p_max_attempts THEN t.lockout_count + 1 ELSE t.lockout_count END,
+        failed_count = CASE WHEN t.failed_count >= p_max_attempts THEN 0 ELSE t.failed_count END
+    WHERE t.client_key = ANY(p_keys);
+
+    RETURN QUERY
+    SELECT TRUE, MAX(t.failed_count)::INT, MAX(t.next_attempt_at), MAX(t.locked_until)
+    FROM login_throttle t
+    WHERE t.client_key = ANY(p_keys);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 4: Take back the attempt claimed by a successful login (lockout history is kept)
+CREATE OR REPLACE FUNCTION record_login_success(p_keys TEXT[])
+RETURNS VOID AS $$
+BEGIN
+    UPDATE login_throttle t
+    SET failed_count = 0, next_attempt_at = NULL, locked_until = NULL, updated_at = NOW()
+    WHERE t.client_key = ANY(p_keys);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Replaced by claim_login_attempt(), which counts the attempt before the code is checked
+DROP FUNCTION IF EXISTS record_login_failure(TEXT, INT, INT, INT);
+
+-- Only accessed by the Next.js server with the service role key. With the public anon
+-- key a client could delete its own lockout or write fake audit entries.
+ALTER TABLE login_throttle ENABLE ROW LEVEL SECURITY;
+ALTER TABLE login_audit_log ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON login_throttle FROM anon, authenticated;
+REVOKE ALL ON login_audit_log FROM anon, authenticated;
+REVOKE ALL ON SEQUENCE login_audit_log_id_seq FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_login_attempt FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_login_success FROM PUBLIC, anon, authenticated;
+
+-- Recent failures by IP
+-- SELECT ip_address, COUNT(*) FROM login_audit_log
+-- WHERE outcome <> 'success' AND created_at > NOW() - INTERVAL '1 day'
+-- GROUP BY ip_address ORDER BY COUNT(*) DESC;
+
+-- Failures site-wide per 10 minutes; a spike spread over many IPs is distributed guessing
+-- SELECT date_bin('10 minutes', created_at, TIMESTAMPTZ '2000-01-01') AS window_start,
+--        COUNT(*) AS failures, COUNT(DISTINCT ip_address) AS ips
+-- FROM login_audit_log
+-- WHERE outcome NOT IN ('success', 'locked', 'throttled') AND created_at > NOW() - INTERVAL '1 day'
+-- GROUP BY window_start ORDER BY window_start DESC;
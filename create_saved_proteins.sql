@@ -0,0 +1,66 @@
+-- Saved proteins: one row per protein in a collection (see lib/savedProteins.js)
+-- Collections (saved_queries rows, alter_saved_queries_collections.sql) used to keep their
+-- proteins in a saved_proteins JSON array that the browser read, changed and wrote back,
+-- so two tabs or two teammates sharing a code overwrote each other's saves and deletes.
+-- With one row per protein a save is a single INSERT ... ON CONFLICT DO NOTHING and a
+-- delete a single DELETE, and concurrent changes from different sessions all apply.
+-- Apply after alter_saved_queries_collections.sql.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS saved_proteins (
+    id BIGSERIAL PRIMARY KEY,
+    collection_id BIGINT NOT NULL REFERENCES saved_queries(id) ON DELETE CASCADE,
+    protein_id BIGINT NOT NULL,
+    -- Copied from proteins when saved, so the list shows without joining the big table
+    accession TEXT,
+    name TEXT,
+    organism TEXT,
+    entries_header TEXT,
+    length INTEGER,
+    saved_date TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (collection_id, protein_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_proteins_collection ON saved_proteins(collection_id, saved_date, id);
+
+-- Move the JSON arrays into rows, oldest entry first. The JSON column is dropped so the
+-- saved_proteins embed of saved_queries (saved_queries?select=saved_proteins(...)) refers
+-- to this table; clients still writing the array must be updated together with this script.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'saved_queries' AND column_name = 'saved_proteins'
+    ) THEN
+        INSERT INTO saved_proteins (collection_id, protein_id, accession, name, organism, entries_header, length, saved_date)
+        SELECT q.id,
+               (entry->>'id')::BIGINT,
+               entry->>'accession',
+               entry->>'name',
+               entry->>'organism',
+               entry->>'entries_header',
+               (entry->>'length')::INTEGER,
+               COALESCE((entry->>'saved_date')::TIMESTAMPTZ, NOW())
+        FROM saved_queries q
+        CROSS JOIN LATERAL jsonb_array_elements(COALESCE(q.saved_proteins::JSONB, '[]'::JSONB)) WITH ORDINALITY AS e(entry, position)
+        WHERE entry->>'id' IS NOT NULL
+        ORDER BY q.id, position
+        ON CONFLICT (collection_id, protein_id) DO NOTHING;
+
+        ALTER TABLE saved_queries DROP COLUMN saved_proteins;
+    END IF;
+END $$;
+
+-- Only accessed by the Next.js server with the service role key (lib/savedProteins.js,
+-- behind /api/collections), which scopes every query to the session's access code. With
+-- the anon key, which ships with the browser bundle, anyone could read, overwrite or
+-- delete the collections of any code.
+ALTER TABLE saved_proteins ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON saved_proteins FROM anon, authenticated;
+REVOKE ALL ON SEQUENCE saved_proteins_id_seq FROM anon, authenticated;
+
+ALTER TABLE saved_queries ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON saved_queries FROM anon, authenticated;
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- Saved searches: named search definitions per access code (see lib/savedSearches.js)
+-- A saved search stores the dashboard query string of the search (lib/searchUrl.js),
+-- e.g. "organism=aureus&minLength=200" or "section=search&mode=pattern&sequence=C-x(2)-C",
+-- so opening it shows the same search. Every run records the result count and the
+-- matching protein ids so the next run can tell what changed.
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id BIGSERIAL PRIMARY KEY,
+    access_code TEXT NOT NULL,
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('explore', 'sequence')),
+    search TEXT NOT NULL,                 -- Dashboard query string, without page
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_run_at TIMESTAMPTZ,
+    last_count INTEGER,
+    last_count_estimated BOOLEAN NOT NULL DEFAULT FALSE,
+    last_result_ids BIGINT[],             -- Explore: lowest 1000 matching ids; sequence: ids of the first result page
+    UNIQUE (access_code, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_access_code ON saved_searches(access_code, created_at DESC);
+
+-- Only accessed by the Next.js server with the service role key (lib/supabaseServer.js),
+-- which scopes every query to the session's access code. The anon key ships with the
+-- browser bundle, so it must not reach the searches of other codes.
+ALTER TABLE saved_searches ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON saved_searches FROM anon, authenticated;
+REVOKE ALL ON SEQUENCE saved_searches_id_seq FROM anon, authenticated;
@@ -0,0 +1,29 @@
+-- Login sessions issued after access-code validation (see app/api/session/route.js)
+-- The browser only holds a signed, HTTP-only cookie with the session id; this table
+-- lets logout revoke a session before its cookie expires.
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY,
+    access_code TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    ip_address TEXT,
+    user_agent TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_access_code ON sessions(access_code);
+
+-- Housekeeping: remove sessions that expired more than a week ago
+-- DELETE FROM sessions WHERE expires_at < NOW() - INTERVAL '7 days';
+
+-- Only accessed by the Next.js server with the service role key (lib/supabaseServer.js).
+-- The anon key ships with the browser bundle, so it must not reach session rows: with
+-- it anyone could read live access codes or clear revoked_at on a revoked session.
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON sessions FROM anon, authenticated;
+
+-- Access codes are validated on the server (lib/accessCodes.js) since sessions replaced
+-- the browser-side check, so the browser no longer needs to read them either.
+ALTER TABLE codes ENABLE ROW LEVEL SECURITY;
+REVOKE SELECT ON codes FROM anon, authenticated;
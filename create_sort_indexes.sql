@@ -0,0 +1,11 @@
+-- Indexes for sorted results in Explore Database
+-- Run this in the Supabase SQL Editor.
+--
+-- Sorted pages are ordered by the chosen column and then by id (see
+-- ProteinService.applySort), so each index ends with id. Domain sorting uses
+-- the raw entries_header and has no index of its own; combine it with filters.
+
+CREATE INDEX IF NOT EXISTS idx_proteins_accession_id ON proteins (accession, id);
+CREATE INDEX IF NOT EXISTS idx_proteins_name_id ON proteins (name, id);
+CREATE INDEX IF NOT EXISTS idx_proteins_organism_id ON proteins (source_organism_full_name, id);
+CREATE INDEX IF NOT EXISTS idx_proteins_length_id ON proteins (length, id);
@@ -0,0 +1,107 @@
+-- NCBI taxonomy for organism filtering
+-- Run this in the Supabase SQL Editor, then fill it with scripts/load-ncbi-taxonomy.mjs.
+--
+-- organism_lineages maps every distinct proteins.source_organism_full_name to an
+-- NCBI taxon and its lineage. taxa holds the taxa of those lineages (not the whole
+-- NCBI tree) for the taxonomy browser. refresh_protein_lineages(), which the loader
+-- calls after every import, copies the lineages onto proteins.lineage so the
+-- Explore filters can use a GIN index:
+--   lineage=ov.{1239}          proteins in Bacillota (Firmicutes)
+--   lineage=not.ov.{561}       proteins outside Escherichia
+
+CREATE TABLE IF NOT EXISTS taxa (
+  tax_id INTEGER PRIMARY KEY,          -- NCBI taxonomy id
+  parent_id INTEGER,                   -- NULL for the root (1)
+  name TEXT NOT NULL,                  -- Scientific name, e.g. Bacillota
+  rank TEXT NOT NULL,                  -- phylum, genus, species, no rank, ...
+  aliases TEXT,                        -- Synonyms and equivalent names joined by " | ", e.g. Firmicutes
+  protein_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_taxa_parent ON taxa (parent_id, protein_count DESC);
+
+-- Browser search matches scientific names and aliases anywhere
+CREATE INDEX IF NOT EXISTS idx_taxa_search_trgm
+ON taxa USING gin ((name || ' ' || coalesce(aliases, '')) gin_trgm_ops);
+
+CREATE TABLE IF NOT EXISTS organism_lineages (
+  organism_name TEXT PRIMARY KEY,      -- proteins.source_organism_full_name as stored
+  tax_id INTEGER,                      -- NULL when no NCBI name matched
+  matched_name TEXT,                   -- The NCBI name that matched, e.g. the species for a strain
+  lineage INTEGER[],                   -- Taxon ids from the top of the tree down to tax_id
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE proteins ADD COLUMN IF NOT EXISTS lineage INTEGER[];
+
+CREATE INDEX IF NOT EXISTS idx_proteins_lineage ON proteins USING gin (lineage);
+
+-- Public NCBI data: readable by everyone, written only by the loader
+ALTER TABLE taxa ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organism_lineages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "taxa are readable" ON taxa;
+CREATE POLICY "taxa are readable" ON taxa FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "organism lineages are readable" ON organism_lineages;
+CREATE POLICY "organism lineages are readable" ON organism_lineages FOR SELECT USING (true);
+
+-- Distinct organism names for the loader to map
+CREATE OR REPLACE FUNCTION list_source_organisms()
+RETURNS TABLE (organism_name TEXT, protein_count BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+SET statement_timeout = '10min'
+AS $$
+  SELECT source_organism_full_name, count(*)
+  FROM proteins
+  WHERE source_organism_full_name IS NOT NULL AND source_organism_full_name <> ''
+  GROUP BY 1
+  ORDER BY 1;
+$$;
+
+-- Copy lineages onto proteins and recount proteins per taxon
+CREATE OR REPLACE FUNCTION refresh_protein_lineages()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+SET statement_timeout = '30min'
+AS $$
+DECLARE
+  v_updated INTEGER;
+BEGIN
+  UPDATE proteins p
+  SET lineage = o.lineage
+  FROM organism_lineages o
+  WHERE o.organism_name = p.source_organism_full_name
+    AND p.lineage IS DISTINCT FROM o.lineage;
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+
+  WITH counts AS (
+    SELECT unnest(lineage) AS tax_id, count(*)::INTEGER AS protein_count
+    FROM proteins
+    WHERE lineage IS NOT NULL
+    GROUP BY 1
+  )
+  UPDATE taxa t
+  SET protein_count = COALESCE(c.protein_count, 0),
+      updated_at = now()
+  FROM taxa t2
+  LEFT JOIN counts c ON c.tax_id = t2.tax_id
+  WHERE t.tax_id = t2.tax_id
+    AND t.protein_count IS DISTINCT FROM COALESCE(c.protein_count, 0);
+
+  RETURN v_updated;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION list_source_organisms() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION list_source_organisms() TO service_role;
+
+REVOKE ALL ON FUNCTION refresh_protein_lineages() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refresh_protein_lineages() TO service_role;
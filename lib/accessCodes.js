@@ -0,0 +1,245 @@
+import { randomInt } from 'crypto';
+import { supabaseAdmin } from './supabaseServer';
+
+export const ACCESS_CODE_PATTERN = /^\d{6}$/;
+
+// Messages shown on the login screen for each redeem_access_code() result
+export const REDEEM_ERRORS = {
+  not_found: 'Invalid access code. Please try again.',
+  disabled: 'This access code has been revoked.',
+  expired: 'This access code has expired.',
+  exhausted: 'This access code has reached its usage limit.'
+};
+
+const CODE_COLUMNS = 'code, owner_label, enabled, expires_at, max_uses, use_count, last_used_at, created_at, revoked_at, replaced_by';
+
+export class AccessCodeService {
+  /**
+   * Check that an access code exists and is currently usable, without counting a use
+   * @param {string} accessCode - The 6-digit access code
+   * @returns {Promise<boolean>}
+   * @throws {Error} - When the lookup itself fails
+   */
+  async validate(accessCode) {
+    if (!ACCESS_CODE_PATTERN.test(accessCode || '')) return false;
+
+    const { data, error } = await supabaseAdmin
+      .from('codes')
+      .select('code, enabled, expires_at')
+      .eq('code', accessCode)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error validating access code:', error);
+      throw new Error('Access code validation failed');
+    }
+
+    return Boolean(data) &&
+      data.enabled !== false &&
+      (!data.expires_at || new Date(data.expires_at).getTime() > Date.now());
+  }
+
+  /**
+   * Validate a code for login and count the use
+   * @param {string} accessCode - The 6-digit access code
+   * @returns {Promise<string>} - 'ok' or a key of REDEEM_ERRORS
+   * @throws {Error} - When the lookup itself fails
+   */
+  async redeem(accessCode) {
+    if (!ACCESS_CODE_PATTERN.test(accessCode || '')) return 'not_found';
+
+    const { data, error } = await supabaseAdmin.rpc('redeem_access_code', { p_code: accessCode });
+
+    if (error) {
+      console.error('Error redeeming access code:', error);
+      throw new Error('Access code validation failed');
+    }
+
+    return data;
+  }
+
+  /**
+   * All codes, newest first (admin)
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const { data, error } = await supabaseAdmin
+      .from('codes')
+      .select(CODE_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error listing access codes:', error);
+      throw new Error('Failed to list access codes');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Pick a random 6-digit code that is not in use yet
+   * @returns {Promise<string>}
+   */
+  async generateUnusedCode() {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const code = String(randomInt(0, 1000000)).padStart(6, '0');
+      const { data, error } = await supabaseAdmin
+        .from('codes')
+        .select('code')
+        .eq('code', code)
+        .maybeSingle();
+
+      if (error) throw new Error('Failed to generate access code');
+      if (!data) return code;
+    }
+
+    throw new Error('Could not find an unused access code. Try again.');
+  }
+
+  /**
+   * Create a code (admin)
+   * @param {Object} settings - { ownerLabel, expiresAt, maxUses }
+   * @returns {Promise<Object>} - The new code row
+   */
+  async create({ ownerLabel, expiresAt = null, maxUses = null }) {
+    const code = await this.generateUnusedCode();
+
+    const { data, error } = await supabaseAdmin
+      .from('codes')
+      .insert({
+        code,
+        owner_label: ownerLabel,
+        expires_at: expiresAt,
+        max_uses: maxUses
+      })
+      .select(CODE_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error creating access code:', error);
+      throw new Error('Failed to create access code');
+    }
+
+    return data;
+  }
+
+  /**
+   * Change owner, expiry, usage limit or enabled flag (admin)
+   * @param {string} accessCode - The 6-digit access code
+   * @param {Object} changes - Any of { ownerLabel, expiresAt, maxUses, enabled }
+   * @returns {Promise<Object|null>} - Updated row, or null when the code does not exist
+   */
+  async update(accessCode, changes) {
+    const columns = {};
+    if (changes.ownerLabel !== undefined) columns.owner_label = changes.ownerLabel;
+    if (changes.expiresAt !== undefined) columns.expires_at = changes.expiresAt;
+    if (changes.maxUses !== undefined) columns.max_uses = changes.maxUses;
+    if (changes.enabled !== undefined) {
+      columns.enabled = changes.enabled;
+      if (changes.enabled) columns.revoked_at = null;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('codes')
+      .update(columns)
+      .eq('code', accessCode)
+      .select(CODE_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating access code:', error);
+      throw new Error('Failed to update access code');
+    }
+
+    return data;
+  }
+
+  /**
+   * Disable a code and revoke its sessions and API tokens (admin)
+   * @param {string} accessCode - The 6-digit access code
+   */
+  async revoke(accessCode) {
+    const { error } = await supabaseAdmin.rpc('revoke_access_code', { p_code: accessCode });
+
+    if (error) {
+      console.error('Error revoking access code:', error);
+      throw new Error('Failed to revoke access code');
+    }
+  }
+
+  /**
+   * Replace a code with a new one that keeps its settings, saved proteins and saved searches (admin)
+   * @param {string} accessCode - The code to retire; must be enabled
+   * @returns {Promise<string>} - The new code
+   */
+  async rotate(accessCode) {
+    const newCode = await this.generateUnusedCode();
+
+    const { error } = await supabaseAdmin.rpc('rotate_access_code', {
+      p_old_code: accessCode,
+      p_new_code: newCode
+    });
+
+    if (error) {
+      console.error('Error rotating access code:', error);
+      if (error.message?.includes('not found')) throw new Error('Access code not found');
+      if (error.message?.includes('is disabled')) throw new Error('Disabled access codes cannot be rotated');
+      throw new Error('Failed to rotate access code');
+    }
+
+    return newCode;
+  }
+}
+
+export const accessCodeService = new AccessCodeService();
+
+/**
+ * Validate admin input for creating or updating a code
+ * @param {Object} body - { ownerLabel, expiresAt, maxUses, enabled }
+ * @param {boolean} partial - When true (updates), missing fields are left unchanged
+ * @returns {{settings: Object|null, error: string|null}}
+ */
+export function parseCodeSettings(body, partial = false) {
+  const settings = {};
+
+  if (body.ownerLabel !== undefined || !partial) {
+    const ownerLabel = String(body.ownerLabel || '').trim();
+    if (!ownerLabel || ownerLabel.length > 100) {
+      return { settings: null, error: 'ownerLabel is required (at most 100 characters)' };
+    }
+    settings.ownerLabel = ownerLabel;
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null || body.expiresAt === '') {
+      settings.expiresAt = null;
+    } else {
+      const expiresAt = new Date(body.expiresAt);
+      if (Number.isNaN(expiresAt.getTime())) {
+        return { settings: null, error: 'expiresAt must be a date' };
+      }
+      settings.expiresAt = expiresAt.toISOString();
+    }
+  }
+
+  if (body.maxUses !== undefined) {
+    if (body.maxUses === null || body.maxUses === '') {
+      settings.maxUses = null;
+    } else {
+      const maxUses = Number(body.maxUses);
+      if (!Number.isInteger(maxUses) || maxUses < 1) {
+        return { settings: null, error: 'maxUses must be a positive integer' };
+      }
+      settings.maxUses = maxUses;
+    }
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { settings: null, error: 'enabled must be true or false' };
+    }
+    settings.enabled = body.enabled;
+  }
+
+  return { settings, error: null };
+}
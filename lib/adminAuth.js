@@ -0,0 +1,55 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { signSession, verifySession } from './sessionToken';
+import { jsonError } from './apiHelpers';
+
+export const ADMIN_COOKIE = 'gg_admin';
+export const ADMIN_SESSION_TTL = 2 * 60 * 60 * 1000; // 2 hours
+
+const digest = (value) => createHash('sha256').update(value).digest();
+
+/**
+ * Compare a submitted password with ADMIN_PASSWORD in constant time
+ * @param {string} password - Submitted password
+ * @returns {boolean} - Always false when ADMIN_PASSWORD is not configured
+ */
+export function checkAdminPassword(password) {
+  const expected = process.env.ADMIN_PASSWORD;
+  if (!expected || typeof password !== 'string') return false;
+  return timingSafeEqual(digest(password), digest(expected));
+}
+
+/**
+ * Signed cookie value for a new admin session
+ * @returns {Promise<string>}
+ */
+export function createAdminSession() {
+  return signSession({
+    sid: crypto.randomUUID(),
+    code: 'admin',
+    role: 'admin',
+    exp: Date.now() + ADMIN_SESSION_TTL
+  });
+}
+
+/**
+ * @param {Request} request - Incoming request
+ * @returns {Promise<boolean>} - Whether the request carries a valid admin session
+ */
+export async function isAdminRequest(request) {
+  const payload = await verifySession(request.cookies.get(ADMIN_COOKIE)?.value);
+  return payload?.role === 'admin';
+}
+
+/**
+ * Wrap an admin route handler so it only runs for signed-in admins
+ * @param {Function} handler - Route handler
+ * @returns {Function} - Route handler for Next.js
+ */
+export function withAdmin(handler) {
+  return async (request, context) => {
+    if (!(await isAdminRequest(request))) {
+      return jsonError('Admin sign-in required', 401);
+    }
+    return handler(request, context);
+  };
+}
@@ -0,0 +1,54 @@
+import { apiTokenService } from './apiTokens';
+import { RateLimiter } from './rateLimit';
+import { jsonError } from './apiHelpers';
+
+// 120 requests per minute per token
+export const API_RATE_LIMIT = 120;
+const API_RATE_WINDOW = 60 * 1000;
+
+const rateLimiter = new RateLimiter(API_RATE_LIMIT, API_RATE_WINDOW);
+
+const setRateLimitHeaders = (response, rate) => {
+  response.headers.set('X-RateLimit-Limit', String(rate.limit));
+  response.headers.set('X-RateLimit-Remaining', String(rate.remaining));
+  response.headers.set('X-RateLimit-Reset', String(Math.ceil(rate.resetAt / 1000)));
+  return response;
+};
+
+/**
+ * Wrap a /api/v1 route handler with bearer-token authentication and rate limiting.
+ * The handler receives (request, context, auth) where auth is { tokenId, accessCode }.
+ * @param {Function} handler - Route handler
+ * @returns {Function} - Route handler for Next.js
+ */
+export function withApiToken(handler) {
+  return async (request, context) => {
+    const header = request.headers.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+
+    if (!match) {
+      return jsonError('Missing API token. Send "Authorization: Bearer <token>".', 401);
+    }
+
+    let auth;
+    try {
+      auth = await apiTokenService.authenticate(match[1]);
+    } catch (error) {
+      return jsonError(error.message, 503);
+    }
+
+    if (!auth) {
+      return jsonError('Invalid or revoked API token', 401);
+    }
+
+    const rate = rateLimiter.consume(`token:${auth.tokenId}`);
+    if (!rate.allowed) {
+      const response = jsonError('Rate limit exceeded. Retry after the reset time.', 429);
+      response.headers.set('Retry-After', String(Math.ceil((rate.resetAt - Date.now()) / 1000)));
+      return setRateLimitHeaders(response, rate);
+    }
+
+    const response = await handler(request, context, auth);
+    return setRateLimitHeaders(response, rate);
+  };
+}
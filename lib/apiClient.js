@@ -0,0 +1,437 @@
+/**
+ * Browser client for the JSON API in app/api (documented in API.md).
+ * Mirrors the ProteinService / sequence service signatures so components
+ * can switch over without changing how they consume results.
+ */
+
+import { appendFilterParams, appendSortParams } from './proteinFilters';
+
+const toQueryString = (filters, page, sort, cursor) => {
+  const params = appendSortParams(appendFilterParams(new URLSearchParams(), filters), sort);
+  if (page) params.set('page', String(page));
+  if (cursor) params.set('cursor', cursor);
+  return params.toString();
+};
+
+export class ApiClient {
+  constructor(baseUrl = '/api') {
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Fetch JSON from the API, throwing an Error with the server's message on failure
+   * @param {string} path - Path below the API base, e.g. "/proteins?name=lysin"
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>}
+   */
+  async request(path, options = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch {
+      // Non-JSON body (e.g. a proxy error page) - fall through to the status check
+    }
+
+    if (!response.ok) {
+      const error = new Error(body?.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.details = body?.details;
+      throw error;
+    }
+
+    return body;
+  }
+
+  /**
+   * Exchange an access code for a session cookie
+   * @param {string} code - The 6-digit access code
+   * @returns {Promise<Object>} - { accessCode, expiresAt }
+   */
+  async login(code) {
+    const { data } = await this.request('/session', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+    return data;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - { accessCode, expiresAt }, or null when not signed in
+   */
+  async getSession() {
+    try {
+      const { data } = await this.request('/session');
+      return data;
+    } catch (error) {
+      if (error.status === 401) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke the current session
+   */
+  async logout() {
+    await this.request('/session', { method: 'DELETE' });
+  }
+
+  /**
+   * Admin console sign-in
+   * @param {string} password - ADMIN_PASSWORD
+   */
+  async adminLogin(password) {
+    await this.request('/admin/session', {
+      method: 'POST',
+      body: JSON.stringify({ password })
+    });
+  }
+
+  /**
+   * @returns {Promise<boolean>} - Whether the browser has an admin session
+   */
+  async isAdmin() {
+    try {
+      await this.request('/admin/session');
+      return true;
+    } catch (error) {
+      if (error.status === 401) return false;
+      throw error;
+    }
+  }
+
+  async adminLogout() {
+    await this.request('/admin/session', { method: 'DELETE' });
+  }
+
+  /**
+   * @returns {Promise<Array>} - All access codes (admin)
+   */
+  async listAccessCodes() {
+    const { data } = await this.request('/admin/codes');
+    return data;
+  }
+
+  /**
+   * @param {Object} settings - { ownerLabel, expiresAt, maxUses }
+   * @returns {Promise<Object>} - The new code
+   */
+  async createAccessCode(settings) {
+    const { data } = await this.request('/admin/codes', {
+      method: 'POST',
+      body: JSON.stringify(settings)
+    });
+    return data;
+  }
+
+  /**
+   * @param {string} code - Access code
+   * @param {Object} changes - Any of { ownerLabel, expiresAt, maxUses, enabled }
+   * @returns {Promise<Object>} - The updated code
+   */
+  async updateAccessCode(code, changes) {
+    const { data } = await this.request(`/admin/codes/${code}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    });
+    return data;
+  }
+
+  /**
+   * Revoke a code with its sessions and API tokens
+   * @param {string} code - Access code
+   */
+  async revokeAccessCode(code) {
+    await this.request(`/admin/codes/${code}`, { method: 'DELETE' });
+  }
+
+  /**
+   * @param {string} code - Access code to retire
+   * @returns {Promise<string>} - The replacement code
+   */
+  async rotateAccessCode(code) {
+    const { data } = await this.request(`/admin/codes/${code}/rotate`, { method: 'POST' });
+    return data.code;
+  }
+
+  /**
+   * Fetch one page of proteins; the count is requested separately and delivered via onCountUpdate
+   * @param {Object} filters - Search filters (name, organism, domain)
+   * @param {number} page - Page number (default 1)
+   * @param {Function} onCountUpdate - Optional callback receiving { count, totalPages, estimated, refinable },
+   *   first with the estimate and again once the exact count is in
+   * @param {Object} options - { sort, cursor }: optional { field, direction } and the
+   *   nextCursor of the previous page, which saves the server from looking the page up
+   * @returns {Promise<Object>} - Same shape as ProteinService.fetchProteinsOptimized
+   */
+  async fetchProteins(filters, page = 1, onCountUpdate = null, { sort = null, cursor = null } = {}) {
+    const result = await this.request(`/proteins?${toQueryString(filters, page, sort, cursor)}`);
+
+    // Empty and last pages come with their count; past the end there is nothing to count
+    if (result.count !== null || result.data.length === 0) {
+      return result;
+    }
+
+    if (onCountUpdate) {
+      this.countInBackground(filters, onCountUpdate);
+    }
+
+    return {
+      ...result,
+      countLoading: true,
+      estimatedCount: 'Loading count...'
+    };
+  }
+
+  /**
+   * Deliver the planner estimate, then the exact count if the estimate is small
+   * enough to count. When counting fails the estimate stays, marked as not refinable.
+   * @param {Object} filters - Search filters
+   * @param {Function} onCountUpdate - Callback receiving { count, totalPages, estimated, refinable }
+   */
+  async countInBackground(filters, onCountUpdate) {
+    let estimate = null;
+    try {
+      estimate = await this.fetchProteinCount(filters, { estimate: true });
+      onCountUpdate(estimate);
+      if (!estimate.estimated || !estimate.refinable) return;
+    } catch (error) {
+      console.warn('Estimated count request failed, trying an exact count:', error);
+    }
+
+    try {
+      onCountUpdate(await this.fetchProteinCount(filters));
+    } catch (error) {
+      console.error('Background count request failed:', error);
+      onCountUpdate(estimate
+        ? { ...estimate, refinable: false }
+        : { count: null, totalPages: null, estimated: false, refinable: false });
+    }
+  }
+
+  /**
+   * @param {Object} filters - Search filters (name, organism, domain)
+   * @param {Object} options - { estimate }: planner estimate instead of an exact count
+   * @returns {Promise<Object>} - { count, totalPages, estimated, refinable }
+   */
+  async fetchProteinCount(filters, { estimate = false } = {}) {
+    const mode = estimate ? '&mode=estimated' : '';
+    return this.request(`/proteins/count?${toQueryString(filters)}${mode}`);
+  }
+
+  /**
+   * @param {number|string} proteinId - Protein id
+   * @returns {Promise<Object>} - Full protein record
+   */
+  async fetchProteinDetails(proteinId) {
+    const { data } = await this.request(`/proteins/${encodeURIComponent(proteinId)}`);
+    return data;
+  }
+
+  /**
+   * Search the Pfam domain catalog
+   * @param {string} query - Accession, name or description text; empty for the most common domains
+   * @param {number} limit - Maximum number of domains
+   * @returns {Promise<Array>} - Domains with name, description, type, clan and protein_count
+   */
+  async searchDomains(query = '', limit = 50) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (query.trim()) params.set('q', query.trim());
+    const { data } = await this.request(`/domains?${params}`);
+    return data;
+  }
+
+  /**
+   * @param {Array<string>} accessions - Pfam accessions
+   * @returns {Promise<Array>} - Catalog entries of the accessions that are known
+   */
+  async fetchDomains(accessions) {
+    if (accessions.length === 0) return [];
+    const { data } = await this.request(`/domains?accessions=${encodeURIComponent(accessions.join(','))}`);
+    return data;
+  }
+
+  /**
+   * Children of a taxon in the taxonomy browser
+   * @param {number|null} parentId - Parent tax id; null for the top of the tree
+   * @returns {Promise<Array>} - Taxa with name, rank and protein_count, most proteins first
+   */
+  async fetchTaxonChildren(parentId = null) {
+    const { data } = await this.request(parentId ? `/taxonomy?parent=${parentId}` : '/taxonomy');
+    return data;
+  }
+
+  /**
+   * Search taxa by scientific name or alias
+   * @param {string} query - At least 2 characters
+   * @returns {Promise<Array>}
+   */
+  async searchTaxa(query) {
+    const { data } = await this.request(`/taxonomy?q=${encodeURIComponent(query.trim())}`);
+    return data;
+  }
+
+  /**
+   * @param {Array<number|string>} taxIds - NCBI tax ids
+   * @returns {Promise<Array>} - Taxa that are known
+   */
+  async fetchTaxa(taxIds) {
+    if (taxIds.length === 0) return [];
+    const { data } = await this.request(`/taxonomy?ids=${taxIds.join(',')}`);
+    return data;
+  }
+
+  /**
+   * Run a sequence search
+   * @param {Object} params - { mode, sequence | sequences, page, mismatches }
+   * @returns {Promise<Object>} - Same shape as the matching sequence service method
+   */
+  async searchSequences(params) {
+    return this.request('/sequence-search', {
+      method: 'POST',
+      body: JSON.stringify(params)
+    });
+  }
+
+  /**
+   * @returns {Promise<Array>} - Saved searches with their last run, newest first
+   */
+  async listSavedSearches() {
+    const { data } = await this.request('/saved-searches');
+    return data;
+  }
+
+  /**
+   * Save the search on the dashboard under a name
+   * @param {string} name - Unique name
+   * @param {string} search - Dashboard query string (see lib/searchUrl.js)
+   * @returns {Promise<Object>} - The saved search
+   */
+  async saveSearch(name, search) {
+    const { data } = await this.request('/saved-searches', {
+      method: 'POST',
+      body: JSON.stringify({ name, search })
+    });
+    return data;
+  }
+
+  /**
+   * @param {number} searchId - Saved search id
+   */
+  async deleteSavedSearch(searchId) {
+    await this.request(`/saved-searches/${searchId}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Run a saved search and compare it with its previous run
+   * @param {number} searchId - Saved search id
+   * @returns {Promise<Object>} - { search, previous, comparison }
+   */
+  async runSavedSearch(searchId) {
+    const { data } = await this.request(`/saved-searches/${searchId}/run`, { method: 'POST' });
+    return data;
+  }
+
+  /**
+   * @returns {Promise<Array>} - Collections with their saved proteins, oldest first
+   */
+  async listCollections() {
+    const { data } = await this.request('/collections');
+    return data;
+  }
+
+  /**
+   * @param {string} name - Unique collection name
+   * @returns {Promise<Object>} - The new, empty collection
+   */
+  async createCollection(name) {
+    const { data } = await this.request('/collections', {
+      method: 'POST',
+      body: JSON.stringify({ name })
+    });
+    return data;
+  }
+
+  /**
+   * @param {number} collectionId - Collection id
+   * @param {string} name - New unique name
+   * @returns {Promise<Object>} - The renamed collection
+   */
+  async renameCollection(collectionId, name) {
+    const { data } = await this.request(`/collections/${collectionId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ name })
+    });
+    return data;
+  }
+
+  /**
+   * Delete a collection with the proteins saved in it
+   * @param {number} collectionId - Collection id
+   */
+  async deleteCollection(collectionId) {
+    await this.request(`/collections/${collectionId}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Save proteins to a collection
+   * @param {Array<number>} proteinIds - Protein ids
+   * @param {number|null} collectionId - Collection id; null for the default collection
+   * @returns {Promise<Object>} - { message, collection, newCount, totalCount }
+   */
+  async saveProteins(proteinIds, collectionId = null) {
+    const { data } = await this.request(`/collections/${collectionId ?? 'default'}/proteins`, {
+      method: 'POST',
+      body: JSON.stringify({ ids: proteinIds })
+    });
+    return data;
+  }
+
+  /**
+   * @param {number} collectionId - Collection id
+   * @param {Array<number>} proteinIds - Protein ids to remove
+   * @returns {Promise<Object>} - { message, removedCount, remainingCount }
+   */
+  async removeSavedProteins(collectionId, proteinIds) {
+    const { data } = await this.request(`/collections/${collectionId}/proteins?ids=${proteinIds.join(',')}`, {
+      method: 'DELETE'
+    });
+    return data;
+  }
+
+  /**
+   * Copy or move saved proteins, with their annotations, to another collection
+   * @param {number} fromId - Source collection id
+   * @param {number} toId - Target collection id
+   * @param {Array<number>} proteinIds - Protein ids
+   * @param {Object} options - { move }
+   * @returns {Promise<Object>} - { message, collection, newCount, totalCount }
+   */
+  async copySavedProteins(fromId, toId, proteinIds, { move = false } = {}) {
+    const { data } = await this.request(`/collections/${fromId}/proteins/copy`, {
+      method: 'POST',
+      body: JSON.stringify({ ids: proteinIds, to: toId, move })
+    });
+    return data;
+  }
+
+  /**
+   * @param {number} collectionId - Collection id
+   * @param {number} proteinId - Protein id
+   * @param {Object} changes - Any of { notes, tags, priority }
+   * @returns {Promise<Object>} - The updated saved protein
+   */
+  async updateSavedProtein(collectionId, proteinId, changes) {
+    const { data } = await this.request(`/collections/${collectionId}/proteins/${proteinId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    });
+    return data;
+  }
+}
+
+export const apiClient = new ApiClient();
@@ -0,0 +1,289 @@
+import { NextResponse } from 'next/server';
+import { ARCHITECTURE_MODES, parseArchitectureQuery } from './domainAnnotations';
+import { parseQuery, serializeQuery } from './queryBuilder';
+import {
+  RANGE_FILTERS,
+  RANGE_FILTER_PAIRS,
+  SORT_COLUMNS,
+  SORT_DIRECTIONS,
+  TAXON_FILTERS,
+  MAX_TAXON_FILTERS,
+  splitTaxonIds,
+  hasRangeFilters,
+  hasTaxonFilters
+} from './proteinFilters';
+
+// Same minimum the dashboard enforces for free-text filters
+export const MIN_FILTER_LENGTH = 3;
+export const MAX_FILTER_LENGTH = 200;
+export const MAX_PAGE = 100000;
+export const MAX_SEQUENCE_LENGTH = 10000;
+export const MAX_SEQUENCES = 10;
+
+const DOMAIN_PATTERN = /^PF\d{5}$/i;
+
+/**
+ * JSON error response in the shape every API route uses: { error, details? }
+ * @param {string} message - Human readable error message
+ * @param {number} status - HTTP status code
+ * @param {Object} details - Optional extra information
+ * @returns {NextResponse}
+ */
+export function jsonError(message, status = 400, details = undefined) {
+  return NextResponse.json(details ? { error: message, details } : { error: message }, { status });
+}
+
+/**
+ * Parse a 1-based page number
+ * @param {string|number|null} value - Raw page value
+ * @returns {{page: number, error: string|null}}
+ */
+export function parsePage(value) {
+  if (value === null || value === undefined || value === '') {
+    return { page: 1, error: null };
+  }
+
+  const page = Number(value);
+  if (!Number.isInteger(page) || page < 1 || page > MAX_PAGE) {
+    return { page: null, error: `page must be an integer between 1 and ${MAX_PAGE}` };
+  }
+
+  return { page, error: null };
+}
+
+/**
+ * Read and validate the result order from sort= and sortDirection=
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {{sort: Object|null, error: string|null}} sort is null for the default id order
+ */
+export function parseSort(searchParams) {
+  const field = (searchParams.get('sort') || '').trim();
+  const direction = (searchParams.get('sortDirection') || 'asc').trim();
+
+  if (!field) {
+    return { sort: null, error: null };
+  }
+  if (!SORT_COLUMNS[field]) {
+    return { sort: null, error: `sort must be one of ${Object.keys(SORT_COLUMNS).join(', ')}` };
+  }
+  if (!SORT_DIRECTIONS.includes(direction)) {
+    return { sort: null, error: `sortDirection must be one of ${SORT_DIRECTIONS.join(', ')}` };
+  }
+
+  return { sort: { field, direction }, error: null };
+}
+
+/**
+ * Read and validate the protein search filters from a query string
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {{filters: Object, error: string|null}}
+ */
+export function parseProteinFilters(searchParams) {
+  const filters = {
+    name: (searchParams.get('name') || '').trim(),
+    organism: (searchParams.get('organism') || '').trim(),
+    domain: (searchParams.get('domain') || '').trim(),
+    architecture: (searchParams.get('architecture') || '').trim(),
+    architectureMode: (searchParams.get('architectureMode') || 'ordered').trim(),
+    query: (searchParams.get('query') || '').trim()
+  };
+
+  for (const field of ['name', 'organism']) {
+    const value = filters[field];
+    if (value && value.length < MIN_FILTER_LENGTH) {
+      return { filters, error: `${field} must be at least ${MIN_FILTER_LENGTH} characters` };
+    }
+    if (value.length > MAX_FILTER_LENGTH) {
+      return { filters, error: `${field} must be at most ${MAX_FILTER_LENGTH} characters` };
+    }
+  }
+
+  if (filters.domain && !DOMAIN_PATTERN.test(filters.domain)) {
+    return { filters, error: 'domain must be a Pfam accession such as PF00959' };
+  }
+  filters.domain = filters.domain.toUpperCase();
+
+  if (filters.architecture) {
+    const { groups, error } = parseArchitectureQuery(filters.architecture);
+    if (error) return { filters, error };
+    if (!ARCHITECTURE_MODES.includes(filters.architectureMode)) {
+      return { filters, error: `architectureMode must be one of ${ARCHITECTURE_MODES.join(', ')}` };
+    }
+    // Canonical form, so equivalent queries share cache entries and cursors
+    filters.architecture = groups.map(group => group.join('|')).join(',');
+  } else {
+    delete filters.architecture;
+    delete filters.architectureMode;
+  }
+
+  if (filters.query) {
+    const { query, error } = parseQuery(filters.query);
+    if (error) return { filters, error };
+    filters.query = serializeQuery(query);
+  } else {
+    delete filters.query;
+  }
+
+  for (const [key, { max, integer }] of Object.entries(RANGE_FILTERS)) {
+    const raw = (searchParams.get(key) || '').trim();
+    if (!raw) continue;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0 || value > max || (integer && !Number.isInteger(value))) {
+      return { filters, error: `${key} must be ${integer ? 'an integer' : 'a number'} between 0 and ${max}` };
+    }
+    filters[key] = value;
+  }
+
+  for (const [minKey, maxKey, label] of RANGE_FILTER_PAIRS) {
+    if (filters[minKey] !== undefined && filters[maxKey] !== undefined && filters[minKey] > filters[maxKey]) {
+      return { filters, error: `Minimum ${label} is above the maximum` };
+    }
+  }
+
+  for (const key of TAXON_FILTERS) {
+    const { taxIds, error } = parseTaxonIds(searchParams.get(key), MAX_TAXON_FILTERS);
+    if (error) return { filters, error: `${key}: ${error}` };
+    if (taxIds.length > 0) filters[key] = taxIds.join(',');
+  }
+
+  if (!filters.name && !filters.organism && !filters.domain && !filters.architecture && !filters.query &&
+    !hasRangeFilters(filters) && !hasTaxonFilters(filters)) {
+    return { filters, error: 'At least one filter is required' };
+  }
+
+  return { filters, error: null };
+}
+
+/**
+ * Parse a comma separated list of NCBI tax ids
+ * @param {string|null} value - e.g. "1239,561"
+ * @param {number} maxCount - Largest number of ids accepted
+ * @returns {{taxIds: Array<number>, error: string|null}} - Sorted, without duplicates
+ */
+export function parseTaxonIds(value, maxCount) {
+  const ids = splitTaxonIds(value);
+
+  const invalid = ids.find(id => !/^\d{1,9}$/.test(id) || Number(id) < 1);
+  if (invalid) {
+    return { taxIds: [], error: `${invalid} is not an NCBI tax id` };
+  }
+  if (ids.length > maxCount) {
+    return { taxIds: [], error: `At most ${maxCount} taxa can be given at once` };
+  }
+
+  return { taxIds: ids.map(Number).sort((a, b) => a - b), error: null };
+}
+
+/**
+ * Parse a comma separated list of Pfam accessions
+ * @param {string|null} value - e.g. "PF01510,PF01476"
+ * @param {number} maxCount - Largest number of accessions accepted
+ * @returns {{accessions: Array<string>, error: string|null}} - Upper-cased, without duplicates
+ */
+export function parseDomainAccessions(value, maxCount) {
+  const accessions = [...new Set(
+    (value || '').split(',').map(accession => accession.trim().toUpperCase()).filter(Boolean)
+  )];
+
+  const invalid = accessions.find(accession => !DOMAIN_PATTERN.test(accession));
+  if (invalid) {
+    return { accessions, error: `${invalid} is not a Pfam accession such as PF00959` };
+  }
+  if (accessions.length > maxCount) {
+    return { accessions, error: `At most ${maxCount} accessions can be looked up at once` };
+  }
+
+  return { accessions, error: null };
+}
+
+/**
+ * Read a JSON request body without throwing on malformed input
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} - Parsed object, or null when the body is not a JSON object
+ */
+export async function readJsonBody(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encode a pagination cursor. Cursors are opaque to clients.
+ * @param {Object} position - e.g. { afterId: 1234 } or { page: 3 }
+ * @returns {string}
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor produced by encodeCursor
+ * @param {string|null} cursor - Cursor from the query string
+ * @returns {{position: Object|null, error: string|null}} - position is null for the first page
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) return { position: null, error: null };
+
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (position && typeof position === 'object' && !Array.isArray(position)) {
+      return { position, error: null };
+    }
+  } catch {
+    // Fall through to the error below
+  }
+
+  return { position: null, error: 'Invalid cursor' };
+}
+
+/**
+ * Parse a page size
+ * @param {string|null} value - Raw limit value
+ * @param {number} defaultLimit - Used when no limit is given
+ * @param {number} maxLimit - Largest accepted limit
+ * @returns {{limit: number|null, error: string|null}}
+ */
+export function parseLimit(value, defaultLimit, maxLimit) {
+  if (value === null || value === undefined || value === '') {
+    return { limit: defaultLimit, error: null };
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    return { limit: null, error: `limit must be an integer between 1 and ${maxLimit}` };
+  }
+
+  return { limit, error: null };
+}
+
+/**
+ * Client IP for rate limiting, as seen by the trusted proxies in front of Next.js.
+ * Clients can put anything into X-Forwarded-For; each proxy appends the address it
+ * received the request from, so the client is the entry TRUSTED_PROXY_COUNT from the end
+ * (default 1: the last entry, as Vercel and a single nginx/load balancer report it).
+ * @param {Request} request - Incoming request
+ * @returns {string}
+ */
+export function getClientIp(request) {
+  const forwarded = request.headers.get('x-forwarded-for');
+  if (forwarded) {
+    const hops = forwarded.split(',').map(hop => hop.trim()).filter(Boolean);
+    const trustedProxies = Math.max(parseInt(process.env.TRUSTED_PROXY_COUNT, 10) || 1, 1);
+    const client = hops[Math.max(hops.length - trustedProxies, 0)];
+    if (client) return client;
+  }
+  return request.headers.get('x-real-ip') || 'unknown';
+}
+
+/**
+ * Access code of the signed-in session, set by middleware.js on the routes it guards
+ * @param {Request} request - Incoming request
+ * @returns {string|null}
+ */
+export function getSessionAccessCode(request) {
+  return request.headers.get('x-access-code');
+}
@@ -0,0 +1,174 @@
+import { createHash, randomBytes } from 'crypto';
+import { supabaseAdmin } from './supabaseServer';
+import { accessCodeService } from './accessCodes';
+
+const TOKEN_PREFIX = 'gg_';
+const MAX_TOKENS_PER_CODE = 10;
+
+// Successful lookups are cached briefly so every API call does not hit the database;
+// a revoked token, or one whose access code expired or was disabled, stops working
+// within this window.
+const AUTH_CACHE_TIMEOUT = 60 * 1000;
+
+// last_used_at is written at most this often per token
+const TOUCH_INTERVAL = 5 * 60 * 1000;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+export class ApiTokenService {
+  constructor() {
+    this.cache = new Map();
+    this.lastTouched = new Map();
+  }
+
+  /**
+   * Issue a new token for an access code. The plain token is only returned here.
+   * @param {string} accessCode - The 6-digit access code
+   * @param {string} name - Label for the token, e.g. the pipeline using it
+   * @returns {Promise<Object>} - { id, name, token, tokenPrefix, createdAt }
+   */
+  async issueToken(accessCode, name) {
+    const { count, error: countError } = await supabaseAdmin
+      .from('api_tokens')
+      .select('id', { count: 'exact', head: true })
+      .eq('access_code', accessCode)
+      .is('revoked_at', null);
+
+    if (countError) {
+      console.error('Error counting API tokens:', countError);
+      throw new Error('Failed to issue API token');
+    }
+
+    if (count >= MAX_TOKENS_PER_CODE) {
+      throw new Error(`An access code can have at most ${MAX_TOKENS_PER_CODE} active tokens. Revoke one first.`);
+    }
+
+    const token = `${TOKEN_PREFIX}${randomBytes(24).toString('base64url')}`;
+
+    const { data, error } = await supabaseAdmin
+      .from('api_tokens')
+      .insert({
+        access_code: accessCode,
+        name,
+        token_hash: hashToken(token),
+        token_prefix: token.substring(0, 10)
+      })
+      .select('id, name, token_prefix, created_at')
+      .single();
+
+    if (error) {
+      console.error('Error issuing API token:', error);
+      throw new Error('Failed to issue API token');
+    }
+
+    return {
+      id: data.id,
+      name: data.name,
+      token,
+      tokenPrefix: data.token_prefix,
+      createdAt: data.created_at
+    };
+  }
+
+  /**
+   * List the tokens of an access code (never includes the token itself)
+   * @param {string} accessCode - The 6-digit access code
+   * @returns {Promise<Array>}
+   */
+  async listTokens(accessCode) {
+    const { data, error } = await supabaseAdmin
+      .from('api_tokens')
+      .select('id, name, token_prefix, created_at, last_used_at, revoked_at')
+      .eq('access_code', accessCode)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error listing API tokens:', error);
+      throw new Error('Failed to list API tokens');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Revoke a token belonging to an access code
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number} tokenId - Token id
+   * @returns {Promise<boolean>} - False when no active token with that id belongs to the code
+   */
+  async revokeToken(accessCode, tokenId) {
+    const { data, error } = await supabaseAdmin
+      .from('api_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', tokenId)
+      .eq('access_code', accessCode)
+      .is('revoked_at', null)
+      .select('token_hash');
+
+    if (error) {
+      console.error('Error revoking API token:', error);
+      throw new Error('Failed to revoke API token');
+    }
+
+    data?.forEach(row => this.cache.delete(row.token_hash));
+    return Boolean(data?.length);
+  }
+
+  /**
+   * Resolve a bearer token to its access code
+   * @param {string} token - Plain token from the Authorization header
+   * @returns {Promise<Object|null>} - { tokenId, accessCode } or null when unknown, revoked,
+   *   or its access code is disabled or expired
+   */
+  async authenticate(token) {
+    if (!token?.startsWith(TOKEN_PREFIX)) return null;
+
+    const tokenHash = hashToken(token);
+    const cached = this.cache.get(tokenHash);
+    if (cached && (Date.now() - cached.timestamp) < AUTH_CACHE_TIMEOUT) {
+      return cached.data;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('api_tokens')
+      .select('id, access_code, revoked_at')
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error authenticating API token:', error);
+      throw new Error('Token lookup failed');
+    }
+
+    // Tokens only live as long as the evaluation window of their code
+    if (!data || data.revoked_at || !(await accessCodeService.validate(data.access_code))) {
+      this.cache.delete(tokenHash);
+      return null;
+    }
+
+    const auth = { tokenId: data.id, accessCode: data.access_code };
+    this.cache.set(tokenHash, { data: auth, timestamp: Date.now() });
+    this.touch(data.id);
+    return auth;
+  }
+
+  /**
+   * Record token usage without delaying the request
+   * @param {number} tokenId - Token id
+   */
+  touch(tokenId) {
+    const last = this.lastTouched.get(tokenId) || 0;
+    if (Date.now() - last < TOUCH_INTERVAL) return;
+    this.lastTouched.set(tokenId, Date.now());
+
+    supabaseAdmin
+      .from('api_tokens')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', tokenId)
+      .then(({ error }) => {
+        if (error) console.warn('Failed to record API token usage:', error.message);
+      });
+  }
+}
+
+export const apiTokenService = new ApiTokenService();
@@ -8,59 +8,98 @@
  * Each line represents a row, and values are separated by commas.
  */
 
+// The columns we export, in order
+// These are the field names from each protein entry
+export const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'accession', header: 'Accession' },
+  { key: 'name', header: 'Name' },
+  { key: 'source_organism_full_name', header: 'Organism' },
+  { key: 'entries_header', header: 'Domain' },
+  { key: 'length', header: 'Length' },
+  { key: 'sequence', header: 'Sequence' }
+];
+
+// Saved proteins (SavedQueries.jsx) add their priority, tags and notes
+export const SAVED_EXPORT_COLUMNS = [
+  ...EXPORT_COLUMNS,
+  { key: 'priority', header: 'Priority' },
+  { key: 'tags', header: 'Tags' },
+  { key: 'notes', header: 'Notes' }
+];
+
+/**
+ * Formats one CSV line from a list of values
+ *
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line (without the trailing newline)
+ */
+export function formatCSVRow(values) {
+  return values.map(value => {
+    // Convert to string and handle special characters
+    value = String(value ?? '');
+
+    // If the value contains commas, quotes, or newlines, we need to:
+    // 1. Wrap it in double quotes
+    // 2. Escape any existing double quotes by doubling them
+    if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+      value = `"${value.replace(/"/g, '""')}"`;
+    }
+
+    return value;
+  }).join(',');
+}
+
+/**
+ * Formats one TSV (tab-separated) line from a list of values
+ *
+ * @param {Array} values - Cell values
+ * @returns {string} TSV line (without the trailing newline)
+ *
+ * TSV has no quoting, so tabs and line breaks inside values are replaced by spaces.
+ */
+export function formatTSVRow(values) {
+  return values.map(value => String(value ?? '').replace(/[\t\r\n]+/g, ' ')).join('\t');
+}
+
+/**
+ * The export columns of one protein entry, in column order
+ *
+ * @param {Object} entry - Protein object
+ * @param {Array} columns - Columns to export (default EXPORT_COLUMNS)
+ * @returns {Array} Cell values; lists such as tags are joined with "; "
+ */
+export function getExportValues(entry, columns = EXPORT_COLUMNS) {
+  return columns.map(col => {
+    const value = entry[col.key];
+    return Array.isArray(value) ? value.join('; ') : value || '';
+  });
+}
+
 /**
  * Converts an array of protein entries into CSV format
  *
  * @param {Array} data - Array of protein objects to export
+ * @param {Array} columns - Columns to export (default EXPORT_COLUMNS)
  * @returns {string} CSV formatted string
  *
  * How this works:
- * 1. Define which fields from the data we want to export (columns)
- * 2. Create a header row with column names
- * 3. For each data entry, extract the values and format them properly
- * 4. Combine everything into a single CSV string
+ * 1. Create a header row with the column names from EXPORT_COLUMNS
+ * 2. For each data entry, extract the values and format them properly
+ * 3. Combine everything into a single CSV string
  */
-export function convertToCSV(data) {
+export function convertToCSV(data, columns = EXPORT_COLUMNS) {
   if (!data || data.length === 0) {
     return '';
   }
 
-  // Define the columns we want to export
-  // These are the field names from each protein entry
-  const columns = [
-    { key: 'id', header: 'ID' },
-    { key: 'accession', header: 'Accession' },
-    { key: 'name', header: 'Name' },
-    { key: 'source_organism_full_name', header: 'Organism' },
-    { key: 'entries_header', header: 'Domain' },
-    { key: 'length', header: 'Length' },
-    { key: 'sequence', header: 'Sequence' }
-  ];
-
   // Create the header row
   // This is the first line of the CSV with column names
-  const headers = columns.map(col => col.header).join(',');
+  const headers = formatCSVRow(columns.map(col => col.header));
 
   // Create the data rows
   // For each protein entry, we extract the values and format them
-  const rows = data.map(entry => {
-    return columns.map(col => {
-      // Get the value for this column from the entry
-      let value = entry[col.key] || '';
-
-      // Convert to string and handle special characters
-      value = String(value);
-
-      // If the value contains commas, quotes, or newlines, we need to:
-      // 1. Wrap it in double quotes
-      // 2. Escape any existing double quotes by doubling them
-      if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-        value = `"${value.replace(/"/g, '""')}"`;
-      }
-
-      return value;
-    }).join(',');
-  });
+  const rows = data.map(entry => formatCSVRow(getExportValues(entry, columns)));
 
   // Combine header and all rows with newline characters
   return [headers, ...rows].join('\n');
@@ -81,10 +120,21 @@ export function convertToCSV(data) {
  * 6. Clean up by removing the link and revoking the URL
  */
 export function downloadCSV(csvContent, filename = 'export.csv') {
-  // Create a Blob (Binary Large Object) from the CSV string
-  // The Blob represents the file data
   // 'text/csv;charset=utf-8;' tells the browser this is a CSV text file
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  downloadFile(csvContent, filename, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Triggers a download of any text content (used by the CSV and FASTA exporters)
+ *
+ * @param {string|Array} content - The file content, or a list of chunks (strings or Uint8Arrays)
+ * @param {string} filename - The name of the file to download
+ * @param {string} mimeType - The content type, e.g. 'text/plain;charset=utf-8;'
+ */
+export function downloadFile(content, filename, mimeType) {
+  // Create a Blob (Binary Large Object) from the string
+  // The Blob represents the file data; streamed exports pass a list of chunks
+  const blob = new Blob(Array.isArray(content) ? content : [content], { type: mimeType });
 
   // Create a temporary URL that points to the blob
   // This URL can be used to download the file
@@ -112,11 +162,12 @@ export function downloadCSV(csvContent, filename = 'export.csv') {
  *
  * @param {Array} data - Array of protein objects to export
  * @param {string} filename - Optional filename (defaults to timestamped name)
+ * @param {Array} columns - Columns to export (default EXPORT_COLUMNS)
  *
  * This is the main function you'll call from your component.
  * It combines the CSV conversion and download steps.
  */
-export function exportToCSV(data, filename) {
+export function exportToCSV(data, filename, columns = EXPORT_COLUMNS) {
   if (!data || data.length === 0) {
     console.warn('No data to export');
     return;
@@ -130,7 +181,7 @@ export function exportToCSV(data, filename) {
   }
 
   // Convert the data to CSV format
-  const csvContent = convertToCSV(data);
+  const csvContent = convertToCSV(data, columns);
 
   // Trigger the download
   downloadCSV(csvContent, filename);
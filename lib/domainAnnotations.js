@@ -0,0 +1,275 @@
+/**
+ * Domain Annotations
+ *
+ * Parses the entries_header column into structured domain annotations.
+ * A header lists one or more domains, each with one or more ranges:
+ *
+ *   "PF03245(27...149)"
+ *   "PF00704(34...320,355...427)"
+ *   "PF05105(4...120) PF01510(150...290)"
+ *
+ * Domains may be separated by spaces, commas, semicolons or pipes, and range
+ * bounds by "...", ".." or "-". Anything that does not parse is skipped, so a
+ * partly malformed header still yields the domains that are readable.
+ */
+
+// Accession followed by its parenthesised range list
+const DOMAIN_PATTERN = /([A-Za-z0-9_.]+)\s*\(([^()]*)\)/g;
+
+// "start...end" with any run of dots or dashes between the bounds
+const RANGE_PATTERN = /^\s*(\d+)\s*(?:\.+|-+)\s*(\d+)\s*$/;
+
+/**
+ * Parse one range like "27...149"
+ *
+ * @param {string} text - Range text
+ * @returns {{start: number, end: number}|null} Range, or null when malformed
+ *
+ * Reversed bounds are swapped; ranges starting below position 1 are rejected.
+ */
+function parseDomainRange(text) {
+  const match = text.match(RANGE_PATTERN);
+  if (!match) return null;
+
+  let start = parseInt(match[1], 10);
+  let end = parseInt(match[2], 10);
+
+  if (start > end) {
+    [start, end] = [end, start];
+  }
+
+  if (start < 1) return null;
+
+  return { start, end };
+}
+
+/**
+ * Parse an entries_header value into domains
+ *
+ * @param {string} header - entries_header value
+ * @returns {Array<{accession: string, ranges: Array<{start: number, end: number}>}>}
+ *          Domains in header order with ranges sorted by start; empty when nothing parses
+ */
+export function parseEntriesHeader(header) {
+  if (!header || typeof header !== 'string') return [];
+
+  const domains = [];
+
+  for (const match of header.matchAll(DOMAIN_PATTERN)) {
+    const ranges = match[2]
+      .split(/[,;]/)
+      .map(parseDomainRange)
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start);
+
+    if (ranges.length === 0) continue;
+
+    domains.push({
+      accession: match[1].toUpperCase(),
+      ranges
+    });
+  }
+
+  return domains;
+}
+
+/**
+ * Flatten domains into one list of segments for drawing
+ *
+ * @param {Array} domains - Result of parseEntriesHeader
+ * @returns {Array<{domain: string, start: number, end: number, length: number, segmentNumber: number, totalSegments: number}>}
+ *          Segments sorted by start; segmentNumber counts within the segment's domain
+ */
+export function getDomainSegments(domains) {
+  return domains
+    .flatMap(({ accession, ranges }) => ranges.map((range, index) => ({
+      domain: accession,
+      start: range.start,
+      end: range.end,
+      length: range.end - range.start + 1,
+      segmentNumber: index + 1,
+      totalSegments: ranges.length
+    })))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Smallest start and largest end over all domains
+ *
+ * @param {Array} domains - Result of parseEntriesHeader
+ * @returns {{start: number, end: number}|null} Span, or null without domains
+ */
+export function getDomainSpan(domains) {
+  if (domains.length === 0) return null;
+
+  const ranges = domains.flatMap(domain => domain.ranges);
+  return {
+    start: Math.min(...ranges.map(range => range.start)),
+    end: Math.max(...ranges.map(range => range.end))
+  };
+}
+
+/**
+ * Place segments on lanes so overlapping segments never share one
+ *
+ * @param {Array} segments - Result of getDomainSegments (sorted by start)
+ * @returns {{segments: Array, laneCount: number}} Segments with a `lane` index (0 = top)
+ *
+ * Each segment goes to the first lane whose last segment ended before it
+ * starts, so non-overlapping architectures stay on a single lane.
+ */
+export function assignDomainLanes(segments) {
+  const laneEnds = [];
+
+  const placed = segments.map(segment => {
+    let lane = laneEnds.findIndex(end => end < segment.start);
+    if (lane === -1) {
+      lane = laneEnds.length;
+    }
+    laneEnds[lane] = segment.end;
+    return { ...segment, lane };
+  });
+
+  return { segments: placed, laneCount: Math.max(1, laneEnds.length) };
+}
+
+/**
+ * Linker regions between consecutive domain segments
+ *
+ * @param {Array} segments - Result of getDomainSegments (sorted by start)
+ * @returns {Array<{start: number, end: number, length: number, from: string, to: string}>}
+ *          Uncovered stretches between segments of different domains; overlapping or
+ *          adjacent segments have none, and gaps inside a discontinuous domain are not linkers
+ */
+export function getDomainLinkers(segments) {
+  const linkers = [];
+  let covered = null; // Segment reaching furthest so far
+
+  segments.forEach(segment => {
+    if (covered && segment.start > covered.end + 1 && segment.domain !== covered.domain) {
+      linkers.push({
+        start: covered.end + 1,
+        end: segment.start - 1,
+        length: segment.start - covered.end - 1,
+        from: covered.domain,
+        to: segment.domain
+      });
+    }
+    if (!covered || segment.end > covered.end) {
+      covered = segment;
+    }
+  });
+
+  return linkers;
+}
+
+// Architecture search: groups of alternative Pfam accessions, e.g. "PF01510|PF05257, PF01476"
+export const ARCHITECTURE_MODES = ['ordered', 'any', 'exact'];
+export const MAX_ARCHITECTURE_GROUPS = 8;
+export const MAX_GROUP_ALTERNATIVES = 10;
+
+const PFAM_ACCESSION = /^PF\d{5}$/;
+
+/**
+ * Architecture of a protein: its domain accessions ordered by where each domain starts
+ *
+ * @param {Array} domains - Result of parseEntriesHeader
+ * @returns {string} Space separated accessions, e.g. "PF01510 PF01476"; empty without domains
+ *
+ * Matches entries_architecture() in create_architecture_search.sql, which the
+ * architecture search filters on.
+ */
+export function getArchitectureString(domains) {
+  return [...domains]
+    .sort((a, b) => a.ranges[0].start - b.ranges[0].start)
+    .map(domain => domain.accession)
+    .join(' ');
+}
+
+/**
+ * Parse an architecture query
+ *
+ * @param {string} text - Comma separated groups of "|" separated accessions
+ * @returns {{groups: Array<Array<string>>, error: string|null}} Upper-cased groups in query order
+ */
+export function parseArchitectureQuery(text) {
+  const groups = String(text || '')
+    .split(',')
+    .map(group => group.split('|').map(code => code.trim().toUpperCase()).filter(Boolean))
+    .filter(group => group.length > 0);
+
+  if (groups.length === 0) {
+    return { groups, error: 'architecture must list at least one Pfam accession' };
+  }
+  if (groups.length > MAX_ARCHITECTURE_GROUPS) {
+    return { groups, error: `architecture can have at most ${MAX_ARCHITECTURE_GROUPS} domains` };
+  }
+  if (groups.some(group => group.length > MAX_GROUP_ALTERNATIVES)) {
+    return { groups, error: `architecture allows at most ${MAX_GROUP_ALTERNATIVES} alternatives per domain` };
+  }
+
+  const invalid = groups.flat().find(code => !PFAM_ACCESSION.test(code));
+  if (invalid) {
+    return { groups, error: `${invalid} is not a Pfam accession such as PF00959` };
+  }
+
+  return { groups: groups.map(group => [...new Set(group)]), error: null };
+}
+
+/**
+ * Regular expressions an architecture string must match
+ *
+ * @param {Array<Array<string>>} groups - Result of parseArchitectureQuery
+ * @param {string} mode - 'ordered': groups appear in this order, other domains allowed in between;
+ *                        'any': every group appears, in any order;
+ *                        'exact': only these domains in this order (tandem repeats allowed)
+ * @returns {Array<string>} Patterns valid in both JavaScript and PostgreSQL
+ */
+export function buildArchitecturePatterns(groups, mode = 'ordered') {
+  const alternatives = groups.map(group => `(${group.join('|')})`);
+
+  if (mode === 'exact') {
+    return [`^${alternatives.map(alt => `${alt}( ${alt})*`).join(' ')}$`];
+  }
+
+  if (mode === 'any') {
+    return alternatives.map(alt => `(^| )${alt}( |$)`);
+  }
+
+  return [`(^| )${alternatives.join('( [^ ]+)* ')}( |$)`];
+}
+
+/**
+ * Check one entries_header against an architecture query
+ *
+ * @param {string} header - entries_header value
+ * @param {Array<Array<string>>} groups - Result of parseArchitectureQuery
+ * @param {string} mode - See buildArchitecturePatterns
+ * @returns {boolean}
+ */
+export function matchesArchitecture(header, groups, mode = 'ordered') {
+  const architecture = getArchitectureString(parseEntriesHeader(header));
+  return buildArchitecturePatterns(groups, mode).every(pattern => new RegExp(pattern).test(architecture));
+}
+
+/**
+ * Group entries by architecture, largest group first
+ *
+ * @param {Array} entries - Protein objects with entries_header
+ * @returns {Array<{architecture: string, entries: Array}>} Entries keep their order within a group
+ */
+export function groupEntriesByArchitecture(entries) {
+  const groups = new Map();
+
+  entries.forEach(entry => {
+    const architecture = getArchitectureString(parseEntriesHeader(entry.entries_header));
+    if (!groups.has(architecture)) {
+      groups.set(architecture, []);
+    }
+    groups.get(architecture).push(entry);
+  });
+
+  return [...groups.entries()]
+    .map(([architecture, groupEntries]) => ({ architecture, entries: groupEntries }))
+    .sort((a, b) => b.entries.length - a.entries.length);
+}
@@ -0,0 +1,203 @@
+import { describe, expect, it } from 'vitest';
+import {
+  assignDomainLanes,
+  buildArchitecturePatterns,
+  getArchitectureString,
+  getDomainLinkers,
+  getDomainSegments,
+  getDomainSpan,
+  groupEntriesByArchitecture,
+  matchesArchitecture,
+  parseArchitectureQuery,
+  parseEntriesHeader,
+  MAX_ARCHITECTURE_GROUPS
+} from './domainAnnotations';
+
+describe('parseEntriesHeader', () => {
+  it('parses one domain with one range', () => {
+    expect(parseEntriesHeader('PF03245(27...149)')).toEqual([
+      { accession: 'PF03245', ranges: [{ start: 27, end: 149 }] }
+    ]);
+  });
+
+  it('parses discontinuous domains and several domains in header order', () => {
+    expect(parseEntriesHeader('PF05105(4...120) PF00704(355...427,34...320)')).toEqual([
+      { accession: 'PF05105', ranges: [{ start: 4, end: 120 }] },
+      { accession: 'PF00704', ranges: [{ start: 34, end: 320 }, { start: 355, end: 427 }] }
+    ]);
+  });
+
+  it('accepts the other separators and range notations', () => {
+    expect(parseEntriesHeader('pf00959 (12..150); PF01510(150-290)|PF01476(300 ... 340)')).toEqual([
+      { accession: 'PF00959', ranges: [{ start: 12, end: 150 }] },
+      { accession: 'PF01510', ranges: [{ start: 150, end: 290 }] },
+      { accession: 'PF01476', ranges: [{ start: 300, end: 340 }] }
+    ]);
+  });
+
+  it('swaps reversed bounds', () => {
+    expect(parseEntriesHeader('PF03245(149...27)')[0].ranges).toEqual([{ start: 27, end: 149 }]);
+  });
+
+  it('keeps the readable domains of a partly malformed header', () => {
+    expect(parseEntriesHeader('PF00001(abc) PF00002(0...10) PF00003(5...9, x) junk')).toEqual([
+      { accession: 'PF00003', ranges: [{ start: 5, end: 9 }] }
+    ]);
+  });
+
+  it('returns nothing for empty or non-string headers', () => {
+    expect(parseEntriesHeader('')).toEqual([]);
+    expect(parseEntriesHeader(null)).toEqual([]);
+    expect(parseEntriesHeader(42)).toEqual([]);
+  });
+});
+
+describe('getDomainSegments', () => {
+  it('flattens ranges into segments sorted by start', () => {
+    const domains = parseEntriesHeader('PF00704(34...320,355...427) PF05105(4...20)');
+
+    expect(getDomainSegments(domains)).toEqual([
+      { domain: 'PF05105', start: 4, end: 20, length: 17, segmentNumber: 1, totalSegments: 1 },
+      { domain: 'PF00704', start: 34, end: 320, length: 287, segmentNumber: 1, totalSegments: 2 },
+      { domain: 'PF00704', start: 355, end: 427, length: 73, segmentNumber: 2, totalSegments: 2 }
+    ]);
+  });
+});
+
+describe('getDomainSpan', () => {
+  it('covers every range', () => {
+    expect(getDomainSpan(parseEntriesHeader('PF00704(34...320,355...427) PF05105(4...20)'))).toEqual({ start: 4, end: 427 });
+  });
+
+  it('is null without domains', () => {
+    expect(getDomainSpan([])).toBeNull();
+  });
+});
+
+describe('assignDomainLanes', () => {
+  const lanesOf = header => assignDomainLanes(getDomainSegments(parseEntriesHeader(header)));
+
+  it('keeps non-overlapping domains on one lane', () => {
+    const { segments, laneCount } = lanesOf('PF00001(1...50) PF00002(51...100)');
+    expect(laneCount).toBe(1);
+    expect(segments.map(segment => segment.lane)).toEqual([0, 0]);
+  });
+
+  it('moves overlapping domains to the first free lane', () => {
+    const { segments, laneCount } = lanesOf('PF00001(1...100) PF00002(40...60) PF00003(70...90) PF00004(120...130)');
+    expect(laneCount).toBe(2);
+    expect(segments.map(segment => [segment.domain, segment.lane])).toEqual([
+      ['PF00001', 0],
+      ['PF00002', 1],
+      ['PF00003', 1],
+      ['PF00004', 0]
+    ]);
+  });
+
+  it('has one lane without segments', () => {
+    expect(assignDomainLanes([])).toEqual({ segments: [], laneCount: 1 });
+  });
+});
+
+describe('getDomainLinkers', () => {
+  const linkersOf = header => getDomainLinkers(getDomainSegments(parseEntriesHeader(header)));
+
+  it('reports the gaps between different domains', () => {
+    expect(linkersOf('PF00001(1...50) PF00002(61...100)')).toEqual([
+      { start: 51, end: 60, length: 10, from: 'PF00001', to: 'PF00002' }
+    ]);
+  });
+
+  it('has no linker between adjacent or overlapping domains', () => {
+    expect(linkersOf('PF00001(1...50) PF00002(51...100)')).toEqual([]);
+    expect(linkersOf('PF00001(1...100) PF00002(40...60) PF00003(80...120)')).toEqual([]);
+  });
+
+  it('measures from the domain reaching furthest', () => {
+    expect(linkersOf('PF00001(1...100) PF00002(20...30) PF00003(111...150)')).toEqual([
+      { start: 101, end: 110, length: 10, from: 'PF00001', to: 'PF00003' }
+    ]);
+  });
+
+  it('does not count gaps inside a discontinuous domain', () => {
+    expect(linkersOf('PF00704(34...320,355...427)')).toEqual([]);
+  });
+});
+
+describe('getArchitectureString', () => {
+  it('orders accessions by where each domain starts', () => {
+    expect(getArchitectureString(parseEntriesHeader('PF01476(300...340) PF01510(150...290,350...360)'))).toBe('PF01510 PF01476');
+    expect(getArchitectureString([])).toBe('');
+  });
+});
+
+describe('parseArchitectureQuery', () => {
+  it('reads comma separated groups of alternatives', () => {
+    expect(parseArchitectureQuery(' pf01510 | PF05257, PF01476|pf01476 ')).toEqual({
+      groups: [['PF01510', 'PF05257'], ['PF01476']],
+      error: null
+    });
+  });
+
+  it('rejects empty, oversized and non-Pfam queries', () => {
+    expect(parseArchitectureQuery(' , ').error).toMatch('at least one Pfam accession');
+    expect(parseArchitectureQuery(Array(MAX_ARCHITECTURE_GROUPS + 1).fill('PF00001').join(',')).error).toMatch('at most');
+    expect(parseArchitectureQuery('PF01510, IPR000064').error).toBe('IPR000064 is not a Pfam accession such as PF00959');
+  });
+});
+
+describe('buildArchitecturePatterns', () => {
+  const groups = [['PF01510', 'PF05257'], ['PF01476']];
+
+  it('builds one pattern per mode, or one per group for any order', () => {
+    expect(buildArchitecturePatterns(groups, 'ordered')).toEqual(['(^| )(PF01510|PF05257)( [^ ]+)* (PF01476)( |$)']);
+    expect(buildArchitecturePatterns(groups, 'any')).toEqual(['(^| )(PF01510|PF05257)( |$)', '(^| )(PF01476)( |$)']);
+    expect(buildArchitecturePatterns(groups, 'exact')).toEqual(['^(PF01510|PF05257)( (PF01510|PF05257))* (PF01476)( (PF01476))*$']);
+  });
+});
+
+describe('matchesArchitecture', () => {
+  const groups = parseArchitectureQuery('PF01510|PF05257, PF01476').groups;
+  const headers = {
+    exact: 'PF01510(10...150) PF01476(200...250)',
+    alternative: 'PF05257(10...150) PF01476(200...250)',
+    between: 'PF01510(10...150) PF00959(160...190) PF01476(200...250)',
+    reversed: 'PF01476(10...60) PF01510(100...250)',
+    tandem: 'PF01510(10...150) PF01476(200...250) PF01476(260...300)',
+    missing: 'PF01510(10...150)'
+  };
+  const matching = mode => Object.keys(headers).filter(key => matchesArchitecture(headers[key], groups, mode));
+
+  it('ordered: groups in order, other domains allowed in between', () => {
+    expect(matching('ordered')).toEqual(['exact', 'alternative', 'between', 'tandem']);
+  });
+
+  it('any: every group in any order', () => {
+    expect(matching('any')).toEqual(['exact', 'alternative', 'between', 'reversed', 'tandem']);
+  });
+
+  it('exact: only these domains in order, tandem repeats allowed', () => {
+    expect(matching('exact')).toEqual(['exact', 'alternative', 'tandem']);
+  });
+
+  it('does not match an accession that only starts with a queried one', () => {
+    expect(matchesArchitecture('PF014760(1...50)', [['PF01476']], 'any')).toBe(false);
+  });
+});
+
+describe('groupEntriesByArchitecture', () => {
+  it('groups entries by architecture, largest group first', () => {
+    const entries = [
+      { id: 1, entries_header: 'PF00959(1...100)' },
+      { id: 2, entries_header: 'PF01510(1...100) PF01476(120...160)' },
+      { id: 3, entries_header: 'PF00959(5...90)' },
+      { id: 4, entries_header: null }
+    ];
+
+    expect(groupEntriesByArchitecture(entries).map(group => [group.architecture, group.entries.map(entry => entry.id)])).toEqual([
+      ['PF00959', [1, 3]],
+      ['PF01510 PF01476', [2]],
+      ['', [4]]
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+import { supabase } from './supabase';
+
+const DOMAIN_COLUMNS = 'accession, name, description, type, clan_accession, clan_name, protein_count';
+
+// Characters with a meaning in PostgREST or() filters and ilike patterns
+const UNSAFE_SEARCH_CHARS = /[,()%*\\]/g;
+
+/**
+ * Pfam domain catalog (the domains table, see create_domains.sql)
+ */
+export class DomainService {
+  constructor() {
+    this.cache = new Map();
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+  }
+
+  setCache(key, data) {
+    this.cache.set(key, {
+      data,
+      timestamp: Date.now()
+    });
+
+    setTimeout(() => {
+      this.cache.delete(key);
+    }, this.cacheTimeout);
+  }
+
+  getCache(key) {
+    const cached = this.cache.get(key);
+    if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
+      return cached.data;
+    }
+    return null;
+  }
+
+  /**
+   * Search the catalog by accession, name or description
+   * @param {string} query - Search text; empty for the most common domains
+   * @param {number} limit - Maximum number of domains
+   * @returns {Promise<Array>} - Domains, most annotated proteins first
+   */
+  async searchDomains(query = '', limit = 50) {
+    const term = query.replace(UNSAFE_SEARCH_CHARS, ' ').trim();
+    const cacheKey = `search-${term.toLowerCase()}-${limit}`;
+    const cached = this.getCache(cacheKey);
+
+    if (cached) {
+      return cached;
+    }
+
+    let request = supabase.from('domains').select(DOMAIN_COLUMNS);
+
+    if (term) {
+      request = request.or(`accession.ilike.%${term}%,name.ilike.%${term}%,description.ilike.%${term}%`);
+    }
+
+    const { data, error } = await request
+      .order('protein_count', { ascending: false })
+      .order('accession', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      console.error('Domain search error:', error);
+      throw new Error(`Domain search failed: ${error.message || JSON.stringify(error)}`);
+    }
+
+    this.setCache(cacheKey, data);
+    return data;
+  }
+
+  /**
+   * Look up catalog entries for the given accessions
+   * @param {Array<string>} accessions - Pfam accessions, e.g. ['PF01510', 'PF01476']
+   * @returns {Promise<Array>} - Known domains; accessions missing from the catalog are left out
+   */
+  async fetchDomains(accessions) {
+    const missing = accessions.filter(accession => !this.getCache(`domain-${accession}`));
+
+    if (missing.length > 0) {
+      const { data, error } = await supabase
+        .from('domains')
+        .select(DOMAIN_COLUMNS)
+        .in('accession', missing);
+
+      if (error) {
+        console.error('Domain lookup error:', error);
+        throw new Error(`Domain lookup failed: ${error.message || JSON.stringify(error)}`);
+      }
+
+      data.forEach(domain => this.setCache(`domain-${domain.accession}`, domain));
+    }
+
+    return accessions
+      .map(accession => this.getCache(`domain-${accession}`))
+      .filter(Boolean);
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+export const domainService = new DomainService();
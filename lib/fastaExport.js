@@ -0,0 +1,209 @@
+/**
+ * FASTA Export Utility
+ *
+ * Converts protein entries into FASTA, the format expected by alignment,
+ * HMMER and structure prediction tools, and triggers a download.
+ *
+ * Each record is a header line starting with ">" followed by the sequence,
+ * wrapped at a fixed number of residues per line:
+ *
+ *   >A0A1B2C3D4 Endolysin OS=Escherichia phage T4 DOMAINS=PF00959 (12..150)
+ *   MNIFEMLRIDEGLRLKIYKDTEGYYTIGIGHLLTKSPSLNAAKSELDKAIGRNTNGVITKDEAEKLFNQDVDAAVRGI
+ *   ...
+ *
+ * Saved proteins also carry their annotations, e.g. "PRIORITY=4 TAGS=lysin,CBD".
+ * Notes are left out: they are free text over several lines, and the CSV export has them.
+ */
+
+import { downloadFile } from './csvExport';
+
+// Most tools accept any width; 60 matches UniProt and NCBI downloads
+export const DEFAULT_FASTA_LINE_WIDTH = 60;
+
+// Widest wrapping /api/export accepts; 0 (one line per sequence) is allowed too
+export const MAX_FASTA_LINE_WIDTH = 10000;
+
+// Choices offered next to the FASTA export buttons
+export const FASTA_LINE_WIDTHS = [
+  { value: 60, label: '60 per line' },
+  { value: 80, label: '80 per line' },
+  { value: 0, label: 'Unwrapped' }
+];
+
+const LINE_WIDTH_STORAGE_KEY = 'fastaLineWidth';
+
+// Picked in this page load; also kept in localStorage for the next visit
+let pickedLineWidth = null;
+
+/**
+ * Parse a line width from a query parameter or stored preference
+ *
+ * @param {string|number|null} value - Residues per line; empty uses the default
+ * @returns {number|null} Line width, or null when not an integer from 0 to MAX_FASTA_LINE_WIDTH
+ */
+export function parseLineWidth(value) {
+  if (value === null || value === undefined || value === '') {
+    return DEFAULT_FASTA_LINE_WIDTH;
+  }
+  const lineWidth = Number(value);
+  return Number.isInteger(lineWidth) && lineWidth >= 0 && lineWidth <= MAX_FASTA_LINE_WIDTH ? lineWidth : null;
+}
+
+/**
+ * The line width picked for FASTA exports in this browser, shared by every export button
+ *
+ * @returns {number} Residues per line
+ */
+export function getFastaLineWidth() {
+  if (pickedLineWidth !== null) {
+    return pickedLineWidth;
+  }
+  if (typeof window === 'undefined') {
+    return DEFAULT_FASTA_LINE_WIDTH;
+  }
+  try {
+    const stored = parseLineWidth(window.localStorage.getItem(LINE_WIDTH_STORAGE_KEY));
+    return FASTA_LINE_WIDTHS.some(option => option.value === stored) ? stored : DEFAULT_FASTA_LINE_WIDTH;
+  } catch {
+    // Storage disabled (e.g. private browsing settings)
+    return DEFAULT_FASTA_LINE_WIDTH;
+  }
+}
+
+/**
+ * Remember the line width for later FASTA exports
+ *
+ * @param {number} lineWidth - Residues per line; 0 keeps each sequence on one line
+ */
+export function setFastaLineWidth(lineWidth) {
+  pickedLineWidth = lineWidth;
+  try {
+    window.localStorage.setItem(LINE_WIDTH_STORAGE_KEY, String(lineWidth));
+  } catch {
+    // Only remembered until the page is reloaded
+  }
+}
+
+/**
+ * Build the FASTA header for one entry (without the leading ">")
+ *
+ * @param {Object} entry - Protein object (accession, name, source_organism_full_name, entries_header,
+ *   and for saved proteins priority and tags)
+ * @returns {string} Header text
+ *
+ * The first word is the identifier most tools key on, so it is the accession
+ * (falling back to the database id). Line breaks are removed from every field
+ * because a header must stay on one line.
+ */
+export function buildFastaHeader(entry) {
+  const clean = value => String(value || '').replace(/\s+/g, ' ').trim();
+
+  const parts = [clean(entry.accession) || String(entry.id)];
+
+  if (clean(entry.name)) {
+    parts.push(clean(entry.name));
+  }
+
+  const organism = clean(entry.source_organism_full_name || entry.organism);
+  if (organism) {
+    parts.push(`OS=${organism}`);
+  }
+
+  if (clean(entry.entries_header)) {
+    parts.push(`DOMAINS=${clean(entry.entries_header)}`);
+  }
+
+  if (entry.priority) {
+    parts.push(`PRIORITY=${entry.priority}`);
+  }
+
+  const tags = (entry.tags || []).map(clean).filter(Boolean);
+  if (tags.length > 0) {
+    parts.push(`TAGS=${tags.join(',')}`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Split a sequence into lines of `lineWidth` residues
+ *
+ * @param {string} sequence - Amino acid sequence
+ * @param {number} lineWidth - Residues per line; 0 keeps the sequence on one line
+ * @returns {string} Wrapped sequence
+ */
+export function wrapSequence(sequence, lineWidth = DEFAULT_FASTA_LINE_WIDTH) {
+  const residues = String(sequence || '').replace(/\s+/g, '');
+  if (!lineWidth || lineWidth <= 0) {
+    return residues;
+  }
+
+  const lines = [];
+  for (let i = 0; i < residues.length; i += lineWidth) {
+    lines.push(residues.substring(i, i + lineWidth));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Converts an array of protein entries into FASTA format
+ *
+ * @param {Array} data - Array of protein objects (must include `sequence`)
+ * @param {Object} options - { lineWidth }
+ * @returns {{fasta: string, skipped: number}} FASTA text and the number of entries without a sequence
+ */
+export function convertToFASTA(data, options = {}) {
+  const lineWidth = options.lineWidth ?? DEFAULT_FASTA_LINE_WIDTH;
+
+  if (!data || data.length === 0) {
+    return { fasta: '', skipped: 0 };
+  }
+
+  // Entries without a sequence cannot be represented in FASTA
+  const withSequence = data.filter(entry => entry.sequence);
+
+  const records = withSequence.map(entry =>
+    `>${buildFastaHeader(entry)}\n${wrapSequence(entry.sequence, lineWidth)}`
+  );
+
+  return {
+    fasta: records.length > 0 ? `${records.join('\n')}\n` : '',
+    skipped: data.length - withSequence.length
+  };
+}
+
+/**
+ * Main export function - converts data to FASTA and triggers download
+ *
+ * @param {Array} data - Array of protein objects to export
+ * @param {string} filename - Optional filename (defaults to timestamped name)
+ * @param {Object} options - { lineWidth }
+ * @returns {number} Number of records written
+ */
+export function exportToFASTA(data, filename, options = {}) {
+  if (!data || data.length === 0) {
+    console.warn('No data to export');
+    return 0;
+  }
+
+  if (!filename) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    filename = `protein-data-export-${timestamp}.fasta`;
+  }
+
+  const { fasta, skipped } = convertToFASTA(data, options);
+
+  if (skipped > 0) {
+    console.warn(`${skipped} entries have no sequence and were left out of the FASTA export`);
+  }
+
+  if (!fasta) {
+    return 0;
+  }
+
+  downloadFile(fasta, filename, 'text/plain;charset=utf-8;');
+
+  const written = data.length - skipped;
+  console.log(`Exported ${written} sequences to ${filename}`);
+  return written;
+}
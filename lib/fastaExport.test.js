@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildFastaHeader,
+  convertToFASTA,
+  parseLineWidth,
+  wrapSequence,
+  DEFAULT_FASTA_LINE_WIDTH,
+  MAX_FASTA_LINE_WIDTH
+} from './fastaExport';
+
+const entry = {
+  id: 7,
+  accession: 'A0A1B2C3D4',
+  name: 'Endolysin',
+  source_organism_full_name: 'Escherichia phage T4',
+  entries_header: 'PF00959 (12..150)',
+  sequence: 'MNIFEMLRIDEGLRLKIYKDTEGYYTIGIGHLLTKSPSLNAAKSELDKAIGRNTNGVITKDEAEKLFNQDVDAAVRGI'
+};
+
+describe('buildFastaHeader', () => {
+  it('starts with the accession and adds name, organism and domains', () => {
+    expect(buildFastaHeader(entry)).toBe('A0A1B2C3D4 Endolysin OS=Escherichia phage T4 DOMAINS=PF00959 (12..150)');
+  });
+
+  it('falls back to the id and skips empty fields', () => {
+    expect(buildFastaHeader({ id: 7, name: ' ', organism: 'Staphylococcus aureus' })).toBe('7 OS=Staphylococcus aureus');
+  });
+
+  it('adds the priority and tags of saved proteins', () => {
+    expect(buildFastaHeader({ accession: 'P1', priority: 4, tags: ['lysin', ' CBD ', ''], notes: 'Not\nexported' }))
+      .toBe('P1 PRIORITY=4 TAGS=lysin,CBD');
+    expect(buildFastaHeader({ accession: 'P1', priority: null, tags: [] })).toBe('P1');
+  });
+
+  it('keeps the header on one line', () => {
+    expect(buildFastaHeader({ accession: 'P1', name: 'Putative\nlysin\t protein' })).toBe('P1 Putative lysin protein');
+  });
+});
+
+describe('wrapSequence', () => {
+  it('wraps at the default width', () => {
+    const lines = wrapSequence('A'.repeat(130)).split('\n');
+    expect(lines.map(line => line.length)).toEqual([DEFAULT_FASTA_LINE_WIDTH, DEFAULT_FASTA_LINE_WIDTH, 10]);
+  });
+
+  it('keeps the sequence on one line for width 0', () => {
+    expect(wrapSequence('MKT AYI\nAKQ', 0)).toBe('MKTAYIAKQ');
+  });
+
+  it('wraps at a given width', () => {
+    expect(wrapSequence('MKTAYIAKQ', 4)).toBe('MKTA\nYIAK\nQ');
+  });
+});
+
+describe('convertToFASTA', () => {
+  it('writes one record per entry with a sequence', () => {
+    const { fasta, skipped } = convertToFASTA([entry, { id: 8, accession: 'P2' }], { lineWidth: 0 });
+
+    expect(fasta).toBe(`>${buildFastaHeader(entry)}\n${entry.sequence}\n`);
+    expect(skipped).toBe(1);
+  });
+
+  it('returns empty text without entries', () => {
+    expect(convertToFASTA([])).toEqual({ fasta: '', skipped: 0 });
+    expect(convertToFASTA([{ id: 1 }])).toEqual({ fasta: '', skipped: 1 });
+  });
+});
+
+describe('parseLineWidth', () => {
+  it('uses the default when not given', () => {
+    expect(parseLineWidth(null)).toBe(DEFAULT_FASTA_LINE_WIDTH);
+    expect(parseLineWidth('')).toBe(DEFAULT_FASTA_LINE_WIDTH);
+  });
+
+  it('accepts integers from 0 to the maximum', () => {
+    expect(parseLineWidth('0')).toBe(0);
+    expect(parseLineWidth('80')).toBe(80);
+    expect(parseLineWidth(String(MAX_FASTA_LINE_WIDTH))).toBe(MAX_FASTA_LINE_WIDTH);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of ['-1', '1.5', 'wide', String(MAX_FASTA_LINE_WIDTH + 1)]) {
+      expect(parseLineWidth(value)).toBeNull();
+    }
+  });
+});
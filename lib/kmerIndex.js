@@ -0,0 +1,181 @@
+import { supabase } from './supabase';
+
+export const KMER_SIZE = 5;
+
+// Upper bounds keep the seeding RPC and the verification fetch small
+const MAX_QUERY_KMERS = 40;
+const MAX_VERIFY_BATCH = 200;
+
+// A missing index is looked for again after this long, so building it needs no restart
+const UNAVAILABLE_RECHECK_MS = 5 * 60 * 1000;
+
+/**
+ * Split a sequence into its distinct overlapping k-mers
+ * @param {string} sequence - Cleaned amino acid sequence
+ * @returns {Array<string>}
+ */
+export function extractKmers(sequence) {
+  const kmers = new Set();
+  for (let i = 0; i + KMER_SIZE <= sequence.length; i++) {
+    kmers.add(sequence.substring(i, i + KMER_SIZE));
+  }
+  return [...kmers];
+}
+
+/**
+ * Pick at most `max` k-mers spread evenly over the query
+ * @param {Array<string>} kmers - Distinct k-mers of the query, in sequence order
+ * @param {number} max - Maximum number of k-mers to keep
+ * @returns {Array<string>}
+ */
+export function spreadKmers(kmers, max = MAX_QUERY_KMERS) {
+  if (kmers.length <= max) return kmers;
+  const step = kmers.length / max;
+  return Array.from({ length: max }, (_, i) => kmers[Math.floor(i * step)]);
+}
+
+export class KmerIndexService {
+  constructor() {
+    this.available = null; // null = not checked yet
+    this.checkedAt = 0;
+  }
+
+  /**
+   * Check whether the protein_kmers table exists and has been built. Once found the
+   * index stays available; a failed or empty check is repeated after UNAVAILABLE_RECHECK_MS.
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    if (this.available) return true;
+    if (this.available === false && Date.now() - this.checkedAt < UNAVAILABLE_RECHECK_MS) return false;
+
+    try {
+      const { data, error } = await supabase
+        .from('protein_kmers')
+        .select('protein_id')
+        .limit(1);
+
+      this.available = !error && Array.isArray(data) && data.length > 0;
+    } catch (error) {
+      console.warn('k-mer index check failed:', error.message);
+      this.available = false;
+    }
+    this.checkedAt = Date.now();
+
+    console.log(`k-mer index ${this.available ? 'available' : 'not available'}`);
+    return this.available;
+  }
+
+  /**
+   * Protein ids sharing at least `minHits` of the given k-mers, best seeded first
+   * @param {Array<string>} kmers - Query k-mers
+   * @param {number} minHits - Minimum number of shared k-mers
+   * @param {number} limit - Maximum number of candidates
+   * @param {Object} options - { signal }: aborts the request
+   * @returns {Promise<Array<{protein_id: number, hits: number}>>}
+   */
+  async seedCandidates(kmers, minHits = 1, limit = 500, { signal } = {}) {
+    let request = supabase.rpc('seed_proteins_by_kmers', {
+      p_kmers: kmers,
+      p_min_hits: minHits,
+      p_limit: limit
+    });
+    if (signal) request = request.abortSignal(signal);
+
+    const { data, error } = await request;
+
+    if (error) {
+      console.error('k-mer seeding error:', error);
+      throw new Error(error.message || 'k-mer seeding failed');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Fetch full rows (including sequence) for seeded candidates, in seed order
+   * @param {Array<number>} proteinIds - Candidate ids
+   * @param {Object} options - { signal }: aborts the requests
+   * @returns {Promise<Array>}
+   */
+  async fetchCandidateProteins(proteinIds, { signal } = {}) {
+    const rows = [];
+
+    for (let i = 0; i < proteinIds.length; i += MAX_VERIFY_BATCH) {
+      const batch = proteinIds.slice(i, i + MAX_VERIFY_BATCH);
+      let request = supabase
+        .from('proteins')
+        .select('id, accession, name, source_organism_full_name, entries_header, length, sequence')
+        .in('id', batch);
+      if (signal) request = request.abortSignal(signal);
+
+      const { data, error } = await request;
+
+      if (error) {
+        console.error('Candidate fetch error:', error);
+        throw new Error(error.message || 'Failed to fetch candidate proteins');
+      }
+
+      rows.push(...(data || []));
+    }
+
+    const order = new Map(proteinIds.map((id, index) => [id, index]));
+    return rows.sort((a, b) => order.get(a.id) - order.get(b.id));
+  }
+
+  /**
+   * Exact substring search - every k-mer of the query must be present in a match,
+   * so candidates are seeded with all (spread) query k-mers and then verified.
+   * @param {string} sequence - Cleaned query, at least KMER_SIZE long
+   * @param {number} limit - Maximum number of candidates to verify
+   * @returns {Promise<{data: Array, isCapped: boolean}>}
+   */
+  async findContaining(sequence, limit = 2000) {
+    const kmers = spreadKmers(extractKmers(sequence));
+    const seeds = await this.seedCandidates(kmers, kmers.length, limit);
+    const candidates = await this.fetchCandidateProteins(seeds.map(seed => seed.protein_id));
+
+    return {
+      data: candidates
+        .filter(protein => protein.sequence && protein.sequence.includes(sequence))
+        .sort((a, b) => a.id - b.id),
+      isCapped: seeds.length >= limit
+    };
+  }
+
+  /**
+   * Candidates containing at least `minHits` of the given k-mers, in id order.
+   * Verification (e.g. a pattern match) is left to the caller.
+   * @param {Array<string>} kmers - k-mers every match is expected to contain
+   * @param {number} minHits - Minimum number of shared k-mers
+   * @param {number} limit - Maximum number of candidates
+   * @returns {Promise<{data: Array, isCapped: boolean}>}
+   */
+  async findCandidates(kmers, minHits, limit = 2000) {
+    const seeds = await this.seedCandidates(kmers, minHits, limit);
+    const candidates = await this.fetchCandidateProteins(seeds.map(seed => seed.protein_id));
+
+    return {
+      data: candidates.sort((a, b) => a.id - b.id),
+      isCapped: seeds.length >= limit
+    };
+  }
+
+  /**
+   * Approximate search - candidates sharing the most k-mers with the query.
+   * Verification (alignment) is left to the caller.
+   * @param {string} sequence - Cleaned query, at least KMER_SIZE long
+   * @param {number} limit - Maximum number of candidates
+   * @param {Object} options - { signal }: aborts the requests
+   * @returns {Promise<Array>}
+   */
+  async findSimilarCandidates(sequence, limit = 300, { signal } = {}) {
+    const kmers = spreadKmers(extractKmers(sequence));
+    // Require two shared k-mers for longer queries to skip chance matches
+    const minHits = kmers.length >= 10 ? 2 : 1;
+    const seeds = await this.seedCandidates(kmers, minHits, limit, { signal });
+    return this.fetchCandidateProteins(seeds.map(seed => seed.protein_id), { signal });
+  }
+}
+
+export const kmerIndexService = new KmerIndexService();
@@ -0,0 +1,87 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { supabase } from './supabase';
+import { extractKmers, spreadKmers, KmerIndexService, KMER_SIZE } from './kmerIndex';
+
+vi.mock('./supabase', () => ({ supabase: { from: vi.fn() } }));
+
+// from('protein_kmers').select(...).limit(1) resolving to the given result
+const mockIndexCheck = (result) => {
+  supabase.from.mockReturnValue({
+    select: () => ({ limit: () => Promise.resolve(result) })
+  });
+};
+
+describe('extractKmers', () => {
+  it('returns the distinct overlapping k-mers in sequence order', () => {
+    expect(KMER_SIZE).toBe(5);
+    expect(extractKmers('MKTAYIA')).toEqual(['MKTAY', 'KTAYI', 'TAYIA']);
+    expect(extractKmers('AAAAAAA')).toEqual(['AAAAA']);
+  });
+
+  it('returns nothing for sequences shorter than a k-mer', () => {
+    expect(extractKmers('MKTA')).toEqual([]);
+  });
+});
+
+describe('spreadKmers', () => {
+  it('keeps short lists as they are', () => {
+    expect(spreadKmers(['A', 'B', 'C'], 5)).toEqual(['A', 'B', 'C']);
+  });
+
+  it('picks k-mers spread evenly over the query', () => {
+    const kmers = Array.from({ length: 10 }, (_, i) => `K${i}`);
+    expect(spreadKmers(kmers, 5)).toEqual(['K0', 'K2', 'K4', 'K6', 'K8']);
+  });
+});
+
+describe('KmerIndexService.isAvailable', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    supabase.from.mockReset();
+  });
+
+  it('checks a found index only once', async () => {
+    const service = new KmerIndexService();
+    mockIndexCheck({ data: [{ protein_id: 1 }], error: null });
+
+    expect(await service.isAvailable()).toBe(true);
+    vi.advanceTimersByTime(60 * 60 * 1000);
+    expect(await service.isAvailable()).toBe(true);
+    expect(supabase.from).toHaveBeenCalledTimes(1);
+  });
+
+  it('looks for a missing index again after five minutes', async () => {
+    const service = new KmerIndexService();
+    mockIndexCheck({ data: [], error: null });
+
+    expect(await service.isAvailable()).toBe(false);
+    vi.advanceTimersByTime(60 * 1000);
+    expect(await service.isAvailable()).toBe(false);
+    expect(supabase.from).toHaveBeenCalledTimes(1);
+
+    mockIndexCheck({ data: [{ protein_id: 1 }], error: null });
+    vi.advanceTimersByTime(5 * 60 * 1000);
+    expect(await service.isAvailable()).toBe(true);
+    expect(supabase.from).toHaveBeenCalledTimes(2);
+  });
+
+  it('treats a failed check as unavailable for now', async () => {
+    const service = new KmerIndexService();
+    supabase.from.mockImplementation(() => {
+      throw new Error('fetch failed');
+    });
+
+    expect(await service.isAvailable()).toBe(false);
+
+    mockIndexCheck({ data: [{ protein_id: 1 }], error: null });
+    vi.advanceTimersByTime(5 * 60 * 1000);
+    expect(await service.isAvailable()).toBe(true);
+  });
+});
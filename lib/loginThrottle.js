@@ -0,0 +1,76 @@
+import { supabaseAdmin } from './supabaseServer';
+
+// Failures allowed before a lockout; the first lockout lasts 15 minutes and each
+// further one doubles (capped at 24 hours in SQL). See create_login_throttle.sql.
+export const MAX_LOGIN_ATTEMPTS = 5;
+const BASE_LOCKOUT_SECONDS = 15 * 60;
+const RESET_AFTER_SECONDS = 60 * 60;
+
+const secondsUntil = (timestamp) =>
+  timestamp ? Math.max(Math.ceil((new Date(timestamp).getTime() - Date.now()) / 1000), 0) : 0;
+
+export class LoginThrottleService {
+  /**
+   * Claim a login attempt for the client keys. The check and the count happen in one
+   * database call, so concurrent requests cannot all pass; the attempt counts as a
+   * failure until recordSuccess() takes it back.
+   * @param {Array<string>} keys - e.g. ['ip:203.0.113.7', 'client:<uuid>']
+   * @returns {Promise<Object>} - { allowed, locked, retryAfter, lockedUntil, remainingAttempts };
+   *   for an allowed attempt the state is the one a failure of it leaves behind
+   */
+  async claim(keys) {
+    const { data, error } = await supabaseAdmin.rpc('claim_login_attempt', {
+      p_keys: keys,
+      p_max_attempts: MAX_LOGIN_ATTEMPTS,
+      p_base_lockout_seconds: BASE_LOCKOUT_SECONDS,
+      p_reset_after_seconds: RESET_AFTER_SECONDS
+    });
+
+    if (error) {
+      console.error('Error claiming login attempt:', error);
+      throw new Error('Login is temporarily unavailable');
+    }
+
+    const state = data?.[0] || {};
+    const lockedUntil = secondsUntil(state.locked_until) > 0 ? state.locked_until : null;
+
+    return {
+      allowed: Boolean(state.allowed),
+      locked: Boolean(lockedUntil),
+      retryAfter: Math.max(secondsUntil(state.locked_until), secondsUntil(state.next_attempt_at)),
+      lockedUntil,
+      remainingAttempts: lockedUntil ? 0 : Math.max(MAX_LOGIN_ATTEMPTS - (state.failed_count || 0), 0)
+    };
+  }
+
+  /**
+   * Clear failure counts after a successful login (lockout history is kept)
+   * @param {Array<string>} keys - Client keys
+   */
+  async recordSuccess(keys) {
+    const { error } = await supabaseAdmin.rpc('record_login_success', { p_keys: keys });
+
+    if (error) console.warn('Failed to reset login throttle:', error.message);
+  }
+
+  /**
+   * Append to the login audit log without delaying the response
+   * @param {Object} entry - { ip, clientId, userAgent, code, outcome }
+   */
+  audit({ ip, clientId, userAgent, code, outcome }) {
+    supabaseAdmin
+      .from('login_audit_log')
+      .insert({
+        ip_address: ip,
+        client_id: clientId || null,
+        user_agent: userAgent?.substring(0, 500) || null,
+        code_hint: code ? `${code.substring(0, 2)}****` : null,
+        outcome
+      })
+      .then(({ error }) => {
+        if (error) console.warn('Failed to write login audit log:', error.message);
+      });
+  }
+}
+
+export const loginThrottleService = new LoginThrottleService();
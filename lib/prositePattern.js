@@ -0,0 +1,299 @@
+/**
+ * PROSITE Pattern Matching
+ *
+ * Parses PROSITE-style motif patterns such as `C-x(2)-C-x(3)-[HY]` and finds
+ * every occurrence in a protein sequence, optionally tolerating mismatches.
+ *
+ * Supported syntax:
+ * - `A`        a single residue
+ * - `x`        any residue
+ * - `[ACD]`    any of the listed residues
+ * - `{PG}`     any residue except the listed ones
+ * - `(n)`      repeat the element n times, `(n,m)` between n and m times
+ * - `<` / `>`  anchor the pattern to the N- / C-terminus
+ * - elements are separated by `-`, an optional trailing `.` is ignored
+ *
+ * Adjacent `x` elements are merged, so `x(2)-x(0,3)` becomes `x(2,5)`.
+ * A mismatch is a residue that does not satisfy its element; `x` never mismatches.
+ */
+
+const AMINO_ACIDS = 'ACDEFGHIKLMNPQRSTVWY';
+
+export const MAX_PATTERN_MISMATCHES = 2;
+
+// Limits that keep matching fast: elements after merging adjacent `x`, and the
+// total of all repeat ranges (maxLength - minLength)
+export const MAX_PATTERN_ELEMENTS = 100;
+export const MAX_PATTERN_VARIABLE_SPAN = 100;
+
+// Upper bound on regex alternatives generated for mismatch-tolerant server filtering
+const MAX_REGEX_VARIANTS = 300;
+
+/**
+ * Parse a PROSITE pattern
+ * @param {string} pattern - Pattern text, e.g. "C-x(2)-C-x(3)-[HY]"
+ * @returns {{elements: Array, anchorStart: boolean, anchorEnd: boolean, minLength: number, maxLength: number}}
+ * @throws {Error} - With a user-facing message when the pattern is malformed
+ */
+export function parsePrositePattern(pattern) {
+  let text = (pattern || '').toUpperCase().replace(/\s+/g, '');
+  if (text.endsWith('.')) text = text.slice(0, -1);
+
+  if (!text) {
+    throw new Error('Please enter a pattern, e.g. C-x(2)-C-x(3)-[HY]');
+  }
+
+  let anchorStart = false;
+  let anchorEnd = false;
+  if (text.startsWith('<')) {
+    anchorStart = true;
+    text = text.slice(1);
+  }
+  if (text.endsWith('>')) {
+    anchorEnd = true;
+    text = text.slice(0, -1);
+  }
+
+  const tokens = text.split('-').map((token, index) => {
+    const match = token.match(/^(X|[A-Z]|\[[A-Z]+\]|\{[A-Z]+\})(?:\((\d+)(?:,(\d+))?\))?$/);
+    if (!match) {
+      throw new Error(`Invalid pattern element "${token}" at position ${index + 1}`);
+    }
+
+    const [, body, minText, maxText] = match;
+    const min = minText !== undefined ? parseInt(minText, 10) : 1;
+    const max = maxText !== undefined ? parseInt(maxText, 10) : min;
+
+    if (max < min || max === 0) {
+      throw new Error(`Invalid repeat range in "${token}"`);
+    }
+
+    let type;
+    let residues = '';
+    if (body === 'X') {
+      type = 'any';
+    } else if (body.startsWith('[')) {
+      type = 'set';
+      residues = body.slice(1, -1);
+    } else if (body.startsWith('{')) {
+      type = 'exclude';
+      residues = body.slice(1, -1);
+    } else {
+      type = 'set';
+      residues = body;
+    }
+
+    const invalid = [...residues].filter(residue => !AMINO_ACIDS.includes(residue));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown amino acid code(s) ${invalid.join(', ')} in "${token}"`);
+    }
+
+    return { type, residues, min, max };
+  });
+
+  const elements = [];
+  tokens.forEach(element => {
+    const previous = elements[elements.length - 1];
+    if (element.type === 'any' && previous?.type === 'any') {
+      previous.min += element.min;
+      previous.max += element.max;
+    } else {
+      elements.push(element);
+    }
+  });
+
+  if (elements.length > MAX_PATTERN_ELEMENTS) {
+    throw new Error(`Pattern is too long: use at most ${MAX_PATTERN_ELEMENTS} elements`);
+  }
+
+  const minLength = elements.reduce((sum, element) => sum + element.min, 0);
+  const maxLength = elements.reduce((sum, element) => sum + element.max, 0);
+  if (maxLength - minLength > MAX_PATTERN_VARIABLE_SPAN) {
+    throw new Error(
+      `Pattern repeats are too variable: the (n,m) ranges may add up to at most ${MAX_PATTERN_VARIABLE_SPAN} optional residues`
+    );
+  }
+
+  return { elements, anchorStart, anchorEnd, minLength, maxLength };
+}
+
+// Marks positions from which the rest of the pattern cannot match
+const NO_MATCH = 255;
+
+const residueMatches = (element, residue) => {
+  if (element.type === 'any') return true;
+  if (element.type === 'set') return element.residues.includes(residue);
+  return !element.residues.includes(residue);
+};
+
+/**
+ * Find every occurrence of a parsed pattern in a sequence
+ * @param {Object} parsed - Result of parsePrositePattern
+ * @param {string} sequence - Protein sequence
+ * @param {number} maxMismatches - Number of residues allowed to violate their element
+ * @returns {Array<{start: number, end: number, matched: string, mismatches: number, mismatchPositions: Array<number>}>}
+ *   One entry per start position (1-based, inclusive), keeping the match with the
+ *   fewest mismatches and then the shortest length.
+ */
+export function findPatternMatches(parsed, sequence, maxMismatches = 0) {
+  if (!sequence || parsed.minLength > sequence.length) return [];
+
+  const { elements, anchorStart, anchorEnd } = parsed;
+  const length = sequence.length;
+
+  // Dynamic programming from the last element backwards: for every position, the best
+  // way to match the remaining elements from there (fewest mismatches, then earliest
+  // end), and the repeat count each element takes on that path. This keeps the work
+  // linear in pattern x sequence however the variable repeats combine.
+  let bestMismatches = new Uint8Array(length + 1).fill(NO_MATCH);
+  let bestEnds = new Int32Array(length + 1);
+  for (let pos = anchorEnd ? length : 0; pos <= length; pos++) {
+    bestMismatches[pos] = 0;
+    bestEnds[pos] = pos;
+  }
+
+  const counts = new Array(elements.length);
+  for (let index = elements.length - 1; index >= 0; index--) {
+    const element = elements[index];
+
+    // misses[i] is the number of residues before i that violate the element
+    const misses = new Int32Array(length + 1);
+    for (let pos = 0; pos < length; pos++) {
+      misses[pos + 1] = misses[pos] + (residueMatches(element, sequence[pos]) ? 0 : 1);
+    }
+
+    const elementMismatches = new Uint8Array(length + 1).fill(NO_MATCH);
+    const elementEnds = new Int32Array(length + 1);
+    const elementCounts = new Int32Array(length + 1);
+
+    for (let pos = 0; pos <= length; pos++) {
+      const maxCount = Math.min(element.max, length - pos);
+      for (let count = element.min; count <= maxCount; count++) {
+        const local = misses[pos + count] - misses[pos];
+        if (local > maxMismatches) break;
+
+        const rest = bestMismatches[pos + count];
+        if (rest === NO_MATCH || local + rest > maxMismatches) continue;
+
+        const total = local + rest;
+        const end = bestEnds[pos + count];
+        if (
+          elementMismatches[pos] === NO_MATCH ||
+          total < elementMismatches[pos] ||
+          (total === elementMismatches[pos] && end < elementEnds[pos])
+        ) {
+          elementMismatches[pos] = total;
+          elementEnds[pos] = end;
+          elementCounts[pos] = count;
+        }
+      }
+    }
+
+    bestMismatches = elementMismatches;
+    bestEnds = elementEnds;
+    counts[index] = elementCounts;
+  }
+
+  const matches = [];
+  const lastStart = anchorStart ? 0 : length - parsed.minLength;
+
+  for (let start = 0; start <= lastStart; start++) {
+    if (bestMismatches[start] === NO_MATCH) continue;
+
+    const mismatchPositions = [];
+    let pos = start;
+    elements.forEach((element, index) => {
+      const end = pos + counts[index][pos];
+      for (; pos < end; pos++) {
+        if (!residueMatches(element, sequence[pos])) mismatchPositions.push(pos + 1);
+      }
+    });
+
+    matches.push({
+      start: start + 1,
+      end: bestEnds[start],
+      matched: sequence.substring(start, bestEnds[start]),
+      mismatches: mismatchPositions.length,
+      mismatchPositions
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Non-overlapping k-mers spelled out by the pattern's runs of fixed residues, e.g.
+ * "C-x(2)-G-K-T-W-C-H" gives ["GKTWC"] for k = 5. Every match contains them, and a
+ * mismatch breaks at most one of them, so they can seed candidates from a k-mer index.
+ * @param {Object} parsed - Result of parsePrositePattern
+ * @param {number} kmerSize - k-mer length of the index
+ * @returns {Array<string>}
+ */
+export function patternKmers(parsed, kmerSize) {
+  const runs = [''];
+  parsed.elements.forEach(element => {
+    if (element.type === 'set' && element.residues.length === 1 && element.min === element.max) {
+      runs[runs.length - 1] += element.residues.repeat(element.min);
+    } else {
+      runs.push('');
+    }
+  });
+
+  return runs.flatMap(run => Array.from(
+    { length: Math.floor(run.length / kmerSize) },
+    (_, i) => run.substring(i * kmerSize, (i + 1) * kmerSize)
+  ));
+}
+
+const elementToRegex = (element, relaxed = false) => {
+  let body;
+  if (relaxed || element.type === 'any') {
+    body = '.';
+  } else if (element.type === 'exclude') {
+    body = `[^${element.residues}]`;
+  } else {
+    body = element.residues.length === 1 ? element.residues : `[${element.residues}]`;
+  }
+
+  if (element.min === 1 && element.max === 1) return body;
+  if (element.min === element.max) return `${body}{${element.min}}`;
+  return `${body}{${element.min},${element.max}}`;
+};
+
+/**
+ * Build a POSIX regular expression (Postgres `~`) that finds candidate sequences.
+ * With mismatches, every combination of up to `maxMismatches` constrained
+ * positions is relaxed to `.` and the variants are joined into one alternation;
+ * candidates are then verified with findPatternMatches.
+ * @param {Object} parsed - Result of parsePrositePattern
+ * @param {number} maxMismatches - Number of tolerated mismatches
+ * @returns {string}
+ * @throws {Error} - When the mismatch expansion would be too large
+ */
+export function patternToRegex(parsed, maxMismatches = 0) {
+  // Split fixed repeats into single units so each residue can be relaxed on its own
+  const units = parsed.elements.flatMap(element =>
+    element.type !== 'any' && element.min === element.max
+      ? Array.from({ length: element.min }, () => ({ ...element, min: 1, max: 1 }))
+      : [element]
+  );
+  const constrained = units
+    .map((unit, index) => (unit.type === 'any' ? -1 : index))
+    .filter(index => index !== -1);
+
+  const variants = [];
+  const collect = (from, relaxed) => {
+    variants.push(units.map((unit, index) => elementToRegex(unit, relaxed.has(index))).join(''));
+    if (variants.length > MAX_REGEX_VARIANTS) {
+      throw new Error('Pattern is too long for this many mismatches. Reduce the number of mismatches.');
+    }
+    if (relaxed.size === maxMismatches) return;
+    for (let i = from; i < constrained.length; i++) {
+      collect(i + 1, new Set([...relaxed, constrained[i]]));
+    }
+  };
+  collect(0, new Set());
+
+  const body = variants.length === 1 ? variants[0] : `(${variants.join('|')})`;
+  return `${parsed.anchorStart ? '^' : ''}${body}${parsed.anchorEnd ? '$' : ''}`;
+}
@@ -0,0 +1,154 @@
+import { describe, expect, it } from 'vitest';
+import {
+  findPatternMatches,
+  parsePrositePattern,
+  patternKmers,
+  patternToRegex,
+  MAX_PATTERN_ELEMENTS,
+  MAX_PATTERN_VARIABLE_SPAN
+} from './prositePattern';
+
+describe('parsePrositePattern', () => {
+  it('parses residues, wildcards, sets, exclusions and repeats', () => {
+    const parsed = parsePrositePattern('C-x(2,4)-[HY]-{PG}-w(3).');
+
+    expect(parsed.elements).toEqual([
+      { type: 'set', residues: 'C', min: 1, max: 1 },
+      { type: 'any', residues: '', min: 2, max: 4 },
+      { type: 'set', residues: 'HY', min: 1, max: 1 },
+      { type: 'exclude', residues: 'PG', min: 1, max: 1 },
+      { type: 'set', residues: 'W', min: 3, max: 3 }
+    ]);
+    expect(parsed.minLength).toBe(8);
+    expect(parsed.maxLength).toBe(10);
+    expect(parsed.anchorStart).toBe(false);
+    expect(parsed.anchorEnd).toBe(false);
+  });
+
+  it('reads terminus anchors', () => {
+    const parsed = parsePrositePattern('<M-K>');
+    expect(parsed.anchorStart).toBe(true);
+    expect(parsed.anchorEnd).toBe(true);
+  });
+
+  it('rejects malformed patterns with a message naming the element', () => {
+    expect(() => parsePrositePattern('')).toThrow('Please enter a pattern');
+    expect(() => parsePrositePattern('C-x(2')).toThrow('Invalid pattern element "X(2" at position 2');
+    expect(() => parsePrositePattern('C-x(4,2)')).toThrow('Invalid repeat range');
+    expect(() => parsePrositePattern('C-[BZ]')).toThrow('Unknown amino acid code(s) B, Z');
+    expect(() => parsePrositePattern('GGGGGG')).toThrow('Invalid pattern element');
+  });
+
+  it('merges adjacent wildcards', () => {
+    expect(parsePrositePattern('C-x(2)-x(0,3)-x-H').elements).toEqual([
+      { type: 'set', residues: 'C', min: 1, max: 1 },
+      { type: 'any', residues: '', min: 3, max: 6 },
+      { type: 'set', residues: 'H', min: 1, max: 1 }
+    ]);
+  });
+
+  it('limits the number of elements and how variable the repeats are', () => {
+    expect(() => parsePrositePattern(Array(MAX_PATTERN_ELEMENTS + 1).fill('C').join('-')))
+      .toThrow(`at most ${MAX_PATTERN_ELEMENTS} elements`);
+    expect(() => parsePrositePattern('A-x(1,40)-x(1,40)-x(1,40)-x(1,40)-W'))
+      .toThrow(`at most ${MAX_PATTERN_VARIABLE_SPAN} optional residues`);
+    expect(() => parsePrositePattern('A-x(1,40)-C-x(1,40)-W')).not.toThrow();
+  });
+});
+
+describe('findPatternMatches', () => {
+  it('finds every occurrence, overlapping ones too, with 1-based inclusive positions', () => {
+    const parsed = parsePrositePattern('C-x(2)-C');
+
+    expect(findPatternMatches(parsed, 'ACAACGGCAAC')).toEqual([
+      { start: 2, end: 5, matched: 'CAAC', mismatches: 0, mismatchPositions: [] },
+      { start: 5, end: 8, matched: 'CGGC', mismatches: 0, mismatchPositions: [] },
+      { start: 8, end: 11, matched: 'CAAC', mismatches: 0, mismatchPositions: [] }
+    ]);
+  });
+
+  it('keeps the shortest match for variable repeats', () => {
+    const parsed = parsePrositePattern('C-x(1,3)-C');
+    const [match] = findPatternMatches(parsed, 'CACACC');
+
+    expect(match).toMatchObject({ start: 1, end: 3, matched: 'CAC' });
+  });
+
+  it('tolerates mismatches and reports where they are', () => {
+    const parsed = parsePrositePattern('G-K-T-W');
+
+    expect(findPatternMatches(parsed, 'AGKAWA')).toEqual([]);
+    expect(findPatternMatches(parsed, 'AGKAWA', 1)).toContainEqual(
+      { start: 2, end: 5, matched: 'GKAW', mismatches: 1, mismatchPositions: [4] }
+    );
+  });
+
+  it('honours terminus anchors', () => {
+    expect(findPatternMatches(parsePrositePattern('<M-K'), 'MKMK')).toHaveLength(1);
+    expect(findPatternMatches(parsePrositePattern('M-K>'), 'MKMK')).toEqual([
+      { start: 3, end: 4, matched: 'MK', mismatches: 0, mismatchPositions: [] }
+    ]);
+  });
+
+  it('does not match an excluded residue', () => {
+    const parsed = parsePrositePattern('N-{P}-[ST]');
+
+    expect(findPatternMatches(parsed, 'NPS')).toEqual([]);
+    expect(findPatternMatches(parsed, 'NAS')).toHaveLength(1);
+  });
+
+  it('prefers fewer mismatches over a shorter match', () => {
+    const parsed = parsePrositePattern('C-x(1,4)-H');
+
+    expect(findPatternMatches(parsed, 'CAAAHA', 1)[0]).toEqual(
+      { start: 1, end: 5, matched: 'CAAAH', mismatches: 0, mismatchPositions: [] }
+    );
+  });
+
+  it('stays fast when variable repeats can combine in many ways', () => {
+    const parsed = parsePrositePattern('A-[AC](1,25)-x(1,25)-[AC](1,25)-x(1,25)-W');
+    const sequence = 'A'.repeat(2000);
+
+    expect(findPatternMatches(parsed, sequence)).toHaveLength(0);
+    // Every start with 4 to 100 residues before the W
+    expect(findPatternMatches(parsed, `${sequence}W`)).toHaveLength(97);
+    // Every start, with the W as the mismatch
+    expect(findPatternMatches(parsed, sequence, 1)).toHaveLength(2000 - 5);
+  });
+});
+
+describe('patternKmers', () => {
+  it('splits runs of fixed residues into non-overlapping k-mers', () => {
+    expect(patternKmers(parsePrositePattern('C-x(2)-G-K-T-W-C-H'), 5)).toEqual(['GKTWC']);
+    expect(patternKmers(parsePrositePattern('G(6)-A-x-G-K-T-W-C'), 5)).toEqual(['GGGGG', 'GKTWC']);
+  });
+
+  it('breaks runs at sets, wildcards and variable repeats', () => {
+    expect(patternKmers(parsePrositePattern('G-K-[TS]-W-C-H-A'), 5)).toEqual([]);
+    expect(patternKmers(parsePrositePattern('G-K-T-W-C(1,2)'), 5)).toEqual([]);
+  });
+});
+
+describe('patternToRegex', () => {
+  it('translates each element', () => {
+    expect(patternToRegex(parsePrositePattern('<C-x(2,4)-[HY]-{PG}-W(2)>'))).toBe('^C.{2,4}[HY][^PG]WW$');
+  });
+
+  it('relaxes up to the allowed number of constrained positions', () => {
+    expect(patternToRegex(parsePrositePattern('C-x-H'), 1)).toBe('(C.H|..H|C..)');
+  });
+
+  it('selects every sequence that findPatternMatches matches', () => {
+    const parsed = parsePrositePattern('C-x(2)-[HY]-{P}');
+    const regex = new RegExp(patternToRegex(parsed, 1));
+
+    for (const sequence of ['ACAAHA', 'ACAAPA', 'AAAAHA', 'GGGGGG']) {
+      expect(regex.test(sequence)).toBe(findPatternMatches(parsed, sequence, 1).length > 0);
+    }
+  });
+
+  it('refuses mismatch expansions that are too large', () => {
+    const parsed = parsePrositePattern('A-C-D-E-F-G-H-I-K-L-M-N-P-Q-R-S-T-V-W-Y-A-C-D-E-F');
+    expect(() => patternToRegex(parsed, 2)).toThrow('Reduce the number of mismatches');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Protein Search Filters
+ *
+ * The filters of the Explore view as they travel from the dashboard through the
+ * API to ProteinService. Every filter is a string in the query string; numeric
+ * range filters are compared against protein columns (see create_domain_metrics.sql)
+ * and taxon filters against proteins.lineage (see create_taxonomy.sql).
+ */
+
+// Query string parameters, in the order they are serialized
+export const PROTEIN_FILTER_KEYS = [
+  'name',
+  'organism',
+  'domain',
+  'architecture',
+  'architectureMode',
+  'query',
+  'minLength',
+  'maxLength',
+  'minCoverage',
+  'maxCoverage',
+  'minDomains',
+  'maxDomains',
+  'includeTaxa',
+  'excludeTaxa'
+];
+
+// Comma separated NCBI tax ids: proteins in any of includeTaxa, and in none of excludeTaxa
+export const TAXON_FILTERS = ['includeTaxa', 'excludeTaxa'];
+export const MAX_TAXON_FILTERS = 20;
+
+// Numeric filters: column, comparison and accepted values
+export const RANGE_FILTERS = {
+  minLength: { column: 'length', comparison: 'gte', max: 100000, integer: true },
+  maxLength: { column: 'length', comparison: 'lte', max: 100000, integer: true },
+  minCoverage: { column: 'domain_coverage', comparison: 'gte', max: 100, integer: false },
+  maxCoverage: { column: 'domain_coverage', comparison: 'lte', max: 100, integer: false },
+  minDomains: { column: 'domain_count', comparison: 'gte', max: 1000, integer: true },
+  maxDomains: { column: 'domain_count', comparison: 'lte', max: 1000, integer: true }
+};
+
+// min/max pairs checked against each other
+export const RANGE_FILTER_PAIRS = [
+  ['minLength', 'maxLength', 'length'],
+  ['minCoverage', 'maxCoverage', 'coverage'],
+  ['minDomains', 'maxDomains', 'domain count']
+];
+
+const filterValue = (filters, key) => String(filters[key] ?? '').trim();
+
+/**
+ * Canonical form of a filter set: known keys only, in a fixed order, without
+ * empty values and with numbers as numbers. Used for cache keys so equivalent
+ * searches share entries.
+ * @param {Object} filters - Search filters
+ * @returns {Object}
+ */
+export function normalizeFilters(filters) {
+  const normalized = {};
+
+  PROTEIN_FILTER_KEYS.forEach(key => {
+    const value = filterValue(filters, key);
+    if (!value) return;
+    normalized[key] = RANGE_FILTERS[key] ? Number(value) : value;
+  });
+
+  // The mode means nothing without an architecture
+  if (!normalized.architecture) {
+    delete normalized.architectureMode;
+  }
+
+  return normalized;
+}
+
+/**
+ * Add the non-empty filters to URL search params
+ * @param {URLSearchParams} params - Params to extend
+ * @param {Object} filters - Search filters
+ * @returns {URLSearchParams} The same params
+ */
+export function appendFilterParams(params, filters) {
+  Object.entries(normalizeFilters(filters)).forEach(([key, value]) => {
+    params.set(key, String(value));
+  });
+  return params;
+}
+
+/**
+ * Split a taxon filter into its tax ids
+ * @param {string} value - e.g. "1239,561"
+ * @returns {Array<string>} Ids without blanks and duplicates, unvalidated
+ */
+export function splitTaxonIds(value) {
+  return [...new Set(String(value ?? '').split(',').map(id => id.trim()).filter(Boolean))];
+}
+
+/**
+ * Whether a taxon is included or excluded
+ * @param {Object} filters - Search filters
+ * @returns {boolean}
+ */
+export function hasTaxonFilters(filters) {
+  return TAXON_FILTERS.some(key => splitTaxonIds(filters[key]).length > 0);
+}
+
+/**
+ * Whether any numeric range filter is set
+ * @param {Object} filters - Search filters
+ * @returns {boolean}
+ */
+export function hasRangeFilters(filters) {
+  return Object.keys(RANGE_FILTERS).some(key => filterValue(filters, key) !== '');
+}
+
+// Sortable result columns. Every order ends with id so rows with equal values keep
+// a stable position across pages.
+export const SORT_COLUMNS = {
+  accession: 'accession',
+  name: 'name',
+  organism: 'source_organism_full_name',
+  length: 'length',
+  domain: 'entries_header'
+};
+
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
+/**
+ * Canonical form of a sort: { field, direction }, or null for the default id order
+ * @param {Object|null} sort - { field, direction }
+ * @returns {Object|null}
+ */
+export function normalizeSort(sort) {
+  if (!sort || !SORT_COLUMNS[sort.field]) return null;
+  return {
+    field: sort.field,
+    direction: sort.direction === 'desc' ? 'desc' : 'asc'
+  };
+}
+
+/**
+ * Add the sort to URL search params as sort= and sortDirection=
+ * @param {URLSearchParams} params - Params to extend
+ * @param {Object|null} sort - { field, direction }
+ * @returns {URLSearchParams} The same params
+ */
+export function appendSortParams(params, sort) {
+  const normalized = normalizeSort(sort);
+  if (normalized) {
+    params.set('sort', normalized.field);
+    params.set('sortDirection', normalized.direction);
+  }
+  return params;
+}
@@ -1,74 +1,319 @@
 import { supabase } from './supabase';
+import { parseArchitectureQuery, buildArchitecturePatterns } from './domainAnnotations';
+import { parseQuery, toPostgrestFilter, quoteFilterValue } from './queryBuilder';
+import {
+  RANGE_FILTERS,
+  SORT_COLUMNS,
+  normalizeFilters,
+  normalizeSort,
+  splitTaxonIds,
+  hasRangeFilters,
+  hasTaxonFilters
+} from './proteinFilters';
 
 const ITEMS_PER_PAGE = 50;
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000;
+const CURSOR_SCAN_BATCH = 1000; // Rows per request when walking to a deep page (PostgREST max rows)
+const MAX_CACHE_ENTRIES = 500; // Least recently used entries are evicted beyond this
+const MAX_CHECKPOINTS_PER_SEARCH = 1000;
+const EXACT_COUNT_LIMIT = 500000; // Estimates above this are not refined to exact counts automatically
+const EXACT_COUNT_ROWS = 1000; // count=estimated is exact up to PostgREST's max rows, the planner's estimate above
+const PROTEIN_LIST_COLUMNS = 'id, accession, name, source_organism_full_name, entries_header, length';
 
 export class ProteinService {
   constructor() {
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-    this.lastSearchKey = null; // Track the last search to detect new searches
   }
 
-  getCacheKey(filters, page) {
-    return JSON.stringify({ ...filters, page });
+  getCacheKey(filters, page, sort = null) {
+    return JSON.stringify({ ...normalizeFilters(filters), sort: normalizeSort(sort), page });
   }
 
   getSearchKey(filters) {
     // Key without page number to identify unique searches
-    return JSON.stringify({ ...filters });
+    return JSON.stringify(normalizeFilters(filters));
   }
 
+  // On the server one instance serves every user, so entries are keyed by search and the
+  // cache is bounded: the Map keeps insertion order, and reads move an entry to the end
   setCache(key, data) {
+    this.cache.delete(key);
     this.cache.set(key, {
       data,
       timestamp: Date.now()
     });
 
-    // Clean old cache entries
-    setTimeout(() => {
-      this.cache.delete(key);
-    }, this.cacheTimeout);
+    while (this.cache.size > MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
   }
 
   getCache(key) {
     const cached = this.cache.get(key);
-    if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
-      return cached.data;
+    if (!cached) return null;
+
+    if ((Date.now() - cached.timestamp) >= this.cacheTimeout) {
+      this.cache.delete(key);
+      return null;
     }
-    return null;
+
+    this.cache.delete(key);
+    this.cache.set(key, cached);
+    return cached.data;
   }
 
   /**
-   * Fetch proteins with parallel data and count queries
-   * @param {Object} filters - Search filters (name, organism, domain)
-   * @param {number} page - Page number (default 1)
-   * @param {Function} onCountUpdate - Optional callback that receives count when it arrives (for delayed count updates)
-   * @returns {Promise<Object>} - Result with data, count, totalPages, etc.
+   * Apply search filters to a Supabase query
+   * Shared by the data and count queries so both always match exactly
+   * @param {Object} query - Supabase query builder
+   * @param {Object} filters - Search filters (see PROTEIN_FILTER_KEYS in lib/proteinFilters.js)
+   * @returns {Object} - Query builder with filters applied
+   */
+  applyFilters(query, filters) {
+    const { name, organism, domain, architecture, architectureMode } = filters;
+
+    // Using ilike for pattern matching (supports % wildcards)
+    // Use % as wildcard: %term% matches anywhere in the string
+    if (name?.trim()) {
+      query = query.ilike('name', `%${name.trim()}%`);
+    }
+
+    if (organism?.trim()) {
+      query = query.ilike('source_organism_full_name', `%${organism.trim()}%`);
+    }
+
+    if (domain?.trim()) {
+      query = query.ilike('entries_header', `%${domain.trim()}%`);
+    }
+
+    // Architecture search (see create_architecture_search.sql): every group must
+    // occur in entries_header, which the trigram index narrows down quickly, then
+    // order and exactness are checked on the computed `architecture` column
+    if (architecture?.trim()) {
+      const { groups } = parseArchitectureQuery(architecture);
+
+      groups.forEach(group => {
+        query = query.filter('entries_header', 'match', `(${group.join('|')})`);
+      });
+
+      if (architectureMode !== 'any') {
+        buildArchitecturePatterns(groups, architectureMode).forEach(pattern => {
+          query = query.filter('architecture', 'match', pattern);
+        });
+      }
+    }
+
+    // Length, domain coverage and domain count ranges
+    Object.entries(RANGE_FILTERS).forEach(([key, { column, comparison }]) => {
+      const value = String(filters[key] ?? '').trim();
+      if (value !== '') {
+        query = query[comparison](column, Number(value));
+      }
+    });
+
+    // Taxonomy (see create_taxonomy.sql): lineage holds every ancestor of the
+    // organism, so a phylum or genus matches all organisms below it
+    const includeTaxa = splitTaxonIds(filters.includeTaxa).map(Number);
+    if (includeTaxa.length > 0) {
+      query = query.overlaps('lineage', includeTaxa);
+    }
+
+    // Organisms without a mapped lineage are kept when excluding
+    const excludeTaxa = splitTaxonIds(filters.excludeTaxa).map(Number);
+    if (excludeTaxa.length > 0) {
+      query = query.or(`lineage.is.null,lineage.not.ov.{${excludeTaxa.join(',')}}`);
+    }
+
+    // Advanced query (lib/queryBuilder.js), ANDed with the simple filters above
+    if (filters.query?.trim()) {
+      const { query: advancedQuery } = parseQuery(filters.query);
+      if (advancedQuery) {
+        query = query.or(toPostgrestFilter(advancedQuery));
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Order a Supabase query by the requested column, then by id
+   * Empty values sort last in both directions.
+   * @param {Object} query - Supabase query builder
+   * @param {Object|null} sort - { field, direction } (see SORT_COLUMNS), null for id order
+   * @returns {Object} - Query builder with ordering applied
+   */
+  applySort(query, sort) {
+    const normalized = normalizeSort(sort);
+
+    if (normalized) {
+      query = query.order(SORT_COLUMNS[normalized.field], {
+        ascending: normalized.direction === 'asc',
+        nullsFirst: false
+      });
+    }
+
+    // Tie-breaker, so pages never overlap or skip rows with equal values
+    return query.order('id', { ascending: true });
+  }
+
+  /**
+   * Keep only the rows after a keyset cursor, in the order applySort produces
+   * @param {Object} query - Supabase query builder
+   * @param {Object|null} sort - { field, direction }, null for id order
+   * @param {Object|null} cursor - { value, id } of the last row before the page, null for the first page
+   * @returns {Object} - Query builder with the cursor applied
    */
-  async fetchProteinsOptimized(filters, page = 1, onCountUpdate = null) {
-    const searchKey = this.getSearchKey(filters);
+  applyCursor(query, sort, cursor) {
+    if (!cursor) return query;
+
+    const normalized = normalizeSort(sort);
+    if (!normalized) {
+      return query.gt('id', cursor.id);
+    }
+
+    const column = SORT_COLUMNS[normalized.field];
 
-    // Clear cache only if this is a NEW search (different filters)
-    if (page === 1 && this.lastSearchKey !== null && this.lastSearchKey !== searchKey) {
-      this.clearCache();
+    // Empty values come last, ordered by id
+    if (cursor.value === null) {
+      return query.is(column, null).gt('id', cursor.id);
     }
 
-    // Update last search key
-    this.lastSearchKey = searchKey;
+    const value = quoteFilterValue(cursor.value);
+    const beyond = normalized.direction === 'asc' ? 'gt' : 'lt';
+    return query.or(`${column}.${beyond}.${value},and(${column}.eq.${value},id.gt.${cursor.id}),${column}.is.null`);
+  }
+
+  /**
+   * Keyset cursor pointing just after a row
+   * @param {Object} row - Protein row including the sort column
+   * @param {Object|null} sort - { field, direction }, null for id order
+   * @returns {Object} - { value, id }
+   */
+  getRowCursor(row, sort) {
+    const normalized = normalizeSort(sort);
+    return {
+      value: normalized ? row[SORT_COLUMNS[normalized.field]] ?? null : null,
+      id: row.id
+    };
+  }
+
+  /**
+   * Page checkpoints of a search: page number -> cursor of the row before that page
+   * Kept in the cache so later jumps start from the nearest known page.
+   */
+  getCheckpoints(filters, sort) {
+    const key = `checkpoints-${this.getCacheKey(filters, null, sort)}`;
+    let checkpoints = this.getCache(key);
 
-    const cacheKey = this.getCacheKey(filters, page);
+    if (!checkpoints) {
+      checkpoints = new Map();
+      this.setCache(key, checkpoints);
+    }
+
+    return checkpoints;
+  }
+
+  /**
+   * Remember where a page starts, dropping the oldest checkpoints beyond
+   * MAX_CHECKPOINTS_PER_SEARCH (page 1 needs none)
+   */
+  addCheckpoint(checkpoints, page, cursor) {
+    checkpoints.delete(page);
+    checkpoints.set(page, cursor);
+
+    while (checkpoints.size > MAX_CHECKPOINTS_PER_SEARCH) {
+      checkpoints.delete(checkpoints.keys().next().value);
+    }
+  }
+
+  /**
+   * Find the keyset cursor where a page starts. Walks forward from the nearest
+   * checkpoint in CURSOR_SCAN_BATCH steps reading only ids and sort values, recording
+   * a checkpoint for every page on the way, so deep pages never need an OFFSET scan
+   * and a jump that is interrupted resumes from the farthest page it reached.
+   * @param {Object} filters - Search filters
+   * @param {Object|null} sort - { field, direction }
+   * @param {number} page - Page number
+   * @returns {Promise<Object|null>} - { cursor } (cursor null for page 1), or null if
+   *   the results end before the page
+   */
+  async findPageCursor(filters, sort, page) {
+    if (page <= 1) return { cursor: null };
+
+    const checkpoints = this.getCheckpoints(filters, sort);
+    if (checkpoints.has(page)) return { cursor: checkpoints.get(page) };
+
+    let fromPage = 1;
+    let cursor = null;
+    checkpoints.forEach((checkpoint, checkpointPage) => {
+      if (checkpointPage < page && checkpointPage > fromPage) {
+        fromPage = checkpointPage;
+        cursor = checkpoint;
+      }
+    });
+
+    const normalized = normalizeSort(sort);
+    const columns = normalized ? `id, ${SORT_COLUMNS[normalized.field]}` : 'id';
+    let position = (fromPage - 1) * ITEMS_PER_PAGE; // Rows before the cursor
+    const target = (page - 1) * ITEMS_PER_PAGE;
+
+    console.log(`Walking from page ${fromPage} to page ${page}...`);
+
+    while (position < target) {
+      const batchSize = Math.min(CURSOR_SCAN_BATCH, target - position);
+      const { data, error } = await this.applySort(
+        this.applyCursor(this.applyFilters(supabase.from('proteins').select(columns), filters), sort, cursor),
+        sort
+      ).limit(batchSize);
+
+      if (error) {
+        console.error('Cursor walk error:', error);
+        throw new Error(error.code === '57014'
+          ? 'Query timed out. Try narrowing your search criteria.'
+          : `Data query failed: ${error.message || JSON.stringify(error)}`);
+      }
+
+      data.forEach((row, index) => {
+        const rowNumber = position + index + 1;
+        if (rowNumber % ITEMS_PER_PAGE === 0) {
+          this.addCheckpoint(checkpoints, rowNumber / ITEMS_PER_PAGE + 1, this.getRowCursor(row, sort));
+        }
+      });
+
+      if (data.length < batchSize) {
+        return null;
+      }
+
+      cursor = this.getRowCursor(data[data.length - 1], sort);
+      position += data.length;
+    }
+
+    return { cursor };
+  }
+
+  /**
+   * Fetch one page of proteins; the total is counted separately (fetchProteinCount)
+   * @param {Object} filters - Search filters (name, organism, domain)
+   * @param {number} page - Page number (default 1)
+   * @param {Object} options - { sort, cursor }: optional { field, direction } (id order otherwise)
+   *   and the keyset cursor where the page starts, if the caller already knows it
+   * @returns {Promise<Object>} - Result with data, count, totalPages, nextCursor, etc.
+   */
+  async fetchProteinsOptimized(filters, page = 1, { sort = null, cursor = null } = {}) {
+    const cacheKey = this.getCacheKey(filters, page, sort);
     const cached = this.getCache(cacheKey);
 
     if (cached) {
       return cached;
     }
 
-    const { name, organism, domain } = filters;
+    const { name, organism, domain, architecture, query } = filters;
 
     // Validate filters
-    if (!name?.trim() && !organism?.trim() && !domain) {
+    if (!name?.trim() && !organism?.trim() && !domain && !architecture?.trim() && !query?.trim() &&
+      !hasRangeFilters(filters) && !hasTaxonFilters(filters)) {
       return {
         data: [],
         count: 0,
@@ -81,40 +326,31 @@ export class ProteinService {
 
     while (retries < MAX_RETRIES) {
       try {
-        const offset = (page - 1) * ITEMS_PER_PAGE;
-
-        // Build data query
-        let dataQuery = supabase.from('proteins').select('id, accession, name, source_organism_full_name, entries_header, length');
-
-        console.log('Search filters:', { name, organism, domain, page });
-
-        // Apply filters to data query
-        // Using ilike for pattern matching (supports % wildcards)
-        if (name?.trim()) {
-          const searchTerm = name.trim();
-          console.log('Applying name/ID filter:', searchTerm);
-          // Use % as wildcard: %term% matches anywhere in the string
-          dataQuery = dataQuery.ilike('name', `%${searchTerm}%`);
-        }
-
-        if (organism?.trim()) {
-          const searchTerm = organism.trim();
-          console.log('Applying organism filter:', searchTerm);
-          // Use % as wildcard: %term% matches anywhere in the string
-          dataQuery = dataQuery.ilike('source_organism_full_name', `%${searchTerm}%`);
+        // Pages are read with keyset cursors; OFFSET would scan every earlier row
+        const start = cursor ? { cursor } : await this.findPageCursor(filters, sort, page);
+        if (!start) {
+          return {
+            data: [],
+            count: null,
+            totalPages: null,
+            currentPage: page,
+            hasMore: false,
+            nextCursor: null
+          };
         }
 
-        if (domain?.trim()) {
-          const searchTerm = domain.trim();
-          console.log('Applying domain filter:', searchTerm);
-          dataQuery = dataQuery.ilike('entries_header', `%${searchTerm}%`);
-        }
+        // Build data query
+        console.log('Search filters:', { name, organism, domain, architecture, query, page, sort });
+        const dataQuery = this.applyCursor(
+          this.applyFilters(supabase.from('proteins').select(PROTEIN_LIST_COLUMNS), filters),
+          sort,
+          start.cursor
+        );
 
         // Execute DATA query first (priority - user sees results immediately)
         console.log('Executing data query...');
-        const dataResponse = await dataQuery
-          .order('id', { ascending: true })
-          .range(offset, offset + ITEMS_PER_PAGE); // Fetch one extra to check hasMore
+        const dataResponse = await this.applySort(dataQuery, sort)
+          .limit(ITEMS_PER_PAGE + 1); // Fetch one extra to check hasMore
 
         console.log('Data response:', dataResponse);
         const { data: fetchedData, error: dataError } = dataResponse;
@@ -131,6 +367,12 @@ export class ProteinService {
         // Trim to correct page size
         const data = hasMore ? fetchedData.slice(0, ITEMS_PER_PAGE) : (fetchedData || []);
 
+        // The next page starts after the last row; remember it for later jumps
+        const nextCursor = hasMore ? this.getRowCursor(data[data.length - 1], sort) : null;
+        if (nextCursor) {
+          this.addCheckpoint(this.getCheckpoints(filters, sort), page + 1, nextCursor);
+        }
+
         // If no data at all, return early
         if (data.length === 0 && page === 1) {
           const result = {
@@ -143,22 +385,32 @@ export class ProteinService {
           return result;
         }
 
-        // Build initial result with unknown count (data is ready!)
-        const result = {
+        // On the last page the total is known without counting
+        if (!hasMore && data.length > 0) {
+          const result = {
+            data,
+            count: (page - 1) * ITEMS_PER_PAGE + data.length,
+            totalPages: page,
+            currentPage: page,
+            hasMore: false,
+            nextCursor: null
+          };
+          this.setCache(cacheKey, result);
+          return result;
+        }
+
+        // The count is served separately (fetchProteinCount, /api/proteins/count)
+        return {
           data: data,
           count: null, // Will be updated when count query completes
           totalPages: null,
           currentPage: page,
           hasMore: hasMore,
+          nextCursor,
           countLoading: true, // Flag to indicate count is still loading
           estimatedCount: `Loading count...`
         };
 
-        // Start count query in background (don't await it here)
-        this.fetchCountInBackground(filters, page, cacheKey, onCountUpdate);
-
-        return result;
-
       } catch (error) {
         console.error(`Attempt ${retries + 1} failed:`, {
           message: error.message,
@@ -179,88 +431,79 @@ export class ProteinService {
   }
 
   /**
-   * Fetch count in background and call the callback when ready
-   * This runs independently after data is returned to the user
-   * @param {Object} filters - Search filters
-   * @param {number} page - Current page
-   * @param {string} cacheKey - Cache key to update
-   * @param {Function} onCountUpdate - Callback to notify when count is ready
+   * Fetch the number of proteins matching the filters
+   * @param {Object} filters - Search filters (name, organism, domain)
+   * @param {Object} options - { estimate }: use the query planner's estimate, which
+   *   returns at once but can be far off; an exact count already cached is preferred
+   * @returns {Promise<Object>} - { count, totalPages, estimated, refinable }; refinable
+   *   is true for estimates small enough to count exactly
    */
-  async fetchCountInBackground(filters, page, cacheKey, onCountUpdate) {
-    const { name, organism, domain } = filters;
+  async fetchProteinCount(filters, { estimate = false } = {}) {
+    const exactKey = `count-${this.getSearchKey(filters)}`;
+    const cacheKey = estimate ? `count-estimated-${this.getSearchKey(filters)}` : exactKey;
+    const cached = this.getCache(exactKey) || this.getCache(cacheKey);
 
-    // Build count query with same filters (must match data query filters exactly)
-    let countQuery = supabase.from('proteins').select('id', { count: 'exact', head: false }).limit(1);
-
-    // Using ilike for pattern matching - same as data query
-    if (name?.trim()) {
-      countQuery = countQuery.ilike('name', `%${name.trim()}%`);
-    }
-    if (organism?.trim()) {
-      countQuery = countQuery.ilike('source_organism_full_name', `%${organism.trim()}%`);
-    }
-    if (domain?.trim()) {
-      countQuery = countQuery.ilike('entries_header', `%${domain.trim()}%`);
+    if (cached) {
+      return cached;
     }
 
-    let retries = 0;
-    const maxRetries = 5; // More retries for count since it can be slow
-
-    while (retries < maxRetries) {
-      try {
-        console.log(`Background count query attempt ${retries + 1}...`);
-        const { count, error: countError } = await countQuery;
-
-        if (countError) {
-          // If timeout, retry with exponential backoff
-          if (countError.code === '57014') {
-            console.warn(`Count query timed out (attempt ${retries + 1}), retrying...`);
-            retries++;
-            if (retries < maxRetries) {
-              await new Promise(resolve => setTimeout(resolve, 2000 * retries)); // Longer delay for count
-              continue;
-            }
-          }
-          console.error('Background count query failed:', countError);
-          return; // Give up on count, user still has data
-        }
-
-        console.log('Background count query succeeded:', count);
-
-        // Calculate total pages
-        const totalPages = Math.ceil(count / ITEMS_PER_PAGE);
-
-        // Update cache with count
-        const cached = this.getCache(cacheKey);
-        if (cached) {
-          cached.count = count;
-          cached.totalPages = totalPages;
-          cached.countLoading = false;
-          cached.estimatedCount = null;
-          this.setCache(cacheKey, cached);
-        }
+    // 'estimated' is exact up to EXACT_COUNT_ROWS and the planner's row estimate above
+    const { count, error } = await this.applyFilters(
+      supabase.from('proteins').select('id', { count: estimate ? 'estimated' : 'exact', head: true }),
+      filters
+    );
+
+    if (error) {
+      console.error('Count query error:', error);
+      throw new Error(error.code === '57014'
+        ? 'Count query timed out. Try narrowing your search criteria.'
+        : `Count query failed: ${error.message || JSON.stringify(error)}`);
+    }
 
-        // Notify the component via callback
-        if (onCountUpdate) {
-          onCountUpdate({
-            count,
-            totalPages,
-            currentPage: page
-          });
-        }
+    const estimated = estimate && count > EXACT_COUNT_ROWS;
+    const result = {
+      count,
+      totalPages: Math.ceil(count / ITEMS_PER_PAGE),
+      estimated,
+      refinable: estimated && count <= EXACT_COUNT_LIMIT
+    };
 
-        return; // Success!
+    this.setCache(estimated ? cacheKey : exactKey, result);
+    return result;
+  }
 
-      } catch (error) {
-        console.error(`Background count attempt ${retries + 1} failed:`, error);
-        retries++;
-        if (retries < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, 2000 * retries));
-        }
-      }
+  /**
+   * Keyset page of proteins ordered by id, used by the cursor-based public API
+   * @param {Object} filters - Search filters (name, organism, domain)
+   * @param {number} afterId - Return proteins with id greater than this (0 for the first page)
+   * @param {number} limit - Page size
+   * @param {string} columns - Columns to select (exports add `sequence`)
+   * @returns {Promise<Object>} - { data, hasMore, lastId }
+   */
+  async fetchProteinsAfter(filters, afterId = 0, limit = ITEMS_PER_PAGE, columns = 'id, accession, name, source_organism_full_name, entries_header, length') {
+    const { data, error } = await this.applyFilters(
+      supabase.from('proteins').select(columns),
+      filters
+    )
+      .gt('id', afterId)
+      .order('id', { ascending: true })
+      .limit(limit + 1); // Fetch one extra to check hasMore
+
+    if (error) {
+      console.error('Keyset query error:', error);
+      throw new Error(error.code === '57014'
+        ? 'Query timed out. Try narrowing your search criteria.'
+        : `Data query failed: ${error.message || JSON.stringify(error)}`);
     }
 
-    console.warn('Background count query gave up after max retries');
+    const hasMore = data.length > limit;
+    const page = hasMore ? data.slice(0, limit) : data;
+
+    return {
+      data: page,
+      hasMore,
+      lastId: page.length > 0 ? page[page.length - 1].id : afterId
+    };
   }
 
   async fetchProteinDetails(proteinId) {
@@ -284,11 +527,6 @@ export class ProteinService {
   }
 
   async searchBySequence(sequence, searchType = 'partial', page = 1) {
-    // Clear cache on new search (when page is 1)
-    if (page === 1) {
-      this.clearCache();
-    }
-
     const cacheKey = `sequence-${sequence}-${searchType}-${page}`;
     const cached = this.getCache(cacheKey);
 
@@ -452,185 +690,6 @@ export class ProteinService {
       throw error;
     }
   }
-
-  /**
-   * Save selected proteins to the saved_queries table for a specific access code
-   * @param {string} accessCode - The 6-digit access code
-   * @param {Array} proteins - Array of protein objects to save
-   * @returns {Promise<Object>} - Result of the save operation
-   */
-  async saveProteinsForAccessCode(accessCode, proteins) {
-    if (!accessCode || !proteins || proteins.length === 0) {
-      throw new Error('Access code and proteins are required');
-    }
-
-    try {
-      // Prepare the protein data as JSON
-      const proteinsJSON = proteins.map(protein => ({
-        id: protein.id,
-        accession: protein.accession,
-        name: protein.name,
-        organism: protein.source_organism_full_name,
-        entries_header: protein.entries_header,
-        length: protein.length,
-        saved_date: new Date().toISOString()
-      }));
-
-      // Check if a record already exists for this access code
-      const { data: existingData, error: fetchError } = await supabase
-        .from('saved_queries')
-        .select('id, saved_proteins')
-        .eq('access_code', accessCode)
-        .maybeSingle();
-
-      if (fetchError && fetchError.code !== 'PGRST116') {
-        console.error('Error checking existing saved queries:', fetchError);
-        throw fetchError;
-      }
-
-      if (existingData) {
-        // Update existing record - merge with existing saved proteins
-        const existingSavedProteins = existingData.saved_proteins || [];
-
-        // Get IDs of already saved proteins
-        const existingIds = new Set(existingSavedProteins.map(p => p.id));
-
-        // Add only new proteins (avoid duplicates)
-        const newProteins = proteinsJSON.filter(p => !existingIds.has(p.id));
-        const updatedProteins = [...existingSavedProteins, ...newProteins];
-
-        const { data, error } = await supabase
-          .from('saved_queries')
-          .update({
-            saved_proteins: updatedProteins
-          })
-          .eq('access_code', accessCode)
-          .select();
-
-        if (error) {
-          console.error('Error updating saved queries:', error);
-          throw error;
-        }
-
-        return {
-          success: true,
-          message: `Added ${newProteins.length} new protein(s). ${existingSavedProteins.length} already saved.`,
-          data,
-          newCount: newProteins.length,
-          totalCount: updatedProteins.length
-        };
-      } else {
-        // Insert new record
-        const { data, error } = await supabase
-          .from('saved_queries')
-          .insert([{
-            access_code: accessCode,
-            saved_proteins: proteinsJSON
-          }])
-          .select();
-
-        if (error) {
-          console.error('Error inserting saved queries:', error);
-          throw error;
-        }
-
-        return {
-          success: true,
-          message: `Saved ${proteinsJSON.length} protein(s) successfully.`,
-          data,
-          newCount: proteinsJSON.length,
-          totalCount: proteinsJSON.length
-        };
-      }
-    } catch (error) {
-      console.error('Failed to save proteins:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Fetch saved proteins for a specific access code
-   * @param {string} accessCode - The 6-digit access code
-   * @returns {Promise<Array>} - Array of saved proteins
-   */
-  async fetchSavedProteins(accessCode) {
-    if (!accessCode) {
-      throw new Error('Access code is required');
-    }
-
-    try {
-      const { data, error } = await supabase
-        .from('saved_queries')
-        .select('saved_proteins')
-        .eq('access_code', accessCode)
-        .maybeSingle();
-
-      if (error && error.code !== 'PGRST116') {
-        console.error('Error fetching saved proteins:', error);
-        throw error;
-      }
-
-      return data?.saved_proteins || [];
-    } catch (error) {
-      console.error('Failed to fetch saved proteins:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Remove specific proteins from saved list
-   * @param {string} accessCode - The 6-digit access code
-   * @param {Array} proteinIds - Array of protein IDs to remove
-   * @returns {Promise<Object>} - Result of the remove operation
-   */
-  async removeSavedProteins(accessCode, proteinIds) {
-    if (!accessCode || !proteinIds || proteinIds.length === 0) {
-      throw new Error('Access code and protein IDs are required');
-    }
-
-    try {
-      // Fetch current saved proteins
-      const { data: existingData, error: fetchError } = await supabase
-        .from('saved_queries')
-        .select('saved_proteins')
-        .eq('access_code', accessCode)
-        .single();
-
-      if (fetchError) {
-        console.error('Error fetching saved proteins:', fetchError);
-        throw fetchError;
-      }
-
-      // Filter out the proteins to remove
-      const updatedProteins = (existingData.saved_proteins || []).filter(
-        p => !proteinIds.includes(p.id)
-      );
-
-      // Update the record
-      const { data, error } = await supabase
-        .from('saved_queries')
-        .update({
-          saved_proteins: updatedProteins
-        })
-        .eq('access_code', accessCode)
-        .select();
-
-      if (error) {
-        console.error('Error removing saved proteins:', error);
-        throw error;
-      }
-
-      return {
-        success: true,
-        message: `Removed ${proteinIds.length} protein(s).`,
-        data,
-        remainingCount: updatedProteins.length
-      };
-    } catch (error) {
-      console.error('Failed to remove saved proteins:', error);
-      throw error;
-    }
-  }
 }
 
 export const proteinService = new ProteinService();
\ No newline at end of file
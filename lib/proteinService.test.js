@@ -0,0 +1,68 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { supabase } from './supabase';
+import { ProteinService } from './proteinService';
+
+vi.mock('./supabase', () => ({ supabase: { from: vi.fn() } }));
+
+const ROWS = 20000;
+
+// Query builder over proteins with ids 1..ROWS in id order; records the id each read starts after
+const reads = [];
+const proteinsQuery = () => {
+  let afterId = 0;
+  const query = {
+    select: () => query,
+    ilike: () => query,
+    order: () => query,
+    gt: (column, value) => {
+      afterId = value;
+      return query;
+    },
+    limit: count => {
+      reads.push(afterId);
+      const length = Math.max(0, Math.min(count, ROWS - afterId));
+      return Promise.resolve({ data: Array.from({ length }, (_, i) => ({ id: afterId + i + 1 })), error: null });
+    }
+  };
+  return query;
+};
+
+describe('ProteinService.fetchProteinsOptimized', () => {
+  const filters = { name: 'lysin' };
+  let service;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    supabase.from.mockImplementation(proteinsQuery);
+    reads.length = 0;
+    service = new ProteinService();
+  });
+
+  it('jumps to a page far past the last checkpoint', async () => {
+    await service.fetchProteinsOptimized(filters, 3);
+    const result = await service.fetchProteinsOptimized(filters, 300);
+
+    expect(result.data[0].id).toBe(299 * 50 + 1);
+    expect(result.data).toHaveLength(50);
+    expect(result.hasMore).toBe(true);
+    // The walk starts at page 4, whose cursor page 3 recorded
+    expect(reads[2]).toBe(150);
+  });
+
+  it('remembers the pages it walked past', async () => {
+    await service.fetchProteinsOptimized(filters, 300);
+    reads.length = 0;
+
+    const result = await service.fetchProteinsOptimized(filters, 250);
+
+    expect(result.data[0].id).toBe(249 * 50 + 1);
+    expect(reads).toEqual([249 * 50]);
+  });
+
+  it('returns an empty page past the end', async () => {
+    const result = await service.fetchProteinsOptimized(filters, ROWS / 50 + 2);
+
+    expect(result.data).toEqual([]);
+    expect(result.hasMore).toBe(false);
+  });
+});
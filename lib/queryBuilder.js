@@ -0,0 +1,289 @@
+/**
+ * Advanced Query
+ *
+ * Boolean queries across protein fields, built in the Explore view and sent to
+ * the API as a single `query` parameter:
+ *
+ *   and(name.contains."lysin",not.or(organism.startsWith."Escherichia",domain.contains."PF01510"),length.between.100:400)
+ *
+ * A group is and(...) or or(...), optionally negated with a "not." prefix, and
+ * holds rules and further groups. A rule is field.operator.value; text values
+ * are double quoted (with \" and \\ escapes), length ranges are min:max with
+ * either side optional. ProteinService turns the parsed tree into a PostgREST
+ * logic filter with toPostgrestFilter().
+ */
+
+export const QUERY_FIELDS = {
+  name: { label: 'Name', column: 'name', type: 'text' },
+  accession: { label: 'Accession', column: 'accession', type: 'text' },
+  organism: { label: 'Organism', column: 'source_organism_full_name', type: 'text' },
+  domain: { label: 'Domain annotation', column: 'entries_header', type: 'text' },
+  length: { label: 'Length (aa)', column: 'length', type: 'range' }
+};
+
+export const QUERY_OPERATORS = {
+  contains: { label: 'contains', type: 'text' },
+  equals: { label: 'equals', type: 'text' },
+  startsWith: { label: 'starts with', type: 'text' },
+  regex: { label: 'matches regex', type: 'text' },
+  not: { label: 'does not contain', type: 'text' },
+  between: { label: 'between', type: 'range' }
+};
+
+export const MAX_QUERY_RULES = 25;
+export const MAX_QUERY_DEPTH = 4;
+export const MAX_QUERY_LENGTH = 4000;
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Operators that apply to a field
+ * @param {string} field - Key of QUERY_FIELDS
+ * @returns {Array<string>} Keys of QUERY_OPERATORS
+ */
+export function getFieldOperators(field) {
+  const type = QUERY_FIELDS[field]?.type;
+  return Object.keys(QUERY_OPERATORS).filter(operator => QUERY_OPERATORS[operator].type === type);
+}
+
+export function createQueryRule(field = 'name') {
+  return QUERY_FIELDS[field].type === 'range'
+    ? { field, operator: 'between', min: '', max: '' }
+    : { field, operator: 'contains', value: '' };
+}
+
+export function createQueryGroup(op = 'and') {
+  return { op, not: false, rules: [] };
+}
+
+const isGroup = (item) => Array.isArray(item.rules);
+
+// A rule is complete once it has a value (or at least one range bound)
+const isCompleteRule = (rule) => (
+  QUERY_FIELDS[rule.field]?.type === 'range'
+    ? String(rule.min ?? '') !== '' || String(rule.max ?? '') !== ''
+    : String(rule.value ?? '').trim() !== ''
+);
+
+/**
+ * Double quote a value for a PostgREST logic filter, escaping \ and "
+ * @param {string|number} value - Filter value
+ * @returns {string}
+ */
+export const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// LIKE treats % and _ as wildcards and \ as its escape character; * stays the documented wildcard
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Characters with a meaning in PostgreSQL regular expressions
+const escapeRegex = (value) => value.replace(/[\\^$.|?*+()[\]{}]/g, '\\$&');
+
+// Letter and digit escapes PostgreSQL's regex engine knows; it rejects the others (\z, \p{...})
+// and reads \b as a backspace, where JavaScript means a word boundary (\y in PostgreSQL)
+const POSTGRES_REGEX_ESCAPES = 'dDsSwWtnrfv0123456789cxuAZmMyY';
+
+/**
+ * Check a regular expression against what PostgreSQL's `~*` accepts. Values are
+ * validated in JavaScript but run in the database, whose dialect differs.
+ * @param {string} value - Regular expression
+ * @returns {string|null} - Why it cannot be used, or null
+ */
+export function validateRegex(value) {
+  try {
+    new RegExp(value);
+  } catch {
+    return `Invalid regular expression "${value}"`;
+  }
+
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\') {
+      const escaped = value[++i] ?? '';
+      if (/[A-Za-z0-9]/.test(escaped) && !POSTGRES_REGEX_ESCAPES.includes(escaped)) {
+        return escaped === 'b'
+          ? 'Use \\y for a word boundary in regular expressions'
+          : `"\\${escaped}" is not supported in regular expressions`;
+      }
+    } else if (value.startsWith('(?<', i) && !/^\(\?<[=!]/.test(value.slice(i))) {
+      return 'Named groups are not supported in regular expressions';
+    } else if (value.startsWith('{,', i)) {
+      return 'Repeat counts need a minimum, e.g. {0,3}';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Serialize a query tree, dropping incomplete rules and empty groups
+ * @param {Object} group - Root group
+ * @returns {string} Query string, or '' when nothing is left
+ */
+export function serializeQuery(group) {
+  const items = group.rules
+    .map(item => {
+      if (isGroup(item)) return serializeQuery(item);
+      if (!isCompleteRule(item)) return '';
+      if (QUERY_FIELDS[item.field].type === 'range') {
+        return `${item.field}.between.${item.min ?? ''}:${item.max ?? ''}`;
+      }
+      return `${item.field}.${item.operator}.${quoteFilterValue(item.value.trim())}`;
+    })
+    .filter(Boolean);
+
+  if (items.length === 0) return '';
+  return `${group.not ? 'not.' : ''}${group.op}(${items.join(',')})`;
+}
+
+/**
+ * Parse a serialized query
+ * @param {string} text - Output of serializeQuery
+ * @returns {{query: Object|null, error: string|null}} Root group, or an error describing the problem
+ */
+export function parseQuery(text) {
+  if (!text || typeof text !== 'string') {
+    return { query: null, error: 'query is empty' };
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { query: null, error: `query must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  let position = 0;
+  let ruleCount = 0;
+
+  const fail = (message) => {
+    throw new Error(`${message} at position ${position + 1}`);
+  };
+
+  const expect = (token) => {
+    if (!text.startsWith(token, position)) fail(`Expected "${token}"`);
+    position += token.length;
+  };
+
+  const readWord = () => {
+    const match = text.slice(position).match(/^[A-Za-z]+/);
+    if (!match) fail('Expected a field, operator or group');
+    position += match[0].length;
+    return match[0];
+  };
+
+  const readQuoted = () => {
+    expect('"');
+    let value = '';
+    while (position < text.length && text[position] !== '"') {
+      if (text[position] === '\\') position++;
+      value += text[position] ?? '';
+      position++;
+    }
+    expect('"');
+    return value;
+  };
+
+  const readRange = () => {
+    const match = text.slice(position).match(/^(\d*):(\d*)/);
+    if (!match || (!match[1] && !match[2])) fail('Expected a range such as 100:400');
+    position += match[0].length;
+    const [min, max] = [match[1], match[2]].map(bound => (bound === '' ? '' : parseInt(bound, 10)));
+    if (min !== '' && max !== '' && min > max) fail('Range minimum is above its maximum');
+    return { min, max };
+  };
+
+  const readGroup = (depth) => {
+    if (depth > MAX_QUERY_DEPTH) fail(`Groups can be nested at most ${MAX_QUERY_DEPTH} deep`);
+
+    let not = false;
+    let op = readWord();
+    if (op === 'not') {
+      not = true;
+      expect('.');
+      op = readWord();
+    }
+    if (op !== 'and' && op !== 'or') fail('Expected and( or or(');
+
+    expect('(');
+    const rules = [];
+    do {
+      if (text[position] === ',') position++;
+      rules.push(readItem(depth));
+    } while (text[position] === ',');
+    expect(')');
+
+    return { op, not, rules };
+  };
+
+  const readItem = (depth) => {
+    const start = position;
+    const word = readWord();
+
+    if (word === 'and' || word === 'or' || (word === 'not' && text[position] === '.')) {
+      position = start;
+      return readGroup(depth + 1);
+    }
+
+    const field = QUERY_FIELDS[word];
+    if (!field) fail(`Unknown field "${word}"`);
+    expect('.');
+    const operator = readWord();
+    if (!getFieldOperators(word).includes(operator)) fail(`"${operator}" cannot be used with ${word}`);
+    expect('.');
+
+    if (++ruleCount > MAX_QUERY_RULES) fail(`A query can have at most ${MAX_QUERY_RULES} rules`);
+
+    if (field.type === 'range') {
+      return { field: word, operator, ...readRange() };
+    }
+
+    const value = readQuoted();
+    if (!value.trim()) fail('Empty value');
+    if (value.length > MAX_VALUE_LENGTH) fail(`Values must be at most ${MAX_VALUE_LENGTH} characters`);
+    if (operator === 'regex') {
+      const regexError = validateRegex(value);
+      if (regexError) fail(regexError);
+    }
+    return { field: word, operator, value };
+  };
+
+  try {
+    const query = readGroup(1);
+    if (position !== text.length) fail('Unexpected text after the query');
+    return { query, error: null };
+  } catch (error) {
+    return { query: null, error: `Invalid query: ${error.message}` };
+  }
+}
+
+/**
+ * Translate a parsed query into a PostgREST logic filter for .or()
+ * @param {Object} group - Root group from parseQuery
+ * @returns {string} e.g. 'and(name.ilike."*lysin*",length.gte.100)'
+ *
+ * Text comparisons are case-insensitive. In contains, startsWith and not, * in a value
+ * acts as a wildcard; equals compares the whole value literally.
+ */
+export function toPostgrestFilter(group) {
+  const items = group.rules.map(item => {
+    if (isGroup(item)) return toPostgrestFilter(item);
+
+    const column = QUERY_FIELDS[item.field].column;
+
+    switch (item.operator) {
+      case 'between': {
+        const bounds = [];
+        if (item.min !== '') bounds.push(`${column}.gte.${item.min}`);
+        if (item.max !== '') bounds.push(`${column}.lte.${item.max}`);
+        return bounds.length === 1 ? bounds[0] : `and(${bounds.join(',')})`;
+      }
+      case 'equals':
+        // PostgREST turns every * of an ilike value into %, so match an anchored regex instead
+        return `${column}.imatch.${quoteFilterValue(`^${escapeRegex(item.value)}$`)}`;
+      case 'startsWith':
+        return `${column}.ilike.${quoteFilterValue(`${escapeLike(item.value)}*`)}`;
+      case 'regex':
+        return `${column}.imatch.${quoteFilterValue(item.value)}`;
+      case 'not':
+        return `${column}.not.ilike.${quoteFilterValue(`*${escapeLike(item.value)}*`)}`;
+      default:
+        return `${column}.ilike.${quoteFilterValue(`*${escapeLike(item.value)}*`)}`;
+    }
+  });
+
+  return `${group.not ? 'not.' : ''}${group.op}(${items.join(',')})`;
+}
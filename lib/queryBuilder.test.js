@@ -0,0 +1,138 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createQueryGroup,
+  createQueryRule,
+  getFieldOperators,
+  parseQuery,
+  serializeQuery,
+  toPostgrestFilter,
+  validateRegex,
+  MAX_QUERY_DEPTH,
+  MAX_QUERY_RULES
+} from './queryBuilder';
+
+const EXAMPLE = 'and(name.contains."lysin",not.or(organism.startsWith."Escherichia",domain.contains."PF01510"),length.between.100:400)';
+
+describe('getFieldOperators', () => {
+  it('lists the operators of the field type', () => {
+    expect(getFieldOperators('name')).toEqual(['contains', 'equals', 'startsWith', 'regex', 'not']);
+    expect(getFieldOperators('length')).toEqual(['between']);
+    expect(getFieldOperators('unknown')).toEqual([]);
+  });
+});
+
+describe('parseQuery', () => {
+  it('parses nested and negated groups, rules and ranges', () => {
+    expect(parseQuery(EXAMPLE)).toEqual({
+      query: {
+        op: 'and',
+        not: false,
+        rules: [
+          { field: 'name', operator: 'contains', value: 'lysin' },
+          {
+            op: 'or',
+            not: true,
+            rules: [
+              { field: 'organism', operator: 'startsWith', value: 'Escherichia' },
+              { field: 'domain', operator: 'contains', value: 'PF01510' }
+            ]
+          },
+          { field: 'length', operator: 'between', min: 100, max: 400 }
+        ]
+      },
+      error: null
+    });
+  });
+
+  it('unescapes quoted values and reads open-ended ranges', () => {
+    const { query } = parseQuery('or(name.equals."say \\"hi\\" \\\\o/",length.between.:50)');
+
+    expect(query.rules).toEqual([
+      { field: 'name', operator: 'equals', value: 'say "hi" \\o/' },
+      { field: 'length', operator: 'between', min: '', max: 50 }
+    ]);
+  });
+
+  it('reports where the query is malformed', () => {
+    expect(parseQuery('').error).toBe('query is empty');
+    expect(parseQuery('xor(name.contains."a")').error).toBe('Invalid query: Expected and( or or( at position 4');
+    expect(parseQuery('and(colour.contains."red")').error).toBe('Invalid query: Unknown field "colour" at position 11');
+    expect(parseQuery('and(length.contains."5")').error).toMatch('"contains" cannot be used with length');
+    expect(parseQuery('and(name.contains."")').error).toMatch('Empty value');
+    expect(parseQuery('and(length.between.400:100)').error).toMatch('Range minimum is above its maximum');
+    expect(parseQuery('and(name.contains."a"))').error).toMatch('Unexpected text after the query');
+  });
+
+  it('limits the number of rules and the nesting depth', () => {
+    const rules = Array(MAX_QUERY_RULES + 1).fill('name.contains."a"').join(',');
+    expect(parseQuery(`and(${rules})`).error).toMatch(`at most ${MAX_QUERY_RULES} rules`);
+
+    const nested = Array(MAX_QUERY_DEPTH + 1).fill('and(').join('') + 'name.contains."a"' + ')'.repeat(MAX_QUERY_DEPTH + 1);
+    expect(parseQuery(nested).error).toMatch(`at most ${MAX_QUERY_DEPTH} deep`);
+  });
+
+  it('rejects regular expressions PostgreSQL cannot run', () => {
+    expect(parseQuery('and(name.regex."\\\\blysin")').error).toMatch('Use \\y for a word boundary');
+    expect(parseQuery('and(name.regex."^lys(in|ozyme)$")').error).toBeNull();
+  });
+});
+
+describe('serializeQuery', () => {
+  it('round-trips through parseQuery', () => {
+    const { query } = parseQuery(EXAMPLE);
+    expect(serializeQuery(query)).toBe(EXAMPLE);
+
+    const tricky = 'or(name.equals."say \\"hi\\" \\\\o/",length.between.:50)';
+    expect(serializeQuery(parseQuery(tricky).query)).toBe(tricky);
+  });
+
+  it('drops incomplete rules and empty groups', () => {
+    const root = createQueryGroup('and');
+    const nested = createQueryGroup('or');
+    nested.rules.push(createQueryRule('name'));
+    root.rules.push(
+      { ...createQueryRule('name'), value: '  lysin ' },
+      createQueryRule('length'),
+      nested
+    );
+
+    expect(serializeQuery(root)).toBe('and(name.contains."lysin")');
+    expect(serializeQuery(createQueryGroup('or'))).toBe('');
+  });
+});
+
+describe('toPostgrestFilter', () => {
+  const filterOf = text => toPostgrestFilter(parseQuery(text).query);
+
+  it('translates each operator', () => {
+    expect(filterOf(EXAMPLE)).toBe(
+      'and(name.ilike."*lysin*",not.or(source_organism_full_name.ilike."Escherichia*",entries_header.ilike."*PF01510*"),and(length.gte.100,length.lte.400))'
+    );
+    expect(filterOf('and(name.not."phage",length.between.100:)')).toBe('and(name.not.ilike."*phage*",length.gte.100)');
+    expect(filterOf('and(accession.regex."^A0A")')).toBe('and(accession.imatch."^A0A")');
+  });
+
+  it('escapes LIKE wildcards other than *', () => {
+    expect(filterOf('and(name.contains."50%_a*b")')).toBe('and(name.ilike."*50\\\\%\\\\_a*b*")');
+  });
+
+  it('matches equals literally with an anchored regex', () => {
+    expect(filterOf('and(name.equals."Lysin (putative)*")')).toBe('and(name.imatch."^Lysin \\\\(putative\\\\)\\\\*$")');
+  });
+});
+
+describe('validateRegex', () => {
+  it('accepts expressions both dialects understand', () => {
+    for (const value of ['^PF0\\d{4}$', 'lys(in|ozyme)', '\\ylysin\\y', '[A-Z]{2,}', '(?=lys)']) {
+      expect(validateRegex(value)).toBeNull();
+    }
+  });
+
+  it('explains what PostgreSQL does not support', () => {
+    expect(validateRegex('(')).toBe('Invalid regular expression "("');
+    expect(validateRegex('\\blysin')).toBe('Use \\y for a word boundary in regular expressions');
+    expect(validateRegex('\\p{L}')).toBe('"\\p" is not supported in regular expressions');
+    expect(validateRegex('(?<name>lys)')).toBe('Named groups are not supported in regular expressions');
+    expect(validateRegex('a{,3}')).toBe('Repeat counts need a minimum, e.g. {0,3}');
+  });
+});
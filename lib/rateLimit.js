@@ -0,0 +1,52 @@
+/**
+ * Fixed-window rate limiter kept in server memory.
+ * Limits apply per server instance; behind several instances the effective
+ * limit is multiplied by the instance count.
+ */
+export class RateLimiter {
+  /**
+   * @param {number} limit - Requests allowed per window
+   * @param {number} windowMs - Window length in milliseconds
+   */
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  /**
+   * Count a request for `key`
+   * @param {string} key - Client identifier (token id, IP, ...)
+   * @returns {{allowed: boolean, limit: number, remaining: number, resetAt: number}}
+   */
+  consume(key) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+      this.prune(now);
+    }
+
+    window.count++;
+
+    return {
+      allowed: window.count <= this.limit,
+      limit: this.limit,
+      remaining: Math.max(this.limit - window.count, 0),
+      resetAt: window.resetAt
+    };
+  }
+
+  /**
+   * Drop expired windows so idle clients do not accumulate
+   * @param {number} now - Current time
+   */
+  prune(now) {
+    if (this.windows.size < 1000) return;
+    for (const [key, window] of this.windows) {
+      if (now >= window.resetAt) this.windows.delete(key);
+    }
+  }
+}
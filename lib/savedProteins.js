@@ -0,0 +1,487 @@
+import { supabaseAdmin } from './supabaseServer';
+
+const DEFAULT_COLLECTION_NAME = 'Saved proteins';
+const SAVED_PROTEIN_COLUMNS = 'id, protein_id, accession, name, organism, entries_header, length, saved_date, notes, tags, priority';
+const COLLECTION_COLUMNS = 'id, name, created_at';
+const ROWS_PER_REQUEST = 1000; // PostgREST max rows
+
+export const MAX_COLLECTION_NAME_LENGTH = 100;
+export const MAX_PROTEINS_PER_REQUEST = 1000;
+export const MAX_NOTES_LENGTH = 2000;
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * @param {string} name - Collection name from the request
+ * @returns {{name: string|null, error: string|null}}
+ */
+export function parseCollectionName(name) {
+  const collectionName = String(name || '').trim();
+  if (!collectionName || collectionName.length > MAX_COLLECTION_NAME_LENGTH) {
+    return { name: null, error: `name is required (at most ${MAX_COLLECTION_NAME_LENGTH} characters)` };
+  }
+  return { name: collectionName, error: null };
+}
+
+/**
+ * Collection id of a route, e.g. /api/collections/12
+ * @param {string} value - Route parameter
+ * @param {boolean} allowDefault - Whether "default" (the oldest collection, created when
+ *   missing) is accepted; it parses to null
+ * @returns {{collectionId: number|null, error: string|null}}
+ */
+export function parseCollectionId(value, allowDefault = false) {
+  if (allowDefault && value === 'default') {
+    return { collectionId: null, error: null };
+  }
+
+  const collectionId = Number(value);
+  if (!Number.isInteger(collectionId) || collectionId < 1) {
+    return { collectionId: null, error: 'Collection id must be a positive integer' };
+  }
+  return { collectionId, error: null };
+}
+
+/**
+ * Protein ids of a request body or query string
+ * @param {Array|string} ids - Array of ids, or a comma-separated list
+ * @returns {{ids: Array<number>|null, error: string|null}}
+ */
+export function parseProteinIds(ids) {
+  const list = Array.isArray(ids) ? ids : String(ids || '').split(',').filter(Boolean);
+  const parsed = [...new Set(list.map(Number))];
+
+  if (parsed.length === 0 || parsed.length > MAX_PROTEINS_PER_REQUEST || !parsed.every(id => Number.isInteger(id) && id > 0)) {
+    return { ids: null, error: `ids must be 1-${MAX_PROTEINS_PER_REQUEST} positive integer protein ids` };
+  }
+  return { ids: parsed, error: null };
+}
+
+/**
+ * Validate notes, tags and priority of a saved protein
+ * @param {Object} changes - Any of { notes, tags, priority }; null clears notes and priority
+ * @returns {{columns: Object|null, error: string|null}} - columns to update
+ */
+export function parseAnnotations({ notes, tags, priority } = {}) {
+  const columns = {};
+
+  if (notes !== undefined) {
+    const text = String(notes ?? '').trim();
+    if (text.length > MAX_NOTES_LENGTH) {
+      return { columns: null, error: `notes must be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    columns.notes = text || null;
+  }
+
+  if (tags !== undefined) {
+    if (tags !== null && !Array.isArray(tags)) {
+      return { columns: null, error: 'tags must be an array' };
+    }
+    const unique = [...new Set((tags || []).map(tag => String(tag).trim()).filter(Boolean))];
+    if (unique.length > MAX_TAGS) {
+      return { columns: null, error: `A protein can have at most ${MAX_TAGS} tags` };
+    }
+    if (unique.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { columns: null, error: `tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    columns.tags = unique;
+  }
+
+  if (priority !== undefined) {
+    if (priority !== null && !(Number.isInteger(priority) && priority >= 1 && priority <= 5)) {
+      return { columns: null, error: 'priority must be an integer between 1 and 5, or null' };
+    }
+    columns.priority = priority;
+  }
+
+  if (Object.keys(columns).length === 0) {
+    return { columns: null, error: 'Nothing to update: send notes, tags or priority' };
+  }
+
+  return { columns, error: null };
+}
+
+// saved_proteins row -> saved entry as the dashboard and /api/v1/saved list it (id is the protein id)
+const toSavedEntry = ({ id: rowId, protein_id, ...entry }) => ({ id: protein_id, ...entry });
+
+/**
+ * Named collections of saved proteins of an access code (saved_queries rows, see
+ * alter_saved_queries_collections.sql) and the proteins in them (create_saved_proteins.sql).
+ * Server-only: the browser reaches it through /api/collections.
+ */
+export class SavedProteinService {
+  /**
+   * Collections of an access code with their saved proteins, oldest first
+   * @param {string} accessCode - The 6-digit access code
+   * @returns {Promise<Array>} - { id, name, created_at, saved_proteins }
+   */
+  async listCollections(accessCode) {
+    const { data, error } = await supabaseAdmin
+      .from('saved_queries')
+      .select(`${COLLECTION_COLUMNS}, saved_proteins(${SAVED_PROTEIN_COLUMNS})`)
+      .eq('access_code', accessCode)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .order('saved_date', { referencedTable: 'saved_proteins', ascending: true })
+      .order('id', { referencedTable: 'saved_proteins', ascending: true });
+
+    if (error) {
+      console.error('Error listing collections:', error);
+      throw new Error('Failed to list collections');
+    }
+
+    return (data || []).map(collection => ({
+      ...collection,
+      saved_proteins: (collection.saved_proteins || []).map(toSavedEntry)
+    }));
+  }
+
+  /**
+   * Create an empty collection
+   * @param {string} accessCode - The 6-digit access code
+   * @param {string} name - Unique per access code (see parseCollectionName)
+   * @returns {Promise<Object>} - The new collection
+   */
+  async createCollection(accessCode, name) {
+    const { data, error } = await supabaseAdmin
+      .from('saved_queries')
+      .insert({ access_code: accessCode, name })
+      .select(COLLECTION_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error(`A collection named "${name}" already exists`);
+      }
+      console.error('Error creating collection:', error);
+      throw new Error('Failed to create collection');
+    }
+
+    return { ...data, saved_proteins: [] };
+  }
+
+  /**
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number} collectionId - Collection id
+   * @param {string} name - New name, unique per access code
+   * @returns {Promise<Object|null>} - The renamed collection, null when no collection with
+   *   that id belongs to the code
+   */
+  async renameCollection(accessCode, collectionId, name) {
+    const { data, error } = await supabaseAdmin
+      .from('saved_queries')
+      .update({ name })
+      .eq('id', collectionId)
+      .eq('access_code', accessCode)
+      .select(COLLECTION_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error(`A collection named "${name}" already exists`);
+      }
+      console.error('Error renaming collection:', error);
+      throw new Error('Failed to rename collection');
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete a collection together with the proteins saved in it
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number} collectionId - Collection id
+   * @returns {Promise<boolean>} - False when no collection with that id belongs to the code
+   */
+  async deleteCollection(accessCode, collectionId) {
+    const { data, error } = await supabaseAdmin
+      .from('saved_queries')
+      .delete()
+      .eq('id', collectionId)
+      .eq('access_code', accessCode)
+      .select('id');
+
+    if (error) {
+      console.error('Error deleting collection:', error);
+      throw new Error('Failed to delete collection');
+    }
+
+    return Boolean(data?.length);
+  }
+
+  /**
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number|null} collectionId - Collection id; null for the oldest collection,
+   *   which is created as "Saved proteins" when the code has none yet
+   * @returns {Promise<Object|null>} - { id, name }, null when no collection with that id
+   *   belongs to the code
+   */
+  async findCollection(accessCode, collectionId = null) {
+    const query = async () => {
+      let request = supabaseAdmin
+        .from('saved_queries')
+        .select('id, name')
+        .eq('access_code', accessCode);
+
+      request = collectionId === null
+        ? request.order('created_at', { ascending: true }).order('id', { ascending: true }).limit(1)
+        : request.eq('id', collectionId);
+
+      const { data, error } = await request.maybeSingle();
+
+      if (error) {
+        console.error('Error fetching collection:', error);
+        throw new Error('Failed to fetch collection');
+      }
+
+      return data;
+    };
+
+    const collection = await query();
+    if (collection || collectionId !== null) return collection;
+
+    // Another tab may be creating the default collection at the same time
+    const { error } = await supabaseAdmin
+      .from('saved_queries')
+      .upsert({ access_code: accessCode, name: DEFAULT_COLLECTION_NAME }, {
+        onConflict: 'access_code,name',
+        ignoreDuplicates: true
+      });
+
+    if (error) {
+      console.error('Error creating default collection:', error);
+      throw new Error('Failed to create collection');
+    }
+
+    return query();
+  }
+
+  /**
+   * Save proteins to a collection. The list fields are copied from the proteins table;
+   * proteins already in the collection are skipped by the database (unique
+   * collection_id, protein_id), so concurrent saves never clash.
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number|null} collectionId - Target collection; null for the default one
+   * @param {Array<number>} proteinIds - Protein ids
+   * @returns {Promise<Object|null>} - { message, collection, newCount, totalCount }, null
+   *   when the collection does not belong to the code
+   */
+  async saveProteins(accessCode, collectionId, proteinIds) {
+    const { data, error } = await supabaseAdmin
+      .from('proteins')
+      .select('id, accession, name, source_organism_full_name, entries_header, length')
+      .in('id', proteinIds);
+
+    if (error) {
+      console.error('Error fetching proteins to save:', error);
+      throw new Error('Failed to save proteins');
+    }
+
+    const savedDate = new Date().toISOString();
+    const entries = (data || []).map(protein => ({
+      id: protein.id,
+      accession: protein.accession,
+      name: protein.name,
+      organism: protein.source_organism_full_name,
+      entries_header: protein.entries_header,
+      length: protein.length,
+      saved_date: savedDate
+    }));
+
+    return this.addEntries(accessCode, collectionId, entries);
+  }
+
+  /**
+   * Add saved entries (as listed by listCollections) to a collection, keeping their fields
+   * @returns {Promise<Object|null>} - See saveProteins
+   */
+  async addEntries(accessCode, collectionId, entries) {
+    const collection = await this.findCollection(accessCode, collectionId);
+    if (!collection) return null;
+
+    let newCount = 0;
+    if (entries.length > 0) {
+      const rows = entries.map(({ id, ...entry }) => ({
+        ...entry,
+        collection_id: collection.id,
+        protein_id: id
+      }));
+
+      const { data, error } = await supabaseAdmin
+        .from('saved_proteins')
+        .upsert(rows, { onConflict: 'collection_id,protein_id', ignoreDuplicates: true })
+        .select('protein_id');
+
+      if (error) {
+        console.error('Error saving proteins:', error);
+        throw new Error('Failed to save proteins');
+      }
+      newCount = data?.length || 0;
+    }
+
+    const alreadySaved = entries.length - newCount;
+    return {
+      message: `Added ${newCount} protein(s) to "${collection.name}".${alreadySaved > 0 ? ` ${alreadySaved} already saved there.` : ''}`,
+      collection,
+      newCount,
+      totalCount: await this.countProteins(collection.id)
+    };
+  }
+
+  /**
+   * @param {number} collectionId - Collection id
+   * @returns {Promise<number>} - Number of proteins saved in the collection
+   */
+  async countProteins(collectionId) {
+    const { count, error } = await supabaseAdmin
+      .from('saved_proteins')
+      .select('id', { count: 'exact', head: true })
+      .eq('collection_id', collectionId);
+
+    if (error) {
+      console.error('Error counting saved proteins:', error);
+      throw new Error('Failed to count saved proteins');
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Saved proteins of an access code, oldest first
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number|null} collectionId - One collection; null for every collection of the
+   *   code, with proteins saved in several listed once
+   * @returns {Promise<Array>}
+   */
+  async listProteins(accessCode, collectionId = null) {
+    const saved = [];
+
+    for (let offset = 0; ; offset += ROWS_PER_REQUEST) {
+      let query = supabaseAdmin
+        .from('saved_proteins')
+        .select(`${SAVED_PROTEIN_COLUMNS}, saved_queries!inner(access_code)`)
+        .eq('saved_queries.access_code', accessCode);
+
+      if (collectionId !== null) {
+        query = query.eq('collection_id', collectionId);
+      }
+
+      const { data, error } = await query
+        .order('saved_date', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + ROWS_PER_REQUEST - 1);
+
+      if (error) {
+        console.error('Error fetching saved proteins:', error);
+        throw new Error('Failed to fetch saved proteins');
+      }
+
+      saved.push(...data.map(({ saved_queries, ...row }) => toSavedEntry(row)));
+      if (data.length < ROWS_PER_REQUEST) break;
+    }
+
+    const seen = new Set();
+    return saved.filter(protein => !seen.has(protein.id) && seen.add(protein.id));
+  }
+
+  /**
+   * Remove proteins from a collection
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number} collectionId - Collection id
+   * @param {Array<number>} proteinIds - Protein ids
+   * @returns {Promise<Object|null>} - { message, removedCount, remainingCount }, null when
+   *   the collection does not belong to the code
+   */
+  async removeProteins(accessCode, collectionId, proteinIds) {
+    const collection = await this.findCollection(accessCode, collectionId);
+    if (!collection) return null;
+
+    const { data, error } = await supabaseAdmin
+      .from('saved_proteins')
+      .delete()
+      .eq('collection_id', collection.id)
+      .in('protein_id', proteinIds)
+      .select('protein_id');
+
+    if (error) {
+      console.error('Error removing saved proteins:', error);
+      throw new Error('Failed to remove saved proteins');
+    }
+
+    const removedCount = data?.length || 0;
+    return {
+      message: `Removed ${removedCount} protein(s).`,
+      removedCount,
+      remainingCount: await this.countProteins(collection.id)
+    };
+  }
+
+  /**
+   * Set notes, tags or priority of a saved protein
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number} collectionId - Collection the protein is saved in
+   * @param {number} proteinId - Protein id
+   * @param {Object} columns - Result of parseAnnotations
+   * @returns {Promise<Object|null>} - The updated saved entry, null when the protein is not
+   *   in a collection of the code
+   */
+  async updateProtein(accessCode, collectionId, proteinId, columns) {
+    const collection = await this.findCollection(accessCode, collectionId);
+    if (!collection) return null;
+
+    const { data, error } = await supabaseAdmin
+      .from('saved_proteins')
+      .update(columns)
+      .eq('collection_id', collection.id)
+      .eq('protein_id', proteinId)
+      .select(SAVED_PROTEIN_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating saved protein:', error);
+      throw new Error('Failed to update saved protein');
+    }
+
+    return data ? toSavedEntry(data) : null;
+  }
+
+  /**
+   * Copy saved proteins to another collection, or move them with { move: true }.
+   * The saved entries are copied as they are, keeping their saved date, notes, tags and
+   * priority.
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number} fromCollectionId - Collection the proteins are saved in
+   * @param {number} toCollectionId - Target collection
+   * @param {Array<number>} proteinIds - Protein ids
+   * @returns {Promise<Object|null>} - Result of the save into the target collection, null
+   *   when either collection does not belong to the code
+   */
+  async copyProteins(accessCode, fromCollectionId, toCollectionId, proteinIds, { move = false } = {}) {
+    const source = await this.findCollection(accessCode, fromCollectionId);
+    if (!source) return null;
+
+    const { data, error } = await supabaseAdmin
+      .from('saved_proteins')
+      .select(SAVED_PROTEIN_COLUMNS)
+      .eq('collection_id', source.id)
+      .in('protein_id', proteinIds);
+
+    if (error) {
+      console.error('Error fetching proteins to copy:', error);
+      throw new Error(`Failed to ${move ? 'move' : 'copy'} proteins`);
+    }
+
+    const entries = data.map(toSavedEntry);
+    const result = await this.addEntries(accessCode, toCollectionId, entries);
+    if (!result) return null;
+
+    // Only what is now in the target leaves the source
+    if (move && entries.length > 0) {
+      await this.removeProteins(accessCode, source.id, entries.map(entry => entry.id));
+    }
+
+    return result;
+  }
+}
+
+export const savedProteinService = new SavedProteinService();
@@ -0,0 +1,89 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  parseAnnotations,
+  parseCollectionId,
+  parseCollectionName,
+  parseProteinIds,
+  MAX_COLLECTION_NAME_LENGTH,
+  MAX_NOTES_LENGTH,
+  MAX_PROTEINS_PER_REQUEST,
+  MAX_TAG_LENGTH,
+  MAX_TAGS
+} from './savedProteins';
+
+vi.mock('./supabaseServer', () => ({ supabaseAdmin: {} }));
+
+describe('parseCollectionName', () => {
+  it('trims the name', () => {
+    expect(parseCollectionName('  Staph amidases ')).toEqual({ name: 'Staph amidases', error: null });
+  });
+
+  it('requires a name of limited length', () => {
+    expect(parseCollectionName(' ').error).toMatch('name is required');
+    expect(parseCollectionName(undefined).error).toMatch('name is required');
+    expect(parseCollectionName('a'.repeat(MAX_COLLECTION_NAME_LENGTH + 1)).error).toMatch(`at most ${MAX_COLLECTION_NAME_LENGTH}`);
+  });
+});
+
+describe('parseCollectionId', () => {
+  it('parses positive integer ids', () => {
+    expect(parseCollectionId('12')).toEqual({ collectionId: 12, error: null });
+  });
+
+  it('accepts "default" only where allowed', () => {
+    expect(parseCollectionId('default', true)).toEqual({ collectionId: null, error: null });
+    expect(parseCollectionId('default').error).toBe('Collection id must be a positive integer');
+  });
+
+  it('rejects other values', () => {
+    for (const value of ['0', '-3', '1.5', 'abc', '']) {
+      expect(parseCollectionId(value).error).toBe('Collection id must be a positive integer');
+    }
+  });
+});
+
+describe('parseProteinIds', () => {
+  it('reads arrays and comma separated lists, dropping duplicates', () => {
+    expect(parseProteinIds([3, '5', 3])).toEqual({ ids: [3, 5], error: null });
+    expect(parseProteinIds('3,5,,3')).toEqual({ ids: [3, 5], error: null });
+  });
+
+  it('rejects empty, oversized and non-id lists', () => {
+    expect(parseProteinIds('').error).toMatch('positive integer protein ids');
+    expect(parseProteinIds([1, 'x']).error).toMatch('positive integer protein ids');
+    expect(parseProteinIds([0]).error).toMatch('positive integer protein ids');
+    expect(parseProteinIds(Array.from({ length: MAX_PROTEINS_PER_REQUEST + 1 }, (_, i) => i + 1)).error)
+      .toMatch(`1-${MAX_PROTEINS_PER_REQUEST}`);
+  });
+});
+
+describe('parseAnnotations', () => {
+  it('keeps line breaks inside notes and trims around them', () => {
+    expect(parseAnnotations({ notes: '  Strong hit.\nCheck the CBD.\n' })).toEqual({
+      columns: { notes: 'Strong hit.\nCheck the CBD.' },
+      error: null
+    });
+  });
+
+  it('clears notes and priority with null or empty values', () => {
+    expect(parseAnnotations({ notes: ' ', priority: null })).toEqual({ columns: { notes: null, priority: null }, error: null });
+  });
+
+  it('trims tags and drops empty and repeated ones', () => {
+    expect(parseAnnotations({ tags: [' lysin', 'CBD ', '', 'lysin'] })).toEqual({ columns: { tags: ['lysin', 'CBD'] }, error: null });
+    expect(parseAnnotations({ tags: null })).toEqual({ columns: { tags: [] }, error: null });
+  });
+
+  it('rejects values out of bounds', () => {
+    expect(parseAnnotations({ notes: 'a'.repeat(MAX_NOTES_LENGTH + 1) }).error).toMatch(`at most ${MAX_NOTES_LENGTH}`);
+    expect(parseAnnotations({ tags: 'lysin' }).error).toBe('tags must be an array');
+    expect(parseAnnotations({ tags: Array.from({ length: MAX_TAGS + 1 }, (_, i) => `t${i}`) }).error).toMatch(`at most ${MAX_TAGS} tags`);
+    expect(parseAnnotations({ tags: ['a'.repeat(MAX_TAG_LENGTH + 1)] }).error).toMatch(`at most ${MAX_TAG_LENGTH}`);
+    expect(parseAnnotations({ priority: 6 }).error).toMatch('between 1 and 5');
+    expect(parseAnnotations({ priority: '3' }).error).toMatch('between 1 and 5');
+  });
+
+  it('needs something to update', () => {
+    expect(parseAnnotations({}).error).toBe('Nothing to update: send notes, tags or priority');
+  });
+});
@@ -0,0 +1,341 @@
+import { supabaseAdmin } from './supabaseServer';
+import { proteinService } from './proteinService';
+import { parseProteinFilters, parseSort } from './apiHelpers';
+import { parseSequenceSearch as parseSequenceRequest, runSequenceSearch } from './sequenceSearchApi';
+import {
+  buildExploreSearch,
+  buildSequenceSearch,
+  parseSection,
+  parseSequenceSearch
+} from './searchUrl';
+
+export const MAX_SAVED_SEARCH_NAME_LENGTH = 100;
+
+const MAX_SEARCHES_PER_CODE = 100;
+const RUN_RESULT_LIMIT = 1000; // Explore ids kept per run for the next comparison
+const CHANGED_PROTEINS_LIMIT = 20; // Added / removed proteins listed by a comparison
+const SEARCH_COLUMNS = 'id, name, kind, search, created_at, last_run_at, last_count, last_count_estimated';
+
+// Sequence search request body of a dashboard sequence search, as SequenceSearch.jsx sends it
+const toSequenceRequest = ({ sequence, mode, mismatches }, page = 1) => {
+  const input = sequence.trim();
+  if (mode === 'pattern') {
+    return { mode, sequence: input, mismatches, page };
+  }
+
+  const sequences = input.split(',').map(part => part.trim()).filter(Boolean);
+  if (sequences.length > 1) {
+    return { mode, sequences, page };
+  }
+  return { mode, sequence: input.toUpperCase().replace(/[^ACDEFGHIKLMNPQRSTVWY]/g, ''), page };
+};
+
+/**
+ * Validate a dashboard search (see lib/searchUrl.js) before it is saved
+ * @param {string} search - Dashboard query string, e.g. "organism=aureus&page=2"
+ * @returns {{kind: string|null, search: string|null, error: string|null}} search is
+ *   the canonical query string without the page
+ */
+export function parseSavedSearch(search) {
+  const params = new URLSearchParams(String(search || ''));
+  const section = parseSection(params);
+
+  if (section === 'explore') {
+    const { filters, error } = parseProteinFilters(params);
+    if (error) return { kind: null, search: null, error };
+
+    const { sort, error: sortError } = parseSort(params);
+    if (sortError) return { kind: null, search: null, error: sortError };
+
+    return { kind: 'explore', search: buildExploreSearch({ filters, sort }), error: null };
+  }
+
+  if (section === 'search') {
+    const shown = parseSequenceSearch(params);
+    if (!shown.sequence.trim()) {
+      return { kind: null, search: null, error: 'sequence is required' };
+    }
+
+    const { error } = parseSequenceRequest(toSequenceRequest(shown));
+    if (error) return { kind: null, search: null, error };
+
+    return { kind: 'sequence', search: buildSequenceSearch({ ...shown, page: 1 }), error: null };
+  }
+
+  return { kind: null, search: null, error: 'Only Explore and sequence searches can be saved' };
+}
+
+/**
+ * Proteins matching now but not in the previous run, and the other way round
+ * @param {Object} previous - { ids, count } recorded by the previous run
+ * @param {Object} current - { ids, count } of this run
+ * @param {boolean} ordered - Whether the ids are the lowest matching ids in ascending
+ *   order (Explore), rather than the top of a ranked hit list (sequence searches)
+ * @returns {{added: Array<number>|null, removed: Array<number>|null}} - null when the
+ *   recorded ids cannot tell (the run had more hits than it recorded)
+ */
+export function diffRuns(previous, current, ordered) {
+  const previousIds = new Set(previous.ids);
+  const currentIds = new Set(current.ids);
+
+  if (ordered) {
+    // An ascending list cut off at the limit says nothing about ids past its last one
+    const lastComparable = ({ ids }) => (ids.length >= RUN_RESULT_LIMIT ? ids[ids.length - 1] : Infinity);
+    const cutoff = Math.min(lastComparable(previous), lastComparable(current));
+
+    return {
+      added: current.ids.filter(id => id <= cutoff && !previousIds.has(id)),
+      removed: previous.ids.filter(id => id <= cutoff && !currentIds.has(id))
+    };
+  }
+
+  // A ranked list cut off at the first page may leave out any other hit, so a hit is
+  // only new when the previous run recorded all of its hits, and only gone when this one did
+  const complete = ({ ids, count }) => count !== null && count <= ids.length;
+
+  return {
+    added: complete(previous) ? current.ids.filter(id => !previousIds.has(id)) : null,
+    removed: complete(current) ? previous.ids.filter(id => !currentIds.has(id)) : null
+  };
+}
+
+/**
+ * Named search definitions of an access code (create_saved_searches.sql). Runs record
+ * the result count and matching ids, and are compared with the run before.
+ */
+export class SavedSearchService {
+  /**
+   * @param {string} accessCode - The 6-digit access code
+   * @returns {Promise<Array>} - Newest first
+   */
+  async listSearches(accessCode) {
+    const { data, error } = await supabaseAdmin
+      .from('saved_searches')
+      .select(SEARCH_COLUMNS)
+      .eq('access_code', accessCode)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error listing saved searches:', error);
+      throw new Error('Failed to list saved searches');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Save a search under a name
+   * @param {string} accessCode - The 6-digit access code
+   * @param {string} name - Unique per access code
+   * @param {Object} search - Result of parseSavedSearch: { kind, search }
+   * @returns {Promise<Object>} - The saved search
+   */
+  async createSearch(accessCode, name, { kind, search }) {
+    const { count, error: countError } = await supabaseAdmin
+      .from('saved_searches')
+      .select('id', { count: 'exact', head: true })
+      .eq('access_code', accessCode);
+
+    if (countError) {
+      console.error('Error counting saved searches:', countError);
+      throw new Error('Failed to save search');
+    }
+
+    if (count >= MAX_SEARCHES_PER_CODE) {
+      throw new Error(`An access code can have at most ${MAX_SEARCHES_PER_CODE} saved searches. Delete one first.`);
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('saved_searches')
+      .insert({ access_code: accessCode, name, kind, search })
+      .select(SEARCH_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error(`A saved search named "${name}" already exists`);
+      }
+      console.error('Error saving search:', error);
+      throw new Error('Failed to save search');
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete a saved search of an access code
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number} searchId - Saved search id
+   * @returns {Promise<boolean>} - False when no search with that id belongs to the code
+   */
+  async deleteSearch(accessCode, searchId) {
+    const { data, error } = await supabaseAdmin
+      .from('saved_searches')
+      .delete()
+      .eq('id', searchId)
+      .eq('access_code', accessCode)
+      .select('id');
+
+    if (error) {
+      console.error('Error deleting saved search:', error);
+      throw new Error('Failed to delete saved search');
+    }
+
+    return Boolean(data?.length);
+  }
+
+  /**
+   * Run a saved search and compare the result with its previous run
+   * @param {string} accessCode - The 6-digit access code
+   * @param {number} searchId - Saved search id
+   * @returns {Promise<Object|null>} - { search, previous, comparison }, null when no
+   *   search with that id belongs to the code. previous ({ runAt, count, estimated }) and
+   *   comparison ({ addedCount, removedCount, added, removed }) are null on the first run.
+   */
+  async runSearch(accessCode, searchId) {
+    const { data: saved, error: fetchError } = await supabaseAdmin
+      .from('saved_searches')
+      .select(`${SEARCH_COLUMNS}, last_result_ids`)
+      .eq('id', searchId)
+      .eq('access_code', accessCode)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Error fetching saved search:', fetchError);
+      throw new Error('Failed to run saved search');
+    }
+
+    if (!saved) return null;
+
+    const run = saved.kind === 'explore'
+      ? await this.runExploreSearch(saved.search)
+      : await this.runSequenceSearch(saved.search);
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('saved_searches')
+      .update({
+        last_run_at: new Date().toISOString(),
+        last_count: run.count,
+        last_count_estimated: run.estimated,
+        last_result_ids: run.ids
+      })
+      .eq('id', searchId)
+      .eq('access_code', accessCode)
+      .select(SEARCH_COLUMNS)
+      .single();
+
+    if (updateError) {
+      console.error('Error recording saved search run:', updateError);
+      throw new Error('Failed to record saved search run');
+    }
+
+    if (!saved.last_run_at) {
+      return { search: updated, previous: null, comparison: null };
+    }
+
+    return {
+      search: updated,
+      previous: { runAt: saved.last_run_at, count: saved.last_count, estimated: saved.last_count_estimated },
+      comparison: await this.compareRuns(
+        { ids: saved.last_result_ids || [], count: saved.last_count },
+        run,
+        saved.kind === 'explore'
+      )
+    };
+  }
+
+  /**
+   * @param {string} search - Canonical Explore query string
+   * @returns {Promise<Object>} - { count, estimated, ids }; ids are the lowest RUN_RESULT_LIMIT matches
+   */
+  async runExploreSearch(search) {
+    const { filters } = parseProteinFilters(new URLSearchParams(search));
+
+    const [{ data }, counted] = await Promise.all([
+      proteinService.fetchProteinsAfter(filters, 0, RUN_RESULT_LIMIT, 'id'),
+      this.countExploreSearch(filters)
+    ]);
+
+    return {
+      count: counted.count,
+      estimated: counted.estimated,
+      ids: data.slice(0, RUN_RESULT_LIMIT).map(protein => protein.id)
+    };
+  }
+
+  /**
+   * Exact count where the database can afford it, the planner's estimate otherwise
+   */
+  async countExploreSearch(filters) {
+    const estimate = await proteinService.fetchProteinCount(filters, { estimate: true });
+    if (!estimate.refinable) return estimate;
+
+    try {
+      return await proteinService.fetchProteinCount(filters);
+    } catch (error) {
+      console.warn('Exact count for saved search failed, keeping the estimate:', error.message);
+      return estimate;
+    }
+  }
+
+  /**
+   * @param {string} search - Canonical sequence search query string
+   * @returns {Promise<Object>} - { count, estimated, ids }; ids are the hits on the first result page
+   */
+  async runSequenceSearch(search) {
+    const { params } = parseSequenceRequest(toSequenceRequest(parseSequenceSearch(new URLSearchParams(search))));
+    const result = await runSequenceSearch(params);
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    const pages = result.results || [result];
+    const ids = [...new Set(pages.flatMap(page => (page.data || []).map(protein => protein.id)))];
+
+    return {
+      count: result.results ? result.totalCount : result.count,
+      estimated: false,
+      ids
+    };
+  }
+
+  /**
+   * Compare a run with the previous one (see diffRuns)
+   * @param {Object} previous - { ids, count } recorded by the previous run
+   * @param {Object} current - { ids, count } of this run
+   * @param {boolean} ordered - Whether the ids are the lowest matching ids, ascending
+   * @returns {Promise<Object>} - { addedCount, removedCount, added, removed }; added and
+   *   removed list up to CHANGED_PROTEINS_LIMIT proteins with accession and name. A count
+   *   is null, with an empty list, when the recorded ids cannot tell.
+   */
+  async compareRuns(previous, current, ordered) {
+    const { added, removed } = diffRuns(previous, current, ordered);
+
+    const listed = [...(added || []).slice(0, CHANGED_PROTEINS_LIMIT), ...(removed || []).slice(0, CHANGED_PROTEINS_LIMIT)];
+    const proteins = new Map();
+
+    if (listed.length > 0) {
+      const { data, error } = await supabaseAdmin
+        .from('proteins')
+        .select('id, accession, name')
+        .in('id', listed);
+
+      if (error) {
+        console.warn('Failed to look up changed proteins:', error.message);
+      }
+      (data || []).forEach(protein => proteins.set(protein.id, protein));
+    }
+
+    const describe = (id) => proteins.get(id) || { id, accession: null, name: null };
+
+    return {
+      addedCount: added ? added.length : null,
+      removedCount: removed ? removed.length : null,
+      added: (added || []).slice(0, CHANGED_PROTEINS_LIMIT).map(describe),
+      removed: (removed || []).slice(0, CHANGED_PROTEINS_LIMIT).map(describe)
+    };
+  }
+}
+
+export const savedSearchService = new SavedSearchService();
@@ -0,0 +1,111 @@
+import { describe, expect, it, vi } from 'vitest';
+import { supabaseAdmin } from './supabaseServer';
+import { diffRuns, parseSavedSearch, savedSearchService } from './savedSearches';
+
+vi.mock('./supabaseServer', () => ({ supabaseAdmin: { from: vi.fn() } }));
+vi.mock('./proteinService', () => ({ proteinService: {} }));
+vi.mock('./simplifiedSequenceSearch', () => ({ sequenceSearchService: {} }));
+
+// Ids 1..n
+const range = (n, from = 1) => Array.from({ length: n }, (_, i) => from + i);
+
+describe('parseSavedSearch', () => {
+  it('stores Explore searches canonically and without the page', () => {
+    expect(parseSavedSearch('page=4&organism=aureus&name=lysin&sort=length&sortDirection=desc')).toEqual({
+      kind: 'explore',
+      search: 'name=lysin&organism=aureus&sort=length&sortDirection=desc',
+      error: null
+    });
+  });
+
+  it('stores sequence searches without the page', () => {
+    expect(parseSavedSearch('section=search&mode=pattern&sequence=C-x(2)-C&mismatches=1&page=3')).toEqual({
+      kind: 'sequence',
+      search: 'section=search&sequence=C-x%282%29-C&mode=pattern&mismatches=1',
+      error: null
+    });
+  });
+
+  it('rejects searches the API would reject', () => {
+    expect(parseSavedSearch('domain=lysozyme').error).toBe('domain must be a Pfam accession such as PF00959');
+    expect(parseSavedSearch('section=search&mode=similarity').error).toBe('sequence is required');
+  });
+
+  it('only saves Explore and sequence searches', () => {
+    expect(parseSavedSearch('section=saved')).toEqual({
+      kind: null,
+      search: null,
+      error: 'Only Explore and sequence searches can be saved'
+    });
+  });
+});
+
+describe('diffRuns', () => {
+  describe('ordered (Explore) runs', () => {
+    it('lists added and removed ids', () => {
+      expect(diffRuns({ ids: [1, 2, 3], count: 3 }, { ids: [2, 3, 4], count: 3 }, true)).toEqual({
+        added: [4],
+        removed: [1]
+      });
+    });
+
+    it('ignores ids past the last one of a run cut off at the limit', () => {
+      const previous = { ids: range(1000), count: 5000 };
+      // 1 is gone; 1001 is past the previous run's last recorded id, so it may have matched before
+      const current = { ids: range(1000, 2), count: 5000 };
+
+      expect(diffRuns(previous, current, true)).toEqual({ added: [], removed: [1] });
+    });
+
+    it('compares everything when both runs are complete', () => {
+      expect(diffRuns({ ids: [], count: 0 }, { ids: [5, 9], count: 2 }, true)).toEqual({ added: [5, 9], removed: [] });
+    });
+  });
+
+  describe('ranked (sequence) runs', () => {
+    it('lists added and removed ids when both runs recorded every hit', () => {
+      expect(diffRuns({ ids: [7, 3], count: 2 }, { ids: [3, 8], count: 2 }, false)).toEqual({ added: [8], removed: [7] });
+    });
+
+    it('cannot tell what was added when the previous run was cut off', () => {
+      expect(diffRuns({ ids: [7, 3], count: 80 }, { ids: [3, 8], count: 2 }, false)).toEqual({ added: null, removed: [7] });
+    });
+
+    it('cannot tell what was removed when this run was cut off', () => {
+      expect(diffRuns({ ids: [7, 3], count: 2 }, { ids: [3, 8], count: 80 }, false)).toEqual({ added: [8], removed: null });
+    });
+
+    it('cannot tell anything without a previous count', () => {
+      expect(diffRuns({ ids: [], count: null }, { ids: [3], count: 80 }, false)).toEqual({ added: null, removed: null });
+    });
+  });
+});
+
+describe('SavedSearchService.compareRuns', () => {
+  it('counts the changes and describes the listed proteins', async () => {
+    supabaseAdmin.from.mockReturnValue({
+      select: () => ({
+        in: () => Promise.resolve({ data: [{ id: 8, accession: 'P8', name: 'Lysin' }], error: null })
+      })
+    });
+
+    expect(await savedSearchService.compareRuns({ ids: [7, 3], count: 2 }, { ids: [3, 8], count: 80 }, false)).toEqual({
+      addedCount: 1,
+      removedCount: null,
+      added: [{ id: 8, accession: 'P8', name: 'Lysin' }],
+      removed: []
+    });
+  });
+
+  it('does not look up proteins when nothing changed', async () => {
+    supabaseAdmin.from.mockClear();
+
+    expect(await savedSearchService.compareRuns({ ids: [1], count: 1 }, { ids: [1], count: 1 }, true)).toEqual({
+      addedCount: 0,
+      removedCount: 0,
+      added: [],
+      removed: []
+    });
+    expect(supabaseAdmin.from).not.toHaveBeenCalled();
+  });
+});
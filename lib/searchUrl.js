@@ -0,0 +1,134 @@
+/**
+ * Dashboard Search URLs
+ *
+ * The dashboard keeps the search on screen in its query string, so a search can
+ * be bookmarked or shared and back/forward move between searches:
+ *   /dashboard?organism=aureus&minLength=200&sort=length&sortDirection=desc&page=3
+ *   /dashboard?section=search&mode=pattern&sequence=C-x(2)-C&mismatches=1
+ *
+ * Explore searches use the filter and sort parameters of /api/proteins (see
+ * proteinFilters.js). Values are not validated here; the API rejects bad ones
+ * the same way as when they are typed into the form.
+ */
+
+import {
+  PROTEIN_FILTER_KEYS,
+  appendFilterParams,
+  appendSortParams,
+  normalizeSort
+} from './proteinFilters';
+import { MAX_PATTERN_MISMATCHES } from './prositePattern';
+
+export const DASHBOARD_SECTIONS = ['explore', 'search', 'saved'];
+export const SEQUENCE_SEARCH_MODES = ['contains', 'similarity', 'pattern'];
+
+const DEFAULT_SECTION = 'explore';
+const DEFAULT_SEQUENCE_MODE = 'contains';
+
+const parsePage = (params) => {
+  const page = Number(params.get('page'));
+  return Number.isInteger(page) && page > 1 ? page : 1;
+};
+
+/**
+ * Dashboard URL for a query string
+ * @param {string} search - Query string without "?"
+ * @returns {string}
+ */
+export function dashboardUrl(search) {
+  return search ? `/dashboard?${search}` : '/dashboard';
+}
+
+/**
+ * Dashboard section of a URL; Explore when missing or unknown
+ * @param {URLSearchParams} params - URL search params
+ * @returns {string}
+ */
+export function parseSection(params) {
+  const section = params.get('section');
+  return DASHBOARD_SECTIONS.includes(section) ? section : DEFAULT_SECTION;
+}
+
+/**
+ * Query string of a section without a search
+ * @param {string} section - Dashboard section
+ * @returns {string}
+ */
+export function buildSectionSearch(section) {
+  return section === DEFAULT_SECTION ? '' : new URLSearchParams({ section }).toString();
+}
+
+/**
+ * Query string of an Explore search
+ * @param {Object} search - { filters, sort, page }
+ * @returns {string} Non-empty filters, the sort and pages after the first
+ */
+export function buildExploreSearch({ filters, sort, page = 1 }) {
+  const params = new URLSearchParams();
+  appendFilterParams(params, filters);
+  appendSortParams(params, sort);
+  if (page > 1) {
+    params.set('page', String(page));
+  }
+  return params.toString();
+}
+
+/**
+ * Explore search of a URL
+ * @param {URLSearchParams} params - URL search params
+ * @returns {Object} { filters, sort, page }; filters hold only the keys in the URL
+ */
+export function parseExploreSearch(params) {
+  const filters = {};
+  PROTEIN_FILTER_KEYS.forEach(key => {
+    if (params.has(key)) {
+      filters[key] = params.get(key);
+    }
+  });
+
+  return {
+    filters,
+    sort: normalizeSort({ field: params.get('sort'), direction: params.get('sortDirection') }),
+    page: parsePage(params)
+  };
+}
+
+/**
+ * Query string of a sequence search
+ * @param {Object} search - { sequence, mode, mismatches, page }
+ * @returns {string}
+ */
+export function buildSequenceSearch({ sequence, mode = DEFAULT_SEQUENCE_MODE, mismatches = 0, page = 1 }) {
+  const params = new URLSearchParams({ section: 'search' });
+  if (sequence) {
+    params.set('sequence', sequence);
+  }
+  if (mode !== DEFAULT_SEQUENCE_MODE) {
+    params.set('mode', mode);
+  }
+  // Mismatches only apply to motif patterns
+  if (mode === 'pattern' && mismatches > 0) {
+    params.set('mismatches', String(mismatches));
+  }
+  if (page > 1) {
+    params.set('page', String(page));
+  }
+  return params.toString();
+}
+
+/**
+ * Sequence search of a URL
+ * @param {URLSearchParams} params - URL search params
+ * @returns {Object} { sequence, mode, mismatches, page }; sequence is '' without a search
+ */
+export function parseSequenceSearch(params) {
+  const mode = SEQUENCE_SEARCH_MODES.includes(params.get('mode')) ? params.get('mode') : DEFAULT_SEQUENCE_MODE;
+  const mismatches = Number(params.get('mismatches'));
+
+  return {
+    sequence: params.get('sequence') || '',
+    mode,
+    mismatches: Number.isInteger(mismatches) ? Math.min(Math.max(mismatches, 0), MAX_PATTERN_MISMATCHES) : 0,
+    page: parsePage(params)
+  };
+}
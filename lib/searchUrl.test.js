@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildExploreSearch,
+  buildSectionSearch,
+  buildSequenceSearch,
+  dashboardUrl,
+  parseExploreSearch,
+  parseSection,
+  parseSequenceSearch
+} from './searchUrl';
+
+const params = search => new URLSearchParams(search);
+
+describe('sections', () => {
+  it('defaults to Explore', () => {
+    expect(parseSection(params(''))).toBe('explore');
+    expect(parseSection(params('section=admin'))).toBe('explore');
+    expect(parseSection(params('section=saved'))).toBe('saved');
+  });
+
+  it('leaves Explore out of the URL', () => {
+    expect(buildSectionSearch('explore')).toBe('');
+    expect(buildSectionSearch('saved')).toBe('section=saved');
+    expect(dashboardUrl('')).toBe('/dashboard');
+    expect(dashboardUrl('section=saved')).toBe('/dashboard?section=saved');
+  });
+});
+
+describe('Explore searches', () => {
+  it('round-trip filters, sort and page', () => {
+    const search = {
+      filters: { name: 'lysin', organism: 'aureus', minLength: '200', includeTaxa: '1239,561' },
+      sort: { field: 'length', direction: 'desc' },
+      page: 3
+    };
+    const text = buildExploreSearch(search);
+
+    expect(text).toBe('name=lysin&organism=aureus&minLength=200&includeTaxa=1239%2C561&sort=length&sortDirection=desc&page=3');
+    expect(parseExploreSearch(params(text))).toEqual(search);
+    expect(buildExploreSearch(parseExploreSearch(params(text)))).toBe(text);
+  });
+
+  it('drops empty filters, the default sort and the first page', () => {
+    expect(buildExploreSearch({ filters: { name: ' ', domain: 'PF00959' }, sort: null, page: 1 })).toBe('domain=PF00959');
+    expect(buildExploreSearch({ filters: {}, sort: { field: 'colour' } })).toBe('');
+  });
+
+  it('keeps the architecture mode only with an architecture', () => {
+    expect(buildExploreSearch({ filters: { architectureMode: 'exact' } })).toBe('');
+    expect(buildExploreSearch({ filters: { architecture: 'PF01510,PF01476', architectureMode: 'exact' } }))
+      .toBe('architecture=PF01510%2CPF01476&architectureMode=exact');
+  });
+
+  it('ignores unknown parameters and bad pages', () => {
+    expect(parseExploreSearch(params('colour=red&page=-2&sort=length'))).toEqual({
+      filters: {},
+      sort: { field: 'length', direction: 'asc' },
+      page: 1
+    });
+  });
+});
+
+describe('sequence searches', () => {
+  it('round-trip a pattern search with mismatches', () => {
+    const search = { sequence: 'C-x(2)-C', mode: 'pattern', mismatches: 1, page: 2 };
+    const text = buildSequenceSearch(search);
+
+    expect(text).toBe('section=search&sequence=C-x%282%29-C&mode=pattern&mismatches=1&page=2');
+    expect(parseSequenceSearch(params(text))).toEqual(search);
+  });
+
+  it('leaves defaults out of the URL', () => {
+    expect(buildSequenceSearch({ sequence: 'MKTAYIAKQR' })).toBe('section=search&sequence=MKTAYIAKQR');
+    expect(buildSequenceSearch({ sequence: '', mode: 'similarity' })).toBe('section=search&mode=similarity');
+  });
+
+  it('only keeps mismatches for patterns', () => {
+    expect(buildSequenceSearch({ sequence: 'MKTAY', mode: 'contains', mismatches: 2 })).toBe('section=search&sequence=MKTAY');
+  });
+
+  it('falls back to defaults for unknown or out of range values', () => {
+    expect(parseSequenceSearch(params('mode=fuzzy&mismatches=9&page=abc'))).toEqual({
+      sequence: '',
+      mode: 'contains',
+      mismatches: 2,
+      page: 1
+    });
+    expect(parseSequenceSearch(params('mode=pattern&mismatches=1.5')).mismatches).toBe(0);
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Local Sequence Alignment
+ *
+ * Smith-Waterman local alignment with affine gap penalties (Gotoh) scored
+ * with the BLOSUM62 substitution matrix. Used by the similarity mode of the
+ * sequence search to rank candidate proteins against a query sequence.
+ *
+ * Gap cost follows the BLAST convention: a gap of length k costs
+ * gapOpen + k * gapExtend (11/1 by default).
+ */
+
+const BLOSUM62_ORDER = 'ARNDCQEGHILKMFPSTWYVBZX*';
+
+// NCBI BLOSUM62, rows and columns in BLOSUM62_ORDER
+const BLOSUM62_ROWS = [
+  ' 4 -1 -2 -2  0 -1 -1  0 -2 -1 -1 -1 -1 -2 -1  1  0 -3 -2  0 -2 -1  0 -4',
+  '-1  5  0 -2 -3  1  0 -2  0 -3 -2  2 -1 -3 -2 -1 -1 -3 -2 -3 -1  0 -1 -4',
+  '-2  0  6  1 -3  0  0  0  1 -3 -3  0 -2 -3 -2  1  0 -4 -2 -3  3  0 -1 -4',
+  '-2 -2  1  6 -3  0  2 -1 -1 -3 -4 -1 -3 -3 -1  0 -1 -4 -3 -3  4  1 -1 -4',
+  ' 0 -3 -3 -3  9 -3 -4 -3 -3 -1 -1 -3 -1 -2 -3 -1 -1 -2 -2 -1 -3 -3 -2 -4',
+  '-1  1  0  0 -3  5  2 -2  0 -3 -2  1  0 -3 -1  0 -1 -2 -1 -2  0  3 -1 -4',
+  '-1  0  0  2 -4  2  5 -2  0 -3 -3  1 -2 -3 -1  0 -1 -3 -2 -2  1  4 -1 -4',
+  ' 0 -2  0 -1 -3 -2 -2  6 -2 -4 -4 -2 -3 -3 -2  0 -2 -2 -3 -3 -1 -2 -1 -4',
+  '-2  0  1 -1 -3  0  0 -2  8 -3 -3 -1 -2 -1 -2 -1 -2 -2  2 -3  0  0 -1 -4',
+  '-1 -3 -3 -3 -1 -3 -3 -4 -3  4  2 -3  1  0 -3 -2 -1 -3 -1  3 -3 -3 -1 -4',
+  '-1 -2 -3 -4 -1 -2 -3 -4 -3  2  4 -2  2  0 -3 -2 -1 -2 -1  1 -4 -3 -1 -4',
+  '-1  2  0 -1 -3  1  1 -2 -1 -3 -2  5 -1 -3 -1  0 -1 -3 -2 -2  0  1 -1 -4',
+  '-1 -1 -2 -3 -1  0 -2 -3 -2  1  2 -1  5  0 -2 -1 -1 -1 -1  1 -3 -1 -1 -4',
+  '-2 -3 -3 -3 -2 -3 -3 -3 -1  0  0 -3  0  6 -4 -2 -2  1  3 -1 -3 -3 -1 -4',
+  '-1 -2 -2 -1 -3 -1 -1 -2 -2 -3 -3 -1 -2 -4  7 -1 -1 -4 -3 -2 -2 -1 -2 -4',
+  ' 1 -1  1  0 -1  0  0  0 -1 -2 -2  0 -1 -2 -1  4  1 -3 -2 -2  0  0  0 -4',
+  ' 0 -1  0 -1 -1 -1 -1 -2 -2 -1 -1 -1 -1 -2 -1  1  5 -2 -2  0 -1 -1  0 -4',
+  '-3 -3 -4 -4 -2 -2 -3 -2 -2 -3 -2 -3 -1  1 -4 -3 -2 11  2 -3 -4 -3 -2 -4',
+  '-2 -2 -2 -3 -2 -1 -2 -3  2 -1 -1 -2 -1  3 -3 -2 -2  2  7 -1 -3 -2 -1 -4',
+  ' 0 -3 -3 -3 -1 -2 -2 -3 -3  3  1 -2  1 -1 -2 -2  0 -3 -1  4 -3 -2 -1 -4',
+  '-2 -1  3  4 -3  0  1 -1  0 -3 -4  0 -3 -3 -2  0 -1 -4 -3 -3  4  1 -1 -4',
+  '-1  0  0  1 -3  3  4 -2  0 -3 -3  1 -1 -3 -1  0 -1 -3 -2 -2  1  4 -1 -4',
+  ' 0 -1 -1 -1 -2 -1 -1 -1 -1 -1 -1 -1 -1 -1 -2  0  0 -2 -1 -1 -1 -1 -1 -4',
+  '-4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4  1',
+];
+
+const ALPHABET_SIZE = BLOSUM62_ORDER.length;
+const UNKNOWN_RESIDUE = BLOSUM62_ORDER.indexOf('X');
+
+// Flattened ALPHABET_SIZE x ALPHABET_SIZE score table
+const BLOSUM62 = new Int8Array(ALPHABET_SIZE * ALPHABET_SIZE);
+BLOSUM62_ROWS.forEach((row, i) => {
+  row.trim().split(/\s+/).forEach((value, j) => {
+    BLOSUM62[i * ALPHABET_SIZE + j] = parseInt(value, 10);
+  });
+});
+
+export const DEFAULT_GAP_OPEN = 11;
+export const DEFAULT_GAP_EXTEND = 1;
+
+// Gapped Karlin-Altschul statistics for BLOSUM62 with 11/1 gap costs
+const KARLIN_LAMBDA = 0.267;
+const KARLIN_K = 0.041;
+
+// Approximate number of residues in the proteins table (~2M proteins x ~300 aa).
+// Only used to put E-values on a comparable scale between searches.
+export const DEFAULT_DATABASE_RESIDUES = 6e8;
+
+// Traceback flags
+const FROM_DIAGONAL = 1;
+const FROM_GAP_IN_QUERY = 2; // E matrix - residue of the target aligned to a gap
+const FROM_GAP_IN_TARGET = 3; // F matrix - residue of the query aligned to a gap
+const E_EXTENDED = 4;
+const F_EXTENDED = 8;
+
+// Stand-in for minus infinity that fits in an Int32Array
+const NEGATIVE_INFINITY = -1e9;
+
+const encodeSequence = (sequence) => {
+  const encoded = new Uint8Array(sequence.length);
+  for (let i = 0; i < sequence.length; i++) {
+    const index = BLOSUM62_ORDER.indexOf(sequence[i]);
+    encoded[i] = index === -1 ? UNKNOWN_RESIDUE : index;
+  }
+  return encoded;
+};
+
+/**
+ * Substitution score of two residues under BLOSUM62
+ * @param {string} a - Residue one-letter code
+ * @param {string} b - Residue one-letter code
+ * @returns {number}
+ */
+export function substitutionScore(a, b) {
+  const i = BLOSUM62_ORDER.indexOf(a);
+  const j = BLOSUM62_ORDER.indexOf(b);
+  return BLOSUM62[(i === -1 ? UNKNOWN_RESIDUE : i) * ALPHABET_SIZE + (j === -1 ? UNKNOWN_RESIDUE : j)];
+}
+
+/**
+ * Convert a raw alignment score into a bit score
+ * @param {number} score - Raw Smith-Waterman score
+ * @returns {number}
+ */
+export function computeBitScore(score) {
+  return (KARLIN_LAMBDA * score - Math.log(KARLIN_K)) / Math.LN2;
+}
+
+/**
+ * Expected number of chance hits with at least this score (E = K*m*n*e^(-lambda*S))
+ * @param {number} score - Raw Smith-Waterman score
+ * @param {number} queryLength - Length of the query sequence
+ * @param {number} databaseResidues - Total residues searched
+ * @returns {number}
+ */
+export function computeEValue(score, queryLength, databaseResidues = DEFAULT_DATABASE_RESIDUES) {
+  return KARLIN_K * queryLength * databaseResidues * Math.exp(-KARLIN_LAMBDA * score);
+}
+
+/**
+ * Find the best local alignment between a query and a target sequence
+ * @param {string} query - Query sequence (uppercase one-letter codes)
+ * @param {string} target - Target sequence (uppercase one-letter codes)
+ * @param {Object} options - { gapOpen, gapExtend, databaseResidues }
+ * @returns {Object|null} - Alignment summary, or null when nothing scores above zero
+ */
+export function alignLocal(query, target, options = {}) {
+  if (!query || !target) return null;
+
+  const gapOpen = options.gapOpen ?? DEFAULT_GAP_OPEN;
+  const gapExtend = options.gapExtend ?? DEFAULT_GAP_EXTEND;
+  const openCost = gapOpen + gapExtend;
+
+  const q = encodeSequence(query);
+  const t = encodeSequence(target);
+  const rows = q.length;
+  const cols = t.length;
+  const width = cols + 1;
+
+  // Rolling score rows, full traceback matrix
+  let prevH = new Int32Array(width);
+  let currH = new Int32Array(width);
+  let prevF = new Int32Array(width).fill(NEGATIVE_INFINITY);
+  let currF = new Int32Array(width);
+  const trace = new Uint8Array((rows + 1) * width);
+
+  let bestScore = 0;
+  let bestI = 0;
+  let bestJ = 0;
+
+  for (let i = 1; i <= rows; i++) {
+    const rowOffset = q[i - 1] * ALPHABET_SIZE;
+    let e = NEGATIVE_INFINITY;
+    currH[0] = 0;
+    currF[0] = NEGATIVE_INFINITY;
+
+    for (let j = 1; j <= cols; j++) {
+      let flags = 0;
+
+      // Gap in query (move along target)
+      const eOpen = currH[j - 1] - openCost;
+      const eExtend = e - gapExtend;
+      if (eExtend > eOpen) {
+        e = eExtend;
+        flags |= E_EXTENDED;
+      } else {
+        e = eOpen;
+      }
+
+      // Gap in target (move along query)
+      const fOpen = prevH[j] - openCost;
+      const fExtend = prevF[j] - gapExtend;
+      let f;
+      if (fExtend > fOpen) {
+        f = fExtend;
+        flags |= F_EXTENDED;
+      } else {
+        f = fOpen;
+      }
+      currF[j] = f;
+
+      const diagonal = prevH[j - 1] + BLOSUM62[rowOffset + t[j - 1]];
+
+      let h = 0;
+      let source = 0;
+      if (diagonal > h) {
+        h = diagonal;
+        source = FROM_DIAGONAL;
+      }
+      if (e > h) {
+        h = e;
+        source = FROM_GAP_IN_QUERY;
+      }
+      if (f > h) {
+        h = f;
+        source = FROM_GAP_IN_TARGET;
+      }
+
+      currH[j] = h;
+      trace[i * width + j] = flags | source;
+
+      if (h > bestScore) {
+        bestScore = h;
+        bestI = i;
+        bestJ = j;
+      }
+    }
+
+    [prevH, currH] = [currH, prevH];
+    [prevF, currF] = [currF, prevF];
+  }
+
+  if (bestScore <= 0) return null;
+
+  // Trace back from the best cell until the local alignment starts
+  const alignedQuery = [];
+  const alignedTarget = [];
+  const midline = [];
+  let i = bestI;
+  let j = bestJ;
+  let state = 'H';
+  let identities = 0;
+  let positives = 0;
+  let gaps = 0;
+
+  while (i > 0 && j > 0) {
+    const flags = trace[i * width + j];
+
+    if (state === 'H') {
+      const source = flags & 3;
+      if (source === 0) break;
+      if (source === FROM_GAP_IN_QUERY) {
+        state = 'E';
+        continue;
+      }
+      if (source === FROM_GAP_IN_TARGET) {
+        state = 'F';
+        continue;
+      }
+
+      const a = query[i - 1];
+      const b = target[j - 1];
+      alignedQuery.push(a);
+      alignedTarget.push(b);
+      if (a === b) {
+        identities++;
+        positives++;
+        midline.push(a);
+      } else if (substitutionScore(a, b) > 0) {
+        positives++;
+        midline.push('+');
+      } else {
+        midline.push(' ');
+      }
+      i--;
+      j--;
+    } else if (state === 'E') {
+      alignedQuery.push('-');
+      alignedTarget.push(target[j - 1]);
+      midline.push(' ');
+      gaps++;
+      if (!(flags & E_EXTENDED)) state = 'H';
+      j--;
+    } else {
+      alignedQuery.push(query[i - 1]);
+      alignedTarget.push('-');
+      midline.push(' ');
+      gaps++;
+      if (!(flags & F_EXTENDED)) state = 'H';
+      i--;
+    }
+  }
+
+  const alignmentLength = alignedQuery.length;
+
+  return {
+    score: bestScore,
+    bitScore: computeBitScore(bestScore),
+    evalue: computeEValue(bestScore, query.length, options.databaseResidues),
+    identity: alignmentLength > 0 ? (identities / alignmentLength) * 100 : 0,
+    similarity: alignmentLength > 0 ? (positives / alignmentLength) * 100 : 0,
+    queryCoverage: ((bestI - i) / query.length) * 100,
+    identities,
+    positives,
+    gaps,
+    alignmentLength,
+    // 1-based inclusive coordinates, same convention as entries_header ranges
+    queryStart: i + 1,
+    queryEnd: bestI,
+    targetStart: j + 1,
+    targetEnd: bestJ,
+    alignedQuery: alignedQuery.reverse().join(''),
+    alignedTarget: alignedTarget.reverse().join(''),
+    midline: midline.reverse().join('')
+  };
+}
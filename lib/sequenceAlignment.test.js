@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import {
+  alignLocal,
+  computeBitScore,
+  computeEValue,
+  substitutionScore,
+  DEFAULT_GAP_EXTEND,
+  DEFAULT_GAP_OPEN
+} from './sequenceAlignment';
+
+const selfScore = (sequence) => [...sequence].reduce((sum, residue) => sum + substitutionScore(residue, residue), 0);
+
+describe('substitutionScore', () => {
+  it('reads BLOSUM62', () => {
+    expect(substitutionScore('W', 'W')).toBe(11);
+    expect(substitutionScore('A', 'R')).toBe(-1);
+    expect(substitutionScore('I', 'V')).toBe(3);
+    expect(substitutionScore('I', 'V')).toBe(substitutionScore('V', 'I'));
+  });
+
+  it('scores unknown residues as X', () => {
+    expect(substitutionScore('J', 'A')).toBe(substitutionScore('X', 'A'));
+    expect(substitutionScore('J', 'J')).toBe(substitutionScore('X', 'X'));
+  });
+});
+
+describe('alignLocal', () => {
+  const query = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+
+  it('aligns identical sequences end to end', () => {
+    const result = alignLocal(query, query);
+
+    expect(result.score).toBe(selfScore(query));
+    expect(result.identity).toBe(100);
+    expect(result.queryCoverage).toBe(100);
+    expect(result.gaps).toBe(0);
+    expect(result.alignedQuery).toBe(query);
+    expect(result.alignedTarget).toBe(query);
+    expect(result.midline).toBe(query);
+    expect([result.queryStart, result.queryEnd, result.targetStart, result.targetEnd]).toEqual([1, query.length, 1, query.length]);
+  });
+
+  it('reports 1-based target coordinates of an embedded match', () => {
+    const target = `PPPPPPPPPP${query}GGGGG`;
+    const result = alignLocal(query, target);
+
+    expect(result.targetStart).toBe(11);
+    expect(result.targetEnd).toBe(10 + query.length);
+    expect(result.alignedTarget).toBe(query);
+  });
+
+  it('opens one affine gap for an insertion in the target', () => {
+    const target = `${query.slice(0, 16)}WWW${query.slice(16)}`;
+    const result = alignLocal(query, target);
+
+    expect(result.gaps).toBe(3);
+    expect(result.alignedQuery).toBe(`${query.slice(0, 16)}---${query.slice(16)}`);
+    expect(result.alignedTarget).toBe(target);
+    expect(result.score).toBe(selfScore(query) - (DEFAULT_GAP_OPEN + 3 * DEFAULT_GAP_EXTEND));
+    expect(result.identities).toBe(query.length);
+    expect(result.alignmentLength).toBe(query.length + 3);
+  });
+
+  it('marks conservative substitutions as positives', () => {
+    const result = alignLocal('WWIWW', 'WWVWW');
+
+    expect(result.midline).toBe('WW+WW');
+    expect(result.identities).toBe(4);
+    expect(result.positives).toBe(5);
+  });
+
+  it('returns null when nothing scores above zero', () => {
+    expect(alignLocal('W', 'C')).toBeNull();
+    expect(alignLocal('', query)).toBeNull();
+    expect(alignLocal(query, null)).toBeNull();
+  });
+
+  it('gives stronger alignments smaller E-values', () => {
+    const strong = alignLocal(query, query);
+    const weak = alignLocal(query.slice(0, 10), query);
+
+    expect(strong.evalue).toBeLessThan(weak.evalue);
+    expect(strong.bitScore).toBeGreaterThan(weak.bitScore);
+  });
+});
+
+describe('statistics', () => {
+  it('converts raw scores to bit scores and E-values', () => {
+    expect(computeBitScore(100)).toBeCloseTo((0.267 * 100 - Math.log(0.041)) / Math.LN2, 10);
+    expect(computeEValue(100, 300, 1e6)).toBeCloseTo(0.041 * 300 * 1e6 * Math.exp(-26.7), 10);
+    expect(computeEValue(50, 300)).toBeGreaterThan(computeEValue(60, 300));
+  });
+});
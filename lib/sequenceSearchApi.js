@@ -0,0 +1,76 @@
+import { sequenceSearchService } from './simplifiedSequenceSearch';
+import { MAX_PATTERN_MISMATCHES } from './prositePattern';
+import { parsePage, MAX_SEQUENCE_LENGTH, MAX_SEQUENCES } from './apiHelpers';
+
+export const SEARCH_MODES = ['contains', 'similarity', 'pattern'];
+
+// Keep each request well under typical serverless function limits
+const SEARCH_TIMEOUT = 30000;
+
+/**
+ * Validate a sequence search request body
+ * @param {Object} body - { mode, sequence | sequences, page, mismatches }
+ * @returns {{params: Object|null, error: string|null}}
+ */
+export function parseSequenceSearch(body) {
+  const mode = body.mode || 'contains';
+  if (!SEARCH_MODES.includes(mode)) {
+    return { params: null, error: `mode must be one of: ${SEARCH_MODES.join(', ')}` };
+  }
+
+  const { page, error: pageError } = parsePage(body.page);
+  if (pageError) return { params: null, error: pageError };
+
+  const sequences = Array.isArray(body.sequences) ? body.sequences : null;
+  if (sequences) {
+    if (mode === 'pattern') {
+      return { params: null, error: 'Pattern searches take a single `sequence`' };
+    }
+    if (sequences.length === 0 || sequences.length > MAX_SEQUENCES) {
+      return { params: null, error: `sequences must contain between 1 and ${MAX_SEQUENCES} entries` };
+    }
+    if (sequences.some(sequence => typeof sequence !== 'string' || sequence.length > MAX_SEQUENCE_LENGTH)) {
+      return { params: null, error: `Each sequence must be a string of at most ${MAX_SEQUENCE_LENGTH} characters` };
+    }
+  } else if (typeof body.sequence !== 'string' || !body.sequence.trim()) {
+    return { params: null, error: 'sequence is required' };
+  } else if (body.sequence.length > MAX_SEQUENCE_LENGTH) {
+    return { params: null, error: `sequence must be at most ${MAX_SEQUENCE_LENGTH} characters` };
+  }
+
+  const mismatches = body.mismatches === undefined ? 0 : Number(body.mismatches);
+  if (!Number.isInteger(mismatches) || mismatches < 0 || mismatches > MAX_PATTERN_MISMATCHES) {
+    return { params: null, error: `mismatches must be an integer between 0 and ${MAX_PATTERN_MISMATCHES}` };
+  }
+
+  return {
+    params: { mode, page, mismatches, sequence: body.sequence, sequences },
+    error: null
+  };
+}
+
+/**
+ * Run a validated sequence search against the matching service method
+ * @param {Object} params - Result of parseSequenceSearch
+ * @returns {Promise<Object>} - The service result, unchanged
+ */
+export async function runSequenceSearch({ mode, page, mismatches, sequence, sequences }) {
+  if (sequences) {
+    return sequenceSearchService.searchMultipleSequences(sequences, page, mode);
+  }
+
+  if (mode === 'pattern') {
+    return sequenceSearchService.searchByPattern(sequence, page, { mismatches, timeout: SEARCH_TIMEOUT });
+  }
+
+  if (mode === 'similarity') {
+    return sequenceSearchService.searchBySimilarity(sequence, page, { timeout: SEARCH_TIMEOUT });
+  }
+
+  // Window search for long sequences, as the search UI always did
+  const cleanLength = sequence.toUpperCase().replace(/[^ACDEFGHIKLMNPQRSTVWY]/g, '').length;
+  return sequenceSearchService.searchBySequence(sequence, page, 'contains', {
+    useWindowSearch: cleanLength > 100,
+    timeout: SEARCH_TIMEOUT
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * Signed session cookies
+ *
+ * The cookie value is `<payload>.<signature>`: a base64url JSON payload
+ * ({ sid, code, exp }) and its HMAC-SHA256 under SESSION_SECRET. Only Web Crypto
+ * is used so the same code runs in middleware (Edge runtime) and route handlers.
+ */
+
+export const SESSION_COOKIE = 'gg_session';
+export const SESSION_TTL = 8 * 60 * 60 * 1000; // 8 hours
+
+const DEV_SECRET = 'gangagen-dev-session-secret';
+
+const encoder = new TextEncoder();
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+let keyPromise = null;
+
+const getKey = () => {
+  if (!keyPromise) {
+    let secret = process.env.SESSION_SECRET;
+    if (!secret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('SESSION_SECRET must be set in production');
+      }
+      console.warn('SESSION_SECRET is not set, using the development secret');
+      secret = DEV_SECRET;
+    }
+
+    keyPromise = crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    );
+  }
+  return keyPromise;
+};
+
+/**
+ * Sign a session payload into a cookie value
+ * @param {Object} payload - { sid, code, exp } with exp in milliseconds
+ * @returns {Promise<string>}
+ */
+export async function signSession(payload) {
+  const body = toBase64Url(encoder.encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign('HMAC', await getKey(), encoder.encode(body));
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verify a cookie value and return its payload
+ * @param {string|undefined} value - Cookie value
+ * @returns {Promise<Object|null>} - Payload, or null when missing, tampered with or expired
+ */
+export async function verifySession(value) {
+  if (!value || !value.includes('.')) return null;
+
+  const [body, signature] = value.split('.');
+
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await getKey(),
+      fromBase64Url(signature),
+      encoder.encode(body)
+    );
+    if (!valid) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+    if (!payload.sid || !payload.code || !(payload.exp > Date.now())) return null;
+
+    return payload;
+  } catch {
+    return null;
+  }
+}
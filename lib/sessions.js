@@ -0,0 +1,109 @@
+import { supabaseAdmin } from './supabaseServer';
+import { SESSION_TTL, signSession } from './sessionToken';
+
+// Active-session lookups are cached briefly; a revoked session is rejected
+// immediately by the instance that revoked it and by others within this window.
+const ACTIVE_CACHE_TIMEOUT = 30 * 1000;
+
+export class SessionService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Start a session for a validated access code
+   * @param {string} accessCode - The 6-digit access code
+   * @param {Object} client - { ip, userAgent } for the sessions table
+   * @returns {Promise<Object>} - { cookie, expiresAt } where cookie is the signed value
+   */
+  async create(accessCode, client = {}) {
+    const sid = crypto.randomUUID();
+    const exp = Date.now() + SESSION_TTL;
+
+    const { error } = await supabaseAdmin.from('sessions').insert({
+      id: sid,
+      access_code: accessCode,
+      expires_at: new Date(exp).toISOString(),
+      ip_address: client.ip || null,
+      user_agent: client.userAgent?.substring(0, 500) || null
+    });
+
+    if (error) {
+      console.error('Error creating session:', error);
+      throw new Error('Failed to start session');
+    }
+
+    return {
+      cookie: await signSession({ sid, code: accessCode, exp }),
+      expiresAt: exp
+    };
+  }
+
+  /**
+   * Whether a session id is still active: not revoked, not expired, and its access
+   * code is enabled and not past its own expiry
+   * @param {string} sid - Session id from a verified cookie
+   * @returns {Promise<boolean>}
+   */
+  async isActive(sid) {
+    const cached = this.cache.get(sid);
+    if (cached && (Date.now() - cached.timestamp) < ACTIVE_CACHE_TIMEOUT) {
+      return cached.active;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('sessions')
+      .select('access_code, expires_at, revoked_at')
+      .eq('id', sid)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error checking session:', error);
+      return false;
+    }
+
+    let active = Boolean(data) && !data.revoked_at && new Date(data.expires_at).getTime() > Date.now();
+
+    // Disabling a code or letting it expire suspends its sessions too
+    if (active) {
+      const { data: code, error: codeError } = await supabaseAdmin
+        .from('codes')
+        .select('enabled, expires_at')
+        .eq('code', data.access_code)
+        .maybeSingle();
+
+      if (codeError) {
+        console.error('Error checking session access code:', codeError);
+        return false;
+      }
+
+      active = Boolean(code) &&
+        code.enabled !== false &&
+        (!code.expires_at || new Date(code.expires_at).getTime() > Date.now());
+    }
+
+    this.cache.set(sid, { active, timestamp: Date.now() });
+    return active;
+  }
+
+  /**
+   * Revoke a session so its cookie stops working
+   * @param {string} sid - Session id
+   */
+  async revoke(sid) {
+    this.cache.set(sid, { active: false, timestamp: Date.now() });
+
+    const { error } = await supabaseAdmin
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', sid)
+      .is('revoked_at', null);
+
+    if (error) {
+      console.error('Error revoking session:', error);
+      throw new Error('Failed to end session');
+    }
+  }
+}
+
+export const sessionService = new SessionService();
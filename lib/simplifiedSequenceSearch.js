@@ -1,12 +1,29 @@
 import { supabase } from './supabase';
+import { alignLocal } from './sequenceAlignment';
+import { kmerIndexService, spreadKmers, KMER_SIZE } from './kmerIndex';
+import {
+  parsePrositePattern,
+  findPatternMatches,
+  patternKmers,
+  patternToRegex,
+  MAX_PATTERN_MISMATCHES
+} from './prositePattern';
 
 const ITEMS_PER_PAGE = 20;
 
+// Similarity search settings
+const MIN_SIMILARITY_LENGTH = 8; // Shorter queries share too few k-mers to seed candidates
+const MAX_CANDIDATES = 300; // Upper bound on proteins aligned per search
+const DEFAULT_MAX_EVALUE = 10;
+const DEFAULT_MIN_IDENTITY = 0; // Percent
+const MAX_INDEXED_MATCHES = 2000; // Upper bound on k-mer seeded matches per contains search
+const MAX_CACHE_ENTRIES = 200; // Least recently used searches are evicted beyond this
+const EXACT_COUNT_ROWS = 1000; // count=estimated is exact up to PostgREST's max rows, the planner's estimate above
+
 export class SimplifiedSequenceSearchService {
   constructor() {
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-    this.lastSequence = null; // Track the last sequence to detect new searches
     this.isWarmedUp = false; // Track if connection has been warmed up
   }
 
@@ -33,23 +50,32 @@ export class SimplifiedSequenceSearchService {
     return `seq-${sequence}-${page}`;
   }
 
+  // One instance serves every search on the server (searchMultipleSequences runs several
+  // at once), so entries are keyed by search and the least recently used are evicted
   setCache(key, data) {
+    this.cache.delete(key);
     this.cache.set(key, {
       data,
       timestamp: Date.now()
     });
 
-    setTimeout(() => {
-      this.cache.delete(key);
-    }, this.cacheTimeout);
+    while (this.cache.size > MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
   }
 
   getCache(key) {
     const cached = this.cache.get(key);
-    if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
-      return cached.data;
+    if (!cached) return null;
+
+    if ((Date.now() - cached.timestamp) >= this.cacheTimeout) {
+      this.cache.delete(key);
+      return null;
     }
-    return null;
+
+    this.cache.delete(key);
+    this.cache.set(key, cached);
+    return cached.data;
   }
 
   async searchBySequence(sequence, page = 1, searchMode = 'contains', options = {}) {
@@ -95,22 +121,24 @@ export class SimplifiedSequenceSearchService {
       }
     }
 
-    // Clear cache only if this is a NEW search (different sequence or mode)
-    const searchKey = `${cleanSequence}-${searchMode}`;
-    if (page === 1 && this.lastSequence !== null && this.lastSequence !== searchKey) {
-      this.clearCache();
-    }
-
-    // Update last sequence
-    this.lastSequence = searchKey;
-
     // Check cache
+    const searchKey = `${cleanSequence}-${searchMode}`;
     const cacheKey = this.getCacheKey(searchKey, page);
     const cached = this.getCache(cacheKey);
     if (cached) {
       return cached;
     }
 
+    // Substring search through the k-mer index when it has been built -
+    // handles the full query at any length without LIKE scans
+    if (searchMode === 'contains' && cleanSequence.length >= KMER_SIZE && await kmerIndexService.isAvailable()) {
+      try {
+        return await this.searchWithKmerIndex(cleanSequence, searchKey, page);
+      } catch (error) {
+        console.warn('k-mer index search failed, falling back to LIKE search:', error.message);
+      }
+    }
+
     try {
       const offset = (page - 1) * ITEMS_PER_PAGE;
 
@@ -267,7 +295,318 @@ export class SimplifiedSequenceSearchService {
     }
   }
 
-  async searchMultipleSequences(sequences, page = 1) {
+  /**
+   * Contains search answered from the k-mer index: seed by shared k-mers, verify by substring
+   * @param {string} cleanSequence - Cleaned query sequence
+   * @param {string} searchKey - Key of the current search (sequence + mode)
+   * @param {number} page - Page number
+   * @returns {Promise<Object>} - Same shape as searchBySequence results
+   */
+  async searchWithKmerIndex(cleanSequence, searchKey, page) {
+    const allKey = this.getCacheKey(searchKey, 'all');
+    let matches = this.getCache(allKey);
+
+    if (!matches) {
+      console.log(`k-mer index search: ${cleanSequence.length} aa query`);
+      matches = await kmerIndexService.findContaining(cleanSequence, MAX_INDEXED_MATCHES);
+      this.setCache(allKey, matches);
+    }
+
+    const { data, isCapped } = matches;
+    const offset = (page - 1) * ITEMS_PER_PAGE;
+    const count = data.length;
+    const preview = `${cleanSequence.substring(0, 50)}${cleanSequence.length > 50 ? '...' : ''}`;
+
+    return {
+      data: data.slice(offset, offset + ITEMS_PER_PAGE),
+      count,
+      totalPages: Math.ceil(count / ITEMS_PER_PAGE),
+      currentPage: page,
+      searchSequence: cleanSequence,
+      searchMode: 'contains',
+      isTruncated: false,
+      originalLength: cleanSequence.length,
+      useKmerIndex: true,
+      isCapped,
+      candidateLimit: MAX_INDEXED_MATCHES,
+      message: count === 0
+        ? `No proteins found containing: ${preview}`
+        : `Found ${count}${isCapped ? '+' : ''} protein(s) containing: ${preview}`
+    };
+  }
+
+  /**
+   * Proteins sharing the most k-mers with the query, best seeded first (see lib/kmerIndex.js).
+   * There is no fallback without the index: an unordered LIKE scan over every sequence
+   * times out, and the rows it returns first are not the closest homologs.
+   * @param {string} sequence - Cleaned query sequence
+   * @param {number} timeout - Query timeout in milliseconds
+   * @returns {Promise<Array>} - Candidate proteins including their sequence
+   */
+  async fetchSimilarityCandidates(sequence, timeout) {
+    if (!await kmerIndexService.isAvailable()) {
+      console.warn('Similarity search needs the k-mer index: apply create_kmer_index.sql and run scripts/build-kmer-index.mjs');
+      throw new Error('Similarity search is not available until the sequence index has been built.');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      return await kmerIndexService.findSimilarCandidates(sequence, MAX_CANDIDATES, { signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError' || controller.signal.aborted) {
+        throw new Error('Similarity search timed out. Try a longer or more specific query sequence.');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Similarity search - scores candidates with a local alignment (BLOSUM62, affine gaps)
+   * @param {string} sequence - Query sequence
+   * @param {number} page - Page number (default 1)
+   * @param {Object} options - { maxEvalue, minIdentity, timeout }
+   * @returns {Promise<Object>} - Ranked hits, each with an `alignment` summary
+   */
+  async searchBySimilarity(sequence, page = 1, options = {}) {
+    await this.warmUpConnection();
+
+    const cleanSequence = sequence.toUpperCase().replace(/[^ACDEFGHIKLMNPQRSTVWY]/g, '');
+
+    if (!cleanSequence || cleanSequence.length < MIN_SIMILARITY_LENGTH) {
+      return {
+        data: [],
+        count: 0,
+        totalPages: 0,
+        currentPage: page,
+        error: `Please enter at least ${MIN_SIMILARITY_LENGTH} amino acids for a similarity search`
+      };
+    }
+
+    const maxEvalue = options.maxEvalue ?? DEFAULT_MAX_EVALUE;
+    const minIdentity = options.minIdentity ?? DEFAULT_MIN_IDENTITY;
+
+    // All hits are ranked at once, so pages of the same search share one cache entry
+    const searchKey = `${cleanSequence}-similarity-${maxEvalue}-${minIdentity}`;
+    const cacheKey = this.getCacheKey(searchKey, 'all');
+    let hits = this.getCache(cacheKey);
+
+    try {
+      if (!hits) {
+        console.log(`Similarity search: ${cleanSequence.length} aa query`);
+        const candidates = await this.fetchSimilarityCandidates(cleanSequence, options.timeout || 60000);
+
+        hits = candidates
+          .map(protein => {
+            const alignment = alignLocal(cleanSequence, protein.sequence);
+            return alignment ? { ...protein, alignment } : null;
+          })
+          .filter(hit => hit && hit.alignment.evalue <= maxEvalue && hit.alignment.identity >= minIdentity)
+          .sort((a, b) => a.alignment.evalue - b.alignment.evalue || b.alignment.score - a.alignment.score);
+
+        console.log(`Aligned ${candidates.length} candidate(s), ${hits.length} hit(s) kept`);
+        this.setCache(cacheKey, hits);
+      }
+
+      const offset = (page - 1) * ITEMS_PER_PAGE;
+      const count = hits.length;
+
+      return {
+        data: hits.slice(offset, offset + ITEMS_PER_PAGE),
+        count,
+        totalPages: Math.ceil(count / ITEMS_PER_PAGE),
+        currentPage: page,
+        searchSequence: cleanSequence,
+        searchMode: 'similarity',
+        originalLength: cleanSequence.length,
+        message: count === 0
+          ? `No similar proteins found (E-value <= ${maxEvalue})`
+          : `Found ${count} similar protein(s) (E-value <= ${maxEvalue})`
+      };
+    } catch (error) {
+      console.error('Similarity search failed:', error);
+      return {
+        data: [],
+        count: 0,
+        totalPages: 0,
+        currentPage: page,
+        error: error.message || 'Similarity search failed. Please try again.'
+      };
+    }
+  }
+
+  /**
+   * Motif search with a PROSITE-style pattern, e.g. "C-x(2)-C-x(3)-[HY]"
+   * Patterns with enough fixed residues take their candidates from the k-mer index;
+   * others are turned into a Postgres regex, counted with the planner's estimate. Every
+   * occurrence in each candidate is then located (and mismatches counted) locally.
+   * @param {string} pattern - PROSITE pattern
+   * @param {number} page - Page number (default 1)
+   * @param {Object} options - { mismatches, timeout }
+   * @returns {Promise<Object>} - Proteins, each with a `matches` array of 1-based positions
+   */
+  async searchByPattern(pattern, page = 1, options = {}) {
+    await this.warmUpConnection();
+
+    const mismatches = Math.min(Math.max(parseInt(options.mismatches, 10) || 0, 0), MAX_PATTERN_MISMATCHES);
+
+    let parsed;
+    let regex;
+    try {
+      parsed = parsePrositePattern(pattern);
+      regex = patternToRegex(parsed, mismatches);
+    } catch (error) {
+      return {
+        data: [],
+        count: 0,
+        totalPages: 0,
+        currentPage: page,
+        error: error.message
+      };
+    }
+
+    if (parsed.minLength < 3) {
+      return {
+        data: [],
+        count: 0,
+        totalPages: 0,
+        currentPage: page,
+        error: 'Pattern must cover at least 3 residues'
+      };
+    }
+
+    const normalizedPattern = pattern.toUpperCase().replace(/\s+/g, '');
+    const searchKey = `${normalizedPattern}-pattern-${mismatches}`;
+    const cacheKey = this.getCacheKey(searchKey, page);
+    const cached = this.getCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    // A mismatch breaks at most one of the fixed k-mers, so a match keeps all but `mismatches`
+    const kmers = spreadKmers(patternKmers(parsed, KMER_SIZE));
+    if (kmers.length > mismatches && await kmerIndexService.isAvailable()) {
+      try {
+        return await this.searchPatternWithKmerIndex(parsed, normalizedPattern, kmers, mismatches, searchKey, page);
+      } catch (error) {
+        console.warn('k-mer index pattern search failed, falling back to a regex scan:', error.message);
+      }
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), options.timeout || 60000);
+
+    try {
+      const offset = (page - 1) * ITEMS_PER_PAGE;
+      console.log(`Pattern search: ${normalizedPattern} (regex ${regex}, ${mismatches} mismatch(es))`);
+
+      const { data, error, count } = await supabase
+        .from('proteins')
+        .select('id, accession, name, source_organism_full_name, entries_header, length, sequence', { count: 'estimated' })
+        .filter('sequence', 'match', regex)
+        .order('id', { ascending: true })
+        .range(offset, offset + ITEMS_PER_PAGE - 1)
+        .abortSignal(controller.signal);
+
+      if (error) {
+        console.error('Pattern search error:', error);
+        throw new Error(error.message || 'Pattern search failed');
+      }
+
+      const matchedData = (data || [])
+        .map(protein => ({
+          ...protein,
+          matches: findPatternMatches(parsed, protein.sequence, mismatches)
+        }))
+        .filter(protein => protein.matches.length > 0);
+
+      const totalCount = count ?? matchedData.length;
+      const countEstimated = totalCount > EXACT_COUNT_ROWS;
+
+      const result = {
+        data: matchedData,
+        count: totalCount,
+        countEstimated,
+        totalPages: Math.ceil(totalCount / ITEMS_PER_PAGE),
+        currentPage: page,
+        searchSequence: normalizedPattern,
+        searchMode: 'pattern',
+        mismatches,
+        message: totalCount === 0
+          ? `No proteins found matching pattern: ${normalizedPattern}`
+          : `Found ${countEstimated ? 'about ' : ''}${totalCount} protein(s) matching pattern: ${normalizedPattern}`
+      };
+
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error('Pattern search failed:', error);
+      return {
+        data: [],
+        count: 0,
+        totalPages: 0,
+        currentPage: page,
+        error: error.name === 'AbortError'
+          ? 'Pattern search timed out. Add more fixed residues to the pattern or reduce mismatches.'
+          : error.message || 'Pattern search failed. Please try again.'
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Pattern search answered from the k-mer index: seed by the pattern's fixed k-mers,
+   * verify each candidate with the pattern
+   * @param {Object} parsed - Result of parsePrositePattern
+   * @param {string} normalizedPattern - Pattern as shown in messages
+   * @param {Array<string>} kmers - Fixed k-mers of the pattern, more than `mismatches`
+   * @param {number} mismatches - Tolerated mismatches
+   * @param {string} searchKey - Key of the current search
+   * @param {number} page - Page number
+   * @returns {Promise<Object>} - Same shape as searchByPattern results
+   */
+  async searchPatternWithKmerIndex(parsed, normalizedPattern, kmers, mismatches, searchKey, page) {
+    const allKey = this.getCacheKey(searchKey, 'all');
+    let matches = this.getCache(allKey);
+
+    if (!matches) {
+      console.log(`k-mer index pattern search: ${normalizedPattern} (${kmers.length} fixed k-mer(s))`);
+      const { data, isCapped } = await kmerIndexService.findCandidates(kmers, kmers.length - mismatches, MAX_INDEXED_MATCHES);
+      matches = {
+        data: data
+          .map(protein => ({ ...protein, matches: findPatternMatches(parsed, protein.sequence, mismatches) }))
+          .filter(protein => protein.matches.length > 0),
+        isCapped
+      };
+      this.setCache(allKey, matches);
+    }
+
+    const { data, isCapped } = matches;
+    const offset = (page - 1) * ITEMS_PER_PAGE;
+    const count = data.length;
+
+    return {
+      data: data.slice(offset, offset + ITEMS_PER_PAGE),
+      count,
+      totalPages: Math.ceil(count / ITEMS_PER_PAGE),
+      currentPage: page,
+      searchSequence: normalizedPattern,
+      searchMode: 'pattern',
+      mismatches,
+      useKmerIndex: true,
+      isCapped,
+      candidateLimit: MAX_INDEXED_MATCHES,
+      message: count === 0
+        ? `No proteins found matching pattern: ${normalizedPattern}`
+        : `Found ${count}${isCapped ? '+' : ''} protein(s) matching pattern: ${normalizedPattern}`
+    };
+  }
+
+  async searchMultipleSequences(sequences, page = 1, searchMode = 'contains') {
     // sequences is an array of sequence strings
     // Clean and validate all sequences
     const cleanedSequences = sequences
@@ -284,7 +623,9 @@ export class SimplifiedSequenceSearchService {
     try {
       // Execute all searches in parallel using Promise.all
       const searchPromises = cleanedSequences.map(async (sequence) => {
-        const result = await this.searchBySequence(sequence, page, 'contains');
+        const result = searchMode === 'similarity'
+          ? await this.searchBySimilarity(sequence, page)
+          : await this.searchBySequence(sequence, page, 'contains');
         return {
           sequence,
           ...result
@@ -0,0 +1,173 @@
+/**
+ * Streaming Export
+ *
+ * Downloads every protein matching the dashboard filters through /api/export,
+ * which pages through the full result set server-side. Where the browser lets us
+ * write to a file (File System Access API) the response is piped straight into it,
+ * with progress and cancellation; elsewhere the browser's own download manager
+ * fetches the URL. Either way the file is never held in memory.
+ */
+
+import { appendFilterParams } from './proteinFilters';
+
+export const STREAM_EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', mimeType: 'text/csv', extension: '.csv' },
+  { id: 'tsv', label: 'TSV', mimeType: 'text/tab-separated-values', extension: '.tsv' },
+  { id: 'fasta', label: 'FASTA', mimeType: 'text/plain', extension: '.fasta' }
+];
+
+// /api/export stops after this many records (see its X-Export-Max-Rows header)
+export const MAX_EXPORT_ROWS = 250000;
+
+const NEWLINE = 10;
+const QUOTE = 34;
+const GREATER_THAN = 62;
+const NUL = 0;
+const ONE = 49;
+
+// With trailer=1, /api/export ends with a NUL byte (never part of Postgres text) and
+// "1" if records were left out at MAX_EXPORT_ROWS, "0" otherwise
+const TRAILER_LENGTH = 2;
+
+/**
+ * The trailer /api/export writes after the last record when asked to
+ * @param {boolean} truncated - Whether records were left out at MAX_EXPORT_ROWS
+ * @returns {string}
+ */
+export function exportTrailer(truncated) {
+  return `\u0000${truncated ? 1 : 0}`;
+}
+
+/**
+ * Remove the export trailer from a stream, holding back the last bytes until it ends
+ * @param {Function} onTrailer - Called with true when the export was truncated
+ * @returns {TransformStream} - Passes everything before the trailer
+ */
+export function createTrailerStripper(onTrailer) {
+  let held = new Uint8Array(0);
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      const bytes = new Uint8Array(held.length + chunk.length);
+      bytes.set(held);
+      bytes.set(chunk, held.length);
+
+      const end = Math.max(bytes.length - TRAILER_LENGTH, 0);
+      if (end > 0) controller.enqueue(bytes.subarray(0, end));
+      held = bytes.slice(end);
+    },
+    flush(controller) {
+      if (held.length === TRAILER_LENGTH && held[0] === NUL) {
+        onTrailer(held[1] === ONE);
+      } else if (held.length > 0) {
+        controller.enqueue(held);
+      }
+    }
+  });
+}
+
+/**
+ * Count the records of a CSV, TSV or FASTA stream as its chunks arrive. FASTA records
+ * start with ">" at the start of a line; CSV/TSV records end with a newline, except
+ * that CSV fields may hold quoted line breaks, so newlines inside quotes are skipped.
+ * @param {string} format - 'csv', 'tsv' or 'fasta'
+ * @returns {Function} - Takes the next chunk (Uint8Array), returns the records so far
+ */
+export function createRecordCounter(format) {
+  // The first FASTA record has no preceding newline
+  let previous = NEWLINE;
+  let quoted = false;
+  // CSV/TSV start with a header line that is not a record
+  let records = format === 'fasta' ? 0 : -1;
+
+  return (bytes) => {
+    for (const byte of bytes) {
+      if (format === 'fasta') {
+        if (byte === GREATER_THAN && previous === NEWLINE) records++;
+      } else if (format === 'csv' && byte === QUOTE) {
+        // An escaped quote ("") toggles twice and leaves the state unchanged
+        quoted = !quoted;
+      } else if (byte === NEWLINE && !quoted) {
+        records++;
+      }
+      previous = byte;
+    }
+    return Math.max(records, 0);
+  };
+}
+
+/**
+ * Export every protein matching the filters
+ * @param {Object} options
+ * @param {Object} options.filters - Dashboard filters (name, organism, domain)
+ * @param {string} options.format - 'csv', 'tsv' or 'fasta'
+ * @param {number} options.lineWidth - FASTA residues per line (0 for one line); server default when omitted
+ * @param {Function} options.onProgress - Called with the number of records written so far
+ * @param {AbortSignal} options.signal - Abort to cancel the export
+ * @returns {Promise<Object|null>} - { records, truncated } once the file is written; null
+ *   when the export was handed to the browser's download manager instead
+ * @throws {Error} - AbortError when cancelled (or the save dialog closed), or the server error
+ */
+export async function streamExport({ filters, format, lineWidth, onProgress, signal }) {
+  const params = appendFilterParams(new URLSearchParams({ format }), filters);
+  if (format === 'fasta' && lineWidth !== undefined) {
+    params.set('lineWidth', String(lineWidth));
+  }
+  const url = `/api/export?${params}`;
+
+  const exportFormat = STREAM_EXPORT_FORMATS.find(f => f.id === format);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+  const filename = `protein-data-export-${timestamp}${exportFormat.extension}`;
+
+  if (typeof window.showSaveFilePicker !== 'function') {
+    // The download manager streams to disk and has its own progress and cancel
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    return null;
+  }
+
+  // Must be the first await: the dialog needs the click that started the export
+  const handle = await window.showSaveFilePicker({
+    suggestedName: filename,
+    types: [{ description: exportFormat.label, accept: { [exportFormat.mimeType]: [exportFormat.extension] } }]
+  });
+
+  // Only this reader asks for the trailer; it is not written to the file
+  const response = await fetch(`${url}&trailer=1`, { signal });
+
+  if (!response.ok) {
+    let message = `Export failed with status ${response.status}`;
+    try {
+      message = (await response.json()).error || message;
+    } catch {
+      // Keep the status message
+    }
+    throw new Error(message);
+  }
+
+  const countRecords = createRecordCounter(format);
+  let records = 0;
+  let truncated = false;
+
+  const progress = new TransformStream({
+    transform(chunk, controller) {
+      records = countRecords(chunk);
+      onProgress?.(records);
+      controller.enqueue(chunk);
+    }
+  });
+
+  // Aborting the signal cancels the fetch and aborts the file, which is then discarded
+  const writable = await handle.createWritable();
+  await response.body
+    .pipeThrough(createTrailerStripper(value => { truncated = value; }))
+    .pipeThrough(progress)
+    .pipeTo(writable, { signal });
+
+  return { records, truncated };
+}
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { createRecordCounter, createTrailerStripper, exportTrailer } from './streamingExport';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Feed the text in chunks of `size` bytes, returning the count after the last one
+const countRecords = (format, text, size = 3) => {
+  const count = createRecordCounter(format);
+  const bytes = encoder.encode(text);
+  let records = 0;
+  for (let i = 0; i < bytes.length; i += size) {
+    records = count(bytes.subarray(i, i + size));
+  }
+  return records;
+};
+
+describe('createRecordCounter', () => {
+  it('counts CSV rows after the header line', () => {
+    expect(countRecords('csv', 'ID,Name\n1,Lysin\n2,Amidase\n')).toBe(2);
+  });
+
+  it('ignores line breaks and escaped quotes inside quoted CSV fields', () => {
+    expect(countRecords('csv', 'ID,Notes\n1,"two\nlines"\n2,"say ""hi""\n"\n')).toBe(2);
+  });
+
+  it('counts TSV rows, where quotes are ordinary characters', () => {
+    expect(countRecords('tsv', 'ID\tName\n1\t"Lysin\n2\tAmidase\n')).toBe(2);
+  });
+
+  it('counts FASTA records by their header lines', () => {
+    expect(countRecords('fasta', '>P1 Lysin\nMKTA\nYIAK\n>P2 Amidase\nMNIF\n')).toBe(2);
+  });
+
+  it('does not count ">" inside a FASTA header', () => {
+    expect(countRecords('fasta', '>P1 Lysin > fragment\nMKTA\n', 1)).toBe(1);
+  });
+
+  it('reports zero before the first record', () => {
+    expect(countRecords('csv', 'ID,Name')).toBe(0);
+    expect(countRecords('fasta', '')).toBe(0);
+  });
+});
+
+describe('createTrailerStripper', () => {
+  // Stream the text in chunks of `size` bytes through the stripper
+  const strip = async (text, size = 3) => {
+    const bytes = encoder.encode(text);
+    let truncated = null;
+    let output = '';
+
+    const source = new ReadableStream({
+      start(controller) {
+        for (let i = 0; i < bytes.length; i += size) controller.enqueue(bytes.slice(i, i + size));
+        controller.close();
+      }
+    });
+    const reader = source.pipeThrough(createTrailerStripper(value => { truncated = value; })).getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      output += decoder.decode(chunk.value, { stream: true });
+    }
+
+    return { output, truncated };
+  };
+
+  it('removes the trailer and reports whether records were left out', async () => {
+    expect(await strip(`ID\n1\n${exportTrailer(true)}`)).toEqual({ output: 'ID\n1\n', truncated: true });
+    expect(await strip(`ID\n1\n${exportTrailer(false)}`, 1)).toEqual({ output: 'ID\n1\n', truncated: false });
+  });
+
+  it('keeps the end of a stream without a trailer', async () => {
+    expect(await strip('ID\n1\n')).toEqual({ output: 'ID\n1\n', truncated: null });
+  });
+});
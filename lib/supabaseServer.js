@@ -0,0 +1,22 @@
+import { createClient } from '@supabase/supabase-js'
+
+// Server-only client for tables the browser must not read (API tokens, sessions, codes).
+// There is deliberately no fallback to the anon key: it ships with the browser bundle,
+// and those tables grant it nothing.
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+if (!serviceRoleKey) {
+  throw new Error('SUPABASE_SERVICE_ROLE_KEY must be set on the server')
+}
+
+export const supabaseAdmin = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL || 'https://plgcegacfsyezmpazunm.supabase.co', serviceRoleKey, {
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false,
+  },
+  global: {
+    headers: {
+      'x-my-custom-header': 'gangagen-server',
+    },
+  },
+})
@@ -0,0 +1,131 @@
+import { supabase } from './supabase';
+
+const TAXON_COLUMNS = 'tax_id, parent_id, name, rank, aliases, protein_count';
+
+// Characters with a meaning in PostgREST or() filters and ilike patterns
+const UNSAFE_SEARCH_CHARS = /[,()%*\\]/g;
+
+/**
+ * NCBI taxonomy of the protein source organisms (the taxa table, see create_taxonomy.sql)
+ */
+export class TaxonomyService {
+  constructor() {
+    this.cache = new Map();
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+  }
+
+  setCache(key, data) {
+    this.cache.set(key, {
+      data,
+      timestamp: Date.now()
+    });
+
+    setTimeout(() => {
+      this.cache.delete(key);
+    }, this.cacheTimeout);
+  }
+
+  getCache(key) {
+    const cached = this.cache.get(key);
+    if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
+      return cached.data;
+    }
+    return null;
+  }
+
+  /**
+   * Direct children of a taxon in the browser tree
+   * @param {number|null} parentId - Parent tax id; null for the top of the tree
+   * @returns {Promise<Array>} - Taxa with proteins, most proteins first
+   */
+  async fetchChildren(parentId = null) {
+    const cacheKey = `children-${parentId ?? 'top'}`;
+    const cached = this.getCache(cacheKey);
+
+    if (cached) {
+      return cached;
+    }
+
+    let request = supabase.from('taxa').select(TAXON_COLUMNS).gt('protein_count', 0);
+    request = parentId === null ? request.is('parent_id', null) : request.eq('parent_id', parentId);
+
+    const { data, error } = await request
+      .order('protein_count', { ascending: false })
+      .order('name', { ascending: true })
+      .limit(500);
+
+    if (error) {
+      console.error('Taxonomy children error:', error);
+      throw new Error(`Taxonomy lookup failed: ${error.message || JSON.stringify(error)}`);
+    }
+
+    this.setCache(cacheKey, data);
+    return data;
+  }
+
+  /**
+   * Search taxa by scientific name or alias (e.g. "Firmicutes" finds Bacillota)
+   * @param {string} query - Search text
+   * @param {number} limit - Maximum number of taxa
+   * @returns {Promise<Array>} - Taxa, most proteins first
+   */
+  async searchTaxa(query, limit = 50) {
+    const term = query.replace(UNSAFE_SEARCH_CHARS, ' ').trim();
+    const cacheKey = `search-${term.toLowerCase()}-${limit}`;
+    const cached = this.getCache(cacheKey);
+
+    if (cached) {
+      return cached;
+    }
+
+    const { data, error } = await supabase
+      .from('taxa')
+      .select(TAXON_COLUMNS)
+      .gt('protein_count', 0)
+      .or(`name.ilike.%${term}%,aliases.ilike.%${term}%`)
+      .order('protein_count', { ascending: false })
+      .order('name', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      console.error('Taxonomy search error:', error);
+      throw new Error(`Taxonomy search failed: ${error.message || JSON.stringify(error)}`);
+    }
+
+    this.setCache(cacheKey, data);
+    return data;
+  }
+
+  /**
+   * Look up taxa by id
+   * @param {Array<number>} taxIds - NCBI tax ids
+   * @returns {Promise<Array>} - Known taxa; unknown ids are left out
+   */
+  async fetchTaxa(taxIds) {
+    const missing = taxIds.filter(taxId => !this.getCache(`taxon-${taxId}`));
+
+    if (missing.length > 0) {
+      const { data, error } = await supabase
+        .from('taxa')
+        .select(TAXON_COLUMNS)
+        .in('tax_id', missing);
+
+      if (error) {
+        console.error('Taxonomy lookup error:', error);
+        throw new Error(`Taxonomy lookup failed: ${error.message || JSON.stringify(error)}`);
+      }
+
+      data.forEach(taxon => this.setCache(`taxon-${taxon.tax_id}`, taxon));
+    }
+
+    return taxIds
+      .map(taxId => this.getCache(`taxon-${taxId}`))
+      .filter(Boolean);
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+export const taxonomyService = new TaxonomyService();
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { SESSION_COOKIE, verifySession } from './lib/sessionToken';
+import { sessionService } from './lib/sessions';
+
+/**
+ * Session gate for the app pages and the internal JSON API.
+ * Pages without a valid session go back to the landing page; API calls get 401.
+ * Route handlers receive the signed-in access code in the x-access-code header.
+ * The public /api/v1 API authenticates with tokens instead (lib/apiAuth.js).
+ */
+export async function middleware(request) {
+  const payload = await verifySession(request.cookies.get(SESSION_COOKIE)?.value);
+  const active = payload ? await sessionService.isActive(payload.sid) : false;
+
+  if (!active) {
+    if (request.nextUrl.pathname.startsWith('/api/')) {
+      return NextResponse.json({ error: 'Not signed in' }, { status: 401 });
+    }
+
+    const response = NextResponse.redirect(new URL('/', request.url));
+    response.cookies.delete(SESSION_COOKIE);
+    return response;
+  }
+
+  // Never trust an x-access-code header sent by the client
+  const headers = new Headers(request.headers);
+  headers.set('x-access-code', payload.code);
+
+  return NextResponse.next({ request: { headers } });
+}
+
+export const config = {
+  matcher: [
+    '/dashboard/:path*',
+    '/details/:path*',
+    '/api/proteins/:path*',
+    '/api/domains',
+    '/api/taxonomy',
+    '/api/sequence-search',
+    '/api/export',
+    '/api/saved-searches/:path*',
+    '/api/collections/:path*'
+  ]
+};
@@ -0,0 +1,65 @@
+/**
+ * k-mer Index Builder
+ *
+ * Fills the protein_kmers table (see create_kmer_index.sql) batch by batch by
+ * calling the build_protein_kmers() RPC until every protein is indexed.
+ * Safe to stop and restart - progress is kept in kmer_index_state.
+ *
+ * Usage:
+ *   NEXT_PUBLIC_SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... npm run build:kmer-index
+ *   npm run build:kmer-index -- --batch-size 1000
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !serviceKey) {
+  console.error('NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+  process.exit(1);
+}
+
+const batchSizeArg = process.argv.indexOf('--batch-size');
+const batchSize = batchSizeArg !== -1 ? parseInt(process.argv[batchSizeArg + 1], 10) : 2000;
+const MAX_RETRIES = 5;
+
+const supabase = createClient(supabaseUrl, serviceKey, {
+  auth: { persistSession: false },
+});
+
+async function buildBatch(retries = 0) {
+  const { data, error } = await supabase.rpc('build_protein_kmers', { batch_size: batchSize });
+
+  if (error) {
+    if (retries < MAX_RETRIES) {
+      console.warn(`Batch failed (${error.message}), retrying...`);
+      await new Promise(resolve => setTimeout(resolve, 2000 * (retries + 1)));
+      return buildBatch(retries + 1);
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+async function main() {
+  const startedAt = Date.now();
+  let total = 0;
+
+  for (;;) {
+    const processed = await buildBatch();
+    if (!processed) break;
+
+    total += processed;
+    const elapsed = (Date.now() - startedAt) / 1000;
+    console.log(`Indexed ${total.toLocaleString()} proteins (${Math.round(total / elapsed)}/s)`);
+  }
+
+  console.log(`k-mer index complete. ${total.toLocaleString()} proteins indexed in this run.`);
+}
+
+main().catch((error) => {
+  console.error('k-mer index build failed:', error);
+  process.exit(1);
+});
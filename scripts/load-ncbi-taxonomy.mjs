@@ -0,0 +1,298 @@
+/**
+ * NCBI Taxonomy Loader
+ *
+ * Maps every distinct protein source organism to an NCBI taxon and lineage
+ * (see create_taxonomy.sql), loads the taxa of those lineages for the taxonomy
+ * browser, then copies the lineages onto the proteins. Re-running it updates
+ * existing rows, so it also upgrades to a newer taxdump.
+ *
+ * Files from https://ftp.ncbi.nlm.nih.gov/pub/taxonomy/taxdump.tar.gz, extracted
+ * into one directory:
+ *   nodes.dmp  - parent and rank of every taxon
+ *   names.dmp  - scientific names, synonyms and other names
+ *
+ * Organism names are matched against NCBI names ignoring case. Names that do
+ * not match as a whole (strain designations, isolate numbers, ...) are retried
+ * without their last word until something matches, down to the genus. When a
+ * name belongs to several taxa, scientific names win over synonyms, then taxa
+ * under Bacteria, Archaea or Viruses.
+ *
+ * Usage:
+ *   NEXT_PUBLIC_SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... npm run load:ncbi-taxonomy -- ./taxdump
+ *   npm run load:ncbi-taxonomy -- ./taxdump --skip-refresh
+ */
+
+import { createReadStream, existsSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { join } from 'node:path';
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !serviceKey) {
+  console.error('NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const skipRefresh = args.includes('--skip-refresh');
+const taxdumpDir = args.find(arg => !arg.startsWith('--'));
+
+if (!taxdumpDir || !existsSync(join(taxdumpDir, 'nodes.dmp')) || !existsSync(join(taxdumpDir, 'names.dmp'))) {
+  console.error('Usage: npm run load:ncbi-taxonomy -- <directory with nodes.dmp and names.dmp> [--skip-refresh]');
+  process.exit(1);
+}
+
+const BATCH_SIZE = 500;
+const PAGE_SIZE = 1000; // PostgREST max rows
+const MAX_RETRIES = 5;
+const ROOT_TAX_ID = 1;
+
+// Name classes an organism name may match; "scientific name" is preferred
+const MATCH_NAME_CLASSES = new Set(['scientific name', 'equivalent name', 'synonym', 'includes']);
+// Name classes shown as aliases in the browser
+const ALIAS_NAME_CLASSES = new Set(['equivalent name', 'synonym']);
+// Bacteria, Archaea, Viruses: preferred when a name is ambiguous
+const PREFERRED_TOP_TAXA = [2, 2157, 10239];
+
+const supabase = createClient(supabaseUrl, serviceKey, {
+  auth: { persistSession: false },
+});
+
+function readDmp(path) {
+  return createInterface({ input: createReadStream(path), crlfDelay: Infinity });
+}
+
+// names.dmp / nodes.dmp rows are "field\t|\tfield\t|...\t|"
+const splitDmp = (line) => line.split('\t|').map(field => field.trim());
+
+const normalizeName = (name) => name.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// "Staphylococcus aureus subsp. aureus NCTC 8325" -> itself, then without trailing words
+const candidateNames = (organismName) => {
+  const words = normalizeName(organismName).replace(/[[\]'"]/g, '').split(' ').filter(Boolean);
+  const candidates = [];
+  for (let length = words.length; length >= 1; length--) {
+    candidates.push(words.slice(0, length).join(' '));
+  }
+  return candidates;
+};
+
+async function withRetries(run, label, retries = 0) {
+  const { data, error } = await run();
+
+  if (error) {
+    if (retries < MAX_RETRIES) {
+      console.warn(`${label} failed (${error.message}), retrying...`);
+      await new Promise(resolve => setTimeout(resolve, 2000 * (retries + 1)));
+      return withRetries(run, label, retries + 1);
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+async function fetchOrganisms() {
+  const organisms = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = await withRetries(
+      () => supabase.rpc('list_source_organisms').range(from, from + PAGE_SIZE - 1),
+      'Organism list'
+    );
+    organisms.push(...page.map(row => row.organism_name));
+    if (page.length < PAGE_SIZE) break;
+  }
+
+  return organisms;
+}
+
+/**
+ * NCBI taxa whose names equal one of the wanted names
+ * @returns {Map<string, Array<{taxId: number, name: string, scientific: boolean}>>}
+ */
+async function matchNames(path, wanted) {
+  const matches = new Map();
+
+  for await (const line of readDmp(path)) {
+    const [taxId, name, , nameClass] = splitDmp(line);
+    if (!MATCH_NAME_CLASSES.has(nameClass)) continue;
+
+    const key = normalizeName(name);
+    if (!wanted.has(key)) continue;
+
+    if (!matches.has(key)) matches.set(key, []);
+    matches.get(key).push({ taxId: Number(taxId), name, scientific: nameClass === 'scientific name' });
+  }
+
+  return matches;
+}
+
+/**
+ * Parent and rank of every taxon, in typed arrays indexed by tax id
+ */
+async function readNodes(path) {
+  let parents = new Int32Array(4000000);
+  let rankIndexes = new Uint8Array(parents.length);
+  const ranks = [];
+  const rankIndex = new Map();
+
+  for await (const line of readDmp(path)) {
+    const [taxId, parentId, rank] = splitDmp(line);
+    const id = Number(taxId);
+
+    if (id >= parents.length) {
+      const grownParents = new Int32Array(id * 2);
+      grownParents.set(parents);
+      parents = grownParents;
+      const grownRanks = new Uint8Array(id * 2);
+      grownRanks.set(rankIndexes);
+      rankIndexes = grownRanks;
+    }
+
+    if (!rankIndex.has(rank)) {
+      rankIndex.set(rank, ranks.length);
+      ranks.push(rank);
+    }
+
+    parents[id] = Number(parentId);
+    rankIndexes[id] = rankIndex.get(rank);
+  }
+
+  return {
+    parentOf: (id) => (id > 0 && id < parents.length ? parents[id] : 0),
+    rankOf: (id) => ranks[rankIndexes[id]],
+  };
+}
+
+/**
+ * Scientific names and aliases of the given taxa
+ */
+async function readTaxonNames(path, taxIds) {
+  const names = new Map();
+  const aliases = new Map();
+
+  for await (const line of readDmp(path)) {
+    const [taxId, name, , nameClass] = splitDmp(line);
+    const id = Number(taxId);
+    if (!taxIds.has(id)) continue;
+
+    if (nameClass === 'scientific name') {
+      names.set(id, name);
+    } else if (ALIAS_NAME_CLASSES.has(nameClass)) {
+      if (!aliases.has(id)) aliases.set(id, []);
+      aliases.get(id).push(name);
+    }
+  }
+
+  return { names, aliases };
+}
+
+// Tax ids from the top of the tree (below the root) down to taxId
+function lineageOf(taxId, nodes) {
+  const lineage = [];
+  let id = taxId;
+
+  while (id && id !== ROOT_TAX_ID && lineage.length < 100) {
+    lineage.unshift(id);
+    const parent = nodes.parentOf(id);
+    if (parent === id) break;
+    id = parent;
+  }
+
+  return lineage;
+}
+
+function pickTaxon(candidates, nodes) {
+  const score = ({ taxId, scientific }) => {
+    const lineage = lineageOf(taxId, nodes);
+    const preferred = PREFERRED_TOP_TAXA.some(top => lineage.includes(top));
+    return (scientific ? 2 : 0) + (preferred ? 1 : 0);
+  };
+
+  return [...candidates].sort((a, b) => score(b) - score(a) || a.taxId - b.taxId)[0];
+}
+
+async function upsertRows(table, rows, onConflict) {
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const batch = rows.slice(i, i + BATCH_SIZE);
+    await withRetries(() => supabase.from(table).upsert(batch, { onConflict }), `${table} batch`);
+    console.log(`${table}: ${Math.min(i + BATCH_SIZE, rows.length).toLocaleString()} / ${rows.length.toLocaleString()}`);
+  }
+}
+
+async function main() {
+  const namesPath = join(taxdumpDir, 'names.dmp');
+  const nodesPath = join(taxdumpDir, 'nodes.dmp');
+
+  const organisms = await fetchOrganisms();
+  if (organisms.length === 0) {
+    throw new Error('No source organisms found in proteins');
+  }
+  console.log(`Found ${organisms.length.toLocaleString()} distinct source organisms`);
+
+  const wanted = new Set(organisms.flatMap(candidateNames));
+  const matches = await matchNames(namesPath, wanted);
+  console.log(`Matched ${matches.size.toLocaleString()} organism name variants in ${namesPath}`);
+
+  const nodes = await readNodes(nodesPath);
+
+  const updatedAt = new Date().toISOString();
+  const lineageRows = [];
+  const lineageTaxa = new Set();
+  let unmatched = 0;
+
+  organisms.forEach(organismName => {
+    const matchedName = candidateNames(organismName).find(candidate => matches.has(candidate));
+
+    if (!matchedName) {
+      unmatched++;
+      lineageRows.push({ organism_name: organismName, tax_id: null, matched_name: null, lineage: null, updated_at: updatedAt });
+      return;
+    }
+
+    const { taxId, name } = pickTaxon(matches.get(matchedName), nodes);
+    const lineage = lineageOf(taxId, nodes);
+    lineage.forEach(id => lineageTaxa.add(id));
+    lineageRows.push({ organism_name: organismName, tax_id: taxId, matched_name: name, lineage, updated_at: updatedAt });
+  });
+
+  console.log(`${(organisms.length - unmatched).toLocaleString()} organisms mapped, ${unmatched.toLocaleString()} without an NCBI match`);
+
+  const { names, aliases } = await readTaxonNames(namesPath, lineageTaxa);
+  const taxonRows = [...lineageTaxa].map(taxId => {
+    const parentId = nodes.parentOf(taxId);
+    return {
+      tax_id: taxId,
+      parent_id: parentId === ROOT_TAX_ID || parentId === taxId ? null : parentId,
+      name: names.get(taxId) || String(taxId),
+      rank: nodes.rankOf(taxId),
+      aliases: aliases.has(taxId) ? aliases.get(taxId).join(' | ') : null,
+      updated_at: updatedAt,
+    };
+  });
+
+  // Parents before children, so the browser never sees a dangling parent mid-load
+  taxonRows.sort((a, b) => lineageOf(a.tax_id, nodes).length - lineageOf(b.tax_id, nodes).length);
+
+  await upsertRows('taxa', taxonRows, 'tax_id');
+  await upsertRows('organism_lineages', lineageRows, 'organism_name');
+
+  if (skipRefresh) {
+    console.log('Skipped copying lineages onto proteins (--skip-refresh)');
+    return;
+  }
+
+  console.log('Copying lineages onto proteins and counting proteins per taxon...');
+  const { data: updated, error } = await supabase.rpc('refresh_protein_lineages');
+  if (error) throw error;
+
+  console.log(`Taxonomy loaded. Lineage changed for ${updated.toLocaleString()} proteins.`);
+}
+
+main().catch((error) => {
+  console.error('NCBI taxonomy load failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+/**
+ * Pfam Domain Catalog Loader
+ *
+ * Fills the domains table (see create_domains.sql) from a local copy of the
+ * Pfam-A metadata dump, then recomputes the per-domain protein counts.
+ * Re-running it updates existing rows, so it also upgrades to a new Pfam release.
+ *
+ * Files (plain or .gz) from https://ftp.ebi.ac.uk/pub/databases/Pfam/current_release/:
+ *   Pfam-A.hmm.dat     - accession, ID, description, type and clan of every family
+ *   Pfam-A.clans.tsv   - optional, adds clan names
+ *
+ * Usage:
+ *   NEXT_PUBLIC_SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... npm run load:pfam-domains -- Pfam-A.hmm.dat.gz
+ *   npm run load:pfam-domains -- Pfam-A.hmm.dat.gz --clans Pfam-A.clans.tsv.gz
+ *   npm run load:pfam-domains -- Pfam-A.hmm.dat.gz --skip-counts
+ */
+
+import { createReadStream } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { createGunzip } from 'node:zlib';
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !serviceKey) {
+  console.error('NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const optionValue = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+};
+
+const clansPath = optionValue('--clans');
+const skipCounts = args.includes('--skip-counts');
+const datPath = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--clans');
+
+if (!datPath) {
+  console.error('Usage: npm run load:pfam-domains -- <Pfam-A.hmm.dat[.gz]> [--clans Pfam-A.clans.tsv[.gz]] [--skip-counts]');
+  process.exit(1);
+}
+
+const BATCH_SIZE = 500;
+const MAX_RETRIES = 5;
+
+const supabase = createClient(supabaseUrl, serviceKey, {
+  auth: { persistSession: false },
+});
+
+function readLines(path) {
+  const input = createReadStream(path);
+  return createInterface({
+    input: path.endsWith('.gz') ? input.pipe(createGunzip()) : input,
+    crlfDelay: Infinity,
+  });
+}
+
+/**
+ * Parse Pfam-A.hmm.dat: Stockholm-style "#=GF <tag>   <value>" records ending with "//"
+ */
+async function readFamilies(path) {
+  const families = [];
+  let record = {};
+
+  for await (const line of readLines(path)) {
+    if (line.startsWith('//')) {
+      if (record.AC && record.ID) {
+        const [accession, version] = record.AC.split('.');
+        families.push({
+          accession,
+          name: record.ID,
+          description: record.DE || null,
+          type: record.TP || null,
+          clan_accession: record.CL || null,
+          pfam_version: version || null,
+        });
+      }
+      record = {};
+      continue;
+    }
+
+    const match = line.match(/^#=GF\s+(\w{2})\s+(.*)$/);
+    if (match) {
+      record[match[1]] = match[2].trim();
+    }
+  }
+
+  return families;
+}
+
+/**
+ * Parse Pfam-A.clans.tsv: accession, clan accession, clan ID, family ID, description
+ */
+async function readClanNames(path) {
+  const clanNames = new Map();
+
+  for await (const line of readLines(path)) {
+    const [, clanAccession, clanName] = line.split('\t');
+    if (clanAccession && clanName) {
+      clanNames.set(clanAccession, clanName);
+    }
+  }
+
+  return clanNames;
+}
+
+async function upsertBatch(rows, retries = 0) {
+  const { error } = await supabase.from('domains').upsert(rows, { onConflict: 'accession' });
+
+  if (error) {
+    if (retries < MAX_RETRIES) {
+      console.warn(`Batch failed (${error.message}), retrying...`);
+      await new Promise(resolve => setTimeout(resolve, 2000 * (retries + 1)));
+      return upsertBatch(rows, retries + 1);
+    }
+    throw error;
+  }
+}
+
+async function main() {
+  const families = await readFamilies(datPath);
+  if (families.length === 0) {
+    throw new Error(`No Pfam families found in ${datPath}`);
+  }
+  console.log(`Read ${families.length.toLocaleString()} Pfam families from ${datPath}`);
+
+  const clanNames = clansPath ? await readClanNames(clansPath) : new Map();
+  if (clansPath) {
+    console.log(`Read ${clanNames.size.toLocaleString()} clan names from ${clansPath}`);
+  }
+
+  const updatedAt = new Date().toISOString();
+  for (let i = 0; i < families.length; i += BATCH_SIZE) {
+    const rows = families.slice(i, i + BATCH_SIZE).map(family => ({
+      ...family,
+      // Without --clans keep the clan names of an earlier load
+      ...(clansPath ? { clan_name: clanNames.get(family.clan_accession) || null } : {}),
+      updated_at: updatedAt,
+    }));
+    await upsertBatch(rows);
+    console.log(`Loaded ${Math.min(i + BATCH_SIZE, families.length).toLocaleString()} / ${families.length.toLocaleString()}`);
+  }
+
+  if (skipCounts) {
+    console.log('Skipped protein counts (--skip-counts)');
+    return;
+  }
+
+  console.log('Counting proteins per domain...');
+  const { data: updated, error } = await supabase.rpc('refresh_domain_protein_counts');
+  if (error) throw error;
+
+  console.log(`Domain catalog loaded. Protein counts changed for ${updated.toLocaleString()} domains.`);
+}
+
+main().catch((error) => {
+  console.error('Pfam domain load failed:', error);
+  process.exit(1);
+});